@@ -7,6 +7,8 @@
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const htmlReportBtn = document.getElementById('htmlReportBtn');
+const exportButtons = document.querySelectorAll('.export-btn');
 const statusText = document.getElementById('statusText');
 const elapsedTime = document.getElementById('elapsedTime');
 const progress = document.getElementById('progress');
@@ -14,10 +16,35 @@ const progressBar = document.getElementById('progressBar');
 const systemInfoSection = document.getElementById('systemInfoSection');
 const realtimeSection = document.getElementById('realtimeSection');
 const dataTableSection = document.getElementById('dataTableSection');
+const processSection = document.getElementById('processSection');
+const collectorOptions = document.getElementById('collectorOptions');
+const networkIfaceSelect = document.getElementById('networkIfaceSelect');
+const diskVolumeSelect = document.getElementById('diskVolumeSelect');
+const modeSelect = document.getElementById('modeSelect');
+const reportPeriodSelect = document.getElementById('reportPeriodSelect');
+const segmentSection = document.getElementById('segmentSection');
+const statsSection = document.getElementById('statsSection');
+const intervalInput = document.getElementById('intervalInput');
+const reportTemplateSelect = document.getElementById('reportTemplateSelect');
+const activeSessionsSection = document.getElementById('activeSessionsSection');
+const schedulesSection = document.getElementById('schedulesSection');
+const importFile = document.getElementById('importFile');
+const importBtn = document.getElementById('importBtn');
+const importStatus = document.getElementById('importStatus');
+const compareBtn = document.getElementById('compareBtn');
+const cleanupPreviewBtn = document.getElementById('cleanupPreviewBtn');
+const cleanupBtn = document.getElementById('cleanupBtn');
+const catalogPrevBtn = document.getElementById('catalogPrevBtn');
+const catalogNextBtn = document.getElementById('catalogNextBtn');
+const compareSection = document.getElementById('compareSection');
+const compareMetricSelect = document.getElementById('compareMetricSelect');
+const compareReportBtn = document.getElementById('compareReportBtn');
 const pdfModal = document.getElementById('pdfModal');
 const modalTitle = document.getElementById('modalTitle');
 const modalMessage = document.getElementById('modalMessage');
+const reportFormatChoice = document.getElementById('reportFormatChoice');
 const errorAlert = document.getElementById('errorAlert');
+const alertBanners = document.getElementById('alertBanners');
 const errorMessage = document.getElementById('errorMessage');
 
 // Socket.io 연결
@@ -25,9 +52,56 @@ const socket = io();
 
 // 애플리케이션 상태
 let isMonitoring = false;
+let currentSessionId = null; // 화면에 표시 중인 세션 (해당 세션 룸의 이벤트만 수신)
+let activeSessions = []; // 서버에서 실행 중인 세션 목록
 let downloadUrl = null;
+let htmlReportUrl = null;
 let measurements = [];
 let charts = {};
+let activeCollectors = []; // 현재 세션에서 실행 중인 수집기 설명
+let genericCharts = {}; // 전용 뷰가 없는 수집기의 차트 (수집기 ID별)
+let gpuCharts = {}; // GPU별 차트 (컨트롤러 인덱스별)
+let compareSelection = []; // 비교할 저장된 세션 (선택 순서, 첫 번째가 기준)
+let catalogPage = 1; // 저장된 세션 목록의 현재 페이지
+let catalogSearchTimer = null; // 검색어 입력 디바운스
+let comparison = null; // /api/compare 응답
+let compareChart = null;
+let statsLoadedAt = 0; // 통계 요약을 마지막으로 불러온 시각 (ms)
+let statsRequest = null; // 진행 중인 통계 요청 (중복 요청 방지)
+
+// 코어 포화 판정 기준 (server/services/cpuCoreAnalysis.js와 동일)
+const CORE_SATURATION = {
+  threshold: 90, // 코어 사용률 (%)
+  overallThreshold: 50, // 전체 평균이 이 값 미만이면 "정상으로 보이는" 상태 (%)
+  minDuration: 10, // 최소 지속 시간 (초)
+};
+
+// 전용 카드/차트가 index.html에 준비된 수집기
+const BUILTIN_VIEWS = ['cpu', 'memory', 'disk', 'network', 'gpu', 'processes'];
+
+// 알림 심각도 표시 이름
+const SEVERITY_LABELS = { info: '정보', warning: '경고', critical: '위험' };
+
+// 해제된 알림 배너를 표시해 두는 시간 (ms)
+const RESOLVED_BANNER_TIMEOUT = 10000;
+
+// 세션 데이터 내보내기 형식 (/api/session-data/:sessionId?format=)
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'XLSX' },
+  { format: 'influx', label: 'InfluxDB' },
+];
+
+// 세션 비교 (server/services/sessionComparison.js, comparisonReportGenerator.js와 동일)
+const MAX_COMPARE_SESSIONS = 6;
+
+// 저장된 세션 목록 페이지 크기
+const CATALOG_PAGE_SIZE = 20;
+const COMPARE_COLORS = ['#6c757d', '#007bff', '#dc3545', '#28a745', '#fd7e14', '#6f42c1'];
+const DIRECTION_MARKS = { up: '▲', down: '▼', flat: '■' };
+
+// 측정 중 통계 요약 갱신 간격 (ms)
+const STATS_REFRESH_INTERVAL = 5000;
 
 // 최대 데이터 포인트 (차트에 표시할 최대 개수)
 const MAX_DATA_POINTS = 60;
@@ -41,10 +115,78 @@ function init() {
   // 차트 초기화
   initCharts();
 
+  // 수집기 목록 불러오기
+  loadCollectors();
+
+  // 리포트 템플릿 목록 불러오기
+  loadReportTemplates();
+
+  // 저장된 세션 목록 불러오기
+  loadSavedSessions();
+
+  // 비정상 종료 후 복구한 세션 불러오기
+  loadRecoveredSessions();
+
+  // 저장 공간 사용량 불러오기
+  loadStorageUsage();
+
   // 이벤트 리스너 등록
   startBtn.addEventListener('click', startMonitoring);
   stopBtn.addEventListener('click', stopMonitoring);
   downloadBtn.addEventListener('click', downloadPDF);
+  htmlReportBtn.addEventListener('click', openHTMLReport);
+  document.getElementById('modalPdfBtn').addEventListener('click', () => {
+    closeReportModal();
+    downloadPDF();
+  });
+  document.getElementById('modalHtmlBtn').addEventListener('click', () => {
+    closeReportModal();
+    openHTMLReport();
+  });
+  document.getElementById('modalCloseBtn').addEventListener('click', closeReportModal);
+  importFile.addEventListener('change', () => {
+    importBtn.disabled = importFile.files.length === 0;
+    importStatus.textContent = '';
+  });
+  importBtn.addEventListener('click', importSession);
+  cleanupPreviewBtn.addEventListener('click', () => runCleanup(true));
+  cleanupBtn.addEventListener('click', () => runCleanup(false));
+  // 필터를 바꾸면 첫 페이지부터 (검색어는 입력이 멈춘 뒤)
+  const reloadCatalog = () => {
+    catalogPage = 1;
+    loadSavedSessions();
+  };
+  document.getElementById('catalogSearch').addEventListener('input', () => {
+    clearTimeout(catalogSearchTimer);
+    catalogSearchTimer = setTimeout(reloadCatalog, 300);
+  });
+  ['catalogTagSelect', 'catalogHostSelect', 'catalogStatusSelect', 'catalogFrom', 'catalogTo'].forEach(id => {
+    document.getElementById(id).addEventListener('change', reloadCatalog);
+  });
+  catalogPrevBtn.addEventListener('click', () => {
+    catalogPage--;
+    loadSavedSessions();
+  });
+  catalogNextBtn.addEventListener('click', () => {
+    catalogPage++;
+    loadSavedSessions();
+  });
+  compareBtn.addEventListener('click', loadComparison);
+  compareMetricSelect.addEventListener('change', () => drawCompareChart(compareMetricSelect.value));
+  compareReportBtn.addEventListener('click', createCompareReport);
+  document.getElementById('compareCloseBtn').addEventListener('click', closeComparison);
+  exportButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      if (currentSessionId) {
+        window.location.href = getExportUrl(currentSessionId, button.dataset.format);
+      }
+    });
+  });
+  networkIfaceSelect.addEventListener('change', () => redrawChart('network'));
+  diskVolumeSelect.addEventListener('change', () => redrawChart('disk'));
+  modeSelect.addEventListener('change', () => {
+    reportPeriodSelect.disabled = modeSelect.value !== 'continuous';
+  });
 
   // Socket.io 이벤트 리스너
   socket.on('connect', () => {
@@ -57,17 +199,60 @@ function init() {
     updateStatus('서버 연결 끊김', true);
   });
 
+  socket.on('sessions-updated', renderActiveSessions);
+  socket.on('schedules-updated', renderSchedules);
+  socket.on('storage-updated', (usage) => {
+    renderStorageUsage(usage);
+    loadSavedSessions();
+    loadRecoveredSessions();
+  });
+  socket.on('session-started', handleSessionStarted);
   socket.on('system-info', handleSystemInfo);
   socket.on('monitoring-data', handleMonitoringData);
+  socket.on('segment-ready', handleSegmentReady);
+  socket.on('alert-fired', handleAlertFired);
+  socket.on('alert-resolved', handleAlertResolved);
   socket.on('monitoring-complete', handleMonitoringComplete);
   socket.on('pdf-ready', handlePDFReady);
   socket.on('error', handleError);
 }
 
+/**
+ * 이상 징후 표시 플러그인
+ * 데이터셋의 anomalies 배열(데이터와 같은 인덱스)에 표시된 포인트에 빨간 원을 그림
+ */
+const anomalyMarkerPlugin = {
+  id: 'anomalyMarkers',
+  afterDatasetsDraw(chart) {
+    const { ctx } = chart;
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      const meta = chart.getDatasetMeta(datasetIndex);
+      if (!dataset.anomalies || meta.hidden) return;
+
+      dataset.anomalies.forEach((flagged, index) => {
+        const point = meta.data[index];
+        if (!flagged || !point || point.skip) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(220, 53, 69, 0.85)';
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 1;
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+      });
+    });
+  },
+};
+
 /**
  * 차트 초기화
  */
 function initCharts() {
+  Chart.register(anomalyMarkerPlugin);
+
   const chartConfig = (label, color) => ({
     type: 'line',
     data: {
@@ -219,25 +404,431 @@ function initCharts() {
  */
 function startMonitoring() {
   console.log('모니터링 시작 요청...');
+
+  // 보고 있던 세션은 계속 실행되며 화면만 새 세션으로 전환
+  leaveCurrentSession();
+  prepareSessionView();
+  updateStatus('모니터링 시작 중...');
+
+  // 서버에 시작 요청 (선택된 수집기 포함)
+  const interval = parseInt(intervalInput.value, 10);
+  socket.emit('start-monitoring', {
+    mode: modeSelect.value,
+    reportPeriod: reportPeriodSelect.value,
+    interval: interval > 0 ? interval : undefined,
+    collectors: getSelectedCollectors(),
+    gpus: getGpuSelection(),
+    reportTemplate: reportTemplateSelect.value || undefined,
+  });
+}
+
+/**
+ * 실행 중인 다른 세션 보기
+ */
+function viewSession(sessionId) {
+  if (sessionId === currentSessionId) {
+    return;
+  }
+
+  leaveCurrentSession();
+  prepareSessionView();
+  updateStatus('세션 연결 중...');
+  socket.emit('join-session', { sessionId });
+}
+
+/**
+ * 현재 세션 룸에서 나가기
+ */
+function leaveCurrentSession() {
+  if (currentSessionId) {
+    socket.emit('leave-session', { sessionId: currentSessionId });
+    currentSessionId = null;
+  }
+}
+
+/**
+ * 새 세션을 표시하기 위해 화면 초기화
+ */
+function prepareSessionView() {
   isMonitoring = true;
   measurements = [];
+  downloadUrl = null;
+  htmlReportUrl = null;
 
   // UI 업데이트
-  startBtn.disabled = true;
-  stopBtn.disabled = false;
+  stopBtn.disabled = true;
   downloadBtn.disabled = true;
-  updateStatus('모니터링 시작 중...');
+  htmlReportBtn.disabled = true;
+  exportButtons.forEach(button => {
+    button.disabled = true;
+  });
 
   // 차트 초기화
   resetCharts();
 
+  // 이전 구간 리포트 목록 초기화
+  document.getElementById('segmentList').innerHTML = '';
+  segmentSection.style.display = 'none';
+
+  // 통계 요약 초기화 (첫 측정값을 받으면 표시)
+  document.getElementById('statsTableBody').innerHTML = '';
+  statsSection.style.display = 'none';
+  statsLoadedAt = 0;
+
   // 섹션 표시
   systemInfoSection.style.display = 'block';
   realtimeSection.style.display = 'block';
   dataTableSection.style.display = 'block';
+}
+
+/**
+ * 실행 중인 세션 목록 표시
+ */
+function renderActiveSessions(sessions = activeSessions) {
+  activeSessions = sessions;
+  const tbody = document.getElementById('activeSessionsBody');
+  tbody.innerHTML = '';
+
+  activeSessionsSection.style.display = sessions.length > 0 ? 'block' : 'none';
+  document.getElementById('activeSessionCount').textContent = `${sessions.length}개`;
+
+  const statusLabels = { running: '실행 중', stopping: '중지 중', generating: '리포트 생성 중' };
+
+  sessions.forEach(session => {
+    const row = document.createElement('tr');
+    if (session.sessionId === currentSessionId) {
+      row.className = 'current-session';
+    }
+
+    const mode = session.mode === 'continuous'
+      ? `연속 (${session.reportPeriod})`
+      : `고정 (${session.duration}초)`;
+
+    [
+      session.sessionId,
+      mode,
+      `${session.interval}초`,
+      session.collectors.join(', '),
+      new Date(session.startTime).toLocaleTimeString('ko-KR'),
+      statusLabels[session.status] || session.status,
+    ].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement('td');
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'btn btn-primary btn-small';
+    viewBtn.textContent = '보기';
+    viewBtn.disabled = session.sessionId === currentSessionId;
+    viewBtn.addEventListener('click', () => viewSession(session.sessionId));
+    actions.appendChild(viewBtn);
+
+    const stopSessionBtn = document.createElement('button');
+    stopSessionBtn.className = 'btn btn-danger btn-small';
+    stopSessionBtn.textContent = '중지';
+    stopSessionBtn.disabled = session.status !== 'running';
+    stopSessionBtn.addEventListener('click', () => {
+      socket.emit('stop-monitoring', { sessionId: session.sessionId });
+    });
+    actions.appendChild(stopSessionBtn);
+
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * 사용 가능한 수집기를 불러와 선택 체크박스 생성
+ */
+async function loadCollectors() {
+  try {
+    const response = await fetch('/api/collectors');
+    const { collectors } = await response.json();
+
+    collectorOptions.innerHTML = '';
+    collectors.forEach(collector => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = collector.id;
+      checkbox.checked = collector.enabledByDefault;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(collector.name));
+      collectorOptions.appendChild(label);
+    });
+  } catch (error) {
+    console.error('수집기 목록 조회 실패:', error);
+  }
+}
+
+/**
+ * 리포트 템플릿 선택 목록 생성 (서버 기본 템플릿을 선택)
+ */
+async function loadReportTemplates() {
+  try {
+    const response = await fetch('/api/report-templates');
+    const { defaultTemplate, templates } = await response.json();
+
+    reportTemplateSelect.innerHTML = '';
+    templates.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      option.title = template.description || '';
+      option.selected = template.id === defaultTemplate;
+      reportTemplateSelect.appendChild(option);
+    });
+  } catch (error) {
+    console.error('리포트 템플릿 목록 조회 실패:', error);
+  }
+}
+
+/**
+ * 체크된 수집기 ID 목록
+ */
+function getSelectedCollectors() {
+  return Array.from(collectorOptions.querySelectorAll('input:checked'))
+    .map(checkbox => checkbox.value);
+}
+
+/**
+ * GPU 선택 입력을 인덱스/모델명 목록으로 변환
+ */
+function getGpuSelection() {
+  return document.getElementById('gpuFilter').value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => (/^\d+$/.test(item) ? Number(item) : item));
+}
+
+/**
+ * 예약 목록 표시 (다음 실행 시각 포함)
+ */
+function renderSchedules(schedules) {
+  const tbody = document.getElementById('schedulesBody');
+  tbody.innerHTML = '';
+  schedulesSection.style.display = schedules.length > 0 ? 'block' : 'none';
+
+  schedules.forEach(schedule => {
+    const row = document.createElement('tr');
+    const lastRun = schedule.lastRun;
+
+    [
+      schedule.enabled ? schedule.name : `${schedule.name} (사용 안 함)`,
+      describeSchedule(schedule),
+      schedule.nextRun ? new Date(schedule.nextRun).toLocaleString('ko-KR') : '-',
+      lastRun
+        ? `${new Date(lastRun.startedAt).toLocaleString('ko-KR')} ${lastRun.error ? `실패: ${lastRun.error}` : lastRun.sessionId}`
+        : '-',
+    ].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    const actions = document.createElement('td');
+    const toggleBtn = document.createElement('button');
+    toggleBtn.className = 'btn btn-primary btn-small';
+    toggleBtn.textContent = schedule.enabled ? '사용 안 함' : '사용';
+    toggleBtn.addEventListener('click', () => {
+      updateSchedule(schedule.id, 'PUT', { enabled: !schedule.enabled });
+    });
+    actions.appendChild(toggleBtn);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-danger btn-small';
+    deleteBtn.textContent = '삭제';
+    deleteBtn.addEventListener('click', () => {
+      if (confirm(`예약 "${schedule.name}"을(를) 삭제할까요?`)) {
+        updateSchedule(schedule.id, 'DELETE');
+      }
+    });
+    actions.appendChild(deleteBtn);
+
+    row.appendChild(actions);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * 예약 일정 설명 문자열
+ */
+function describeSchedule(schedule) {
+  if (schedule.type === 'cron') {
+    return `cron: ${schedule.cron}`;
+  }
+  if (schedule.type === 'once') {
+    return `1회: ${new Date(schedule.at).toLocaleString('ko-KR')}`;
+  }
+
+  const dayNames = ['일', '월', '화', '수', '목', '금', '토'];
+  const days = schedule.window.days.length === 7
+    ? '매일'
+    : schedule.window.days.map(day => dayNames[day]).join(',');
+  return `${days} ${schedule.window.start}~${schedule.window.end}`;
+}
+
+/**
+ * 예약 수정/삭제 요청 (목록은 schedules-updated 이벤트로 갱신)
+ */
+async function updateSchedule(id, method, body) {
+  try {
+    const response = await fetch(`/api/schedules/${id}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const { error } = await response.json();
+      handleError({ message: error });
+    }
+  } catch (error) {
+    console.error('예약 변경 실패:', error);
+  }
+}
+
+/**
+ * 세션 시작 처리 - 실행 중인 수집기에 맞춰 카드/차트 구성
+ */
+function handleSessionStarted(data) {
+  currentSessionId = data.sessionId;
+  stopBtn.disabled = data.status !== 'running';
+  updateStatus(`세션 ${data.sessionId}`);
+
+  // 연속 모드의 측정값은 구간별로 저장되므로 구간 리포트 목록에서 내보냄
+  exportButtons.forEach(button => {
+    button.disabled = data.mode === 'continuous';
+  });
+  renderActiveSessions();
+
+  // 참여한 세션에서 이미 발생 중인 알림 표시
+  alertBanners.innerHTML = '';
+  (data.activeAlerts || []).forEach(showAlertBanner);
+
+  activeCollectors = data.collectors;
+  applyCollectorLayout();
+}
+
+/**
+ * 수집기 구성에 따라 전용 뷰를 표시/숨김하고 나머지는 범용 카드/차트 생성
+ */
+function applyCollectorLayout() {
+  const activeIds = activeCollectors.map(collector => collector.id);
+
+  document.querySelectorAll('[data-collector]').forEach(element => {
+    if (element.dataset.generated) {
+      element.remove();
+      return;
+    }
+    element.style.display = activeIds.includes(element.dataset.collector) ? '' : 'none';
+  });
+
+  Object.values(genericCharts).forEach(chart => chart.destroy());
+  genericCharts = {};
+
+  activeCollectors
+    .filter(collector => !BUILTIN_VIEWS.includes(collector.id))
+    .forEach(createGenericView);
+}
+
+/**
+ * 수집기 설명(render.card / render.chart)으로 범용 카드와 차트 생성
+ */
+function createGenericView(collector) {
+  const { card, chart } = collector.render || {};
+
+  if (card) {
+    const cardElement = document.createElement('div');
+    cardElement.className = 'card';
+    cardElement.dataset.collector = collector.id;
+    cardElement.dataset.generated = 'true';
+
+    const title = document.createElement('h3');
+    title.textContent = card.title || collector.name;
+    const value = document.createElement('div');
+    value.className = 'value';
+    value.id = `${collector.id}CardValue`;
+    value.textContent = '-';
+    cardElement.appendChild(title);
+    cardElement.appendChild(value);
+
+    if (card.label) {
+      const label = document.createElement('div');
+      label.className = 'label';
+      label.id = `${collector.id}CardLabel`;
+      label.textContent = `${card.label.text}: -`;
+      cardElement.appendChild(label);
+    }
+
+    document.getElementById('cardsGrid').appendChild(cardElement);
+  }
+
+  if (chart && chart.series && chart.series.length > 0) {
+    const container = document.createElement('div');
+    container.className = 'chart-container';
+    container.dataset.collector = collector.id;
+    container.dataset.generated = 'true';
+
+    const title = document.createElement('h3');
+    title.textContent = chart.title || collector.name;
+    const canvas = document.createElement('canvas');
+    container.appendChild(title);
+    container.appendChild(canvas);
+    document.getElementById('chartsGrid').appendChild(container);
+
+    genericCharts[collector.id] = new Chart(canvas, {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: chart.series.map(series => ({
+          label: series.label,
+          data: [],
+          borderColor: series.color || 'rgb(108, 117, 125)',
+          backgroundColor: (series.color || 'rgb(108, 117, 125)').replace('rgb', 'rgba').replace(')', ', 0.2)'),
+          tension: 0.4,
+          fill: chart.series.length === 1,
+          pointRadius: 0,
+          borderWidth: 2,
+        })),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: true,
+        animation: { duration: 0 },
+        scales: {
+          x: {
+            display: true,
+            ticks: { maxTicksLimit: 10 },
+          },
+          y: {
+            beginAtZero: true,
+          },
+        },
+        plugins: {
+          legend: {
+            display: chart.series.length > 1,
+          },
+        },
+      },
+    });
+  }
+}
+
+/**
+ * 'io.readKBps' 형태의 경로로 값 조회
+ */
+function getPath(obj, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
 
-  // 서버에 시작 요청
-  socket.emit('start-monitoring');
+/**
+ * 숫자 값을 단위와 함께 표시 (값이 없으면 N/A)
+ */
+function formatValue(value, unit = '') {
+  return typeof value === 'number' ? `${value.toFixed(1)}${unit}` : 'N/A';
 }
 
 /**
@@ -247,11 +838,10 @@ function stopMonitoring() {
   console.log('모니터링 중지 요청...');
   isMonitoring = false;
 
-  startBtn.disabled = false;
   stopBtn.disabled = true;
   updateStatus('모니터링 중지됨');
 
-  socket.emit('stop-monitoring');
+  socket.emit('stop-monitoring', { sessionId: currentSessionId });
 }
 
 /**
@@ -271,7 +861,7 @@ function handleSystemInfo(data) {
 
   if (data.gpu && data.gpu.length > 0) {
     document.getElementById('gpuInfo').textContent =
-      data.gpu.map(g => `${g.model}`).join(', ');
+      data.gpu.map(g => `[${g.index}] ${g.model}`).join(', ');
   } else {
     document.getElementById('gpuInfo').textContent = '정보 없음';
   }
@@ -284,6 +874,9 @@ function handleSystemInfo(data) {
  * 모니터링 데이터 처리
  */
 function handleMonitoringData(data) {
+  if (data.sessionId !== currentSessionId) {
+    return;
+  }
   console.log('모니터링 데이터 수신:', data);
 
   // 측정 데이터 저장
@@ -291,9 +884,23 @@ function handleMonitoringData(data) {
 
   // 상태 업데이트
   updateStatus('모니터링 중...');
-  elapsedTime.textContent = `${data.totalElapsed}초 / ${data.totalDuration}초`;
-  progress.textContent = `${data.progress}%`;
-  progressBar.style.width = `${data.progress}%`;
+  if (data.mode === 'continuous') {
+    // 연속 모드: 진행률 대신 현재 구간 안에서의 진행 표시
+    const segmentStart = new Date(data.segment.start);
+    const segmentEnd = new Date(data.segment.end);
+    const segmentProgress = ((new Date(data.timestamp) - segmentStart) / (segmentEnd - segmentStart)) * 100;
+
+    elapsedTime.textContent = `${Math.floor(data.totalElapsed)}초 (연속 모드)`;
+    progress.textContent = `구간 #${data.segment.index + 1} ~ ${segmentEnd.toLocaleTimeString('ko-KR')}`;
+    progressBar.style.width = `${Math.min(segmentProgress, 100).toFixed(2)}%`;
+  } else {
+    elapsedTime.textContent = `${Math.floor(data.totalElapsed)}초 / ${data.totalDuration}초`;
+    progress.textContent = `${data.progress}%`;
+    progressBar.style.width = `${data.progress}%`;
+  }
+
+  // 인터페이스/볼륨 선택 목록 갱신
+  updateBreakdownOptions(data);
 
   // 카드 값 업데이트
   updateCards(data);
@@ -303,176 +910,1460 @@ function handleMonitoringData(data) {
 
   // 테이블 업데이트
   updateTable(data);
+
+  // 상위 프로세스 업데이트
+  updateProcessTables(data);
+
+  // 통계 요약 (일정 간격으로만 서버에 요청)
+  if (Date.now() - statsLoadedAt >= STATS_REFRESH_INTERVAL) {
+    loadSessionStats();
+  }
 }
 
 /**
- * 카드 값 업데이트
+ * 보고 있는 세션의 통계 요약 불러오기
  */
-function updateCards(data) {
-  // CPU
-  document.getElementById('cpuValue').textContent = `${data.cpu.usage.toFixed(1)}%`;
-  document.getElementById('cpuTemp').textContent =
-    data.cpu.temperature ? `${data.cpu.temperature.toFixed(1)}°C` : 'N/A';
-
-  // 메모리
-  const memoryUsedGB = (data.memory.used / 1024 / 1024 / 1024).toFixed(2);
-  const memoryTotalGB = (data.memory.total / 1024 / 1024 / 1024).toFixed(2);
-  document.getElementById('memoryValue').textContent = `${data.memory.usagePercent.toFixed(1)}%`;
-  document.getElementById('memoryUsed').textContent = memoryUsedGB;
-  document.getElementById('memoryTotal').textContent = memoryTotalGB;
-
-  // 디스크
-  document.getElementById('diskValue').textContent = `${data.disk.usagePercent.toFixed(1)}%`;
-  document.getElementById('diskIO').textContent =
-    `R: ${data.disk.io.readKBps} KB/s | W: ${data.disk.io.writeKBps} KB/s`;
+async function loadSessionStats() {
+  if (!currentSessionId || statsRequest) return;
+
+  const sessionId = currentSessionId;
+  statsLoadedAt = Date.now();
+  statsRequest = fetch(`/api/sessions/${encodeURIComponent(sessionId)}/stats`)
+    .then(response => (response.ok ? response.json() : null));
+
+  try {
+    const stats = await statsRequest;
+    // 응답을 기다리는 동안 다른 세션으로 전환했으면 무시
+    if (stats && sessionId === currentSessionId) {
+      renderSessionStats(stats);
+    }
+  } catch (error) {
+    console.error('통계 요약 로드 실패:', error);
+  } finally {
+    statsRequest = null;
+  }
+}
 
-  // 네트워크
-  const totalNetwork = parseFloat(data.network.rxKBps) + parseFloat(data.network.txKBps);
-  document.getElementById('networkValue').textContent = `${totalNetwork.toFixed(1)} KB/s`;
-  document.getElementById('networkRx').textContent = data.network.rxKBps;
-  document.getElementById('networkTx').textContent = data.network.txKBps;
+/**
+ * 통계 요약 표 (지표별 백분위수, 표준편차, 추세, 임계값 초과 시간, 분포)
+ */
+function renderSessionStats(stats) {
+  const tbody = document.getElementById('statsTableBody');
+  tbody.innerHTML = '';
+  statsSection.style.display = stats.metrics.length > 0 ? 'block' : 'none';
+  // 실행 중인 연속 모드 세션은 현재 구간의 통계
+  document.getElementById('statsMeta').textContent =
+    `${stats.segment ? '현재 구간 ' : ''}측정 ${stats.measurementCount}개${stats.running ? ` · ${new Date().toLocaleTimeString('ko-KR')} 갱신` : ''}`;
+
+  stats.metrics.forEach(metric => {
+    const row = document.createElement('tr');
+    const addCell = (content) => {
+      const cell = document.createElement('td');
+      if (content instanceof Node) {
+        cell.appendChild(content);
+      } else {
+        cell.textContent = content;
+      }
+      row.appendChild(cell);
+      return cell;
+    };
+
+    addCell(metric.label);
+    ['avg', 'p50', 'p90', 'p95', 'p99', 'max'].forEach(field => addCell(formatValue(metric[field], metric.unit)));
+    addCell(formatValue(metric.stddev));
+    addCell(metric.slopePerMinute === null
+      ? '-'
+      : `${metric.slopePerMinute >= 0 ? '+' : ''}${metric.slopePerMinute.toFixed(2)}${metric.unit}/분`);
+
+    const thresholds = addCell(metric.timeAbove.length > 0
+      ? metric.timeAbove.map(item => `>${item.threshold}${metric.unit}: ${item.seconds.toFixed(0)}초 (${item.percent.toFixed(1)}%)`).join('\n')
+      : '-');
+    thresholds.className = 'threshold-list';
+
+    addCell(createHistogram(metric.histogram, metric.unit));
+    tbody.appendChild(row);
+  });
 }
 
 /**
- * 차트 업데이트
+ * 도수 분포 막대 (막대 위에 마우스를 올리면 구간과 개수 표시)
  */
-function updateCharts(data) {
-  const timeLabel = new Date(data.timestamp).toLocaleTimeString('ko-KR');
+function createHistogram(histogram, unit) {
+  const bars = document.createElement('span');
+  bars.className = 'histogram';
+  const peak = Math.max(...histogram.counts);
+
+  histogram.counts.forEach((count, index) => {
+    const bar = document.createElement('span');
+    const from = histogram.min + histogram.binWidth * index;
+    bar.style.height = `${(count / peak) * 100}%`;
+    bar.title = `${from.toFixed(1)}~${(from + histogram.binWidth).toFixed(1)}${unit}: ${count}개`;
+    bars.appendChild(bar);
+  });
 
-  // 데이터 포인트 제한 (최대 MAX_DATA_POINTS개)
-  const shouldShift = charts.cpu.data.labels.length >= MAX_DATA_POINTS;
+  return bars;
+}
 
-  // CPU 차트
-  if (shouldShift) charts.cpu.data.labels.shift();
-  charts.cpu.data.labels.push(timeLabel);
-  if (shouldShift) charts.cpu.data.datasets[0].data.shift();
-  charts.cpu.data.datasets[0].data.push(data.cpu.usage);
-  charts.cpu.update('none');
+/**
+ * 카드 값 업데이트
+ */
+function updateCards(data) {
+  // CPU
+  if (data.cpu) {
+    document.getElementById('cpuValue').textContent = `${data.cpu.usage.toFixed(1)}%`;
+    document.getElementById('cpuTemp').textContent =
+      data.cpu.temperature ? `${data.cpu.temperature.toFixed(1)}°C` : 'N/A';
+  }
 
-  // 메모리 차트
-  if (shouldShift) charts.memory.data.labels.shift();
-  charts.memory.data.labels.push(timeLabel);
-  if (shouldShift) charts.memory.data.datasets[0].data.shift();
-  charts.memory.data.datasets[0].data.push(data.memory.usagePercent);
-  charts.memory.update('none');
+  // 메모리
+  if (data.memory) {
+    const memoryUsedGB = (data.memory.used / 1024 / 1024 / 1024).toFixed(2);
+    const memoryTotalGB = (data.memory.total / 1024 / 1024 / 1024).toFixed(2);
+    document.getElementById('memoryValue').textContent = `${data.memory.usagePercent.toFixed(1)}%`;
+    document.getElementById('memoryUsed').textContent = memoryUsedGB;
+    document.getElementById('memoryTotal').textContent = memoryTotalGB;
+  }
 
-  // 디스크 I/O 차트
-  if (shouldShift) charts.disk.data.labels.shift();
-  charts.disk.data.labels.push(timeLabel);
-  if (shouldShift) {
-    charts.disk.data.datasets[0].data.shift();
-    charts.disk.data.datasets[1].data.shift();
+  // 디스크 (선택한 볼륨 또는 전체)
+  const disk = getDiskValues(data);
+  if (disk) {
+    document.getElementById('diskValue').textContent = `${disk.usagePercent.toFixed(1)}%`;
+    document.getElementById('diskIO').textContent = disk.io
+      ? `R: ${disk.io.readKBps} KB/s | W: ${disk.io.writeKBps} KB/s`
+      : 'N/A';
   }
-  charts.disk.data.datasets[0].data.push(data.disk.io.readKBps);
-  charts.disk.data.datasets[1].data.push(data.disk.io.writeKBps);
-  charts.disk.update('none');
 
-  // 네트워크 차트
-  if (shouldShift) charts.network.data.labels.shift();
-  charts.network.data.labels.push(timeLabel);
-  if (shouldShift) {
-    charts.network.data.datasets[0].data.shift();
-    charts.network.data.datasets[1].data.shift();
+  // 네트워크 (선택한 인터페이스 또는 전체)
+  const network = getNetworkValues(data);
+  if (network) {
+    const totalNetwork = parseFloat(network.rxKBps) + parseFloat(network.txKBps);
+    document.getElementById('networkValue').textContent = `${totalNetwork.toFixed(1)} KB/s`;
+    document.getElementById('networkRx').textContent = network.rxKBps;
+    document.getElementById('networkTx').textContent = network.txKBps;
   }
-  charts.network.data.datasets[0].data.push(parseFloat(data.network.rxKBps));
-  charts.network.data.datasets[1].data.push(parseFloat(data.network.txKBps));
-  charts.network.update('none');
-}
 
-/**
- * 테이블 업데이트 (최근 10개)
- */
-function updateTable(data) {
-  const tbody = document.getElementById('dataTableBody');
-  const row = tbody.insertRow(0); // 맨 위에 삽입
+  // 범용 카드 (전용 뷰가 없는 수집기)
+  activeCollectors
+    .filter(collector => !BUILTIN_VIEWS.includes(collector.id) && collector.render && collector.render.card)
+    .forEach(collector => {
+      const { card } = collector.render;
+      const values = data[collector.id];
 
-  const timeCell = row.insertCell(0);
-  const cpuCell = row.insertCell(1);
-  const memoryCell = row.insertCell(2);
-  const diskCell = row.insertCell(3);
-  const networkCell = row.insertCell(4);
+      document.getElementById(`${collector.id}CardValue`).textContent =
+        formatValue(getPath(values, card.value), card.unit);
 
-  timeCell.textContent = new Date(data.timestamp).toLocaleTimeString('ko-KR');
-  cpuCell.textContent = `${data.cpu.usage.toFixed(1)}%`;
-  memoryCell.textContent = `${data.memory.usagePercent.toFixed(1)}%`;
-  diskCell.textContent = `${data.disk.usagePercent.toFixed(1)}%`;
-  networkCell.textContent = `↓${data.network.rxKBps} | ↑${data.network.txKBps}`;
+      if (card.label) {
+        document.getElementById(`${collector.id}CardLabel`).textContent =
+          `${card.label.text}: ${formatValue(getPath(values, card.label.value), card.label.unit)}`;
+      }
+    });
+}
 
-  // 최대 10개 행만 유지
-  while (tbody.rows.length > 10) {
-    tbody.deleteRow(10);
+/**
+ * 차트에 데이터 포인트 추가 (최대 MAX_DATA_POINTS개 유지)
+ * @param {boolean[]} flags - 데이터셋별 이상 징후 여부
+ */
+function pushChartPoint(chart, label, values, flags = []) {
+  if (chart.data.labels.length >= MAX_DATA_POINTS) {
+    chart.data.labels.shift();
+    chart.data.datasets.forEach(dataset => {
+      dataset.data.shift();
+      if (dataset.anomalies) dataset.anomalies.shift();
+    });
   }
+
+  chart.data.labels.push(label);
+  chart.data.datasets.forEach((dataset, idx) => {
+    dataset.data.push(values[idx]);
+    dataset.anomalies = dataset.anomalies || [];
+    dataset.anomalies.push(Boolean(flags[idx]));
+  });
+  chart.update('none');
 }
 
 /**
- * 모니터링 완료 처리
+ * 측정값에서 지표별 이상 징후 여부 (차트 데이터셋 순서의 지표 경로 기준)
  */
-function handleMonitoringComplete(data) {
-  console.log('모니터링 완료:', data);
-  isMonitoring = false;
-
-  startBtn.disabled = false;
-  stopBtn.disabled = true;
-  updateStatus('모니터링 완료');
+function getAnomalyFlags(data, metrics) {
+  const flagged = (data.anomalies || []).map(anomaly => anomaly.metric);
+  return metrics.map(metric => flagged.includes(metric));
+}
 
-  // PDF 생성 모달 표시
-  modalTitle.textContent = '모니터링 완료';
-  modalMessage.textContent = data.message;
-  pdfModal.style.display = 'flex';
+/**
+ * 디스크/네트워크 차트의 이상 징후 여부
+ * 서버는 전체 합계 지표를 감시하므로 개별 인터페이스/볼륨 선택 중에는 표시하지 않음
+ */
+function getBreakdownAnomalyFlags(data, chartId) {
+  if (chartId === 'network') {
+    return networkIfaceSelect.value ? [] : getAnomalyFlags(data, ['network.rxKBps', 'network.txKBps']);
+  }
+  return diskVolumeSelect.value ? [] : getAnomalyFlags(data, ['disk.io.readKBps', 'disk.io.writeKBps']);
 }
 
 /**
- * PDF 준비 완료 처리
+ * 차트 업데이트
  */
-function handlePDFReady(data) {
-  console.log('PDF 준비 완료:', data);
+function updateCharts(data) {
+  const timeLabel = new Date(data.timestamp).toLocaleTimeString('ko-KR');
 
-  downloadUrl = data.downloadUrl;
+  // CPU 차트
+  if (data.cpu) {
+    pushChartPoint(charts.cpu, timeLabel, [data.cpu.usage], getAnomalyFlags(data, ['cpu.usage']));
+    drawCoreHeatmap();
+  }
 
-  // 모달 업데이트
-  modalMessage.textContent = data.message;
+  // 메모리 차트
+  if (data.memory) {
+    pushChartPoint(charts.memory, timeLabel, [data.memory.usagePercent], getAnomalyFlags(data, ['memory.usagePercent']));
+  }
 
-  // 스피너 숨기고 다운로드 버튼 활성화
-  const spinner = pdfModal.querySelector('.spinner');
-  if (spinner) spinner.style.display = 'none';
+  // 디스크 I/O 차트
+  if (data.disk) {
+    pushChartPoint(charts.disk, timeLabel, getDiskChartValues(data), getBreakdownAnomalyFlags(data, 'disk'));
+  }
 
-  // 모달 닫기
-  setTimeout(() => {
-    pdfModal.style.display = 'none';
-  }, 1500);
+  // 네트워크 차트
+  if (data.network) {
+    pushChartPoint(charts.network, timeLabel, getNetworkChartValues(data), getBreakdownAnomalyFlags(data, 'network'));
+  }
 
-  // 다운로드 버튼 활성화
-  downloadBtn.disabled = false;
+  // GPU별 차트
+  if (data.gpu && data.gpu.controllers) {
+    updateGpuCharts(data.gpu.controllers, timeLabel);
+  }
+
+  // 범용 차트
+  activeCollectors
+    .filter(collector => genericCharts[collector.id])
+    .forEach(collector => {
+      const values = collector.render.chart.series.map(series => {
+        const value = getPath(data[collector.id], series.key);
+        return typeof value === 'number' ? value : null;
+      });
+      const metrics = collector.render.chart.series.map(series => `${collector.id}.${series.key}`);
+      pushChartPoint(genericCharts[collector.id], timeLabel, values, getAnomalyFlags(data, metrics));
+    });
 }
 
 /**
- * PDF 다운로드
+ * GPU별 차트와 요약 갱신 (처음 보는 GPU는 차트 생성)
  */
-function downloadPDF() {
-  if (downloadUrl) {
-    console.log('PDF 다운로드:', downloadUrl);
-    window.location.href = downloadUrl;
-  }
+function updateGpuCharts(controllers, timeLabel) {
+  controllers.forEach(gpu => {
+    if (!gpuCharts[gpu.index]) {
+      createGpuChart(gpu);
+    }
+
+    const memoryPercent = gpu.memoryUsed !== null && gpu.memoryTotal
+      ? (gpu.memoryUsed / gpu.memoryTotal) * 100
+      : gpu.memoryUtilization;
+    pushChartPoint(gpuCharts[gpu.index], timeLabel, [gpu.utilization, memoryPercent]);
+
+    const summary = [
+      `사용률 ${formatValue(gpu.utilization, '%')}`,
+      `온도 ${formatValue(gpu.temperature, '°C')}`,
+      `전력 ${formatValue(gpu.powerDraw, 'W')}`,
+      `코어 ${formatValue(gpu.clockCore, 'MHz')}`,
+      `메모리 ${gpu.memoryUsed !== null ? `${gpu.memoryUsed}/${gpu.memoryTotal} MB` : 'N/A'}`,
+    ];
+    document.getElementById(`gpuSummary${gpu.index}`).textContent = summary.join(' | ');
+  });
 }
 
 /**
- * 오류 처리
+ * GPU 한 개의 차트 컨테이너 생성
  */
-function handleError(data) {
-  console.error('오류 발생:', data);
-
-  errorMessage.textContent = data.message;
-  errorAlert.style.display = 'flex';
-
-  // 3초 후 알림 숨기기
-  setTimeout(() => {
+function createGpuChart(gpu) {
+  const container = document.createElement('div');
+  container.className = 'chart-container';
+
+  const title = document.createElement('h3');
+  title.textContent = `GPU ${gpu.index}: ${gpu.model}`;
+  const summary = document.createElement('div');
+  summary.className = 'gpu-summary';
+  summary.id = `gpuSummary${gpu.index}`;
+  const canvas = document.createElement('canvas');
+
+  container.appendChild(title);
+  container.appendChild(summary);
+  container.appendChild(canvas);
+  document.getElementById('gpuGrid').appendChild(container);
+
+  gpuCharts[gpu.index] = new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: [
+        {
+          label: '사용률 (%)',
+          data: [],
+          borderColor: 'rgb(46, 204, 113)',
+          backgroundColor: 'rgba(46, 204, 113, 0.2)',
+          tension: 0.4,
+          fill: true,
+          pointRadius: 0,
+          borderWidth: 2,
+        },
+        {
+          label: '메모리 (%)',
+          data: [],
+          borderColor: 'rgb(231, 76, 60)',
+          backgroundColor: 'rgba(231, 76, 60, 0.2)',
+          tension: 0.4,
+          fill: false,
+          pointRadius: 0,
+          borderWidth: 2,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      animation: { duration: 0 },
+      scales: {
+        x: {
+          display: true,
+          ticks: { maxTicksLimit: 10 },
+        },
+        y: {
+          beginAtZero: true,
+          max: 100,
+        },
+      },
+    },
+  });
+}
+
+/**
+ * 코어별 사용률 히트맵 그리기 (행: 코어, 열: 최근 측정)
+ */
+function drawCoreHeatmap() {
+  const canvas = document.getElementById('coreHeatmap');
+  const samples = measurements.filter(m => m.cpu && m.cpu.cores).slice(-MAX_DATA_POINTS);
+  if (samples.length === 0) return;
+
+  const coreCount = samples[samples.length - 1].cpu.cores.length;
+  const labelWidth = 36;
+  const rowHeight = Math.max(4, Math.min(16, Math.floor(320 / coreCount)));
+
+  // 컨테이너 폭에 맞춰 캔버스 해상도 조정
+  canvas.width = canvas.clientWidth || 500;
+  canvas.height = coreCount * rowHeight;
+
+  const ctx = canvas.getContext('2d');
+  const cellWidth = (canvas.width - labelWidth) / MAX_DATA_POINTS;
+  const offset = MAX_DATA_POINTS - samples.length; // 오른쪽 끝이 최신
+
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.font = `${Math.min(11, rowHeight)}px sans-serif`;
+  ctx.textBaseline = 'middle';
+
+  for (let core = 0; core < coreCount; core++) {
+    const y = core * rowHeight;
+
+    if (rowHeight >= 8) {
+      ctx.fillStyle = '#6c757d';
+      ctx.fillText(`C${core}`, 2, y + rowHeight / 2);
+    }
+
+    samples.forEach((m, idx) => {
+      const load = m.cpu.cores[core];
+      ctx.fillStyle = typeof load === 'number' ? heatColor(load) : '#eeeeee';
+      ctx.fillRect(labelWidth + (offset + idx) * cellWidth, y, Math.ceil(cellWidth), rowHeight - 1);
+    });
+  }
+
+  updateCoreSaturationFlags(samples, coreCount);
+}
+
+/**
+ * 사용률(0~100)을 히트맵 색상으로 변환
+ */
+function heatColor(load) {
+  const ratio = Math.max(0, Math.min(100, load)) / 100;
+  const hue = ratio < 0.5 ? 210 - ratio * 2 * 160 : 50 - (ratio - 0.5) * 2 * 50;
+  const saturation = 60 + ratio * 30;
+  const lightness = 92 - ratio * 47;
+  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+}
+
+/**
+ * 전체 평균은 낮은데 계속 포화 상태인 코어 표시
+ */
+function updateCoreSaturationFlags(samples, coreCount) {
+  const flags = [];
+
+  for (let core = 0; core < coreCount; core++) {
+    // 가장 최근부터 연속으로 포화된 측정값
+    const streak = [];
+    for (let idx = samples.length - 1; idx >= 0; idx--) {
+      if (samples[idx].cpu.cores[core] >= CORE_SATURATION.threshold) {
+        streak.unshift(samples[idx]);
+      } else {
+        break;
+      }
+    }
+    if (streak.length < 2) continue;
+
+    const duration = (new Date(streak[streak.length - 1].timestamp) - new Date(streak[0].timestamp)) / 1000;
+    const overallAvg = streak.reduce((sum, m) => sum + m.cpu.usage, 0) / streak.length;
+
+    if (duration >= CORE_SATURATION.minDuration && overallAvg < CORE_SATURATION.overallThreshold) {
+      flags.push(`C${core} (${Math.round(duration)}초, 전체 평균 ${overallAvg.toFixed(1)}%)`);
+    }
+  }
+
+  document.getElementById('coreSaturationFlags').textContent =
+    flags.length > 0 ? `⚠ 단일 코어 포화: ${flags.join(', ')}` : '';
+}
+
+/**
+ * 새로 나타난 인터페이스/볼륨을 선택 목록에 추가
+ */
+function updateBreakdownOptions(data) {
+  const addOptions = (select, names) => {
+    const existing = Array.from(select.options).map(option => option.value);
+    names
+      .filter(name => !existing.includes(name))
+      .forEach(name => select.add(new Option(name, name)));
+  };
+
+  if (data.network && data.network.interfaces) {
+    addOptions(networkIfaceSelect, data.network.interfaces.map(iface => iface.iface));
+  }
+  if (data.disk && data.disk.volumes) {
+    addOptions(diskVolumeSelect, data.disk.volumes.map(volume => volume.mount));
+  }
+}
+
+/**
+ * 선택한 인터페이스의 송수신 속도 (미선택 시 전체 합계)
+ */
+function getNetworkValues(data) {
+  if (!data.network) return null;
+  if (!networkIfaceSelect.value) return data.network;
+
+  const iface = (data.network.interfaces || []).find(item => item.iface === networkIfaceSelect.value);
+  return iface || { rxKBps: 0, txKBps: 0 };
+}
+
+/**
+ * 선택한 볼륨의 사용률과 I/O (미선택 시 전체)
+ */
+function getDiskValues(data) {
+  if (!data.disk) return null;
+  if (!diskVolumeSelect.value) return data.disk;
+
+  const volume = (data.disk.volumes || []).find(item => item.mount === diskVolumeSelect.value);
+  return volume || { usagePercent: 0, io: null };
+}
+
+function getNetworkChartValues(data) {
+  const network = getNetworkValues(data);
+  return [parseFloat(network.rxKBps), parseFloat(network.txKBps)];
+}
+
+function getDiskChartValues(data) {
+  const disk = getDiskValues(data);
+  return disk.io ? [disk.io.readKBps, disk.io.writeKBps] : [null, null];
+}
+
+/**
+ * 선택 변경 시 보관 중인 측정 데이터로 차트와 카드를 다시 그림
+ */
+function redrawChart(chartId) {
+  const chart = charts[chartId];
+  const getValues = chartId === 'network' ? getNetworkChartValues : getDiskChartValues;
+
+  chart.data.labels = [];
+  chart.data.datasets.forEach(dataset => {
+    dataset.data = [];
+    dataset.anomalies = [];
+  });
+
+  measurements
+    .filter(m => m[chartId])
+    .slice(-MAX_DATA_POINTS)
+    .forEach(m => {
+      const flags = getBreakdownAnomalyFlags(m, chartId);
+      chart.data.labels.push(new Date(m.timestamp).toLocaleTimeString('ko-KR'));
+      getValues(m).forEach((value, idx) => {
+        chart.data.datasets[idx].data.push(value);
+        chart.data.datasets[idx].anomalies.push(Boolean(flags[idx]));
+      });
+    });
+  chart.update('none');
+
+  if (measurements.length > 0) {
+    updateCards(measurements[measurements.length - 1]);
+  }
+}
+
+/**
+ * 테이블 업데이트 (최근 10개)
+ */
+function updateTable(data) {
+  const tbody = document.getElementById('dataTableBody');
+  const row = tbody.insertRow(0); // 맨 위에 삽입
+
+  const timeCell = row.insertCell(0);
+  const cpuCell = row.insertCell(1);
+  const memoryCell = row.insertCell(2);
+  const diskCell = row.insertCell(3);
+  const networkCell = row.insertCell(4);
+
+  timeCell.textContent = new Date(data.timestamp).toLocaleTimeString('ko-KR');
+  cpuCell.textContent = data.cpu ? `${data.cpu.usage.toFixed(1)}%` : '-';
+  memoryCell.textContent = data.memory ? `${data.memory.usagePercent.toFixed(1)}%` : '-';
+  diskCell.textContent = data.disk ? `${data.disk.usagePercent.toFixed(1)}%` : '-';
+  networkCell.textContent = data.network ? `↓${data.network.rxKBps} | ↑${data.network.txKBps}` : '-';
+
+  // 최대 10개 행만 유지
+  while (tbody.rows.length > 10) {
+    tbody.deleteRow(10);
+  }
+}
+
+/**
+ * 상위 프로세스 테이블 업데이트
+ */
+function updateProcessTables(data) {
+  if (!data.processes) return;
+
+  document.getElementById('processCount').textContent =
+    `(전체 ${data.processes.total}개 / 실행 중 ${data.processes.running}개)`;
+
+  renderProcessRows(document.getElementById('processCpuBody'), data.processes.topCpu);
+  renderProcessRows(document.getElementById('processMemoryBody'), data.processes.topMemory);
+}
+
+/**
+ * 프로세스 목록을 테이블 행으로 렌더링
+ */
+function renderProcessRows(tbody, processes) {
+  tbody.innerHTML = '';
+
+  processes.forEach(proc => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = proc.pid;
+    row.insertCell().textContent = proc.name;
+    row.insertCell().textContent = proc.user || '-';
+    row.insertCell().textContent = proc.cpu.toFixed(1);
+    row.insertCell().textContent = proc.memRssMB.toFixed(1);
+
+    const commandCell = row.insertCell();
+    commandCell.className = 'command-cell';
+    commandCell.textContent = proc.command;
+    commandCell.title = proc.command;
+  });
+}
+
+/**
+ * 연속 모드 구간 리포트 생성 처리
+ */
+function handleSegmentReady(data) {
+  if (data.parentSessionId !== currentSessionId) {
+    return;
+  }
+  segmentSection.style.display = 'block';
+
+  const item = document.createElement('li');
+  const range = document.createElement('span');
+  range.textContent = `#${data.index + 1} ${new Date(data.start).toLocaleString('ko-KR')} ~ ` +
+    `${new Date(data.end).toLocaleString('ko-KR')} (${data.measurementCount}개 측정값)`;
+
+  item.appendChild(range);
+  item.appendChild(createDownloadLinks(data.sessionId, data.downloadUrl));
+  document.getElementById('segmentList').prepend(item);
+  loadSavedSessions();
+}
+
+/**
+ * 세션 데이터 내보내기 URL
+ */
+function getExportUrl(sessionId, format) {
+  return `/api/session-data/${encodeURIComponent(sessionId)}?format=${format}`;
+}
+
+/**
+ * PDF와 데이터 내보내기 링크 묶음
+ */
+function createDownloadLinks(sessionId, pdfUrl, hasData = true) {
+  const links = document.createElement('span');
+  links.className = 'download-links';
+
+  // PDF를 아직 만들지 않은 세션 (복구된 중단 세션 등)
+  if (pdfUrl) {
+    const pdfLink = document.createElement('a');
+    pdfLink.href = pdfUrl;
+    pdfLink.textContent = 'PDF';
+    links.appendChild(pdfLink);
+  }
+
+  // HTML 리포트와 데이터 내보내기는 측정값 JSON이 있어야 가능
+  if (hasData) {
+    const htmlLink = document.createElement('a');
+    htmlLink.href = `/api/reports/${encodeURIComponent(sessionId)}/html`;
+    htmlLink.target = '_blank';
+    htmlLink.textContent = 'HTML';
+    links.appendChild(htmlLink);
+
+    EXPORT_FORMATS.forEach(({ format, label }) => {
+      const link = document.createElement('a');
+      link.href = getExportUrl(sessionId, format);
+      link.textContent = label;
+      links.appendChild(link);
+    });
+  }
+
+  return links;
+}
+
+/**
+ * 선택한 세션 JSON/CSV 파일을 서버로 보내 가져오기
+ */
+async function importSession() {
+  const file = importFile.files[0];
+  if (!file) return;
+
+  importBtn.disabled = true;
+  importStatus.textContent = '가져오는 중...';
+
+  try {
+    const query = reportTemplateSelect.value ? `?template=${encodeURIComponent(reportTemplateSelect.value)}` : '';
+    const response = await fetch(`/api/sessions/import${query}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.name.toLowerCase().endsWith('.csv') ? 'text/csv' : 'application/json',
+        'X-File-Name': encodeURIComponent(file.name),
+      },
+      body: file,
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      // 스키마 검증 실패는 앞의 몇 개 항목만 표시
+      const details = (result.details || []).slice(0, 3).join(' / ');
+      throw new Error(details ? `${result.error} ${details}` : result.error);
+    }
+
+    importStatus.textContent = `${result.sessionId} 가져옴 (${result.measurementCount}개 측정값)`;
+    importFile.value = '';
+    loadSavedSessions();
+  } catch (error) {
+    importStatus.textContent = '';
+    importBtn.disabled = false;
+    handleError({ message: `가져오기 실패: ${error.message}` });
+  }
+}
+
+/**
+ * 세션 카탈로그 쿼리 (필터 입력값과 현재 페이지)
+ */
+function getCatalogQuery() {
+  const params = new URLSearchParams({ page: catalogPage, pageSize: CATALOG_PAGE_SIZE });
+  [
+    ['q', 'catalogSearch'],
+    ['tag', 'catalogTagSelect'],
+    ['host', 'catalogHostSelect'],
+    ['status', 'catalogStatusSelect'],
+    ['from', 'catalogFrom'],
+    ['to', 'catalogTo'],
+  ].forEach(([name, id]) => {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(name, value);
+  });
+  return params;
+}
+
+/**
+ * 필터 선택 목록 갱신 (선택한 값은 유지)
+ */
+function updateCatalogFacet(select, values, emptyLabel) {
+  const selected = select.value;
+  select.innerHTML = '';
+  [['', emptyLabel], ...values.map(value => [value, value])].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = values.includes(selected) ? selected : '';
+}
+
+/**
+ * 저장된 세션 목록 표시 (세션 카탈로그)
+ */
+async function loadSavedSessions() {
+  try {
+    const response = await fetch(`/api/sessions?${getCatalogQuery()}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+
+    // 필터를 바꿔 현재 페이지가 사라졌으면 마지막 페이지로
+    if (result.pages > 0 && catalogPage > result.pages) {
+      catalogPage = result.pages;
+      return loadSavedSessions();
+    }
+
+    const tbody = document.getElementById('savedSessionsBody');
+    tbody.innerHTML = '';
+    document.getElementById('savedSessionCount').textContent = `${result.total}개`;
+    updateCatalogFacet(document.getElementById('catalogTagSelect'), result.facets.tags, '모든 태그');
+    updateCatalogFacet(document.getElementById('catalogHostSelect'), result.facets.hosts, '모든 호스트');
+
+    document.getElementById('catalogPage').textContent = result.pages > 0 ? `${result.page} / ${result.pages} 페이지` : '';
+    catalogPrevBtn.disabled = result.page <= 1;
+    catalogNextBtn.disabled = result.page >= result.pages;
+
+    result.sessions.forEach(session => renderSavedSession(tbody, session));
+  } catch (error) {
+    console.error('저장된 세션 목록 로드 오류:', error);
+  }
+}
+
+function renderSavedSession(tbody, session) {
+  const STATUS_LABELS = { completed: '완료', interrupted: '중단됨', imported: '가져옴' };
+  const row = document.createElement('tr');
+
+  const selectCell = document.createElement('td');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = compareSelection.includes(session.sessionId);
+  // 연속 모드 상위 세션은 측정값이 구간에 나뉘어 있음
+  checkbox.disabled = session.mode === 'continuous';
+  checkbox.title = checkbox.disabled ? '연속 모드 세션은 구간 단위로 비교할 수 있습니다.' : '비교할 세션으로 선택';
+  checkbox.addEventListener('change', () => toggleCompareSelection(session.sessionId, checkbox.checked));
+  selectCell.appendChild(checkbox);
+  row.appendChild(selectCell);
+
+  // 이름(없으면 세션 ID), 세션 ID, 태그, 메모
+  const nameCell = document.createElement('td');
+  const name = document.createElement('span');
+  name.className = 'session-name';
+  name.textContent = session.name || session.sessionId;
+  nameCell.appendChild(name);
+  if (session.name) {
+    const id = document.createElement('span');
+    id.className = 'session-id';
+    id.textContent = session.sessionId;
+    nameCell.appendChild(id);
+  }
+  session.tags.forEach(tag => {
+    const badge = document.createElement('span');
+    badge.className = 'tag';
+    badge.textContent = tag;
+    nameCell.appendChild(badge);
+  });
+  if (session.notes) {
+    const notes = document.createElement('span');
+    notes.className = 'session-notes';
+    notes.textContent = session.notes;
+    nameCell.appendChild(notes);
+  }
+  row.appendChild(nameCell);
+
+  const segments = session.segments ? `, 구간 ${session.segments.length}개` : '';
+  [
+    new Date(session.startTime).toLocaleString('ko-KR'),
+    session.hostname || '-',
+    STATUS_LABELS[session.status],
+    `${session.measurementCount}회${segments}`,
+  ].forEach((text, index) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (index === 2) cell.className = `status-${session.status}`;
+    row.appendChild(cell);
+  });
+
+  const pinCell = document.createElement('td');
+  const pinBtn = document.createElement('button');
+  pinBtn.className = `btn btn-secondary btn-small pin-btn${session.pinned ? ' pinned' : ''}`;
+  pinBtn.textContent = session.pinned ? '고정됨' : '고정';
+  pinBtn.title = session.pinned ? '고정 해제 (보존 정책으로 삭제될 수 있음)' : '보존 정책으로 삭제하지 않도록 고정';
+  pinBtn.addEventListener('click', () => togglePin(session.sessionId, !session.pinned, pinBtn));
+  pinCell.appendChild(pinBtn);
+  row.appendChild(pinCell);
+
+  const links = document.createElement('td');
+  links.appendChild(createDownloadLinks(session.sessionId, session.downloadUrl));
+  const actions = [
+    ['재생성', '선택한 리포트 템플릿으로 PDF 다시 만들기', button => regenerateReport(session.sessionId, button)],
+    ['편집', '이름, 태그, 메모 편집', () => toggleSessionEditor(row, session)],
+    ['삭제', '세션 데이터와 PDF 삭제', button => deleteSavedSession(session, button)],
+  ];
+  // 연속 모드 상위 세션은 PDF가 구간별로 있음
+  actions.filter(([label]) => label !== '재생성' || session.mode !== 'continuous').forEach(([label, title, handler]) => {
+    const button = document.createElement('button');
+    button.className = `btn ${label === '삭제' ? 'btn-danger' : 'btn-secondary'} btn-small`;
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', () => handler(button));
+    links.appendChild(button);
+  });
+  row.appendChild(links);
+  tbody.appendChild(row);
+}
+
+/**
+ * 세션 행 아래에 이름/태그/메모 편집 폼 열기/닫기
+ */
+function toggleSessionEditor(row, session) {
+  const next = row.nextElementSibling;
+  if (next && next.classList.contains('session-edit-row')) {
+    next.remove();
+    return;
+  }
+
+  const editRow = document.createElement('tr');
+  editRow.className = 'session-edit-row';
+  const cell = document.createElement('td');
+  cell.colSpan = row.children.length;
+
+  const form = document.createElement('div');
+  form.className = 'session-edit-form';
+  const fields = [
+    ['이름', 'input', session.name || ''],
+    ['태그', 'input', session.tags.join(', ')],
+    ['메모', 'textarea', session.notes || ''],
+  ].map(([label, tag, value]) => {
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    const input = document.createElement(tag);
+    if (tag === 'input') {
+      input.type = 'text';
+      input.className = 'text-input';
+    }
+    input.value = value;
+    if (label === '태그') input.placeholder = '쉼표로 구분 (예: baseline, patch-42)';
+    form.append(labelEl, input);
+    return input;
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'edit-actions';
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'btn btn-primary btn-small';
+  saveBtn.textContent = '저장';
+  saveBtn.addEventListener('click', () => saveSessionMetadata(session.sessionId, {
+    name: fields[0].value.trim() || null,
+    tags: fields[1].value.split(',').map(tag => tag.trim()).filter(Boolean),
+    notes: fields[2].value.trim() ? fields[2].value : null,
+  }, saveBtn));
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'btn btn-secondary btn-small';
+  cancelBtn.textContent = '취소';
+  cancelBtn.addEventListener('click', () => editRow.remove());
+  actions.append(saveBtn, cancelBtn);
+  form.appendChild(actions);
+
+  cell.appendChild(form);
+  editRow.appendChild(cell);
+  row.after(editRow);
+  fields[0].focus();
+}
+
+/**
+ * 세션 이름, 태그, 메모 저장 (PDF가 있으면 서버에서 다시 생성)
+ */
+async function saveSessionMetadata(sessionId, metadata, button) {
+  button.disabled = true;
+  button.textContent = '저장 중...';
+
+  try {
+    const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(metadata),
+    });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    loadSavedSessions();
+  } catch (error) {
+    button.disabled = false;
+    button.textContent = '저장';
+    handleError({ message: `세션 정보 저장 실패: ${error.message}` });
+  }
+}
+
+/**
+ * 저장된 세션 삭제 (JSON과 PDF, 연속 모드 세션은 모든 구간)
+ */
+async function deleteSavedSession(session, button) {
+  const segments = session.segments ? ` (구간 ${session.segments.length}개 포함)` : '';
+  if (!confirm(`${session.name || session.sessionId} 세션의 데이터와 PDF${segments}를 삭제합니다. 계속할까요?`)) {
+    return;
+  }
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`/api/sessions/${encodeURIComponent(session.sessionId)}`, { method: 'DELETE' });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    compareSelection = compareSelection.filter(id => !result.removed.includes(id));
+    updateCompareButton();
+    loadSavedSessions();
+    loadRecoveredSessions();
+    loadStorageUsage();
+  } catch (error) {
+    button.disabled = false;
+    handleError({ message: `세션 삭제 실패: ${error.message}` });
+  }
+}
+
+/**
+ * 저장된 세션의 PDF를 선택한 리포트 템플릿으로 만들기 (재생성, 복구된 중단 세션의 PDF 생성)
+ */
+async function regenerateReport(sessionId, button) {
+  const label = button.textContent;
+  button.disabled = true;
+  button.textContent = '생성 중...';
+
+  try {
+    const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/report`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template: reportTemplateSelect.value || undefined }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    loadSavedSessions();
+    loadRecoveredSessions();
+  } catch (error) {
+    button.disabled = false;
+    button.textContent = label;
+    handleError({ message: `리포트 생성 실패: ${error.message}` });
+  }
+}
+
+/**
+ * 복구된 중단 세션 목록 표시 (PDF 생성 또는 닫기)
+ */
+async function loadRecoveredSessions() {
+  try {
+    const response = await fetch('/api/sessions/recovered');
+    const { sessions } = await response.json();
+
+    const list = document.getElementById('recoveredList');
+    list.innerHTML = '';
+    document.getElementById('recoveredSection').style.display = sessions.length > 0 ? 'block' : 'none';
+
+    sessions.forEach(session => {
+      const item = document.createElement('li');
+      const info = document.createElement('span');
+      const segmentOf = session.parentSessionId ? ` (연속 세션 ${session.parentSessionId}의 구간)` : '';
+      info.textContent = `${session.sessionId}${segmentOf} - ${new Date(session.startTime).toLocaleString('ko-KR')} ~ ` +
+        `${new Date(session.endTime).toLocaleString('ko-KR')}, ${session.measurementCount}개 측정값`;
+      item.appendChild(info);
+
+      const actions = document.createElement('span');
+      const reportBtn = document.createElement('button');
+      reportBtn.className = 'btn btn-success btn-small';
+      reportBtn.textContent = 'PDF 생성';
+      reportBtn.title = '선택한 리포트 템플릿으로 PDF 만들기';
+      reportBtn.addEventListener('click', () => regenerateReport(session.sessionId, reportBtn));
+      actions.appendChild(reportBtn);
+
+      const dismissBtn = document.createElement('button');
+      dismissBtn.className = 'btn btn-secondary btn-small';
+      dismissBtn.textContent = '닫기';
+      dismissBtn.title = 'PDF를 만들지 않고 목록에서 제거 (세션 데이터는 유지)';
+      dismissBtn.addEventListener('click', () => dismissRecoveredSession(session.sessionId));
+      actions.appendChild(dismissBtn);
+
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+  } catch (error) {
+    console.error('복구된 세션 목록 로드 오류:', error);
+  }
+}
+
+/**
+ * 복구된 세션을 목록에서 제거
+ */
+async function dismissRecoveredSession(sessionId) {
+  try {
+    const response = await fetch(`/api/sessions/recovered/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    loadRecoveredSessions();
+  } catch (error) {
+    handleError({ message: `복구 목록에서 제거하지 못했습니다: ${error.message}` });
+  }
+}
+
+/**
+ * 바이트 → 읽기 쉬운 크기
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * 저장 공간 사용량 표시
+ */
+async function loadStorageUsage() {
+  try {
+    const response = await fetch('/api/maintenance/storage');
+    renderStorageUsage(await response.json());
+  } catch (error) {
+    console.error('저장 공간 사용량 로드 오류:', error);
+  }
+}
+
+function renderStorageUsage({ directories, disk }) {
+  const { data, reports, journal } = directories;
+  const compressed = data.compressedFiles > 0 ? `, 압축 ${data.compressedFiles}개` : '';
+  const parts = [
+    `데이터 ${formatBytes(data.bytes)} (${data.files}개${compressed})`,
+    `리포트 ${formatBytes(reports.bytes)} (${reports.files}개)`,
+  ];
+  if (journal.files > 0) {
+    parts.push(`저널 ${formatBytes(journal.bytes)}`);
+  }
+  if (disk) {
+    parts.push(`디스크 여유 ${formatBytes(disk.freeBytes)} / ${formatBytes(disk.totalBytes)}`);
+  }
+  document.getElementById('storageUsage').textContent = parts.join(' · ');
+}
+
+/**
+ * 보존 정책에 따라 정리 (미리보기는 삭제/압축할 파일만 표시)
+ */
+async function runCleanup(dryRun) {
+  if (!dryRun && !confirm('보존 정책에 따라 오래된 세션 데이터와 리포트를 삭제합니다. 계속할까요?')) {
+    return;
+  }
+
+  cleanupPreviewBtn.disabled = true;
+  cleanupBtn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/maintenance/cleanup${dryRun ? '?dryRun=1' : ''}`, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+
+    renderCleanupResult(result);
+    renderStorageUsage(result.usage);
+    if (!dryRun) {
+      loadSavedSessions();
+      loadRecoveredSessions();
+    }
+  } catch (error) {
+    handleError({ message: `정리 실패: ${error.message}` });
+  } finally {
+    cleanupPreviewBtn.disabled = false;
+    cleanupBtn.disabled = false;
+  }
+}
+
+function renderCleanupResult(result) {
+  const REASONS = { age: '보관 기간 초과', count: '개수 초과', size: '크기 초과' };
+  const list = document.getElementById('cleanupPreview');
+  list.innerHTML = '';
+  list.style.display = 'block';
+
+  const summary = document.createElement('li');
+  const verb = result.dryRun ? '예정' : '완료';
+  summary.textContent = `정리 ${verb}: 삭제 ${result.deleted.length}개, 압축 ${result.compressed.length}개` +
+    (result.dryRun ? '' : `, ${formatBytes(result.freedBytes)} 확보`) +
+    (result.errors.length > 0 ? `, 오류 ${result.errors.length}개` : '');
+  list.appendChild(summary);
+
+  result.deleted.forEach(file => {
+    const item = document.createElement('li');
+    item.className = 'delete';
+    item.textContent = `삭제: ${file.directory}/${file.file} (${formatBytes(file.bytes)}, ${REASONS[file.reason]})`;
+    list.appendChild(item);
+  });
+
+  result.compressed.forEach(file => {
+    const item = document.createElement('li');
+    const after = file.compressedBytes === null ? '' : ` → ${formatBytes(file.compressedBytes)}`;
+    item.textContent = `압축: ${file.directory}/${file.file} (${formatBytes(file.bytes)}${after})`;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * 세션 고정/해제 (고정한 세션은 보존 정책으로 삭제하지 않음)
+ */
+async function togglePin(sessionId, pinned, button) {
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`/api/maintenance/pins/${encodeURIComponent(sessionId)}`, {
+      method: pinned ? 'PUT' : 'DELETE',
+    });
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    loadSavedSessions();
+  } catch (error) {
+    button.disabled = false;
+    handleError({ message: `세션 고정 변경 실패: ${error.message}` });
+  }
+}
+
+/**
+ * 비교할 세션 선택/해제 (선택 순서 유지)
+ */
+function toggleCompareSelection(sessionId, selected) {
+  compareSelection = compareSelection.filter(id => id !== sessionId);
+  if (selected) {
+    compareSelection.push(sessionId);
+  }
+  updateCompareButton();
+}
+
+function updateCompareButton() {
+  const count = compareSelection.length;
+  compareBtn.disabled = count < 2 || count > MAX_COMPARE_SESSIONS;
+  compareBtn.textContent = count > 0 ? `선택한 세션 비교 (${count})` : '선택한 세션 비교';
+  compareBtn.title = count > MAX_COMPARE_SESSIONS ? `최대 ${MAX_COMPARE_SESSIONS}개까지 비교할 수 있습니다.` : '';
+}
+
+/**
+ * 선택한 세션 비교 결과 불러오기
+ */
+async function loadComparison() {
+  compareBtn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/compare?sessions=${compareSelection.map(encodeURIComponent).join(',')}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+
+    comparison = result;
+    renderComparison();
+  } catch (error) {
+    handleError({ message: `세션 비교 실패: ${error.message}` });
+  } finally {
+    updateCompareButton();
+  }
+}
+
+/**
+ * 비교 결과 표시 (지표 선택 목록, 변화율 표, 겹친 시계열 차트)
+ */
+function renderComparison() {
+  const { baselineId, metrics, sessions } = comparison;
+  compareSection.style.display = 'block';
+  document.getElementById('compareBaseline').textContent = `기준: ${baselineId} / 비교 ${sessions.length - 1}개`;
+
+  // 같은 지표가 있으면 선택 유지
+  const selected = compareMetricSelect.value;
+  compareMetricSelect.innerHTML = '';
+  metrics.forEach(metric => {
+    const option = document.createElement('option');
+    option.value = metric.key;
+    option.textContent = metric.label;
+    compareMetricSelect.appendChild(option);
+  });
+  if (metrics.some(metric => metric.key === selected)) {
+    compareMetricSelect.value = selected;
+  }
+
+  renderCompareTable();
+  drawCompareChart(compareMetricSelect.value);
+  compareSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * 지표별 평균/P95/최대와 기준 세션 대비 변화율 표
+ */
+function renderCompareTable() {
+  const tbody = document.getElementById('compareTableBody');
+  tbody.innerHTML = '';
+
+  const formatChange = (delta) => {
+    const cell = document.createElement('td');
+    if (!delta) {
+      cell.textContent = '-';
+      return cell;
+    }
+    const percent = delta.percent === null ? 'n/a' : `${delta.percent > 0 ? '+' : ''}${delta.percent.toFixed(1)}%`;
+    cell.textContent = `${DIRECTION_MARKS[delta.direction]} ${percent}`;
+    cell.className = `delta-${delta.direction}`;
+    return cell;
+  };
+
+  comparison.metrics.forEach(metric => {
+    metric.values.forEach((value, index) => {
+      const row = document.createElement('tr');
+
+      // 지표 이름은 세션 행을 묶어 한 번만 표시
+      if (index === 0) {
+        const label = document.createElement('td');
+        label.textContent = metric.label;
+        label.rowSpan = metric.values.length;
+        row.appendChild(label);
+      }
+
+      const session = document.createElement('td');
+      session.textContent = `S${index + 1} ${comparison.sessions[index].sessionId}`;
+      session.style.color = COMPARE_COLORS[index % COMPARE_COLORS.length];
+      row.appendChild(session);
+
+      ['avg', 'p95', 'max'].forEach(field => {
+        const cell = document.createElement('td');
+        cell.textContent = value ? formatValue(value[field], metric.unit) : '-';
+        row.appendChild(cell);
+      });
+
+      const delta = metric.changes[index];
+      ['avg', 'p95', 'max'].forEach(field => {
+        row.appendChild(formatChange(delta && delta[field]));
+      });
+      tbody.appendChild(row);
+    });
+  });
+}
+
+/**
+ * 선택한 지표의 세션별 시계열을 경과 시간 축에 겹쳐 그림
+ */
+function drawCompareChart(metricKey) {
+  if (compareChart) {
+    compareChart.destroy();
+    compareChart = null;
+  }
+
+  const metric = comparison.metrics.find(item => item.key === metricKey);
+  if (!metric) return;
+
+  document.getElementById('compareChartTitle').textContent = metric.label;
+  compareChart = new Chart(document.getElementById('compareChart'), {
+    type: 'line',
+    data: {
+      datasets: comparison.series[metricKey].map(({ sessionId, points }, index) => ({
+        label: `S${index + 1} ${sessionId}`,
+        data: points.map(([x, y]) => ({ x, y })),
+        borderColor: COMPARE_COLORS[index % COMPARE_COLORS.length],
+        backgroundColor: COMPARE_COLORS[index % COMPARE_COLORS.length],
+        tension: 0.2,
+        fill: false,
+        pointRadius: 0,
+        borderWidth: index === 0 ? 2 : 1.5,
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      animation: { duration: 0 },
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      scales: {
+        x: {
+          type: 'linear',
+          title: { display: true, text: '세션 시작 후 경과 시간 (초)' },
+          ticks: { maxTicksLimit: 10 },
+        },
+        y: {
+          beginAtZero: true,
+          title: { display: Boolean(metric.unit), text: metric.unit },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * 비교 PDF 리포트 생성 후 다운로드
+ */
+async function createCompareReport() {
+  compareReportBtn.disabled = true;
+  compareReportBtn.textContent = 'PDF 생성 중...';
+
+  try {
+    const response = await fetch('/api/compare/report', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessions: comparison.sessions.map(session => session.sessionId) }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+
+    window.location.href = result.downloadUrl;
+    loadSavedSessions();
+  } catch (error) {
+    handleError({ message: `비교 리포트 생성 실패: ${error.message}` });
+  } finally {
+    compareReportBtn.disabled = false;
+    compareReportBtn.textContent = '비교 PDF 생성';
+  }
+}
+
+function closeComparison() {
+  compareSection.style.display = 'none';
+  if (compareChart) {
+    compareChart.destroy();
+    compareChart = null;
+  }
+  comparison = null;
+}
+
+/**
+ * 임계값 알림 발생 처리
+ */
+function handleAlertFired(data) {
+  if (data.sessionId !== currentSessionId) {
+    return;
+  }
+  console.warn('알림 발생:', data);
+  showAlertBanner(data);
+}
+
+/**
+ * 임계값 알림 해제 처리 - 배너를 해제 상태로 바꾸고 잠시 후 제거
+ */
+function handleAlertResolved(data) {
+  if (data.sessionId !== currentSessionId) {
+    return;
+  }
+
+  const banner = document.getElementById(`alert-${data.id}`);
+  if (!banner) {
+    return;
+  }
+
+  const duration = Math.round((new Date(data.end) - new Date(data.start)) / 1000);
+  banner.className = 'alert alert-resolved';
+  banner.querySelector('.alert-text').textContent =
+    `${data.name} 해제됨 (지속 ${duration}초, 최대 ${data.peak.toFixed(2)})`;
+  setTimeout(() => banner.remove(), RESOLVED_BANNER_TIMEOUT);
+}
+
+/**
+ * 알림 배너 표시
+ */
+function showAlertBanner(incident) {
+  const banner = document.createElement('div');
+  banner.id = `alert-${incident.id}`;
+  banner.className = `alert alert-${incident.severity}`;
+
+  const label = document.createElement('strong');
+  label.textContent = `[${SEVERITY_LABELS[incident.severity] || incident.severity}]`;
+
+  const text = document.createElement('span');
+  text.className = 'alert-text';
+  text.textContent = `${incident.name} - 현재 ${incident.value.toFixed(2)} ` +
+    `(${incident.operator} ${incident.threshold}, ${new Date(incident.start).toLocaleTimeString('ko-KR')}부터)`;
+
+  banner.appendChild(label);
+  banner.appendChild(text);
+  alertBanners.appendChild(banner);
+}
+
+/**
+ * 모니터링 완료 처리
+ */
+function handleMonitoringComplete(data) {
+  if (data.sessionId !== currentSessionId) {
+    return;
+  }
+  console.log('모니터링 완료:', data);
+  isMonitoring = false;
+
+  stopBtn.disabled = true;
+  updateStatus('모니터링 완료');
+
+  // PDF 생성 모달 표시
+  modalTitle.textContent = '모니터링 완료';
+  modalMessage.textContent = data.message;
+  const spinner = pdfModal.querySelector('.spinner');
+  if (spinner) spinner.style.display = 'block';
+  reportFormatChoice.style.display = 'none';
+  pdfModal.style.display = 'flex';
+}
+
+/**
+ * PDF 준비 완료 처리
+ */
+function handlePDFReady(data) {
+  if (data.sessionId !== currentSessionId) {
+    return;
+  }
+  console.log('PDF 준비 완료:', data);
+
+  downloadUrl = data.downloadUrl;
+  htmlReportUrl = data.htmlUrl;
+
+  // 모달 업데이트
+  modalMessage.textContent = `${data.message} 리포트 형식을 선택하세요.`;
+
+  // 스피너 숨기고 리포트 형식 선택 표시
+  const spinner = pdfModal.querySelector('.spinner');
+  if (spinner) spinner.style.display = 'none';
+  reportFormatChoice.style.display = 'flex';
+
+  // 다운로드 버튼 활성화
+  downloadBtn.disabled = false;
+  htmlReportBtn.disabled = !htmlReportUrl;
+  loadSavedSessions();
+
+  // 저장된 세션 데이터 기준 최종 통계 요약
+  loadSessionStats();
+}
+
+/**
+ * 리포트 모달 닫기
+ */
+function closeReportModal() {
+  pdfModal.style.display = 'none';
+}
+
+/**
+ * PDF 다운로드
+ */
+function downloadPDF() {
+  if (downloadUrl) {
+    console.log('PDF 다운로드:', downloadUrl);
+    window.location.href = downloadUrl;
+  }
+}
+
+/**
+ * HTML 리포트를 새 탭에서 열기
+ */
+function openHTMLReport() {
+  if (htmlReportUrl) {
+    window.open(htmlReportUrl, '_blank');
+  }
+}
+
+/**
+ * 오류 처리
+ */
+function handleError(data) {
+  console.error('오류 발생:', data);
+
+  errorMessage.textContent = data.message;
+  errorAlert.style.display = 'flex';
+
+  // 3초 후 알림 숨기기
+  setTimeout(() => {
     errorAlert.style.display = 'none';
   }, 5000);
 
-  // UI 초기화
-  if (isMonitoring) {
+  // UI 초기화 (세션 시작/참여 실패)
+  if (isMonitoring && !currentSessionId) {
     isMonitoring = false;
-    startBtn.disabled = false;
     stopBtn.disabled = true;
     updateStatus('오류 발생', true);
   }
@@ -490,10 +2381,11 @@ function updateStatus(text, isError = false) {
  * 차트 초기화
  */
 function resetCharts() {
-  Object.values(charts).forEach(chart => {
+  [...Object.values(charts), ...Object.values(genericCharts)].forEach(chart => {
     chart.data.labels = [];
     chart.data.datasets.forEach(dataset => {
       dataset.data = [];
+      dataset.anomalies = [];
     });
     chart.update('none');
   });
@@ -501,6 +2393,24 @@ function resetCharts() {
   // 테이블 초기화
   const tbody = document.getElementById('dataTableBody');
   tbody.innerHTML = '';
+  document.getElementById('processCpuBody').innerHTML = '';
+  document.getElementById('processMemoryBody').innerHTML = '';
+  document.getElementById('processCount').textContent = '';
+
+  // GPU 차트 제거 (다음 세션의 GPU 구성이 다를 수 있음)
+  Object.values(gpuCharts).forEach(chart => chart.destroy());
+  gpuCharts = {};
+  document.getElementById('gpuGrid').innerHTML = '';
+
+  // 코어 히트맵 초기화
+  const heatmap = document.getElementById('coreHeatmap');
+  heatmap.getContext('2d').clearRect(0, 0, heatmap.width, heatmap.height);
+  document.getElementById('coreSaturationFlags').textContent = '';
+
+  // 인터페이스/볼륨 선택 목록 초기화 ('전체' 항목만 유지)
+  [networkIfaceSelect, diskVolumeSelect].forEach(select => {
+    select.length = 1;
+  });
 }
 
 // 페이지 로드 시 초기화
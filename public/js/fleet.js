@@ -0,0 +1,324 @@
+/**
+ * Windows 시스템 모니터링 - 플릿 대시보드
+ * 원격 에이전트 호스트별 타일과 선택한 호스트의 실시간 차트
+ */
+
+// DOM 요소
+const fleetGrid = document.getElementById('fleetGrid');
+const fleetEmpty = document.getElementById('fleetEmpty');
+const fleetReportBtn = document.getElementById('fleetReportBtn');
+const hostSection = document.getElementById('hostSection');
+const hostReportBtn = document.getElementById('hostReportBtn');
+const errorAlert = document.getElementById('errorAlert');
+const errorMessage = document.getElementById('errorMessage');
+
+// Socket.io 연결
+const socket = io();
+
+// 상태 변수
+let hosts = [];
+let selectedAgentId = null;
+let hostCharts = {};
+
+// 차트 최대 데이터 포인트 (메인 대시보드와 동일)
+const MAX_DATA_POINTS = 60;
+
+// 이 값 이상이면 타일 막대를 경고 색으로 표시 (%)
+const HIGH_USAGE = 90;
+
+/**
+ * 초기화
+ */
+async function init() {
+  initCharts();
+
+  fleetReportBtn.addEventListener('click', () => generateReport('/api/fleet/report', fleetReportBtn));
+  hostReportBtn.addEventListener('click', () => {
+    generateReport(`/api/fleet/${encodeURIComponent(selectedAgentId)}/report`, hostReportBtn);
+  });
+
+  socket.on('fleet-updated', renderFleet);
+  socket.on('fleet-data', handleFleetData);
+  // 재연결되면 보고 있던 호스트 룸에 다시 참여
+  socket.on('connect', () => {
+    if (selectedAgentId) {
+      socket.emit('join-fleet-host', { agentId: selectedAgentId });
+    }
+  });
+
+  try {
+    const response = await fetch('/api/fleet');
+    const data = await response.json();
+    renderFleet(data.hosts);
+  } catch (error) {
+    showError('플릿 목록을 불러오지 못했습니다.');
+  }
+}
+
+/**
+ * 호스트 상세 차트 생성
+ */
+function initCharts() {
+  const chartConfig = (datasets) => ({
+    type: 'line',
+    data: {
+      labels: [],
+      datasets: datasets.map(([label, color]) => ({
+        label,
+        data: [],
+        borderColor: color,
+        backgroundColor: color.replace('rgb', 'rgba').replace(')', ', 0.2)'),
+        tension: 0.4,
+        fill: datasets.length === 1,
+        pointRadius: 0,
+        borderWidth: 2,
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      animation: {
+        duration: 0,
+      },
+      scales: {
+        x: { display: true, ticks: { maxTicksLimit: 10 } },
+        y: { beginAtZero: true },
+      },
+      plugins: {
+        legend: { display: datasets.length > 1 },
+      },
+    },
+  });
+
+  hostCharts = {
+    cpu: new Chart(document.getElementById('hostCpuChart'), chartConfig([['CPU 사용률 (%)', 'rgb(75, 192, 192)']])),
+    memory: new Chart(document.getElementById('hostMemoryChart'), chartConfig([['메모리 사용률 (%)', 'rgb(255, 99, 132)']])),
+    disk: new Chart(document.getElementById('hostDiskChart'), chartConfig([
+      ['읽기 (KB/s)', 'rgb(54, 162, 235)'],
+      ['쓰기 (KB/s)', 'rgb(255, 159, 64)'],
+    ])),
+    network: new Chart(document.getElementById('hostNetworkChart'), chartConfig([
+      ['수신 (KB/s)', 'rgb(153, 102, 255)'],
+      ['전송 (KB/s)', 'rgb(255, 205, 86)'],
+    ])),
+  };
+}
+
+/**
+ * 호스트 타일 목록 갱신
+ */
+function renderFleet(list) {
+  hosts = list;
+  fleetGrid.innerHTML = '';
+  fleetEmpty.style.display = hosts.length === 0 ? 'block' : 'none';
+  fleetReportBtn.disabled = hosts.length === 0;
+
+  document.getElementById('hostCount').textContent = `${hosts.length}대`;
+  document.getElementById('onlineCount').textContent = `${hosts.filter(host => host.status === 'online').length}대`;
+
+  hosts.forEach(host => {
+    const tile = document.createElement('div');
+    tile.className = `fleet-tile ${host.status}${host.agentId === selectedAgentId ? ' selected' : ''}`;
+    tile.addEventListener('click', () => selectHost(host.agentId));
+
+    const title = document.createElement('h3');
+    title.textContent = host.hostname;
+    tile.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'fleet-meta';
+    meta.textContent = host.status === 'online'
+      ? `${host.platform}`
+      : `오프라인 - 마지막 수신 ${new Date(host.lastSeen).toLocaleTimeString('ko-KR')}`;
+    tile.appendChild(meta);
+
+    const latest = host.latest || {};
+    tile.appendChild(createMetricRow('CPU', latest.cpu, '%'));
+    tile.appendChild(createMetricRow('메모리', latest.memory, '%'));
+    tile.appendChild(createMetricRow('디스크', latest.disk, '%'));
+    tile.appendChild(createMetricRow('네트워크', sumValues(latest.rxKBps, latest.txKBps), ' KB/s', false));
+
+    fleetGrid.appendChild(tile);
+  });
+
+  if (selectedAgentId) {
+    const selected = hosts.find(host => host.agentId === selectedAgentId);
+    if (selected) {
+      updateHostMeta(selected);
+    }
+  }
+}
+
+/**
+ * 타일의 지표 한 줄 (백분율 지표는 막대 포함)
+ */
+function createMetricRow(label, value, unit, showBar = true) {
+  const row = document.createElement('div');
+  row.className = 'fleet-metric';
+
+  const name = document.createElement('span');
+  name.textContent = label;
+  row.appendChild(name);
+
+  const bar = document.createElement('div');
+  if (showBar) {
+    bar.className = 'fleet-bar';
+    const fill = document.createElement('div');
+    fill.style.width = `${Math.min(typeof value === 'number' ? value : 0, 100)}%`;
+    if (value >= HIGH_USAGE) {
+      fill.className = 'high';
+    }
+    bar.appendChild(fill);
+  }
+  row.appendChild(bar);
+
+  const text = document.createElement('span');
+  text.className = 'fleet-value';
+  text.textContent = formatValue(value, unit);
+  row.appendChild(text);
+
+  return row;
+}
+
+function sumValues(...values) {
+  return values.every(value => typeof value === 'number') ? values.reduce((a, b) => a + b, 0) : null;
+}
+
+/**
+ * 숫자 값을 단위와 함께 표시 (값이 없으면 N/A)
+ */
+function formatValue(value, unit = '') {
+  return typeof value === 'number' ? `${value.toFixed(1)}${unit}` : 'N/A';
+}
+
+/**
+ * 호스트 선택 - 최근 측정값으로 차트를 채우고 호스트 룸에 참여
+ */
+async function selectHost(agentId) {
+  if (selectedAgentId === agentId) return;
+
+  if (selectedAgentId) {
+    socket.emit('leave-fleet-host', { agentId: selectedAgentId });
+  }
+  selectedAgentId = agentId;
+  renderFleet(hosts);
+
+  try {
+    const response = await fetch(`/api/fleet/${encodeURIComponent(agentId)}?limit=${MAX_DATA_POINTS}`);
+    if (!response.ok) {
+      throw new Error((await response.json()).error);
+    }
+    const host = await response.json();
+    if (selectedAgentId !== agentId) return; // 응답 전에 다른 호스트를 선택함
+
+    const { systemInfo } = host;
+    document.getElementById('hostOs').textContent = `${systemInfo.os.distro} ${systemInfo.os.release} (${systemInfo.os.arch})`;
+    document.getElementById('hostCpu').textContent = `${systemInfo.cpu.brand} (${systemInfo.cpu.cores}코어)`;
+    document.getElementById('hostMemory').textContent = `${systemInfo.memory.totalGB} GB`;
+    updateHostMeta(host);
+
+    Object.values(hostCharts).forEach(chart => {
+      chart.data.labels = [];
+      chart.data.datasets.forEach(dataset => {
+        dataset.data = [];
+      });
+    });
+    host.measurements.forEach(m => pushMeasurement(m));
+    Object.values(hostCharts).forEach(chart => chart.update('none'));
+
+    hostSection.style.display = 'block';
+    socket.emit('join-fleet-host', { agentId });
+  } catch (error) {
+    showError(`호스트 정보를 불러오지 못했습니다: ${error.message}`);
+  }
+}
+
+function updateHostMeta(host) {
+  document.getElementById('hostTitle').textContent = host.hostname;
+  document.getElementById('hostMeta').textContent = [
+    host.agentId,
+    host.status === 'online' ? '온라인' : '오프라인',
+    `측정 간격 ${host.interval}초`,
+    host.dropped > 0 ? `연결 끊김으로 유실 ${host.dropped}개` : null,
+  ].filter(Boolean).join(' | ');
+}
+
+/**
+ * 선택한 호스트의 새 측정값 (재연결 후 재전송분은 여러 개가 한 번에 도착)
+ */
+function handleFleetData(data) {
+  if (data.agentId !== selectedAgentId) return;
+
+  data.measurements.forEach(m => pushMeasurement(m));
+  Object.values(hostCharts).forEach(chart => chart.update('none'));
+}
+
+function pushMeasurement(m) {
+  const label = new Date(m.timestamp).toLocaleTimeString('ko-KR');
+  const pick = (fn) => {
+    try {
+      const value = fn();
+      return typeof value === 'number' ? value : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  pushChartPoint(hostCharts.cpu, label, [pick(() => m.cpu.usage)]);
+  pushChartPoint(hostCharts.memory, label, [pick(() => m.memory.usagePercent)]);
+  pushChartPoint(hostCharts.disk, label, [pick(() => m.disk.io.readKBps), pick(() => m.disk.io.writeKBps)]);
+  pushChartPoint(hostCharts.network, label, [pick(() => m.network.rxKBps), pick(() => m.network.txKBps)]);
+}
+
+/**
+ * 차트에 데이터 포인트 추가 (최대 MAX_DATA_POINTS개 유지, 갱신은 호출한 쪽에서)
+ */
+function pushChartPoint(chart, label, values) {
+  if (chart.data.labels.length >= MAX_DATA_POINTS) {
+    chart.data.labels.shift();
+    chart.data.datasets.forEach(dataset => dataset.data.shift());
+  }
+
+  chart.data.labels.push(label);
+  chart.data.datasets.forEach((dataset, idx) => dataset.data.push(values[idx]));
+}
+
+/**
+ * PDF 리포트 생성 후 다운로드
+ */
+async function generateReport(url, button) {
+  const text = button.textContent;
+  button.disabled = true;
+  button.textContent = 'PDF 생성 중...';
+
+  try {
+    const response = await fetch(url, { method: 'POST' });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error);
+    }
+    window.location.href = result.downloadUrl;
+  } catch (error) {
+    showError(`PDF 생성 실패: ${error.message}`);
+  } finally {
+    button.disabled = false;
+    button.textContent = text;
+  }
+}
+
+/**
+ * 오류 표시
+ */
+function showError(message) {
+  console.error('오류 발생:', message);
+
+  errorMessage.textContent = message;
+  errorAlert.style.display = 'flex';
+
+  setTimeout(() => {
+    errorAlert.style.display = 'none';
+  }, 5000);
+}
+
+// 페이지 로드 시 초기화
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,108 @@
+/**
+ * Windows System Monitor - 원격 에이전트 진입점
+ * 웹 UI 없이 MonitorService를 에이전트 모드로 실행하고 측정값을 중앙 서버로 전송
+ *
+ * 사용법: CENTRAL_URL=http://<중앙 서버>:3000 npm run agent
+ */
+
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+const MonitorService = require('./services/monitor');
+const AgentClient = require('./services/agentClient');
+const collectorRegistry = require('./collectors');
+
+// 환경 변수 설정
+const CENTRAL_URL = process.env.CENTRAL_URL; // 중앙 서버 주소 (필수)
+const AGENT_ID = process.env.AGENT_ID || os.hostname().replace(/[^A-Za-z0-9._-]/g, '-'); // 호스트 구분 ID
+const FLEET_TOKEN = process.env.FLEET_TOKEN || ''; // 중앙 서버의 에이전트 인증 토큰
+const MONITORING_INTERVAL = parseInt(process.env.MONITORING_INTERVAL) || 1; // 측정 간격 (초)
+const TOP_PROCESSES = parseInt(process.env.TOP_PROCESSES) || 5; // 상위 프로세스 수
+const AGENT_COLLECTORS = process.env.AGENT_COLLECTORS; // 실행할 수집기 (쉼표 구분, 미지정 시 기본값)
+const AGENT_BUFFER_LIMIT = parseInt(process.env.AGENT_BUFFER_LIMIT) || 3600; // 연결이 끊긴 동안 보관할 측정값 수
+
+// 중앙 서버 전송에 내장 fetch를 사용 (Node.js 18 이상)
+// 에이전트는 여러 테스트 PC에 따로 설치되므로 npm의 engines 경고를 놓쳐도 전송 실패 대신 바로 알림
+if (typeof fetch !== 'function' || typeof AbortSignal.timeout !== 'function') {
+  console.error(`[에이전트] Node.js 18 이상이 필요합니다. (현재 ${process.version})`);
+  process.exit(1);
+}
+
+if (!CENTRAL_URL) {
+  console.error('[에이전트] CENTRAL_URL 환경 변수로 중앙 서버 주소를 지정하세요. (예: http://192.168.0.10:3000)');
+  process.exit(1);
+}
+
+// 외부 수집기 플러그인 로드 (중앙 서버와 같은 collectors/ 디렉터리)
+collectorRegistry.loadDirectory(path.join(__dirname, '../collectors'));
+
+// 임계값 알림은 중앙 서버에 전달되지 않으므로 에이전트에서는 평가하지 않음
+const monitor = new MonitorService({
+  sessionId: `agent-${AGENT_ID}`,
+  mode: 'agent',
+  interval: MONITORING_INTERVAL,
+  topProcesses: TOP_PROCESSES,
+  collectors: AGENT_COLLECTORS ? AGENT_COLLECTORS.split(',').map(id => id.trim()) : undefined,
+  alertRules: [],
+});
+
+const client = new AgentClient({
+  serverUrl: CENTRAL_URL,
+  agentId: AGENT_ID,
+  token: FLEET_TOKEN,
+  bufferLimit: AGENT_BUFFER_LIMIT,
+});
+
+client.on('connected', () => {
+  console.log('[에이전트] 중앙 서버 연결됨');
+});
+client.on('disconnected', () => {
+  console.warn('[에이전트] 중앙 서버 연결 끊김 - 측정값을 보관하고 재연결을 시도합니다.');
+});
+client.on('error', (error) => {
+  console.error(`[에이전트] 중앙 서버가 요청을 거부했습니다: ${error.message}`);
+});
+
+monitor.on('error', (error) => {
+  console.error('[에이전트] 측정 오류:', error);
+});
+
+(async () => {
+  const systemInfo = await monitor.getSystemInfo();
+
+  client.start({
+    systemInfo,
+    collectors: monitor.sessionData.collectors,
+    config: monitor.sessionData.config,
+  });
+
+  // 실시간 데이터 중 세션 진행 정보를 뺀 측정값만 전송
+  monitor.start(({ mode, totalElapsed, totalDuration, progress, segment, ...measurement }) => {
+    client.enqueue(measurement);
+  });
+
+  console.log('='.repeat(60));
+  console.log('  Windows 시스템 리소스 모니터링 에이전트 시작됨');
+  console.log('='.repeat(60));
+  console.log(`  에이전트 ID: ${AGENT_ID}`);
+  console.log(`  중앙 서버: ${CENTRAL_URL}`);
+  console.log(`  측정 간격: ${MONITORING_INTERVAL}초`);
+  console.log('  종료하려면 Ctrl+C를 누르세요.');
+  console.log('='.repeat(60));
+})().catch((error) => {
+  console.error('[에이전트] 시작 오류:', error);
+  process.exit(1);
+});
+
+// Graceful shutdown (남은 측정값을 한 번 더 전송)
+process.on('SIGINT', async () => {
+  console.log('\n에이전트를 종료합니다...');
+  await monitor.stop();
+  await client.stop();
+  const { buffered } = client.getStatus();
+  if (buffered > 0) {
+    console.warn(`[에이전트] 전송하지 못한 측정값 ${buffered}개를 버립니다.`);
+  }
+  process.exit(0);
+});
@@ -0,0 +1,59 @@
+/**
+ * CPU 수집기
+ * 전체/코어별 사용률 및 온도
+ */
+
+const si = require('systeminformation');
+
+module.exports = {
+  id: 'cpu',
+  name: 'CPU',
+  interval: 1,
+  schema: {
+    usage: 'number',
+    temperature: 'number?',
+    cores: 'number[]',
+  },
+  units: {
+    usage: '%',
+    temperature: '°C',
+    cores: '%',
+  },
+  // Prometheus 지표 (/api/metrics)
+  metrics: {
+    names: { usage: 'usage', cores: 'core_usage' },
+    help: { usage: '전체 CPU 사용률', temperature: 'CPU 온도', cores: '코어별 CPU 사용률' },
+    labels: { cores: { core: '$index' } },
+  },
+  render: {
+    card: {
+      title: 'CPU 사용률',
+      value: 'usage',
+      unit: '%',
+      label: { text: '온도', value: 'temperature', unit: '°C' },
+    },
+    chart: {
+      title: 'CPU 사용률 (%)',
+      series: [{ key: 'usage', label: 'CPU 사용률 (%)', color: 'rgb(75, 192, 192)' }],
+    },
+    pdf: {
+      stats: [
+        { key: 'usage', label: 'CPU 사용률 (%)', unit: '%' },
+        { key: 'temperature', label: 'CPU 온도 (°C)', unit: '°C' },
+      ],
+    },
+  },
+
+  async collect() {
+    const [cpuLoad, cpuTemp] = await Promise.all([
+      si.currentLoad(),
+      si.cpuTemperature(),
+    ]);
+
+    return {
+      usage: parseFloat(cpuLoad.currentLoad.toFixed(2)),
+      temperature: cpuTemp.main || null,
+      cores: cpuLoad.cpus.map(core => parseFloat(core.load.toFixed(2))),
+    };
+  },
+};
@@ -0,0 +1,201 @@
+/**
+ * 디스크 수집기
+ * 전체/볼륨별 사용률 및 I/O 속도
+ */
+
+const si = require('systeminformation');
+const { powerShell } = require('systeminformation/lib/util');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 볼륨별 누적 읽기/쓰기 바이트 조회
+ * Windows는 LogicalDisk 성능 카운터(드라이브 문자), Linux는 /proc/diskstats(장치명) 사용
+ */
+async function readVolumeCounters() {
+  const counters = new Map();
+
+  try {
+    if (process.platform === 'win32') {
+      const output = await powerShell(
+        'Get-CimInstance Win32_PerfRawData_PerfDisk_LogicalDisk | ' +
+        'Where-Object { $_.Name -ne \'_Total\' } | ' +
+        'Select-Object Name,DiskReadBytesPersec,DiskWriteBytesPersec | ConvertTo-Json -Compress'
+      );
+      if (!output) return counters;
+
+      [].concat(JSON.parse(output)).forEach(disk => {
+        counters.set(disk.Name.toUpperCase(), {
+          readBytes: Number(disk.DiskReadBytesPersec),
+          writeBytes: Number(disk.DiskWriteBytesPersec),
+        });
+      });
+    } else if (process.platform === 'linux') {
+      const content = await fs.promises.readFile('/proc/diskstats', 'utf8');
+
+      content.split('\n').forEach(line => {
+        const fields = line.trim().split(/\s+/);
+        if (fields.length < 10) return;
+
+        // 섹터 크기는 커널 기준 512바이트 고정
+        counters.set(fields[2], {
+          readBytes: Number(fields[5]) * 512,
+          writeBytes: Number(fields[9]) * 512,
+        });
+      });
+    }
+  } catch (error) {
+    console.error('[수집기:disk] 볼륨 I/O 카운터 조회 오류:', error.message);
+  }
+
+  return counters;
+}
+
+/**
+ * fsSize() 항목을 카운터 키로 변환
+ */
+function volumeKey(volume) {
+  if (process.platform === 'win32') {
+    return String(volume.mount || volume.fs).toUpperCase();
+  }
+
+  // /dev/mapper/* 같은 심볼릭 링크는 실제 장치명(dm-0)으로 변환
+  try {
+    return path.basename(fs.realpathSync(volume.fs));
+  } catch (error) {
+    return path.basename(volume.fs);
+  }
+}
+
+module.exports = {
+  id: 'disk',
+  name: '디스크',
+  interval: 1,
+  schema: {
+    total: 'number',
+    used: 'number',
+    usagePercent: 'number',
+    io: 'object',
+    volumes: 'object[]',
+  },
+  units: {
+    total: 'B',
+    used: 'B',
+    usagePercent: '%',
+    'io.readKBps': 'KB/s',
+    'io.writeKBps': 'KB/s',
+    'volumes.size': 'B',
+    'volumes.used': 'B',
+    'volumes.usagePercent': '%',
+    'volumes.io.readKBps': 'KB/s',
+    'volumes.io.writeKBps': 'KB/s',
+  },
+  // Prometheus 지표 (/api/metrics)
+  metrics: {
+    names: {
+      usagePercent: 'usage',
+      'io.readKBps': 'read',
+      'io.writeKBps': 'write',
+      'volumes.size': 'volume_size',
+      'volumes.used': 'volume_used',
+      'volumes.usagePercent': 'volume_usage',
+      'volumes.io.readKBps': 'volume_read',
+      'volumes.io.writeKBps': 'volume_write',
+    },
+    help: {
+      total: '전체 디스크 용량',
+      used: '사용 중인 디스크 용량',
+      usagePercent: '디스크 사용률',
+      'io.readKBps': '디스크 읽기 속도',
+      'io.writeKBps': '디스크 쓰기 속도',
+      'volumes.size': '볼륨 용량',
+      'volumes.used': '볼륨 사용량',
+      'volumes.usagePercent': '볼륨 사용률',
+      'volumes.io.readKBps': '볼륨 읽기 속도',
+      'volumes.io.writeKBps': '볼륨 쓰기 속도',
+    },
+    labels: { volumes: { volume: 'mount' } },
+  },
+  render: {
+    card: {
+      title: '디스크 사용률',
+      value: 'usagePercent',
+      unit: '%',
+    },
+    chart: {
+      title: '디스크 I/O (KB/s)',
+      series: [
+        { key: 'io.readKBps', label: '읽기 (KB/s)', color: 'rgb(54, 162, 235)' },
+        { key: 'io.writeKBps', label: '쓰기 (KB/s)', color: 'rgb(255, 159, 64)' },
+      ],
+    },
+    pdf: {
+      stats: [
+        { key: 'usagePercent', label: '디스크 사용률 (%)', unit: '%', summary: ['avg'] },
+        {
+          label: '디스크 I/O (KB/s)',
+          rows: [
+            { key: 'io.readKBps', label: '읽기' },
+            { key: 'io.writeKBps', label: '쓰기' },
+          ],
+        },
+      ],
+    },
+  },
+
+  async collect({ state, interval }) {
+    const [fsSize, fsStats, counters] = await Promise.all([
+      si.fsSize(),
+      si.fsStats(),
+      readVolumeCounters(),
+    ]);
+
+    const total = fsSize.reduce((sum, fs) => sum + fs.size, 0);
+    const used = fsSize.reduce((sum, fs) => sum + fs.used, 0);
+
+    // 디스크 I/O 속도 (B/s)
+    const readPerSec = (fsStats && fsStats.rx_sec) || 0;
+    const writePerSec = (fsStats && fsStats.wx_sec) || 0;
+
+    // 볼륨별 사용률과 I/O (카운터를 읽을 수 없는 플랫폼은 io: null)
+    const lastCounters = state.lastCounters || new Map();
+    const rate = (bytes, lastBytes) =>
+      parseFloat((Math.max(bytes - lastBytes, 0) / interval / 1024).toFixed(2));
+
+    const volumes = fsSize.map(volume => {
+      const key = volumeKey(volume);
+      const current = counters.get(key);
+      const last = lastCounters.get(key);
+
+      let io = null;
+      if (current) {
+        io = last
+          ? { readKBps: rate(current.readBytes, last.readBytes), writeKBps: rate(current.writeBytes, last.writeBytes) }
+          : { readKBps: 0, writeKBps: 0 };
+      }
+
+      return {
+        mount: volume.mount,
+        fs: volume.fs,
+        type: volume.type,
+        size: volume.size,
+        used: volume.used,
+        usagePercent: parseFloat(volume.size > 0 ? ((volume.used / volume.size) * 100).toFixed(2) : 0),
+        io,
+      };
+    });
+
+    state.lastCounters = counters;
+
+    return {
+      total,
+      used,
+      usagePercent: parseFloat(total > 0 ? ((used / total) * 100).toFixed(2) : 0),
+      io: {
+        readKBps: parseFloat((readPerSec / 1024).toFixed(2)),
+        writeKBps: parseFloat((writePerSec / 1024).toFixed(2)),
+      },
+      volumes,
+    };
+  },
+};
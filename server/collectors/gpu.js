@@ -0,0 +1,100 @@
+/**
+ * GPU 수집기
+ * 모든 컨트롤러의 사용률/메모리/온도/전력/클럭 (드라이버가 지원하는 값만 채워짐)
+ * 세션 설정 gpus로 인덱스 또는 모델명 일부를 지정해 대상 GPU를 고를 수 있음
+ */
+
+const si = require('systeminformation');
+
+/**
+ * 세션의 GPU 선택 조건에 맞는지 확인 (숫자는 인덱스, 문자열은 모델명 부분 일치)
+ */
+function isSelected(controller, index, selection) {
+  if (!Array.isArray(selection) || selection.length === 0) {
+    return true;
+  }
+
+  return selection.some(item => {
+    if (typeof item === 'number' || /^\d+$/.test(String(item).trim())) {
+      return Number(item) === index;
+    }
+    const keyword = String(item).trim().toLowerCase();
+    return [controller.model, controller.name]
+      .filter(Boolean)
+      .some(name => name.toLowerCase().includes(keyword));
+  });
+}
+
+const numberOrNull = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+module.exports = {
+  id: 'gpu',
+  name: 'GPU',
+  interval: 2, // si.graphics()는 호출 비용이 큼
+  schema: {
+    controllers: 'object[]',
+  },
+  units: {
+    'controllers.utilization': '%',
+    'controllers.memoryUtilization': '%',
+    'controllers.memoryUsed': 'MB',
+    'controllers.memoryTotal': 'MB',
+    'controllers.temperature': '°C',
+    'controllers.powerDraw': 'W',
+    'controllers.powerLimit': 'W',
+    'controllers.clockCore': 'MHz',
+    'controllers.clockMemory': 'MHz',
+  },
+  // Prometheus 지표 (/api/metrics)
+  metrics: {
+    names: {
+      'controllers.utilization': 'utilization',
+      'controllers.memoryUtilization': 'memory_utilization',
+      'controllers.memoryUsed': 'memory_used',
+      'controllers.memoryTotal': 'memory_total',
+      'controllers.temperature': 'temperature',
+      'controllers.powerDraw': 'power_draw',
+      'controllers.powerLimit': 'power_limit',
+      'controllers.clockCore': 'clock_core',
+      'controllers.clockMemory': 'clock_memory',
+    },
+    help: {
+      'controllers.utilization': 'GPU 사용률',
+      'controllers.memoryUtilization': 'GPU 메모리 사용률',
+      'controllers.memoryUsed': '사용 중인 GPU 메모리',
+      'controllers.memoryTotal': '전체 GPU 메모리',
+      'controllers.temperature': 'GPU 온도',
+      'controllers.powerDraw': 'GPU 소비 전력',
+      'controllers.powerLimit': 'GPU 전력 제한',
+      'controllers.clockCore': 'GPU 코어 클럭',
+      'controllers.clockMemory': 'GPU 메모리 클럭',
+    },
+    labels: { controllers: { gpu: 'index', model: 'model' } },
+  },
+  // 대시보드의 GPU별 카드/차트와 PDF GPU 섹션에서 전용으로 렌더링
+  render: {},
+
+  async collect({ config }) {
+    const graphics = await si.graphics();
+
+    const controllers = graphics.controllers
+      .map((controller, index) => ({ controller, index }))
+      .filter(({ controller, index }) => isSelected(controller, index, config.gpus))
+      .map(({ controller, index }) => ({
+        index,
+        model: controller.model || controller.name || `GPU ${index}`,
+        vendor: controller.vendor || null,
+        utilization: numberOrNull(controller.utilizationGpu),
+        memoryUtilization: numberOrNull(controller.utilizationMemory),
+        memoryUsed: numberOrNull(controller.memoryUsed),
+        memoryTotal: numberOrNull(controller.memoryTotal),
+        temperature: numberOrNull(controller.temperatureGpu),
+        powerDraw: numberOrNull(controller.powerDraw),
+        powerLimit: numberOrNull(controller.powerLimit),
+        clockCore: numberOrNull(controller.clockCore),
+        clockMemory: numberOrNull(controller.clockMemory),
+      }));
+
+    return controllers.length > 0 ? { controllers } : null;
+  },
+};
@@ -0,0 +1,19 @@
+/**
+ * 기본 수집기 레지스트리
+ * 내장 수집기를 등록한 공용 인스턴스 (외부 플러그인은 서버 시작 시 추가 로드)
+ */
+
+const CollectorRegistry = require('../services/collectorRegistry');
+
+const registry = new CollectorRegistry();
+
+[
+  require('./cpu'),
+  require('./memory'),
+  require('./disk'),
+  require('./network'),
+  require('./gpu'),
+  require('./processes'),
+].forEach(collector => registry.register(collector));
+
+module.exports = registry;
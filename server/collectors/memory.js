@@ -0,0 +1,61 @@
+/**
+ * 메모리 수집기
+ */
+
+const si = require('systeminformation');
+
+module.exports = {
+  id: 'memory',
+  name: '메모리',
+  interval: 1,
+  schema: {
+    total: 'number',
+    used: 'number',
+    free: 'number',
+    usagePercent: 'number',
+  },
+  units: {
+    total: 'B',
+    used: 'B',
+    free: 'B',
+    usagePercent: '%',
+  },
+  // Prometheus 지표 (/api/metrics)
+  metrics: {
+    names: { usagePercent: 'usage' },
+    help: {
+      total: '전체 메모리',
+      used: '사용 중인 메모리',
+      free: '사용 가능한 메모리',
+      usagePercent: '메모리 사용률',
+    },
+  },
+  render: {
+    card: {
+      title: '메모리 사용률',
+      value: 'usagePercent',
+      unit: '%',
+    },
+    chart: {
+      title: '메모리 사용률 (%)',
+      series: [{ key: 'usagePercent', label: '메모리 사용률 (%)', color: 'rgb(255, 99, 132)' }],
+    },
+    pdf: {
+      stats: [
+        { key: 'usagePercent', label: '메모리 사용률 (%)', unit: '%' },
+        { key: 'used', label: '메모리 사용량 (GB)', unit: ' GB', divisor: 1024 * 1024 * 1024 },
+      ],
+    },
+  },
+
+  async collect() {
+    const mem = await si.mem();
+
+    return {
+      total: mem.total,
+      used: mem.used,
+      free: mem.free,
+      usagePercent: parseFloat(((mem.used / mem.total) * 100).toFixed(2)),
+    };
+  },
+};
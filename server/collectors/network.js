@@ -0,0 +1,107 @@
+/**
+ * 네트워크 수집기
+ * 인터페이스별로 이전 측정값과의 바이트 차이로 송수신 속도 계산
+ */
+
+const si = require('systeminformation');
+
+// 전체 합계에서 제외할 루프백 인터페이스
+const LOOPBACK_PATTERN = /^lo\d*$|loopback/i;
+
+module.exports = {
+  id: 'network',
+  name: '네트워크',
+  interval: 1,
+  schema: {
+    rxKBps: 'number',
+    txKBps: 'number',
+    interfaces: 'object[]',
+  },
+  units: {
+    rxKBps: 'KB/s',
+    txKBps: 'KB/s',
+    'interfaces.rxKBps': 'KB/s',
+    'interfaces.txKBps': 'KB/s',
+    'interfaces.rxBytes': 'B',
+    'interfaces.txBytes': 'B',
+  },
+  // Prometheus 지표 (/api/metrics) - 인터페이스 누적 바이트는 카운터
+  metrics: {
+    names: {
+      rxKBps: 'receive',
+      txKBps: 'transmit',
+      'interfaces.rxKBps': 'interface_receive',
+      'interfaces.txKBps': 'interface_transmit',
+      'interfaces.rxBytes': 'interface_receive',
+      'interfaces.txBytes': 'interface_transmit',
+    },
+    help: {
+      rxKBps: '전체 네트워크 수신 속도',
+      txKBps: '전체 네트워크 송신 속도',
+      'interfaces.rxKBps': '인터페이스별 수신 속도',
+      'interfaces.txKBps': '인터페이스별 송신 속도',
+      'interfaces.rxBytes': '인터페이스별 누적 수신량',
+      'interfaces.txBytes': '인터페이스별 누적 송신량',
+    },
+    labels: { interfaces: { interface: 'iface' } },
+    counters: ['interfaces.rxBytes', 'interfaces.txBytes'],
+  },
+  render: {
+    card: {
+      title: '네트워크',
+      value: 'rxKBps',
+      unit: ' KB/s',
+    },
+    chart: {
+      title: '네트워크 트래픽 (KB/s)',
+      series: [
+        { key: 'rxKBps', label: '수신 (KB/s)', color: 'rgb(153, 102, 255)' },
+        { key: 'txKBps', label: '전송 (KB/s)', color: 'rgb(255, 205, 86)' },
+      ],
+    },
+    pdf: {
+      stats: [
+        {
+          label: '네트워크 트래픽 (KB/s)',
+          rows: [
+            { key: 'rxKBps', label: '수신' },
+            { key: 'txKBps', label: '전송' },
+          ],
+        },
+      ],
+    },
+  },
+
+  async collect({ state, interval }) {
+    const networkStats = await si.networkStats('*');
+    const lastStats = state.lastStats || {};
+
+    // 인터페이스별 속도 계산 (KB/s)
+    const interfaces = networkStats.map(current => {
+      const last = lastStats[current.iface];
+      const rate = (bytes, lastBytes) =>
+        last ? parseFloat((Math.max(bytes - lastBytes, 0) / interval / 1024).toFixed(2)) : 0;
+
+      return {
+        iface: current.iface,
+        operstate: current.operstate,
+        rxKBps: rate(current.rx_bytes, last && last.rx_bytes),
+        txKBps: rate(current.tx_bytes, last && last.tx_bytes),
+        rxBytes: current.rx_bytes,
+        txBytes: current.tx_bytes,
+      };
+    });
+
+    state.lastStats = Object.fromEntries(networkStats.map(current => [current.iface, current]));
+
+    // 전체 트래픽은 루프백을 제외한 모든 인터페이스의 합
+    const external = interfaces.filter(iface => !LOOPBACK_PATTERN.test(iface.iface));
+    const sum = (key) => parseFloat(external.reduce((total, iface) => total + iface[key], 0).toFixed(2));
+
+    return {
+      rxKBps: sum('rxKBps'),
+      txKBps: sum('txKBps'),
+      interfaces,
+    };
+  },
+};
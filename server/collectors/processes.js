@@ -0,0 +1,59 @@
+/**
+ * 프로세스 수집기
+ * CPU/메모리 기준 상위 N개 프로세스 (N은 세션 설정 topProcesses)
+ */
+
+const si = require('systeminformation');
+
+const toEntry = (proc) => ({
+  pid: proc.pid,
+  name: proc.name,
+  command: [proc.command, proc.params].filter(Boolean).join(' ').slice(0, 256),
+  user: proc.user || null,
+  cpu: parseFloat((proc.cpu || 0).toFixed(2)),
+  memPercent: parseFloat((proc.mem || 0).toFixed(2)),
+  memRssMB: parseFloat(((proc.memRss || 0) / 1024).toFixed(2)), // memRss는 KB 단위
+});
+
+module.exports = {
+  id: 'processes',
+  name: '상위 프로세스',
+  interval: 1,
+  schema: {
+    total: 'number',
+    running: 'number',
+    topCpu: 'object[]',
+    topMemory: 'object[]',
+  },
+  units: {
+    'topCpu.cpu': '%',
+    'topMemory.memRssMB': 'MB',
+  },
+  // Prometheus 지표 (/api/metrics) - 상위 프로세스 목록은 레이블 수가 계속 바뀌므로 제외
+  metrics: {
+    names: { total: 'count', running: 'running' },
+    help: { total: '전체 프로세스 수', running: '실행 중인 프로세스 수' },
+    exclude: ['topCpu', 'topMemory'],
+  },
+  // 대시보드의 상위 프로세스 테이블과 PDF 순위 섹션에서 전용으로 렌더링
+  render: {},
+
+  async collect({ config }) {
+    const processes = await si.processes();
+    const limit = config.topProcesses || 5;
+    const list = processes.list || [];
+
+    return {
+      total: processes.all,
+      running: processes.running,
+      topCpu: [...list]
+        .sort((a, b) => b.cpu - a.cpu)
+        .slice(0, limit)
+        .map(toEntry),
+      topMemory: [...list]
+        .sort((a, b) => b.memRss - a.memRss)
+        .slice(0, limit)
+        .map(toEntry),
+    };
+  },
+};
@@ -0,0 +1,333 @@
+/**
+ * HTML 리포트 차트
+ * 리포트에 포함된 측정값(JSON)으로 SVG 시계열 차트를 그림
+ * 마우스를 올리면 시각별 값 표시, 드래그하면 모든 차트를 같은 구간으로 확대, 더블클릭하면 전체 보기
+ */
+(function () {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const HEIGHT = 220;
+  const MARGIN = { top: 10, right: 12, bottom: 24, left: 44 };
+  // 이보다 짧게 드래그하면 확대하지 않음 (px)
+  const MIN_DRAG = 8;
+
+  const dataElement = document.getElementById('report-data');
+  if (!dataElement) return;
+
+  const data = JSON.parse(dataElement.textContent);
+  const figures = [...document.querySelectorAll('.chart[data-chart]')];
+  const resetButton = document.querySelector('.zoom-reset');
+  const zoomLabel = document.querySelector('.zoom-label');
+
+  let range = null; // 확대 구간 [시작, 끝] (ms), null이면 전체
+
+  const timeZone = data.timeZone || undefined;
+  const fullTime = new Intl.DateTimeFormat(data.locale, {
+    month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23', timeZone,
+  });
+  const clockFormats = {
+    seconds: new Intl.DateTimeFormat(data.locale, { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23', timeZone }),
+    minutes: new Intl.DateTimeFormat(data.locale, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }),
+    days: new Intl.DateTimeFormat(data.locale, { month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23', timeZone }),
+  };
+
+  /**
+   * x축 라벨 형식 (구간이 길수록 짧게)
+   */
+  function clockFormat(span) {
+    if (span >= 2 * 86400 * 1000) return clockFormats.days;
+    return span >= 6 * 3600 * 1000 ? clockFormats.minutes : clockFormats.seconds;
+  }
+
+  /**
+   * 축 최대값을 1, 2, 5 단위로 올림
+   */
+  function niceMax(value) {
+    if (!(value > 0)) return 1;
+    const exponent = Math.pow(10, Math.floor(Math.log10(value)));
+    const fraction = value / exponent;
+    return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * exponent;
+  }
+
+  const formatNumber = value => String(parseFloat(value.toFixed(2)));
+
+  function svg(name, attributes = {}, parent = null) {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => node.setAttribute(key, value));
+    if (parent) parent.appendChild(node);
+    return node;
+  }
+
+  /**
+   * 시각 x 이상인 첫 점의 인덱스 (points는 시각 오름차순)
+   */
+  function lowerBound(points, x) {
+    let low = 0;
+    let high = points.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (points[mid][0] < x) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * 구간 안의 점 (선이 가장자리에서 끊기지 않도록 양쪽에 한 점씩 더 포함)
+   */
+  function visiblePoints(points, xMin, xMax) {
+    const start = Math.max(lowerBound(points, xMin) - 1, 0);
+    const end = Math.min(lowerBound(points, xMax) + 1, points.length);
+    return points.slice(start, end);
+  }
+
+  /**
+   * 시각 x에 가장 가까운 값이 있는 점
+   */
+  function nearestPoint(points, x) {
+    const index = lowerBound(points, x);
+    const candidates = [points[index - 1], points[index]].filter(point => point && point[1] !== null);
+    if (candidates.length === 0) return null;
+    return candidates.reduce((a, b) => (Math.abs(b[0] - x) < Math.abs(a[0] - x) ? b : a));
+  }
+
+  /**
+   * null 점에서 끊어지는 선 경로
+   */
+  function linePath(points, toX, toY) {
+    let path = '';
+    let drawing = false;
+    points.forEach(([x, y]) => {
+      if (y === null) {
+        drawing = false;
+        return;
+      }
+      path += `${drawing ? 'L' : 'M'}${toX(x).toFixed(1)},${toY(y).toFixed(1)}`;
+      drawing = true;
+    });
+    return path;
+  }
+
+  function areaPath(points, toX, toY, baseline) {
+    const segments = [];
+    let segment = [];
+    points.forEach(point => {
+      if (point[1] === null) {
+        if (segment.length > 0) segments.push(segment);
+        segment = [];
+      } else {
+        segment.push(point);
+      }
+    });
+    if (segment.length > 0) segments.push(segment);
+
+    return segments
+      .filter(items => items.length > 1)
+      .map(items => {
+        const first = toX(items[0][0]).toFixed(1);
+        const last = toX(items[items.length - 1][0]).toFixed(1);
+        return `M${first},${baseline}` +
+          items.map(([x, y]) => `L${toX(x).toFixed(1)},${toY(y).toFixed(1)}`).join('') +
+          `L${last},${baseline}Z`;
+      })
+      .join('');
+  }
+
+  /**
+   * 차트 하나 그리기
+   */
+  function renderChart(figure) {
+    const chart = data.charts[Number(figure.dataset.chart)];
+    const container = figure.querySelector('.chart-plot');
+    const width = Math.max(container.clientWidth, 280);
+    const [xMin, xMax] = range || chart.extent;
+    const xRange = xMax - xMin || 1;
+
+    const series = chart.series.map(item => ({ ...item, visible: visiblePoints(item.points, xMin, xMax) }));
+    const values = series.flatMap(item => item.visible
+      .filter(([x, y]) => y !== null && x >= xMin && x <= xMax)
+      .map(([, y]) => y));
+
+    if (values.length === 0) {
+      container.innerHTML = '<p class="chart-empty">이 구간에는 측정값이 없습니다.</p>';
+      return;
+    }
+
+    const yMax = chart.yMax || niceMax(Math.max(...values));
+    const plot = {
+      x: MARGIN.left,
+      y: MARGIN.top,
+      width: width - MARGIN.left - MARGIN.right,
+      height: HEIGHT - MARGIN.top - MARGIN.bottom,
+    };
+    const toX = x => plot.x + ((x - xMin) / xRange) * plot.width;
+    const toY = y => plot.y + plot.height - (Math.min(Math.max(y, 0), yMax) / yMax) * plot.height;
+    const baseline = plot.y + plot.height;
+
+    const root = svg('svg', { width, height: HEIGHT, viewBox: `0 0 ${width} ${HEIGHT}` });
+
+    // 격자와 축 라벨
+    for (let i = 0; i <= 4; i++) {
+      const y = toY((yMax / 4) * i);
+      svg('line', { class: 'grid', x1: plot.x, x2: plot.x + plot.width, y1: y, y2: y }, root);
+      svg('text', { class: 'axis-label', x: plot.x - 4, y: y + 3, 'text-anchor': 'end' }, root)
+        .textContent = formatNumber((yMax / 4) * i);
+    }
+    const format = clockFormat(xRange);
+    for (let i = 0; i <= 5; i++) {
+      const x = xMin + (xRange / 5) * i;
+      svg('text', {
+        class: 'axis-label',
+        x: toX(x),
+        y: baseline + 14,
+        'text-anchor': i === 0 ? 'start' : i === 5 ? 'end' : 'middle',
+      }, root).textContent = format.format(x);
+    }
+
+    // 시리즈 (플롯 영역 밖은 잘라냄)
+    const clipId = `clip-${figure.dataset.chart}`;
+    const clip = svg('clipPath', { id: clipId }, svg('defs', {}, root));
+    svg('rect', { x: plot.x, y: plot.y, width: plot.width, height: plot.height }, clip);
+    const lines = svg('g', { 'clip-path': `url(#${clipId})` }, root);
+    series.forEach(item => {
+      if (chart.area) {
+        svg('path', { d: areaPath(item.visible, toX, toY, baseline), fill: item.color, 'fill-opacity': 0.15 }, lines);
+      }
+      svg('path', { d: linePath(item.visible, toX, toY), fill: 'none', stroke: item.color, 'stroke-width': 1.2 }, lines);
+    });
+    svg('rect', { class: 'frame', x: plot.x, y: plot.y, width: plot.width, height: plot.height }, root);
+
+    // 마우스 위치 표시와 드래그 선택
+    const guide = svg('line', { class: 'guide', y1: plot.y, y2: baseline, visibility: 'hidden' }, root);
+    const markers = series.map(item => svg('circle', {
+      r: 3, fill: item.color, stroke: '#fff', 'stroke-width': 1, visibility: 'hidden',
+    }, root));
+    const selection = svg('rect', { class: 'selection', y: plot.y, height: plot.height, visibility: 'hidden' }, root);
+    const overlay = svg('rect', {
+      x: plot.x, y: plot.y, width: plot.width, height: plot.height, fill: 'transparent', cursor: 'crosshair',
+    }, root);
+
+    let tooltip = figure.querySelector('.chart-tooltip');
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.className = 'chart-tooltip';
+      figure.appendChild(tooltip);
+    }
+    tooltip.hidden = true;
+
+    const pointerX = event => {
+      const box = root.getBoundingClientRect();
+      return Math.min(Math.max(event.clientX - box.left, plot.x), plot.x + plot.width);
+    };
+    const timeAt = px => xMin + ((px - plot.x) / plot.width) * xRange;
+
+    const showTooltip = (px) => {
+      const time = timeAt(px);
+      guide.setAttribute('x1', px);
+      guide.setAttribute('x2', px);
+      guide.setAttribute('visibility', 'visible');
+
+      const rows = [];
+      series.forEach((item, index) => {
+        const point = nearestPoint(item.visible, time);
+        if (!point) {
+          markers[index].setAttribute('visibility', 'hidden');
+          return;
+        }
+        markers[index].setAttribute('cx', toX(point[0]));
+        markers[index].setAttribute('cy', toY(point[1]));
+        markers[index].setAttribute('visibility', 'visible');
+        rows.push(`<div><span class="swatch" style="background:${item.color}"></span>` +
+          `${escapeHtml(item.label)}: ${formatNumber(point[1])}${escapeHtml(chart.unit)}</div>`);
+      });
+
+      tooltip.innerHTML = `<div>${fullTime.format(time)}</div>${rows.join('')}`;
+      tooltip.hidden = false;
+      // 오른쪽 절반에서는 툴팁을 왼쪽에 표시
+      const left = px > width / 2 ? px - tooltip.offsetWidth - 10 : px + 10;
+      tooltip.style.left = `${Math.max(left, 0)}px`;
+      tooltip.style.top = `${container.offsetTop + plot.y + 4}px`;
+    };
+
+    const hideTooltip = () => {
+      guide.setAttribute('visibility', 'hidden');
+      markers.forEach(marker => marker.setAttribute('visibility', 'hidden'));
+      tooltip.hidden = true;
+    };
+
+    let dragStart = null;
+    overlay.addEventListener('pointerdown', event => {
+      dragStart = pointerX(event);
+      overlay.setPointerCapture(event.pointerId);
+    });
+    overlay.addEventListener('pointermove', event => {
+      const px = pointerX(event);
+      showTooltip(px);
+      if (dragStart !== null) {
+        selection.setAttribute('x', Math.min(dragStart, px));
+        selection.setAttribute('width', Math.abs(px - dragStart));
+        selection.setAttribute('visibility', 'visible');
+      }
+    });
+    overlay.addEventListener('pointerup', event => {
+      if (dragStart === null) return;
+      const px = pointerX(event);
+      const start = dragStart;
+      dragStart = null;
+      selection.setAttribute('visibility', 'hidden');
+      if (Math.abs(px - start) >= MIN_DRAG) {
+        setRange([timeAt(Math.min(start, px)), timeAt(Math.max(start, px))]);
+      }
+    });
+    overlay.addEventListener('pointercancel', () => {
+      dragStart = null;
+      selection.setAttribute('visibility', 'hidden');
+    });
+    overlay.addEventListener('pointerleave', () => {
+      if (dragStart === null) hideTooltip();
+    });
+    overlay.addEventListener('dblclick', () => setRange(null));
+
+    container.replaceChildren(root);
+  }
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  function renderAll() {
+    figures.forEach(renderChart);
+  }
+
+  /**
+   * 모든 차트의 표시 구간 변경 (null이면 전체)
+   */
+  function setRange(next) {
+    range = next;
+    if (resetButton) resetButton.hidden = !range;
+    if (zoomLabel) {
+      zoomLabel.textContent = range
+        ? `${fullTime.format(range[0])} ~ ${fullTime.format(range[1])} 확대 중`
+        : '드래그하여 구간 확대, 더블클릭하면 전체 보기';
+    }
+    renderAll();
+  }
+
+  if (resetButton) {
+    resetButton.addEventListener('click', () => setRange(null));
+  }
+
+  // 접힌 섹션의 차트는 폭을 알 수 없으므로 펼칠 때 다시 그림
+  document.querySelectorAll('details.section').forEach(details => {
+    details.addEventListener('toggle', () => {
+      if (details.open && details.querySelector('.chart')) renderAll();
+    });
+  });
+
+  let resizeTimer = null;
+  window.addEventListener('resize', () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(renderAll, 150);
+  });
+
+  setRange(null);
+})();
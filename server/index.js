@@ -10,110 +10,402 @@ const path = require('path');
 const fs = require('fs-extra');
 require('dotenv').config();
 
-const MonitorService = require('./services/monitor');
+const SessionManager = require('./services/sessionManager');
+const Scheduler = require('./services/scheduler');
+const WebhookDispatcher = require('./services/webhookDispatcher');
+const FleetRegistry = require('./services/fleetRegistry');
+const MetricsExporter = require('./services/metricsExporter');
+const SessionRecovery = require('./services/sessionRecovery');
+const RetentionManager = require('./services/retentionManager');
+const SessionCatalog = require('./services/sessionCatalog');
+const { summarizeSession } = require('./services/sessionSummary');
+const { configureFonts } = require('./services/pdfFonts');
+const collectorRegistry = require('./collectors');
+const reportTemplates = require('./templates');
 const apiRoutes = require('./routes/api');
+const sessionRoutes = require('./routes/sessions');
+const scheduleRoutes = require('./routes/schedules');
+const webhookRoutes = require('./routes/webhooks');
+const fleetRoutes = require('./routes/fleet');
+const compareRoutes = require('./routes/compare');
+const maintenanceRoutes = require('./routes/maintenance');
 
 // 환경 변수 설정
 const PORT = process.env.PORT || 3000;
 const MONITORING_DURATION = parseInt(process.env.MONITORING_DURATION) || 300; // 5분 (초)
 const MONITORING_INTERVAL = parseInt(process.env.MONITORING_INTERVAL) || 1; // 1초
+const TOP_PROCESSES = parseInt(process.env.TOP_PROCESSES) || 5; // 상위 프로세스 수
+const REPORT_PERIOD = process.env.REPORT_PERIOD || 'hourly'; // 연속 모드 구간 리포트 주기
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`; // 리포트 링크용 서버 주소
+const MAX_CONCURRENT_SESSIONS = parseInt(process.env.MAX_CONCURRENT_SESSIONS) || 4; // 동시 실행 세션 수 제한
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || path.join(__dirname, '../schedules/schedules.json'); // 예약 저장 파일
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || path.join(__dirname, '../webhooks.json'); // 서버 웹훅 설정 파일
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5; // 웹훅 최대 시도 횟수
+const FLEET_TOKEN = process.env.FLEET_TOKEN || ''; // 원격 에이전트 인증 토큰 (비어 있으면 인증 안 함)
+const FLEET_HISTORY = parseInt(process.env.FLEET_HISTORY) || 3600; // 호스트별 보관 측정값 수
+const FLEET_OFFLINE_AFTER = parseInt(process.env.FLEET_OFFLINE_AFTER) || 30; // 오프라인 판단 시간 (초)
+const METRICS_INTERVAL = parseInt(process.env.METRICS_INTERVAL) || 5; // /api/metrics 백그라운드 측정 간격 (초)
+const METRICS_IDLE_TIMEOUT = parseInt(process.env.METRICS_IDLE_TIMEOUT) || 300; // 수집 요청이 없으면 샘플러 중지 (초)
+const METRICS_COLLECTORS = process.env.METRICS_COLLECTORS; // 지표용 수집기 (쉼표 구분, 미지정 시 기본값)
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '100mb'; // 세션 가져오기 파일 크기 제한
+const PDF_FONT_REGULAR = process.env.PDF_FONT_REGULAR; // PDF 본문 글꼴 파일 (TTF/OTF, 미지정 시 내장 Pretendard)
+const PDF_FONT_BOLD = process.env.PDF_FONT_BOLD; // PDF 제목/강조 글꼴 파일
+const PDF_FONT_MONO = process.env.PDF_FONT_MONO; // PDF 표 본문 고정폭 글꼴 파일 (미지정 시 내장 D2Coding)
+const REPORT_TEMPLATES_DIR = process.env.REPORT_TEMPLATES_DIR || path.join(__dirname, '../templates'); // 사용자 리포트 템플릿 디렉터리
+const REPORT_TEMPLATE = process.env.REPORT_TEMPLATE || 'default'; // 세션에 템플릿을 지정하지 않았을 때 사용할 템플릿
+const RETENTION_INTERVAL = process.env.RETENTION_INTERVAL !== undefined ? parseInt(process.env.RETENTION_INTERVAL) || 0 : 60; // 자동 정리 주기 (분, 0이면 사용 안 함)
+const RETENTION_PINS_FILE = process.env.RETENTION_PINS_FILE || path.join(__dirname, '../data/retention/pins.json'); // 고정한 세션 목록 파일
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT) || 60; // 종료 시 세션 저장과 PDF 생성을 기다리는 최대 시간 (초)
 
 // Express 앱 및 HTTP 서버 생성
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
-// 미들웨어 설정
-app.use(express.json());
+// 미들웨어 설정 (에이전트가 재연결 후 밀린 측정값을 묶어 보내므로 본문 제한을 넉넉히)
+// 세션 가져오기는 긴 세션 파일을 받으므로 전역 JSON 파서보다 먼저 별도 제한으로 파싱
+app.use('/api/sessions/import',
+  express.json({ limit: IMPORT_MAX_SIZE }),
+  express.text({ type: ['text/csv', 'application/csv'], limit: IMPORT_MAX_SIZE }));
+app.use(express.json({ limit: '10mb' }));
 app.use(express.static(path.join(__dirname, '../public')));
 
 // API 라우트
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/fleet', fleetRoutes);
+app.use('/api/compare', compareRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
 app.use('/api', apiRoutes);
 
+// 요청 본문 파싱 오류 (잘못된 JSON, 크기 초과)는 JSON으로 응답
+app.use((err, req, res, next) => {
+  if (!err.type || !err.status) {
+    return next(err);
+  }
+  res.status(err.status).json({
+    error: err.type === 'entity.too.large' ? '요청 본문이 너무 큽니다.' : `요청 본문을 해석할 수 없습니다: ${err.message}`,
+  });
+});
+
 // 데이터 저장 디렉터리 확인
 const dataDir = path.join(__dirname, '../data');
 const reportsDir = path.join(__dirname, '../reports');
+const journalDir = path.join(dataDir, 'journal'); // 실행 중인 세션의 측정값 저널
 fs.ensureDirSync(dataDir);
 fs.ensureDirSync(reportsDir);
+fs.ensureDirSync(journalDir);
+app.locals.dataDir = dataDir;
+app.locals.reportsDir = reportsDir;
+
+// PDF 글꼴 (환경 변수로 지정한 파일이 없으면 내장 글꼴)
+configureFonts({ regular: PDF_FONT_REGULAR, bold: PDF_FONT_BOLD, mono: PDF_FONT_MONO });
+
+// 외부 수집기 플러그인 로드 (프로젝트 루트의 collectors/ 디렉터리)
+collectorRegistry.loadDirectory(path.join(__dirname, '../collectors'));
+
+// 사용자 리포트 템플릿 로드 (기본값: 프로젝트 루트의 templates/ 디렉터리)
+reportTemplates.loadDirectory(REPORT_TEMPLATES_DIR);
+try {
+  reportTemplates.setDefault(REPORT_TEMPLATE);
+} catch (error) {
+  console.error(`[템플릿] ${error.message} (REPORT_TEMPLATE, 내장 기본 템플릿 사용)`);
+}
+
+// 세션 관리자 (여러 세션 동시 실행)
+const sessionManager = new SessionManager({
+  maxSessions: MAX_CONCURRENT_SESSIONS,
+  defaults: {
+    duration: MONITORING_DURATION,
+    interval: MONITORING_INTERVAL,
+    topProcesses: TOP_PROCESSES,
+    reportPeriod: REPORT_PERIOD,
+    publicUrl: PUBLIC_URL,
+  },
+  dataDir,
+  reportsDir,
+  journalDir,
+});
+app.locals.sessionManager = sessionManager;
+
+// 비정상 종료로 남은 저널을 세션 데이터로 복구하고 PDF 생성 대기 목록으로 관리
+const sessionRecovery = new SessionRecovery({
+  journalDir,
+  dataDir,
+  reportsDir,
+  publicUrl: PUBLIC_URL,
+});
+app.locals.sessionRecovery = sessionRecovery;
+
+// 보존 정책 (디렉터리별 최대 보관 기간/개수/크기, 오래된 세션 JSON 압축, 지정하지 않으면 제한 없음)
+let retentionPolicies = { data: {}, reports: {} };
+try {
+  retentionPolicies = RetentionManager.validatePolicies({
+    data: {
+      maxAgeDays: process.env.DATA_MAX_AGE_DAYS,
+      maxCount: process.env.DATA_MAX_COUNT,
+      maxSize: process.env.DATA_MAX_SIZE,
+      compressAfterDays: process.env.DATA_COMPRESS_AFTER_DAYS,
+    },
+    reports: {
+      maxAgeDays: process.env.REPORTS_MAX_AGE_DAYS,
+      maxCount: process.env.REPORTS_MAX_COUNT,
+      maxSize: process.env.REPORTS_MAX_SIZE,
+    },
+  });
+} catch (error) {
+  console.error(`[보존] 정책 설정 오류: ${error.message} (보존 정책 사용 안 함)`);
+}
+const retentionManager = new RetentionManager({
+  dataDir,
+  reportsDir,
+  journalDir,
+  pinsFile: RETENTION_PINS_FILE,
+  policies: retentionPolicies,
+  interval: RETENTION_INTERVAL,
+  isActive: sessionId => Boolean(sessionManager.get(sessionId)),
+});
+app.locals.retentionManager = retentionManager;
+
+// 저장된 세션 카탈로그 (요약은 파일이 바뀐 세션만 다시 계산)
+app.locals.sessionCatalog = new SessionCatalog({
+  dataDir,
+  reportsDir,
+  isPinned: sessionId => retentionManager.isPinned(sessionId),
+});
 
-// 모니터링 서비스 인스턴스
-let monitorService = null;
-let monitoringActive = false;
+// 예약 스케줄러 (예약 시각에 세션 관리자로 세션 시작)
+const scheduler = new Scheduler({
+  filePath: SCHEDULES_FILE,
+  run: async (config, schedule) => {
+    const session = await sessionManager.create(config, `schedule:${schedule.id}`);
+    return session.service.sessionId;
+  },
+});
+app.locals.scheduler = scheduler;
+
+// 서버 웹훅 (설정 파일이 있으면 모든 세션에 적용)
+let serverWebhooks = [];
+if (fs.existsSync(WEBHOOKS_FILE)) {
+  try {
+    serverWebhooks = WebhookDispatcher.validate(fs.readJsonSync(WEBHOOKS_FILE));
+  } catch (error) {
+    console.error(`[웹훅] 설정 파일 오류 (${WEBHOOKS_FILE}): ${error.message}`);
+  }
+}
+const webhookDispatcher = new WebhookDispatcher({
+  webhooks: serverWebhooks,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+});
+app.locals.webhookDispatcher = webhookDispatcher;
+
+// 원격 에이전트 (다른 PC에서 `npm run agent`로 실행한 MonitorService가 측정값 전송)
+const fleetRegistry = new FleetRegistry({
+  historyLimit: FLEET_HISTORY,
+  offlineAfter: FLEET_OFFLINE_AFTER * 1000,
+});
+app.locals.fleetRegistry = fleetRegistry;
+app.locals.fleetToken = FLEET_TOKEN;
+
+// Prometheus 지표 (세션과 별도로 첫 수집 요청 때 백그라운드 샘플러 시작)
+const metricsExporter = new MetricsExporter({
+  interval: METRICS_INTERVAL,
+  idleTimeout: METRICS_IDLE_TIMEOUT,
+  collectors: METRICS_COLLECTORS ? METRICS_COLLECTORS.split(',').map(id => id.trim()) : undefined,
+  topProcesses: TOP_PROCESSES,
+  sessionManager,
+  fleetRegistry,
+});
+app.locals.metricsExporter = metricsExporter;
+
+// 세션별 Socket.io 룸 이름
+const sessionRoom = sessionId => `session:${sessionId}`;
+
+// 세션 이벤트는 해당 세션 룸에 참여한 클라이언트에게만 전송
+sessionManager.on('data', (sessionId, data) => {
+  io.to(sessionRoom(sessionId)).emit('monitoring-data', { ...data, sessionId });
+});
+
+// 연속 모드 구간 리포트 생성 알림
+sessionManager.on('segment', (sessionId, segment) => {
+  io.to(sessionRoom(sessionId)).emit('segment-ready', {
+    ...segment,
+    parentSessionId: sessionId,
+    downloadUrl: `/api/download-pdf/${segment.sessionId}`,
+  });
+});
+
+// 알림 발생/해제
+sessionManager.on('alert-fired', (sessionId, incident) => {
+  io.to(sessionRoom(sessionId)).emit('alert-fired', { ...incident, sessionId });
+});
+
+sessionManager.on('alert-resolved', (sessionId, incident) => {
+  io.to(sessionRoom(sessionId)).emit('alert-resolved', { ...incident, sessionId });
+});
+
+sessionManager.on('complete', (sessionId) => {
+  console.log(`[모니터링] ${sessionId} 완료됨`);
+  io.to(sessionRoom(sessionId)).emit('monitoring-complete', {
+    message: 'PDF 리포트를 생성하는 중입니다...',
+    sessionId,
+  });
+  io.emit('sessions-updated', sessionManager.list());
+});
+
+sessionManager.on('pdf-ready', (sessionId, reportId, pdfFileName) => {
+  io.to(sessionRoom(sessionId)).emit('pdf-ready', {
+    message: 'PDF 리포트가 생성되었습니다.',
+    sessionId,
+    // 연속 모드는 마지막 구간 리포트
+    downloadUrl: `/api/download-pdf/${reportId}`,
+    htmlUrl: `/api/reports/${reportId}/html`,
+    pdfFileName,
+  });
+});
+
+sessionManager.on('error', (sessionId, error) => {
+  io.to(sessionRoom(sessionId)).emit('error', { message: error.message, sessionId });
+});
+
+// 세션 목록 변경은 모든 클라이언트에 알림 (대시보드의 활성 세션 목록)
+sessionManager.on('started', () => io.emit('sessions-updated', sessionManager.list()));
+sessionManager.on('removed', () => io.emit('sessions-updated', sessionManager.list()));
+scheduler.on('updated', schedules => io.emit('schedules-updated', schedules));
+
+// 정리로 삭제된 세션은 복구 목록에서도 제거하고 대시보드의 사용량 갱신
+retentionManager.on('cleaned', async (result) => {
+  for (const { directory, sessionId } of result.deleted) {
+    if (directory === 'data') {
+      await sessionRecovery.dismiss(sessionId).catch(() => {});
+    }
+  }
+  io.emit('storage-updated', result.usage);
+});
+
+// 웹훅 전송 (서버 웹훅 + 세션 웹훅)
+const sendWebhook = (event, sessionId, data) => {
+  const session = sessionManager.get(sessionId);
+  webhookDispatcher.dispatch(event, { sessionId, ...data }, session ? session.webhooks : []);
+};
+
+sessionManager.on('started', (session) => {
+  sendWebhook('session-started', session.sessionId, { session });
+});
+
+sessionManager.on('segment', (sessionId, segment) => {
+  sendWebhook('segment-ready', sessionId, {
+    segment,
+    downloadUrl: `${PUBLIC_URL}/api/download-pdf/${segment.sessionId}`,
+  });
+});
+
+sessionManager.on('alert-fired', (sessionId, incident) => {
+  sendWebhook('alert-fired', sessionId, { alert: incident });
+});
+
+sessionManager.on('alert-resolved', (sessionId, incident) => {
+  sendWebhook('alert-resolved', sessionId, { alert: incident });
+});
+
+sessionManager.on('pdf-ready', async (sessionId, reportId) => {
+  const session = sessionManager.get(sessionId);
+  // 저널로 기록한 고정 모드 세션의 측정값은 저장된 세션 JSON에 있음
+  let sessionData = null;
+  try {
+    sessionData = session ? await session.service.getSessionData() : null;
+  } catch (error) {
+    console.error(`[웹훅] ${sessionId} 세션 데이터 읽기 오류:`, error.message);
+  }
+  sendWebhook('session-completed', sessionId, {
+    session: sessionData ? summarizeSession(sessionData) : null,
+    downloadUrl: `${PUBLIC_URL}/api/download-pdf/${reportId}`,
+    htmlUrl: `${PUBLIC_URL}/api/reports/${reportId}/html`,
+  });
+});
+
+sessionManager.on('error', (sessionId, error) => {
+  sendWebhook('session-error', sessionId, { error: error.message });
+});
+
+// 플릿 호스트별 Socket.io 룸 이름 (호스트 상세 화면)
+const fleetRoom = agentId => `fleet:${agentId}`;
+
+fleetRegistry.on('measurements', (agentId, measurements) => {
+  io.to(fleetRoom(agentId)).emit('fleet-data', { agentId, measurements });
+});
+
+// 플릿 개요는 에이전트가 많아도 초당 한 번만 전송
+let fleetUpdateTimer = null;
+fleetRegistry.on('updated', () => {
+  if (fleetUpdateTimer) return;
+  fleetUpdateTimer = setTimeout(() => {
+    fleetUpdateTimer = null;
+    io.emit('fleet-updated', fleetRegistry.list());
+  }, 1000);
+});
 
 // Socket.io 연결 처리
 io.on('connection', (socket) => {
   console.log(`[Socket.io] 클라이언트 연결됨: ${socket.id}`);
+  socket.emit('sessions-updated', sessionManager.list());
+  socket.emit('schedules-updated', scheduler.list());
+
+  // 세션 룸 참여 후 세션 정보 전송
+  const joinSession = (session) => {
+    const { service } = session;
+    socket.join(sessionRoom(service.sessionId));
+    socket.emit('session-started', {
+      sessionId: service.sessionId,
+      mode: service.sessionData.mode,
+      reportPeriod: service.sessionData.config.reportPeriod,
+      collectors: service.sessionData.collectors,
+      alertRules: service.alerts.rules,
+      activeAlerts: service.alerts.getActive(),
+      status: session.status,
+    });
+    socket.emit('system-info', service.sessionData.systemInfo);
+  };
 
   // 클라이언트가 모니터링 시작 요청
   socket.on('start-monitoring', async (config = {}) => {
-    if (monitoringActive) {
-      socket.emit('error', { message: '이미 모니터링이 실행 중입니다.' });
-      return;
+    try {
+      const session = await sessionManager.create(config, socket.id);
+      joinSession(session);
+    } catch (error) {
+      // 세션 수 초과, 알 수 없는 수집기 등 설정 오류
+      socket.emit('error', { message: error.message });
     }
+  });
 
-    const duration = config.duration || MONITORING_DURATION;
-    const interval = config.interval || MONITORING_INTERVAL;
-
-    console.log(`[모니터링] 시작 - 기간: ${duration}초, 간격: ${interval}초`);
-
-    monitoringActive = true;
-    monitorService = new MonitorService({
-      duration,
-      interval,
-      dataDir,
-      reportsDir,
-    });
-
-    // 시스템 정보 가져오기
-    const systemInfo = await monitorService.getSystemInfo();
-    socket.emit('system-info', systemInfo);
+  // 실행 중인 다른 세션 보기
+  socket.on('join-session', ({ sessionId } = {}) => {
+    const session = sessionManager.get(sessionId);
+    if (!session) {
+      socket.emit('error', { message: `세션을 찾을 수 없습니다: ${sessionId}` });
+      return;
+    }
+    joinSession(session);
+  });
 
-    // 모니터링 시작
-    monitorService.start((data) => {
-      // 실시간 데이터 전송
-      io.emit('monitoring-data', data);
-    });
+  socket.on('leave-session', ({ sessionId } = {}) => {
+    socket.leave(sessionRoom(sessionId));
+  });
 
-    // 모니터링 완료 콜백
-    monitorService.on('complete', async (sessionData) => {
-      console.log('[모니터링] 완료됨');
-      monitoringActive = false;
-
-      // PDF 생성 시작
-      io.emit('monitoring-complete', {
-        message: 'PDF 리포트를 생성하는 중입니다...',
-        sessionId: sessionData.sessionId,
-      });
-
-      try {
-        const pdfPath = await monitorService.generatePDF();
-        console.log(`[PDF] 생성 완료: ${pdfPath}`);
-
-        io.emit('pdf-ready', {
-          message: 'PDF 리포트가 생성되었습니다.',
-          downloadUrl: `/api/download-pdf/${sessionData.sessionId}`,
-          pdfFileName: path.basename(pdfPath),
-        });
-      } catch (error) {
-        console.error('[PDF] 생성 오류:', error);
-        io.emit('error', { message: 'PDF 생성 중 오류가 발생했습니다.' });
-      }
-    });
+  // 플릿 호스트 상세 보기 (해당 호스트의 측정값 수신)
+  socket.on('join-fleet-host', ({ agentId } = {}) => {
+    socket.join(fleetRoom(agentId));
+  });
 
-    // 오류 처리
-    monitorService.on('error', (error) => {
-      console.error('[모니터링] 오류:', error);
-      io.emit('error', { message: error.message });
-      monitoringActive = false;
-    });
+  socket.on('leave-fleet-host', ({ agentId } = {}) => {
+    socket.leave(fleetRoom(agentId));
   });
 
   // 모니터링 중지 요청
-  socket.on('stop-monitoring', () => {
-    if (monitorService) {
-      monitorService.stop();
-      monitoringActive = false;
-      console.log('[모니터링] 사용자 요청으로 중지됨');
+  socket.on('stop-monitoring', ({ sessionId } = {}) => {
+    if (!sessionManager.stop(sessionId)) {
+      socket.emit('error', { message: `실행 중인 세션이 아닙니다: ${sessionId}`, sessionId });
     }
   });
 
@@ -124,27 +416,76 @@ io.on('connection', (socket) => {
 });
 
 // 서버 시작
-server.listen(PORT, () => {
-  console.log('='.repeat(60));
-  console.log('  Windows 시스템 리소스 모니터링 서버 시작됨');
-  console.log('='.repeat(60));
-  console.log(`  URL: http://localhost:${PORT}`);
-  console.log(`  모니터링 기간: ${MONITORING_DURATION}초 (${MONITORING_DURATION / 60}분)`);
-  console.log(`  측정 간격: ${MONITORING_INTERVAL}초`);
-  console.log('='.repeat(60));
-  console.log('  브라우저에서 위 URL로 접속하세요.');
-  console.log('  종료하려면 Ctrl+C를 누르세요.');
-  console.log('='.repeat(60));
-});
+// 남은 저널을 모두 복구한 뒤 예약을 불러오고 연결을 받음 (복구 전에 새 세션의 저널이 섞이지 않도록)
+const startServer = async () => {
+  try {
+    await sessionRecovery.recover();
+  } catch (error) {
+    console.error('[복구] 중단된 세션 복구 오류:', error);
+  }
+
+  // 고정 목록을 불러오고 자동 정리 시작
+  retentionManager.start().catch((error) => {
+    console.error('[보존] 시작 오류:', error);
+  });
+
+  // 저장된 예약 불러오기
+  scheduler.load().catch((error) => {
+    console.error('[스케줄러] 예약 로드 오류:', error);
+  });
+
+  server.listen(PORT, () => {
+    console.log('='.repeat(60));
+    console.log('  Windows 시스템 리소스 모니터링 서버 시작됨');
+    console.log('='.repeat(60));
+    console.log(`  URL: http://localhost:${PORT}`);
+    console.log(`  모니터링 기간: ${MONITORING_DURATION}초 (${MONITORING_DURATION / 60}분)`);
+    console.log(`  측정 간격: ${MONITORING_INTERVAL}초`);
+    console.log(`  동시 세션 수 제한: ${MAX_CONCURRENT_SESSIONS}개`);
+    console.log(`  플릿 대시보드: http://localhost:${PORT}/fleet.html${FLEET_TOKEN ? ' (에이전트 토큰 사용)' : ''}`);
+    console.log(`  Prometheus 지표: http://localhost:${PORT}/api/metrics`);
+    console.log(`  보존 정책: ${retentionManager.hasPolicy() ? `${RETENTION_INTERVAL > 0 ? `${RETENTION_INTERVAL}분마다` : '수동'} 정리` : '사용 안 함'}`);
+    console.log('='.repeat(60));
+    console.log('  브라우저에서 위 URL로 접속하세요.');
+    console.log('  종료하려면 Ctrl+C를 누르세요.');
+    console.log('='.repeat(60));
+  });
+};
+
+startServer();
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n서버를 종료합니다...');
-  if (monitorService) {
-    monitorService.stop();
+// 실행 중인 세션을 중지하고 데이터 저장과 PDF 생성을 마친 뒤 종료 (SHUTDOWN_TIMEOUT초가 지나면 기다리지 않음)
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    console.log('종료 처리를 기다리지 않고 바로 종료합니다.');
+    process.exit(1);
+  }
+  shuttingDown = true;
+
+  console.log(`\n서버를 종료합니다... (${signal})`);
+  scheduler.stop();
+  fleetRegistry.stop();
+  retentionManager.stop();
+  await metricsExporter.stop().catch((error) => {
+    console.error('[지표] 백그라운드 샘플러 중지 오류:', error.message);
+  });
+
+  const running = sessionManager.list().length;
+  if (running > 0) {
+    console.log(`[세션] ${running}개 세션의 저장과 리포트 생성을 기다리는 중... (최대 ${SHUTDOWN_TIMEOUT}초)`);
+  }
+  if (!(await sessionManager.stopAll(SHUTDOWN_TIMEOUT * 1000))) {
+    console.warn(`[세션] ${SHUTDOWN_TIMEOUT}초 안에 끝나지 않은 세션이 있습니다. 남은 저널은 다음 시작 시 복구됩니다.`);
   }
-  server.close(() => {
+
+  // 웹소켓 연결을 닫고 HTTP 서버 종료
+  io.close(() => {
     console.log('서버가 종료되었습니다.');
     process.exit(0);
   });
-});
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -7,6 +7,38 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
+const collectorRegistry = require('../collectors');
+const reportTemplates = require('../templates');
+const SessionExporter = require('../services/sessionExporter');
+const HTMLReportGenerator = require('../services/htmlReportGenerator');
+const { pipeline } = require('stream');
+const {
+  readSessionData,
+  sessionDataExists,
+  createSessionDataStream,
+  streamSessionData,
+} = require('../services/sessionStore');
+
+// Accept 헤더의 MIME 타입 → 세션 데이터 형식 (앞쪽이 우선, 브라우저 기본 */*는 JSON)
+const DATA_FORMATS = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  [SessionExporter.FORMATS.xlsx.contentType]: 'xlsx',
+  'text/plain': 'influx',
+};
+
+/**
+ * 세션 데이터 형식 결정 (?format= 우선, 없으면 Accept 헤더)
+ * @returns {string|null} json, csv, xlsx, influx (지원하지 않으면 null)
+ */
+function resolveDataFormat(req) {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+    return format === 'json' || SessionExporter.FORMATS[format] ? format : null;
+  }
+  const type = req.accepts(Object.keys(DATA_FORMATS));
+  return type ? DATA_FORMATS[type] : null;
+}
 
 // PDF 다운로드
 router.get('/download-pdf/:sessionId', (req, res) => {
@@ -35,25 +67,30 @@ router.get('/download-pdf/:sessionId', (req, res) => {
 // 저장된 리포트 목록 조회
 router.get('/reports', (req, res) => {
   const reportsDir = path.join(__dirname, '../../reports');
+  const { dataDir, retentionManager } = req.app.locals;
 
-  fs.readdir(reportsDir, (err, files) => {
+  fs.readdir(reportsDir, async (err, files) => {
     if (err) {
       return res.status(500).json({ error: '리포트 목록을 가져오는 중 오류가 발생했습니다.' });
     }
 
-    const pdfFiles = files
+    const pdfFiles = await Promise.all(files
       .filter(file => file.endsWith('.pdf'))
-      .map(file => {
+      .map(async file => {
         const stats = fs.statSync(path.join(reportsDir, file));
+        const sessionId = file.replace('.pdf', '');
         return {
           filename: file,
-          sessionId: file.replace('.pdf', ''),
+          sessionId,
           size: stats.size,
           createdAt: stats.birthtime,
-          downloadUrl: `/api/download-pdf/${file.replace('.pdf', '')}`,
+          downloadUrl: `/api/download-pdf/${sessionId}`,
+          // 측정값 JSON(압축 포함)이 있으면 CSV/XLSX/InfluxDB로 내보낼 수 있음
+          hasData: await sessionDataExists(dataDir, sessionId),
+          pinned: retentionManager.isPinned(sessionId),
         };
-      })
-      .sort((a, b) => b.createdAt - a.createdAt); // 최신순 정렬
+      }));
+    pdfFiles.sort((a, b) => b.createdAt - a.createdAt); // 최신순 정렬
 
     res.json({
       count: pdfFiles.length,
@@ -62,32 +99,145 @@ router.get('/reports', (req, res) => {
   });
 });
 
-// 세션 데이터 조회 (JSON)
-router.get('/session-data/:sessionId', (req, res) => {
+// HTML 리포트 (저장된 세션 데이터로 생성, ?template=으로 다른 템플릿, ?download=1이면 파일로 다운로드)
+router.get('/reports/:sessionId/html', async (req, res) => {
+  const { sessionManager, dataDir } = req.app.locals;
+  const { sessionId } = req.params;
+  const { template } = req.query;
+
+  if (template !== undefined && !reportTemplates.has(template)) {
+    return res.status(400).json({ error: `알 수 없는 리포트 템플릿입니다: ${template}` });
+  }
+  if (sessionManager && sessionManager.get(sessionId)) {
+    return res.status(409).json({ error: '실행 중인 세션은 종료된 뒤에 리포트를 만들 수 있습니다.' });
+  }
+
+  try {
+    const sessionData = await readSessionData(dataDir, sessionId);
+    if (!sessionData) {
+      return res.status(404).json({ error: '세션 데이터를 찾을 수 없습니다.' });
+    }
+    const html = await new HTMLReportGenerator(sessionData, { template }).render();
+
+    if (req.query.download === '1') {
+      res.attachment(`system-monitor-report-${sessionId}.html`);
+    }
+    res.type('html').send(html);
+  } catch (err) {
+    console.error(`[HTML 리포트] 생성 오류 (${sessionId}):`, err);
+    res.status(500).json({ error: `리포트 생성 중 오류가 발생했습니다: ${err.message}` });
+  }
+});
+
+// 세션 데이터 조회 (JSON) 및 내보내기 (CSV, XLSX, InfluxDB 라인 프로토콜)
+router.get('/session-data/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
   const dataDir = path.join(__dirname, '../../data');
-  const dataPath = path.join(dataDir, `${sessionId}.json`);
 
-  if (!fs.existsSync(dataPath)) {
+  res.vary('Accept');
+  const format = resolveDataFormat(req);
+  if (!format) {
+    return res.status(req.query.format ? 400 : 406).json({
+      error: '지원하지 않는 형식입니다. (json, csv, xlsx, influx)',
+    });
+  }
+
+  // 실행 중인 세션은 지금까지의 측정값(연속 모드는 현재 구간), 끝난 세션은 저장된 JSON
+  // 측정값은 하나씩 읽어 바로 응답에 기록 (큰 세션도 측정값 전체를 메모리에 올리지 않음)
+  const { sessionManager } = req.app.locals;
+  const session = sessionManager ? sessionManager.get(sessionId) : null;
+
+  // 저장된 세션의 JSON은 파일 그대로 전송 (압축된 세션은 압축을 풀면서)
+  if (format === 'json' && !session) {
+    const input = await createSessionDataStream(dataDir, sessionId);
+    if (!input) {
+      return res.status(404).json({
+        error: '세션 데이터를 찾을 수 없습니다.',
+      });
+    }
+    res.type('json');
+    return pipeline(input, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`[내보내기] 오류 (${sessionId}, json):`, err.message);
+      }
+    });
+  }
+
+  const forEachMeasurement = session
+    ? visit => session.service.streamSessionData(visit)
+    : visit => streamSessionData(dataDir, sessionId, visit);
+
+  // 측정값을 뺀 세션 정보 (파일 끝까지 읽어야 하므로 측정값은 버리며 한 번 훑음)
+  let sessionData;
+  try {
+    sessionData = await forEachMeasurement(() => {});
+  } catch (err) {
+    return res.status(500).json({
+      error: err instanceof SyntaxError ? 'JSON 파싱 오류가 발생했습니다.' : '세션 데이터를 읽는 중 오류가 발생했습니다.',
+    });
+  }
+  if (!sessionData) {
     return res.status(404).json({
       error: '세션 데이터를 찾을 수 없습니다.',
     });
   }
 
-  fs.readFile(dataPath, 'utf8', (err, data) => {
-    if (err) {
-      return res.status(500).json({ error: '세션 데이터를 읽는 중 오류가 발생했습니다.' });
-    }
+  if (format === 'json') {
+    res.type('json');
+  } else {
+    const { contentType, extension } = SessionExporter.FORMATS[format];
+    res.attachment(`system-monitor-data-${sessionId}.${extension}`);
+    res.set('Content-Type', contentType);
+  }
 
-    try {
-      const jsonData = JSON.parse(data);
-      res.json(jsonData);
-    } catch (parseErr) {
-      res.status(500).json({ error: 'JSON 파싱 오류가 발생했습니다.' });
+  try {
+    await new SessionExporter(sessionData, forEachMeasurement).write(format, res);
+  } catch (err) {
+    console.error(`[내보내기] 오류 (${sessionId}, ${format}):`, err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: '세션 데이터를 내보내는 중 오류가 발생했습니다.' });
+    } else {
+      res.destroy();
     }
+  }
+});
+
+// 사용 가능한 수집기 목록
+router.get('/collectors', (req, res) => {
+  const defaults = collectorRegistry.defaultIds();
+
+  res.json({
+    count: collectorRegistry.list().length,
+    collectors: collectorRegistry.describeAll().map(collector => ({
+      ...collector,
+      enabledByDefault: defaults.includes(collector.id),
+    })),
   });
 });
 
+// 사용 가능한 리포트 템플릿 목록
+router.get('/report-templates', (req, res) => {
+  res.json({
+    count: reportTemplates.list().length,
+    defaultTemplate: reportTemplates.defaultId,
+    templates: reportTemplates.describeAll(),
+  });
+});
+
+// Prometheus 지표 (백그라운드 샘플러의 최신 측정값)
+router.get('/metrics', async (req, res) => {
+  const { metricsExporter } = req.app.locals;
+
+  try {
+    const body = await metricsExporter.collect();
+    res.set('Content-Type', metricsExporter.constructor.CONTENT_TYPE);
+    res.send(body);
+  } catch (error) {
+    console.error('[지표] 오류:', error);
+    res.status(500).json({ error: '지표를 수집하는 중 오류가 발생했습니다.' });
+  }
+});
+
 // 헬스 체크
 router.get('/health', (req, res) => {
   res.json({
@@ -0,0 +1,96 @@
+/**
+ * 세션 비교 API 라우트
+ * 저장된 세션을 지표별로 비교하고 비교 PDF 리포트 생성
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { compareSessions, validateSessionIds } = require('../services/sessionComparison');
+const { SESSION_ID_PATTERN } = require('../services/sessionImporter');
+const ComparisonReportGenerator = require('../services/comparisonReportGenerator');
+const { readSessionData } = require('../services/sessionStore');
+
+/**
+ * 저장된 세션 데이터 목록 (순서 유지, 첫 번째가 기준 세션)
+ * 잘못된 요청은 statusCode가 있는 오류
+ */
+async function loadSessions(dataDir, sessionIds) {
+  const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+  try {
+    validateSessionIds(sessionIds);
+  } catch (error) {
+    throw fail(400, error.message);
+  }
+
+  return Promise.all(sessionIds.map(async sessionId => {
+    if (!SESSION_ID_PATTERN.test(sessionId)) {
+      throw fail(400, `세션 ID가 올바르지 않습니다: ${sessionId}`);
+    }
+
+    const sessionData = await readSessionData(dataDir, sessionId);
+    if (!sessionData) {
+      throw fail(404, `세션 데이터를 찾을 수 없습니다: ${sessionId}`);
+    }
+    if (!Array.isArray(sessionData.measurements) || sessionData.measurements.length === 0) {
+      throw fail(400, `측정값이 없는 세션입니다: ${sessionId} (연속 모드는 구간 세션을 지정하세요)`);
+    }
+    return sessionData;
+  }));
+}
+
+const sendError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error('[비교] 오류:', error);
+  res.status(500).json({ error: '세션을 비교하는 중 오류가 발생했습니다.' });
+};
+
+// 세션 비교 (?sessions=기준,비교1,비교2)
+router.get('/', async (req, res) => {
+  const sessionIds = String(req.query.sessions || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  try {
+    const sessions = await loadSessions(req.app.locals.dataDir, sessionIds);
+    res.json(compareSessions(sessions));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// 비교 PDF 리포트 ({ sessions: [기준, 비교1, ...] })
+router.post('/report', async (req, res) => {
+  const { dataDir, reportsDir } = req.app.locals;
+  const { sessions: sessionIds } = req.body || {};
+
+  let sessions;
+  try {
+    sessions = await loadSessions(dataDir, sessionIds);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const generatedAt = new Date().toISOString();
+    const reportId = `compare-${generatedAt.replace(/[:.]/g, '-')}`;
+    const pdfPath = await new ComparisonReportGenerator({
+      reportId,
+      generatedAt,
+      ...compareSessions(sessions),
+    }, reportsDir).generate();
+
+    console.log(`[비교] ${sessionIds.join(', ')} 비교 리포트 생성`);
+    res.json({
+      reportId,
+      pdfFileName: path.basename(pdfPath),
+      downloadUrl: `/api/download-pdf/${reportId}`,
+    });
+  } catch (error) {
+    console.error('[비교] 리포트 생성 오류:', error);
+    res.status(500).json({ error: 'PDF 생성 중 오류가 발생했습니다.' });
+  }
+});
+
+module.exports = router;
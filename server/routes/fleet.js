@@ -0,0 +1,154 @@
+/**
+ * 플릿 API 라우트
+ * 원격 에이전트의 등록/측정값 수신, 호스트 조회, 호스트별/플릿 전체 PDF 리포트 생성
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs-extra');
+const FleetRegistry = require('../services/fleetRegistry');
+const PDFGenerator = require('../services/pdfGenerator');
+const FleetReportGenerator = require('../services/fleetReportGenerator');
+const reportTemplates = require('../templates');
+
+// 에이전트 요청 인증 (FLEET_TOKEN이 설정된 경우 Authorization: Bearer <토큰>)
+const authenticateAgent = (req, res, next) => {
+  const { fleetToken } = req.app.locals;
+  if (fleetToken && req.get('Authorization') !== `Bearer ${fleetToken}`) {
+    return res.status(401).json({ error: '에이전트 토큰이 올바르지 않습니다.' });
+  }
+  if (!FleetRegistry.isValidAgentId(req.params.agentId)) {
+    return res.status(400).json({ error: '에이전트 ID는 영문, 숫자, ., _, - 로 된 64자 이하여야 합니다.' });
+  }
+  next();
+};
+
+// 에이전트 등록 (호스트 정보)
+router.post('/agents/:agentId/register', authenticateAgent, (req, res) => {
+  try {
+    res.json(req.app.locals.fleetRegistry.register(req.params.agentId, req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 측정값 묶음 수신 (등록되지 않은 에이전트는 404 - 에이전트가 다시 등록)
+router.post('/agents/:agentId/measurements', authenticateAgent, (req, res) => {
+  try {
+    const result = req.app.locals.fleetRegistry.ingest(req.params.agentId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: '등록되지 않은 에이전트입니다.' });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 플릿 개요 (호스트별 최신 값)
+router.get('/', (req, res) => {
+  const hosts = req.app.locals.fleetRegistry.list();
+
+  res.json({
+    count: hosts.length,
+    online: hosts.filter(host => host.status === 'online').length,
+    hosts,
+  });
+});
+
+// 플릿 전체 PDF 리포트
+router.post('/report', async (req, res) => {
+  const { fleetRegistry, reportsDir } = req.app.locals;
+  const { from, to } = req.body || {};
+  const hosts = fleetRegistry.list();
+
+  if (hosts.length === 0) {
+    return res.status(404).json({ error: '등록된 에이전트가 없습니다.' });
+  }
+
+  try {
+    const generatedAt = new Date().toISOString();
+    const reportId = `fleet-${generatedAt.replace(/[:.]/g, '-')}`;
+    const generator = new FleetReportGenerator({
+      reportId,
+      generatedAt,
+      hosts: hosts.map(host => ({ host, sessionData: fleetRegistry.buildSessionData(host.agentId, { from, to }) })),
+    }, reportsDir);
+    const pdfPath = await generator.generate();
+
+    res.json({
+      reportId,
+      pdfFileName: path.basename(pdfPath),
+      downloadUrl: `/api/download-pdf/${reportId}`,
+    });
+  } catch (error) {
+    console.error('[플릿] 리포트 생성 오류:', error);
+    res.status(500).json({ error: 'PDF 생성 중 오류가 발생했습니다.' });
+  }
+});
+
+// 호스트 상세 (시스템 정보와 최근 측정값)
+router.get('/:agentId', (req, res) => {
+  const { fleetRegistry } = req.app.locals;
+  const host = fleetRegistry.get(req.params.agentId);
+
+  if (!host) {
+    return res.status(404).json({ error: '에이전트를 찾을 수 없습니다.' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 60, fleetRegistry.historyLimit);
+  res.json({
+    ...fleetRegistry.describe(host),
+    systemInfo: host.systemInfo,
+    collectorDescriptors: host.collectors,
+    measurements: host.measurements.slice(-limit),
+  });
+});
+
+// 호스트별 PDF 리포트 (보관 중인 측정값, from/to로 기간 지정, template으로 리포트 템플릿 지정)
+router.post('/:agentId/report', async (req, res) => {
+  const { fleetRegistry, dataDir, reportsDir } = req.app.locals;
+  const { from, to, template } = req.body || {};
+  if (template !== undefined && !reportTemplates.has(template)) {
+    return res.status(400).json({ error: `알 수 없는 리포트 템플릿입니다: ${template}` });
+  }
+  const sessionData = fleetRegistry.buildSessionData(req.params.agentId, { from, to });
+
+  if (!sessionData) {
+    return res.status(404).json({ error: '에이전트를 찾을 수 없습니다.' });
+  }
+  if (sessionData.measurements.length === 0) {
+    return res.status(400).json({ error: '지정한 기간에 측정값이 없습니다.' });
+  }
+
+  if (template) {
+    sessionData.config.reportTemplate = template;
+  }
+
+  try {
+    // 일반 세션과 같이 JSON 데이터도 저장 (/api/session-data로 조회 가능)
+    await fs.writeJson(path.join(dataDir, `${sessionData.sessionId}.json`), sessionData, { spaces: 2 });
+    const pdfPath = await new PDFGenerator(sessionData, reportsDir).generate();
+
+    res.json({
+      reportId: sessionData.sessionId,
+      pdfFileName: path.basename(pdfPath),
+      downloadUrl: `/api/download-pdf/${sessionData.sessionId}`,
+    });
+  } catch (error) {
+    console.error('[플릿] 리포트 생성 오류:', error);
+    res.status(500).json({ error: 'PDF 생성 중 오류가 발생했습니다.' });
+  }
+});
+
+// 호스트 제거 (폐기한 PC 등)
+router.delete('/:agentId', (req, res) => {
+  if (!req.app.locals.fleetRegistry.remove(req.params.agentId)) {
+    return res.status(404).json({ error: '에이전트를 찾을 수 없습니다.' });
+  }
+
+  res.json({ success: true, agentId: req.params.agentId });
+});
+
+module.exports = router;
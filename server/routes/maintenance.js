@@ -0,0 +1,79 @@
+/**
+ * 유지 관리 API 라우트
+ * 저장 공간 사용량, 보존 정책에 따른 정리(미리보기 포함), 세션 고정
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs-extra');
+const { sessionDataExists } = require('../services/sessionStore');
+
+// 저장 공간 사용량과 보존 정책
+router.get('/storage', async (req, res) => {
+  try {
+    res.json(await req.app.locals.retentionManager.usage());
+  } catch (error) {
+    console.error('[보존] 사용량 조회 오류:', error);
+    res.status(500).json({ error: '저장 공간 사용량을 가져오는 중 오류가 발생했습니다.' });
+  }
+});
+
+// 보존 정책에 따라 정리 (dryRun이면 삭제/압축할 파일만 반환)
+router.post('/cleanup', async (req, res) => {
+  const body = req.body || {};
+  const dryRun = body.dryRun === true || ['1', 'true'].includes(req.query.dryRun);
+
+  try {
+    res.json(await req.app.locals.retentionManager.cleanup({ dryRun }));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[보존] 정리 오류:', error);
+    res.status(500).json({ error: '정리 중 오류가 발생했습니다.' });
+  }
+});
+
+// 고정한 세션 목록
+router.get('/pins', (req, res) => {
+  const sessions = req.app.locals.retentionManager.listPins();
+  res.json({ count: sessions.length, sessions });
+});
+
+// 세션 고정 (보존 정책으로 삭제하지 않음, 연속 모드 세션은 모든 구간 포함)
+router.put('/pins/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+  const { dataDir, reportsDir, retentionManager } = req.app.locals;
+
+  const exists = await sessionDataExists(dataDir, sessionId) ||
+    await fs.pathExists(path.join(reportsDir, `${path.basename(sessionId)}.pdf`));
+  if (!exists) {
+    return res.status(404).json({ error: '저장된 세션을 찾을 수 없습니다.' });
+  }
+
+  try {
+    await retentionManager.pin(sessionId);
+    res.json({ success: true, sessionId, pinned: true });
+  } catch (error) {
+    console.error('[보존] 세션 고정 오류:', error);
+    res.status(500).json({ error: '세션을 고정하는 중 오류가 발생했습니다.' });
+  }
+});
+
+// 세션 고정 해제
+router.delete('/pins/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    if (!(await req.app.locals.retentionManager.unpin(sessionId))) {
+      return res.status(404).json({ error: '고정된 세션이 아닙니다.' });
+    }
+    res.json({ success: true, sessionId, pinned: false });
+  } catch (error) {
+    console.error('[보존] 세션 고정 해제 오류:', error);
+    res.status(500).json({ error: '세션 고정을 해제하는 중 오류가 발생했습니다.' });
+  }
+});
+
+module.exports = router;
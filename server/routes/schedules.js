@@ -0,0 +1,68 @@
+/**
+ * 예약 API 라우트
+ * 예약 모니터링 세션 조회, 추가, 수정, 삭제
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// 예약 목록 (다음 실행 시각 순)
+router.get('/', (req, res) => {
+  const { scheduler } = req.app.locals;
+  const schedules = scheduler.list();
+
+  res.json({
+    count: schedules.length,
+    schedules,
+  });
+});
+
+// 예약 조회
+router.get('/:id', (req, res) => {
+  const schedule = req.app.locals.scheduler.get(req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: '예약을 찾을 수 없습니다.' });
+  }
+
+  res.json(schedule);
+});
+
+// 예약 추가
+router.post('/', async (req, res) => {
+  try {
+    const schedule = await req.app.locals.scheduler.create(req.body);
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 예약 수정
+router.put('/:id', async (req, res) => {
+  try {
+    const schedule = await req.app.locals.scheduler.update(req.params.id, req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: '예약을 찾을 수 없습니다.' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 예약 삭제
+router.delete('/:id', async (req, res) => {
+  try {
+    const removed = await req.app.locals.scheduler.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: '예약을 찾을 수 없습니다.' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('[예약 삭제] 오류:', error);
+    res.status(500).json({ error: '예약 삭제 중 오류가 발생했습니다.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,334 @@
+/**
+ * 세션 API 라우트
+ * 저장된 세션 카탈로그(검색, 메타데이터 수정, 삭제), 실행 중인 모니터링 세션 조회 및 제어, 세션 통계,
+ * 외부 세션 데이터 가져오기, 리포트 재생성, 중단된 세션 복구 목록
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs-extra');
+const PDFGenerator = require('../services/pdfGenerator');
+const reportTemplates = require('../templates');
+const { parseSessionCsv, buildImportedSession } = require('../services/sessionImporter');
+const { sessionStatistics } = require('../services/sessionSummary');
+const { DEFAULT_BINS } = require('../services/statistics');
+const { readSessionData, sessionDataExists } = require('../services/sessionStore');
+
+const MAX_BINS = 50;
+
+/**
+ * 쉼표로 구분한 임계값 목록 (숫자가 아닌 값이 있으면 null)
+ */
+function parseThresholdList(value) {
+  const thresholds = String(value).split(',').filter(item => item.trim() !== '').map(Number);
+  return thresholds.every(Number.isFinite) ? thresholds : null;
+}
+
+/**
+ * 세션 통계 쿼리 옵션
+ * ?thresholds=80,90 - % 지표의 초과 시간 임계값, ?thresholds[cpu.usage]=70,95 - 지표별 임계값
+ * ?bins=20 - 히스토그램 구간 수
+ */
+function parseStatsOptions(query) {
+  const thresholds = {};
+  if (query.thresholds !== undefined) {
+    const entries = typeof query.thresholds === 'object'
+      ? Object.entries(query.thresholds)
+      : [['percent', query.thresholds]];
+    for (const [key, value] of entries) {
+      const list = parseThresholdList(value);
+      if (!list) {
+        throw new Error(`임계값은 쉼표로 구분한 숫자여야 합니다: ${key}=${value}`);
+      }
+      thresholds[key] = list;
+    }
+  }
+
+  const bins = query.bins === undefined ? DEFAULT_BINS : Number(query.bins);
+  if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) {
+    throw new Error(`bins는 1~${MAX_BINS} 사이의 정수여야 합니다.`);
+  }
+
+  return { thresholds, bins };
+}
+
+// 저장된 세션 카탈로그 (기간/호스트/태그/상태 필터, 메모 검색, 페이지)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await req.app.locals.sessionCatalog.list(req.query));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[카탈로그] 목록 조회 오류:', error);
+    res.status(500).json({ error: '세션 목록을 가져오는 중 오류가 발생했습니다.' });
+  }
+});
+
+// 실행 중인 세션 목록
+router.get('/active', (req, res) => {
+  const { sessionManager } = req.app.locals;
+  const sessions = sessionManager.list();
+
+  res.json({
+    count: sessions.length,
+    maxSessions: sessionManager.maxSessions,
+    sessions,
+  });
+});
+
+// 실행 중인 세션 상태
+router.get('/active/:sessionId', (req, res) => {
+  const { sessionManager } = req.app.locals;
+  const session = sessionManager.get(req.params.sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: '실행 중인 세션을 찾을 수 없습니다.' });
+  }
+
+  res.json(sessionManager.describe(session));
+});
+
+// 복구된 중단 세션 중 PDF를 아직 만들지 않은 세션
+router.get('/recovered', (req, res) => {
+  const { sessionRecovery } = req.app.locals;
+  const sessions = sessionRecovery.list();
+
+  res.json({
+    count: sessions.length,
+    sessions,
+  });
+});
+
+// 복구 목록에서 제거 (PDF를 만들지 않고 닫기, 세션 데이터는 유지)
+router.delete('/recovered/:sessionId', async (req, res) => {
+  const { sessionRecovery } = req.app.locals;
+  const { sessionId } = req.params;
+
+  if (!(await sessionRecovery.dismiss(sessionId))) {
+    return res.status(404).json({ error: '복구 목록에 없는 세션입니다.' });
+  }
+
+  res.json({ sessionId, dismissed: true });
+});
+
+// 세션 통계 (실행 중인 세션은 메모리에 집계한 지금까지의 측정값 - 연속 모드는 현재 구간, 끝난 세션은 저장된 JSON)
+router.get('/:sessionId/stats', async (req, res) => {
+  const { sessionManager, dataDir } = req.app.locals;
+  const { sessionId } = req.params;
+
+  let options;
+  try {
+    options = parseStatsOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const session = sessionManager.get(sessionId);
+  if (session) {
+    // 에이전트 모드 세션은 통계를 집계하지 않음
+    const stats = session.service.getStatistics(options) || { measurementCount: null, metrics: [] };
+    return res.json({ sessionId, running: true, ...stats });
+  }
+
+  let sessionData;
+  try {
+    sessionData = await readSessionData(dataDir, sessionId);
+  } catch (error) {
+    return res.status(500).json({ error: '세션 데이터를 읽는 중 오류가 발생했습니다.' });
+  }
+  if (!sessionData) {
+    return res.status(404).json({ error: '세션 데이터를 찾을 수 없습니다.' });
+  }
+
+  res.json({
+    sessionId,
+    running: false,
+    measurementCount: sessionData.measurements.length,
+    startTime: sessionData.startTime,
+    endTime: sessionData.endTime || null,
+    metrics: sessionStatistics(sessionData, options),
+  });
+});
+
+// 세션 중지
+router.post('/:sessionId/stop', (req, res) => {
+  const { sessionManager } = req.app.locals;
+  const { sessionId } = req.params;
+
+  if (!sessionManager.stop(sessionId)) {
+    return res.status(404).json({ error: '실행 중인 세션을 찾을 수 없습니다.' });
+  }
+
+  res.json({ sessionId, status: 'stopping' });
+});
+
+// 세션 JSON/CSV 가져오기 - 검증 후 data/에 저장하고 PDF 생성 (?template=로 리포트 템플릿 지정)
+// 본문 파싱은 큰 파일을 위해 server/index.js에서 별도 제한으로 처리
+router.post('/import', async (req, res) => {
+  const { dataDir, reportsDir } = req.app.locals;
+  const format = req.is(['text/csv', 'application/csv']) ? 'csv' : 'json';
+  const fileName = req.get('X-File-Name') ? decodeURIComponent(req.get('X-File-Name')) : null;
+  const { template } = req.query;
+
+  if (template && !reportTemplates.has(template)) {
+    return res.status(400).json({ error: `알 수 없는 리포트 템플릿입니다: ${template}` });
+  }
+
+  let sessionData;
+  try {
+    if (format === 'csv') {
+      sessionData = buildImportedSession(parseSessionCsv(req.body), { format, fileName, sessionId: req.query.sessionId });
+    } else if (req.is('application/json')) {
+      sessionData = buildImportedSession(req.body, { format, fileName, sessionId: req.query.sessionId });
+    } else {
+      return res.status(415).json({ error: 'application/json 또는 text/csv 형식으로 보내세요.' });
+    }
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+  }
+
+  // 이후 재생성에서도 같은 템플릿을 쓰도록 세션 설정에 기록
+  if (template) {
+    sessionData.config.reportTemplate = template;
+  }
+
+  const { sessionId } = sessionData;
+  const dataPath = path.join(dataDir, `${sessionId}.json`);
+  if (await sessionDataExists(dataDir, sessionId)) {
+    return res.status(409).json({
+      error: `이미 같은 ID의 세션이 있습니다: ${sessionId} (?sessionId=로 다른 ID를 지정하세요)`,
+    });
+  }
+
+  try {
+    await fs.writeJson(dataPath, sessionData, { spaces: 2 });
+    const pdfPath = await new PDFGenerator(sessionData, reportsDir).generate();
+    console.log(`[가져오기] 세션 가져옴: ${sessionId} (${format}, ${sessionData.measurements.length}개 측정값)`);
+
+    res.status(201).json({
+      sessionId,
+      measurementCount: sessionData.measurements.length,
+      startTime: sessionData.startTime,
+      endTime: sessionData.endTime,
+      collectors: sessionData.collectors.map(collector => collector.id),
+      pdfFileName: path.basename(pdfPath),
+      downloadUrl: `/api/download-pdf/${sessionId}`,
+      dataUrl: `/api/session-data/${sessionId}`,
+    });
+  } catch (error) {
+    // PDF를 만들 수 없는 데이터는 저장하지 않음
+    console.error('[가져오기] 오류:', error);
+    await fs.remove(dataPath).catch(() => {});
+    res.status(500).json({ error: `리포트 생성 중 오류가 발생했습니다: ${error.message}` });
+  }
+});
+
+// 저장된 세션의 PDF 리포트 재생성 (본문 template으로 이번 생성에만 다른 템플릿 사용)
+router.post('/:sessionId/report', async (req, res) => {
+  const { sessionManager, sessionRecovery, dataDir, reportsDir } = req.app.locals;
+  const { sessionId } = req.params;
+  const { template } = req.body || {};
+
+  if (template !== undefined && !reportTemplates.has(template)) {
+    return res.status(400).json({ error: `알 수 없는 리포트 템플릿입니다: ${template}` });
+  }
+  if (sessionManager.get(sessionId)) {
+    return res.status(409).json({ error: '실행 중인 세션은 종료된 뒤에 리포트를 만들 수 있습니다.' });
+  }
+
+  try {
+    const sessionData = await readSessionData(dataDir, sessionId);
+    if (!sessionData) {
+      return res.status(404).json({ error: '세션 데이터를 찾을 수 없습니다.' });
+    }
+    const generator = new PDFGenerator(sessionData, reportsDir, { template });
+    const pdfPath = await generator.generate();
+    console.log(`[리포트] 재생성: ${sessionId} (템플릿: ${generator.template.id})`);
+
+    // 복구된 중단 세션이면 PDF를 만들었으므로 복구 목록에서 제거
+    await sessionRecovery.dismiss(sessionId);
+
+    res.json({
+      sessionId,
+      template: generator.template.id,
+      pdfFileName: path.basename(pdfPath),
+      downloadUrl: `/api/download-pdf/${sessionId}`,
+    });
+  } catch (error) {
+    console.error('[리포트] 재생성 오류:', error);
+    res.status(500).json({ error: `리포트 생성 중 오류가 발생했습니다: ${error.message}` });
+  }
+});
+
+// 저장된 세션 정보 (메타데이터, 설정, 요약 통계, 상태)
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const session = await req.app.locals.sessionCatalog.get(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: '저장된 세션을 찾을 수 없습니다.' });
+    }
+    res.json(session);
+  } catch (error) {
+    console.error('[카탈로그] 세션 조회 오류:', error);
+    res.status(500).json({ error: '세션 정보를 가져오는 중 오류가 발생했습니다.' });
+  }
+});
+
+// 세션 이름, 태그, 메모 수정 (JSON에 저장하고 PDF가 있으면 다시 생성)
+router.patch('/:sessionId', async (req, res) => {
+  const { sessionManager, sessionCatalog } = req.app.locals;
+  const { sessionId } = req.params;
+
+  if (sessionManager.get(sessionId)) {
+    return res.status(409).json({ error: '실행 중인 세션은 종료된 뒤에 수정할 수 있습니다.' });
+  }
+
+  try {
+    const session = await sessionCatalog.update(sessionId, req.body);
+    if (!session) {
+      return res.status(404).json({ error: '세션 데이터를 찾을 수 없습니다.' });
+    }
+    res.json(session);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[카탈로그] 세션 수정 오류:', error);
+    res.status(500).json({ error: `세션 수정 중 오류가 발생했습니다: ${error.message}` });
+  }
+});
+
+// 세션 삭제 (JSON과 PDF, 연속 모드 세션은 모든 구간 포함)
+router.delete('/:sessionId', async (req, res) => {
+  const { sessionManager, sessionCatalog, sessionRecovery, retentionManager } = req.app.locals;
+  const { sessionId } = req.params;
+
+  if (sessionManager.get(sessionId)) {
+    return res.status(409).json({ error: '실행 중인 세션은 삭제할 수 없습니다. 먼저 중지하세요.' });
+  }
+
+  try {
+    const removed = await sessionCatalog.remove(sessionId);
+    if (!removed) {
+      return res.status(404).json({ error: '저장된 세션을 찾을 수 없습니다.' });
+    }
+
+    // 고정 목록과 복구 목록에서도 제거
+    await retentionManager.unpin(sessionId);
+    for (const id of removed) {
+      await sessionRecovery.dismiss(id);
+    }
+
+    res.json({ success: true, sessionId, removed });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[카탈로그] 세션 삭제 오류:', error);
+    res.status(500).json({ error: '세션 삭제 중 오류가 발생했습니다.' });
+  }
+});
+
+module.exports = router;
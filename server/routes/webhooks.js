@@ -0,0 +1,44 @@
+/**
+ * 웹훅 API 라우트
+ * 서버 웹훅 설정과 전송 기록 조회
+ */
+
+const express = require('express');
+const router = express.Router();
+const WebhookDispatcher = require('../services/webhookDispatcher');
+
+// 서버 웹훅 목록 (비밀 값 제외)
+router.get('/', (req, res) => {
+  const { webhookDispatcher } = req.app.locals;
+
+  res.json({
+    events: WebhookDispatcher.EVENTS,
+    webhooks: webhookDispatcher.webhooks.map(WebhookDispatcher.describe),
+  });
+});
+
+// 전송 기록 (최신순, sessionId/webhookId/event/status로 필터)
+router.get('/deliveries', (req, res) => {
+  const { webhookDispatcher } = req.app.locals;
+  const { sessionId, webhookId, event, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, webhookDispatcher.logLimit);
+
+  const deliveries = webhookDispatcher.getDeliveries({ sessionId, webhookId, event, status, limit });
+  res.json({
+    count: deliveries.length,
+    deliveries,
+  });
+});
+
+// 전송 기록 상세 (시도별 응답 코드, 오류, 소요 시간)
+router.get('/deliveries/:id', (req, res) => {
+  const delivery = req.app.locals.webhookDispatcher.getDelivery(req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({ error: '전송 기록을 찾을 수 없습니다.' });
+  }
+
+  res.json(delivery);
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+/**
+ * 원격 에이전트 클라이언트
+ * 에이전트 모드의 측정값을 버퍼에 쌓아 중앙 서버로 묶어 전송 (연결이 끊기면 보관 후 재전송)
+ */
+
+const EventEmitter = require('events');
+
+class AgentClient extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.serverUrl - 중앙 서버 주소 (예: http://monitor.local:3000)
+   * @param {string} options.agentId - 중앙 서버에서 호스트를 구분하는 ID
+   * @param {string} options.token - 중앙 서버의 FLEET_TOKEN (설정된 경우)
+   * @param {number} options.batchSize - 요청 한 번에 보낼 최대 측정값 수
+   * @param {number} options.bufferLimit - 연결이 끊긴 동안 보관할 최대 측정값 수 (넘으면 오래된 것부터 버림)
+   * @param {number} options.retryDelay - 첫 재시도 대기 시간 (ms, 실패할 때마다 2배)
+   * @param {number} options.maxRetryDelay - 재시도 대기 시간 상한 (ms)
+   * @param {number} options.timeout - 요청 제한 시간 (ms)
+   */
+  constructor(options) {
+    super();
+    this.serverUrl = options.serverUrl.replace(/\/+$/, '');
+    this.agentId = options.agentId;
+    this.token = options.token || null;
+    this.batchSize = options.batchSize || 100;
+    this.bufferLimit = options.bufferLimit || 3600;
+    this.retryDelay = options.retryDelay || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+    this.timeout = options.timeout || 10000;
+
+    // 에이전트 실행마다 새 ID - 중앙 서버는 (runId, seq)로 재전송된 측정값을 걸러냄
+    this.runId = `${this.agentId}-${Date.now()}`;
+    this.seq = 0;
+    this.buffer = [];
+    this.dropped = 0;
+
+    this.registration = null; // register에 보낼 내용 (systemInfo, collectors, config)
+    this.registered = false;
+    this.connected = false;
+    this.failures = 0;
+    this.flushing = null;
+    this.retryTimer = null;
+    this.stopped = false;
+  }
+
+  /**
+   * 중앙 서버 연결 시작
+   * @param {object} registration - { systemInfo, collectors, config }
+   */
+  start(registration) {
+    this.registration = registration;
+    this.stopped = false;
+    this.flush();
+  }
+
+  /**
+   * 측정값 하나를 버퍼에 추가하고 전송 시도
+   */
+  enqueue(measurement) {
+    this.buffer.push({ ...measurement, seq: ++this.seq });
+
+    if (this.buffer.length > this.bufferLimit) {
+      const overflow = this.buffer.length - this.bufferLimit;
+      this.buffer.splice(0, overflow);
+      this.dropped += overflow;
+    }
+
+    // 재시도 대기 중이면 타이머가 돌아올 때 함께 전송
+    if (!this.retryTimer) {
+      this.flush();
+    }
+  }
+
+  /**
+   * 버퍼가 빌 때까지 전송 (동시에 한 번만 실행)
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    let reregistered = false;
+
+    while (!this.stopped || this.buffer.length > 0) {
+      try {
+        if (!this.registered) {
+          await this.register();
+        }
+        if (this.buffer.length === 0) {
+          return;
+        }
+        await this.sendBatch(this.buffer.slice(0, this.batchSize));
+        this.onSuccess();
+      } catch (error) {
+        // 중앙 서버가 재시작되어 등록이 사라진 경우는 기다리지 않고 바로 다시 등록
+        if (!this.registered && error.statusCode === 404 && !reregistered) {
+          reregistered = true;
+          continue;
+        }
+        this.onFailure(error);
+        return;
+      }
+    }
+  }
+
+  /**
+   * 호스트 정보 등록 (중앙 서버가 재시작되어 호스트를 모르면 다시 등록)
+   */
+  async register() {
+    const response = await this.request('register', {
+      runId: this.runId,
+      ...this.registration,
+    });
+    this.registered = true;
+    console.log(`[에이전트] 중앙 서버에 등록됨: ${this.serverUrl} (${this.agentId})`);
+    return response;
+  }
+
+  /**
+   * 측정값 묶음 전송 - 서버가 확인한 seq까지 버퍼에서 제거
+   */
+  async sendBatch(batch) {
+    const { ack } = await this.request('measurements', {
+      runId: this.runId,
+      dropped: this.dropped,
+      measurements: batch,
+    });
+
+    const acked = this.buffer.findIndex(item => item.seq > ack);
+    this.buffer.splice(0, acked === -1 ? this.buffer.length : acked);
+  }
+
+  async request(endpoint, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.serverUrl}/api/fleet/agents/${encodeURIComponent(this.agentId)}/${endpoint}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      const reason = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+      throw new Error(reason);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (response.status === 404 && endpoint === 'measurements') {
+      // 중앙 서버가 재시작됨 - 다음 시도에서 다시 등록
+      this.registered = false;
+    }
+    if (!response.ok) {
+      const error = new Error(result.error || `HTTP ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return result;
+  }
+
+  onSuccess() {
+    if (!this.connected) {
+      this.connected = true;
+      this.failures = 0;
+      this.emit('connected');
+    }
+  }
+
+  onFailure(error) {
+    this.failures++;
+    if (this.connected || this.failures === 1) {
+      console.warn(`[에이전트] 중앙 서버 전송 실패: ${error.message} (버퍼 ${this.buffer.length}개 보관)`);
+    }
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected', error);
+    }
+
+    // 인증/요청 오류는 다시 보내도 같은 결과
+    if (error.statusCode === 401 || error.statusCode === 400) {
+      this.emit('error', error);
+    }
+
+    if (this.stopped) {
+      return;
+    }
+    const delay = Math.min(this.retryDelay * 2 ** (this.failures - 1), this.maxRetryDelay);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  /**
+   * 상태 (로그/헬스 체크용)
+   */
+  getStatus() {
+    return {
+      agentId: this.agentId,
+      runId: this.runId,
+      connected: this.connected,
+      buffered: this.buffer.length,
+      dropped: this.dropped,
+      lastSeq: this.seq,
+    };
+  }
+
+  /**
+   * 종료 - 남은 버퍼를 한 번 더 보내 보고 재시도 중지
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = AgentClient;
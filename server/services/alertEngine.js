@@ -0,0 +1,227 @@
+/**
+ * 임계값 알림 규칙 엔진
+ * 측정값마다 규칙을 평가하여 지속 시간 조건을 만족하면 알림 발생, 히스테리시스만큼 벗어나면 해제
+ */
+
+const EventEmitter = require('events');
+const CollectorRegistry = require('./collectorRegistry');
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// 세션 설정에 규칙이 없을 때 사용하는 기본 규칙
+const DEFAULT_RULES = [
+  { id: 'cpu-high', name: 'CPU 사용률 높음', metric: 'cpu.usage', operator: '>', threshold: 90, duration: 30, hysteresis: 5, severity: 'warning' },
+  { id: 'memory-high', name: '메모리 사용률 높음', metric: 'memory.usagePercent', operator: '>', threshold: 90, duration: 60, hysteresis: 5, severity: 'critical' },
+];
+
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {object[]} rules - validateRules로 검증된 규칙
+   */
+  constructor(rules) {
+    super();
+    this.rules = rules;
+    this.incidents = [];
+    this.ruleState = new Map(rules.map(rule => [rule.id, { breachStart: null, incident: null, count: 0 }]));
+  }
+
+  /**
+   * 규칙 검증 및 기본값 채우기
+   * @param {object[]} rules
+   * @param {string[]} collectorIds - 세션에서 실행하는 수집기 (지표 경로의 첫 부분)
+   */
+  static validateRules(rules, collectorIds) {
+    if (!Array.isArray(rules)) {
+      throw new Error('알림 규칙은 배열이어야 합니다.');
+    }
+
+    const ids = new Set();
+    return rules.map((rule, index) => {
+      const label = `알림 규칙 #${index + 1}`;
+
+      if (!rule || typeof rule.metric !== 'string' || !rule.metric) {
+        throw new Error(`${label}: metric(지표 경로)이 필요합니다.`);
+      }
+      const collectorId = rule.metric.split('.')[0];
+      if (collectorIds && !collectorIds.includes(collectorId)) {
+        throw new Error(`${label}: 세션에서 실행하지 않는 수집기의 지표입니다: ${rule.metric}`);
+      }
+
+      const operator = rule.operator || '>';
+      if (!OPERATORS[operator]) {
+        throw new Error(`${label}: 비교 연산자는 ${Object.keys(OPERATORS).join(', ')} 중 하나여야 합니다.`);
+      }
+      if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+        throw new Error(`${label}: threshold는 숫자여야 합니다.`);
+      }
+
+      const duration = rule.duration === undefined ? 0 : rule.duration;
+      const hysteresis = rule.hysteresis === undefined ? 0 : rule.hysteresis;
+      if (typeof duration !== 'number' || duration < 0 || typeof hysteresis !== 'number' || hysteresis < 0) {
+        throw new Error(`${label}: duration과 hysteresis는 0 이상의 숫자여야 합니다.`);
+      }
+
+      const severity = rule.severity || 'warning';
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`${label}: severity는 ${SEVERITIES.join(', ')} 중 하나여야 합니다.`);
+      }
+
+      const id = rule.id || `rule-${index + 1}`;
+      if (ids.has(id)) {
+        throw new Error(`${label}: 규칙 ID가 중복됩니다: ${id}`);
+      }
+      ids.add(id);
+
+      return {
+        id,
+        name: rule.name || `${rule.metric} ${operator} ${rule.threshold}`,
+        metric: rule.metric,
+        operator,
+        threshold: rule.threshold,
+        duration,
+        hysteresis,
+        severity,
+      };
+    });
+  }
+
+  /**
+   * 측정값 하나로 모든 규칙 평가
+   * 값이 없으면(수집기 실패 등) 상태를 유지하고 건너뜀
+   */
+  evaluate(measurement) {
+    this.rules.forEach((rule) => {
+      const value = CollectorRegistry.getPath(measurement, rule.metric);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return;
+      }
+
+      const state = this.ruleState.get(rule.id);
+      if (state.incident) {
+        this.updateIncident(rule, state, value, measurement);
+      } else {
+        this.checkBreach(rule, state, value, measurement);
+      }
+    });
+  }
+
+  /**
+   * 알림이 없는 규칙: 임계값 초과가 duration 이상 이어지면 발생
+   */
+  checkBreach(rule, state, value, measurement) {
+    if (!OPERATORS[rule.operator](value, rule.threshold)) {
+      state.breachStart = null;
+      return;
+    }
+
+    if (!state.breachStart) {
+      state.breachStart = {
+        timestamp: measurement.timestamp,
+        time: this.getTime(measurement),
+        peak: value,
+        peakAt: measurement.timestamp,
+      };
+    } else if (this.isWorse(rule, value, state.breachStart.peak)) {
+      state.breachStart.peak = value;
+      state.breachStart.peakAt = measurement.timestamp;
+    }
+
+    if (this.getTime(measurement) - state.breachStart.time < rule.duration) {
+      return;
+    }
+
+    state.count++;
+    state.incident = {
+      id: `${rule.id}-${state.count}`,
+      ruleId: rule.id,
+      name: rule.name,
+      metric: rule.metric,
+      severity: rule.severity,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      start: state.breachStart.timestamp, // 임계값을 처음 넘은 시각
+      firedAt: measurement.timestamp,
+      end: null,
+      peak: state.breachStart.peak,
+      peakAt: state.breachStart.peakAt,
+      value,
+      resolved: false,
+    };
+    state.breachStart = null;
+
+    this.incidents.push(state.incident);
+    console.warn(`[알림] 발생 (${rule.severity}): ${rule.name} - 현재 값 ${value}`);
+    this.emit('fired', { ...state.incident });
+  }
+
+  /**
+   * 발생 중인 알림: 최대값 갱신, 임계값에서 히스테리시스만큼 벗어나면 해제
+   */
+  updateIncident(rule, state, value, measurement) {
+    const { incident } = state;
+    incident.value = value;
+    if (this.isWorse(rule, value, incident.peak)) {
+      incident.peak = value;
+      incident.peakAt = measurement.timestamp;
+    }
+
+    const clearLevel = rule.operator.startsWith('>')
+      ? rule.threshold - rule.hysteresis
+      : rule.threshold + rule.hysteresis;
+    if (OPERATORS[rule.operator](value, clearLevel)) {
+      return;
+    }
+
+    incident.end = measurement.timestamp;
+    incident.resolved = true;
+    state.incident = null;
+
+    console.log(`[알림] 해제: ${rule.name} - 현재 값 ${value}`);
+    this.emit('resolved', { ...incident });
+  }
+
+  /**
+   * 지속 시간 계산용 측정 시각 (초)
+   * 수집 지연에 따른 흔들림이 없도록 예정 시각이 있으면 우선 사용
+   */
+  getTime(measurement) {
+    return measurement.sampling ? measurement.sampling.scheduledMs / 1000 : measurement.elapsed;
+  }
+
+  /**
+   * 비교 방향 기준으로 더 나쁜 값인지 (> 규칙은 큰 값, < 규칙은 작은 값)
+   */
+  isWorse(rule, value, current) {
+    return rule.operator.startsWith('>') ? value > current : value < current;
+  }
+
+  /**
+   * 현재 발생 중인 알림
+   */
+  getActive() {
+    return this.incidents.filter(incident => !incident.resolved).map(incident => ({ ...incident }));
+  }
+
+  /**
+   * 세션 종료 시 발생 중인 알림을 종료 시각으로 닫음 (resolved: false 유지)
+   */
+  close(endTime) {
+    this.incidents
+      .filter(incident => !incident.resolved && !incident.end)
+      .forEach((incident) => {
+        incident.end = endTime;
+      });
+  }
+}
+
+AlertEngine.DEFAULT_RULES = DEFAULT_RULES;
+AlertEngine.SEVERITIES = SEVERITIES;
+
+module.exports = AlertEngine;
@@ -0,0 +1,183 @@
+/**
+ * 이상 징후 감지
+ * 지표별 EWMA(지수 가중 이동 평균)와 분산으로 z-점수를 계산하여 평소와 다른 값을 표시
+ * 고정 임계값(alertEngine.js)과 달리 장비마다 다른 "평소" 수준에 맞춰 판단
+ */
+
+const CollectorRegistry = require('./collectorRegistry');
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  alpha: 0.1, // EWMA 가중치 (클수록 최근 값에 빠르게 적응)
+  threshold: 4, // 이상으로 판단하는 |z| 기준
+  warmup: 30, // 기준선을 학습하는 초기 측정 수 (이 동안은 판단하지 않음)
+  minStd: 1, // 표준편차 하한 (거의 변하지 않는 지표에서 작은 흔들림을 이상으로 보지 않도록)
+};
+
+class AnomalyDetector {
+  /**
+   * @param {string[]} metrics - 감시할 지표 경로 (예: cpu.usage, disk.io.readKBps)
+   * @param {object} options - validateOptions로 검증된 설정
+   */
+  constructor(metrics, options = DEFAULT_OPTIONS) {
+    this.metrics = metrics;
+    this.options = options;
+    this.state = new Map(metrics.map(metric => [metric, { count: 0, mean: 0, variance: 0 }]));
+    this.total = 0;
+  }
+
+  /**
+   * 설정 검증 및 기본값 채우기
+   * @param {object} options
+   * @param {object[]} collectors - 세션 수집기 (지표 미지정 시 차트 시리즈를 감시)
+   * @returns {object} { enabled, metrics, alpha, threshold, warmup, minStd }
+   */
+  static validateOptions(options = {}, collectors = []) {
+    const merged = { ...DEFAULT_OPTIONS, ...options };
+
+    if (!(merged.alpha > 0 && merged.alpha <= 1)) {
+      throw new Error('이상 징후 감지 alpha는 0보다 크고 1 이하여야 합니다.');
+    }
+    if (!(merged.threshold > 0)) {
+      throw new Error('이상 징후 감지 threshold는 0보다 커야 합니다.');
+    }
+    if (!Number.isInteger(merged.warmup) || merged.warmup < 2) {
+      throw new Error('이상 징후 감지 warmup은 2 이상의 정수여야 합니다.');
+    }
+    if (!(merged.minStd >= 0)) {
+      throw new Error('이상 징후 감지 minStd는 0 이상이어야 합니다.');
+    }
+
+    const collectorIds = collectors.map(collector => collector.id);
+    const metrics = merged.metrics || AnomalyDetector.defaultMetrics(collectors);
+    if (!Array.isArray(metrics)) {
+      throw new Error('이상 징후 감지 metrics는 지표 경로 배열이어야 합니다.');
+    }
+    metrics.forEach((metric) => {
+      if (typeof metric !== 'string' || !collectorIds.includes(metric.split('.')[0])) {
+        throw new Error(`이상 징후 감지: 세션에서 실행하지 않는 수집기의 지표입니다: ${metric}`);
+      }
+    });
+
+    return {
+      enabled: merged.enabled !== false,
+      metrics,
+      alpha: merged.alpha,
+      threshold: merged.threshold,
+      warmup: merged.warmup,
+      minStd: merged.minStd,
+    };
+  }
+
+  /**
+   * 기본 감시 지표 - 수집기 차트에 표시되는 시리즈
+   */
+  static defaultMetrics(collectors) {
+    return collectors.flatMap(collector => {
+      const chart = collector.render && collector.render.chart;
+      return chart && chart.series ? chart.series.map(series => `${collector.id}.${series.key}`) : [];
+    });
+  }
+
+  /**
+   * 측정값 하나 평가 - 이상 값은 measurement.anomalies에 기록
+   * 판단 후에 기준선을 갱신하므로 지속되는 변화는 점차 새로운 평소 수준이 됨
+   * @returns {object[]} 이번 측정에서 감지된 이상 징후
+   */
+  evaluate(measurement) {
+    const { alpha, threshold, warmup, minStd } = this.options;
+    const anomalies = [];
+
+    this.metrics.forEach((metric) => {
+      const value = CollectorRegistry.getPath(measurement, metric);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return;
+      }
+
+      const state = this.state.get(metric);
+      const diff = value - state.mean;
+
+      if (state.count >= warmup) {
+        const std = Math.max(Math.sqrt(state.variance), minStd);
+        const zScore = diff / std;
+        if (Math.abs(zScore) >= threshold) {
+          anomalies.push({
+            metric,
+            value,
+            mean: parseFloat(state.mean.toFixed(2)),
+            std: parseFloat(std.toFixed(2)),
+            zScore: parseFloat(zScore.toFixed(2)),
+            direction: zScore > 0 ? 'high' : 'low',
+          });
+        }
+      }
+
+      // 첫 값은 평균의 시작점, 이후 EWMA 평균/분산 갱신
+      if (state.count === 0) {
+        state.mean = value;
+      } else {
+        state.mean += alpha * diff;
+        state.variance = (1 - alpha) * (state.variance + alpha * diff * diff);
+      }
+      state.count++;
+    });
+
+    if (anomalies.length > 0) {
+      measurement.anomalies = anomalies;
+      this.total += anomalies.length;
+    }
+    return anomalies;
+  }
+
+  /**
+   * 측정값에 기록된 이상 징후를 지표별 연속 구간으로 묶음
+   * 측정 간격의 2배 이내로 이어진 이상 값은 같은 구간
+   * @returns {object[]} [{ metric, start, end, points, peakZ, peakValue, peakAt, baseline, direction }]
+   */
+  static summarize(measurements, interval = 1) {
+    const episodes = [];
+    const open = new Map();
+
+    measurements.forEach((m) => {
+      (m.anomalies || []).forEach((anomaly) => {
+        const current = open.get(anomaly.metric);
+        if (current && m.elapsed - current.lastElapsed <= interval * 2) {
+          current.end = m.timestamp;
+          current.lastElapsed = m.elapsed;
+          current.points++;
+          if (Math.abs(anomaly.zScore) > Math.abs(current.peakZ)) {
+            Object.assign(current, {
+              peakZ: anomaly.zScore,
+              peakValue: anomaly.value,
+              peakAt: m.timestamp,
+              baseline: anomaly.mean,
+              direction: anomaly.direction,
+            });
+          }
+          return;
+        }
+
+        const episode = {
+          metric: anomaly.metric,
+          start: m.timestamp,
+          end: m.timestamp,
+          lastElapsed: m.elapsed,
+          points: 1,
+          peakZ: anomaly.zScore,
+          peakValue: anomaly.value,
+          peakAt: m.timestamp,
+          baseline: anomaly.mean,
+          direction: anomaly.direction,
+        };
+        open.set(anomaly.metric, episode);
+        episodes.push(episode);
+      });
+    });
+
+    return episodes.map(({ lastElapsed, ...episode }) => episode);
+  }
+}
+
+AnomalyDetector.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = AnomalyDetector;
@@ -0,0 +1,197 @@
+/**
+ * 수집기 레지스트리
+ * 측정 항목(수집기)을 등록/조회하고 외부 디렉터리에서 플러그인을 불러옴
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// 스키마에서 허용하는 타입 표기 ('?' 접미사는 null 허용)
+const SCHEMA_TYPES = ['number', 'string', 'boolean', 'object', 'number[]', 'string[]', 'object[]'];
+
+class CollectorRegistry {
+  constructor() {
+    this.collectors = new Map();
+  }
+
+  /**
+   * 수집기 정의 검증
+   */
+  static validate(collector) {
+    if (!collector || typeof collector !== 'object') {
+      throw new Error('수집기 정의는 객체여야 합니다.');
+    }
+    if (typeof collector.id !== 'string' || !/^[a-zA-Z][\w-]*$/.test(collector.id)) {
+      throw new Error(`잘못된 수집기 ID입니다: ${collector.id}`);
+    }
+    if (typeof collector.collect !== 'function') {
+      throw new Error(`수집기 "${collector.id}"에 collect() 함수가 없습니다.`);
+    }
+    if (collector.interval !== undefined && !(collector.interval > 0)) {
+      throw new Error(`수집기 "${collector.id}"의 interval은 0보다 커야 합니다.`);
+    }
+
+    Object.entries(collector.schema || {}).forEach(([key, type]) => {
+      if (!SCHEMA_TYPES.includes(String(type).replace(/\?$/, ''))) {
+        throw new Error(`수집기 "${collector.id}"의 스키마 타입이 잘못되었습니다: ${key}=${type}`);
+      }
+    });
+  }
+
+  /**
+   * 수집기 등록
+   */
+  register(collector) {
+    CollectorRegistry.validate(collector);
+
+    if (this.collectors.has(collector.id)) {
+      throw new Error(`이미 등록된 수집기입니다: ${collector.id}`);
+    }
+
+    this.collectors.set(collector.id, {
+      name: collector.id,
+      interval: 1,
+      enabledByDefault: true,
+      schema: {},
+      units: {},
+      render: {},
+      metrics: {}, // Prometheus 지표 이름/레이블 (미지정 시 경로에서 자동 생성)
+      ...collector,
+    });
+  }
+
+  /**
+   * 디렉터리의 *.js 파일을 수집기 플러그인으로 로드
+   * 잘못된 플러그인은 건너뛰고 로그만 남김
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const loaded = [];
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => {
+        try {
+          const collector = require(path.join(dir, file));
+          this.register(collector);
+          loaded.push(collector.id);
+          console.log(`[수집기] 플러그인 로드됨: ${collector.id} (${file})`);
+        } catch (error) {
+          console.error(`[수집기] 플러그인 로드 실패 (${file}):`, error.message);
+        }
+      });
+
+    return loaded;
+  }
+
+  has(id) {
+    return this.collectors.has(id);
+  }
+
+  get(id) {
+    return this.collectors.get(id);
+  }
+
+  list() {
+    return [...this.collectors.values()];
+  }
+
+  /**
+   * 기본으로 활성화되는 수집기 ID 목록
+   */
+  defaultIds() {
+    return this.list()
+      .filter(collector => collector.enabledByDefault)
+      .map(collector => collector.id);
+  }
+
+  /**
+   * ID 목록을 수집기 정의로 변환 (미지정 시 기본 수집기)
+   */
+  resolve(ids) {
+    const selected = Array.isArray(ids) && ids.length > 0 ? ids : this.defaultIds();
+
+    return [...new Set(selected)].map(id => {
+      const collector = this.get(id);
+      if (!collector) {
+        throw new Error(`알 수 없는 수집기입니다: ${id}`);
+      }
+      return collector;
+    });
+  }
+
+  /**
+   * 세션 데이터와 클라이언트에 전달할 직렬화 가능한 설명
+   */
+  static describe(collector) {
+    return {
+      id: collector.id,
+      name: collector.name,
+      interval: collector.interval,
+      schema: collector.schema,
+      units: collector.units,
+      render: collector.render,
+      metrics: collector.metrics,
+    };
+  }
+
+  describeAll() {
+    return this.list().map(CollectorRegistry.describe);
+  }
+}
+
+/**
+ * 'io.readKBps' 형태의 경로로 값 조회
+ */
+CollectorRegistry.getPath = (obj, keyPath) =>
+  keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+/**
+ * 수집기 측정값의 숫자 필드를 순회 (Prometheus 지표, CSV/InfluxDB 내보내기에 사용)
+ * 배열 항목은 metrics.labels에 지정한 필드(미지정 시 순번)로 구분하며 레이블로 쓴 필드는 건너뜀
+ * @param {object} collector - 수집기 정의 또는 describe() 결과
+ * @param {*} value - 측정값의 수집기 값
+ * @param {Function} visit - (keyPath, number, labels) => void
+ */
+CollectorRegistry.walkValues = (collector, value, visit) => {
+  const spec = collector.metrics || {};
+  const labelSpecs = spec.labels || {};
+  const exclude = spec.exclude || [];
+
+  const walk = (item, keyPath, labels) => {
+    if (exclude.includes(keyPath)) return;
+
+    if (typeof item === 'number') {
+      visit(keyPath, item, labels);
+    } else if (typeof item === 'boolean') {
+      visit(keyPath, item ? 1 : 0, labels);
+    } else if (Array.isArray(item)) {
+      const labelSpec = labelSpecs[keyPath] || { index: '$index' };
+      const used = Object.values(labelSpec);
+      item.forEach((entry, index) => {
+        const merged = { ...labels };
+        Object.entries(labelSpec).forEach(([label, prop]) => {
+          merged[label] = prop === '$index' ? index : entry && entry[prop];
+        });
+        if (entry && typeof entry === 'object') {
+          Object.entries(entry)
+            .filter(([key]) => !used.includes(key))
+            .forEach(([key, child]) => walk(child, `${keyPath}.${key}`, merged));
+        } else {
+          walk(entry, keyPath, merged);
+        }
+      });
+    } else if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, child]) => {
+        walk(child, keyPath ? `${keyPath}.${key}` : key, labels);
+      });
+    }
+  };
+
+  walk(value, '', {});
+};
+
+module.exports = CollectorRegistry;
@@ -0,0 +1,202 @@
+/**
+ * 세션 비교 PDF 리포트 생성
+ * 비교 대상 세션 정보, 지표별 평균/P95/최대와 기준 세션 대비 변화율, 경과 시간 기준으로 겹친 시계열 차트
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs-extra');
+const path = require('path');
+const { drawTimeSeriesChart } = require('./pdfCharts');
+const { FONTS, registerFonts } = require('./pdfFonts');
+const PDFLayout = require('./pdfLayout');
+
+// 세션별 선 색상 (첫 번째가 기준 세션)
+const COLORS = ['#6c757d', '#007bff', '#dc3545', '#28a745', '#fd7e14', '#6f42c1'];
+
+// 변화 방향 표시 (대시보드 비교 표와 같은 기호)
+const DIRECTION_MARKS = { up: '▲', down: '▼', flat: '■' };
+
+/**
+ * 경과 시간 축 라벨 (2분 이상은 분 단위)
+ */
+function formatElapsed(seconds, range) {
+  return range >= 120 ? `${(seconds / 60).toFixed(range >= 600 ? 0 : 1)}m` : `${Math.round(seconds)}s`;
+}
+
+class ComparisonReportGenerator {
+  /**
+   * @param {object} comparison - compareSessions 결과 + { reportId, generatedAt }
+   * @param {string} reportsDir
+   */
+  constructor(comparison, reportsDir) {
+    this.comparison = comparison;
+    this.pdfPath = path.join(reportsDir, `${comparison.reportId}.pdf`);
+  }
+
+  async generate() {
+    console.log('[PDF] 비교 리포트 생성 시작...');
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      bufferPages: true,
+    });
+    registerFonts(doc);
+    this.layout = new PDFLayout(doc);
+
+    const stream = fs.createWriteStream(this.pdfPath);
+    doc.pipe(stream);
+
+    this.addHeader(doc);
+    this.addSessions(doc);
+    this.addDeltaTable(doc);
+    this.addCharts(doc);
+    this.layout.addFooter(`리포트: ${this.comparison.reportId}`);
+
+    doc.end();
+
+    return new Promise((resolve, reject) => {
+      stream.on('finish', () => {
+        console.log('[PDF] 비교 리포트 생성 완료:', this.pdfPath);
+        resolve(this.pdfPath);
+      });
+      stream.on('error', reject);
+    });
+  }
+
+  addHeader(doc) {
+    const { sessions, baselineId, generatedAt } = this.comparison;
+
+    doc.fontSize(24).font(FONTS.BOLD).text('세션 비교 리포트', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(12).font(FONTS.REGULAR)
+      .text(`생성 날짜: ${new Date(generatedAt).toLocaleString('ko-KR')}`, { align: 'center' });
+    doc.text(`기준 세션: ${baselineId} / 비교 세션 ${sessions.length - 1}개`, { align: 'center' });
+
+    doc.moveDown(1);
+    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+    doc.moveDown(1);
+  }
+
+  /**
+   * 비교 대상 세션 (번호는 표와 차트 범례에서 사용)
+   */
+  addSessions(doc) {
+    this.layout.section('비교 대상 세션');
+    doc.moveDown(0.5);
+
+    this.layout.table({
+      columns: [
+        { header: '#', width: 30 },
+        { header: '세션' },
+        { header: '호스트', width: 90 },
+        { header: '시작', width: 130 },
+        { header: '시간', width: 45, align: 'right' },
+        { header: '측정 수', width: 45, align: 'right' },
+      ],
+      rows: this.comparison.sessions.map((session, index) => ({
+        color: COLORS[index % COLORS.length],
+        cells: [
+          `${index === 0 ? '*' : ' '}S${index + 1}`,
+          session.sessionId,
+          session.hostname || '-',
+          session.startTime ? new Date(session.startTime).toLocaleString('ko-KR') : '-',
+          session.durationSeconds !== null ? `${Math.round(session.durationSeconds / 60)}분` : '-',
+          session.measurementCount,
+        ],
+      })),
+    });
+
+    doc.moveDown(0.3);
+    doc.fontSize(9).font(FONTS.REGULAR).text('* 기준 세션 (변화율은 기준 세션 대비)');
+    doc.moveDown(1);
+  }
+
+  /**
+   * 지표별 평균/P95/최대와 기준 대비 변화율
+   */
+  addDeltaTable(doc) {
+    const { metrics, sessions } = this.comparison;
+
+    this.layout.section('지표 비교');
+    doc.moveDown(0.3);
+    doc.fontSize(9).font(FONTS.REGULAR)
+      .text(`변화율 옆의 ${DIRECTION_MARKS.up} 는 증가, ${DIRECTION_MARKS.down} 는 감소, ${DIRECTION_MARKS.flat} 는 1% 미만의 변화입니다.`);
+    doc.moveDown(0.5);
+
+    const formatChange = (delta) => {
+      if (!delta) return '';
+      const percent = delta.percent === null ? 'n/a' : `${delta.percent > 0 ? '+' : ''}${delta.percent.toFixed(1)}%`;
+      return `${percent} ${DIRECTION_MARKS[delta.direction]}`;
+    };
+
+    metrics.forEach(metric => {
+      // 지표 블록이 페이지 경계에서 잘리지 않도록
+      this.layout.keepTogether(20 + this.layout.tableHeight(sessions.length), () => {
+        this.layout.heading(metric.label, { fontSize: 11, space: 0 });
+        this.layout.table({
+          columns: [
+            { header: '세션', width: 45 },
+            { header: '평균', align: 'right' },
+            { header: 'P95', align: 'right' },
+            { header: '최대', align: 'right' },
+            { header: '평균 변화', align: 'right' },
+            { header: 'P95 변화', align: 'right' },
+            { header: '최대 변화', align: 'right' },
+          ],
+          rows: metric.values.map((value, index) => {
+            const label = `S${index + 1}`;
+            if (!value) {
+              return [label, 'N/A', 'N/A', 'N/A', '', '', ''];
+            }
+            const delta = metric.changes[index];
+            return [
+              label,
+              value.avg.toFixed(2),
+              value.p95.toFixed(2),
+              value.max.toFixed(2),
+              formatChange(delta && delta.avg),
+              formatChange(delta && delta.p95),
+              formatChange(delta && delta.max),
+            ];
+          }),
+        });
+      });
+      doc.moveDown(0.3);
+    });
+  }
+
+  /**
+   * 지표마다 세션별 시계열을 같은 축에 겹친 차트
+   */
+  addCharts(doc) {
+    const { metrics, series } = this.comparison;
+    const charted = metrics.filter(metric => series[metric.key].filter(({ points }) => points.length > 1).length > 0);
+    if (charted.length === 0) return;
+
+    this.layout.section('시계열 비교', { newPage: true });
+    doc.moveDown(0.3);
+    doc.fontSize(9).font(FONTS.REGULAR).text('각 세션의 시작 시점을 0으로 맞춘 경과 시간 기준입니다.');
+    doc.moveDown(0.5);
+
+    charted.forEach(metric => this.addOverlayChart(doc, metric, series[metric.key]));
+  }
+
+  addOverlayChart(doc, metric, seriesList) {
+    const peak = Math.max(...seriesList.flatMap(({ points }) => points.map(([, value]) => value)));
+
+    drawTimeSeriesChart(doc, {
+      title: metric.label,
+      unit: metric.unit,
+      yMax: metric.unit === '%' && peak <= 100 ? 100 : undefined,
+      formatX: formatElapsed,
+      series: seriesList.map(({ sessionId, points }, index) => ({
+        label: `S${index + 1} ${sessionId}`,
+        color: COLORS[index % COLORS.length],
+        points,
+      })),
+    });
+  }
+}
+
+module.exports = ComparisonReportGenerator;
@@ -0,0 +1,92 @@
+/**
+ * 코어별 CPU 분석
+ * 평균 CPU 사용률에 가려지는 단일 코어 포화(싱글 스레드 병목) 구간 탐지
+ */
+
+const DEFAULT_OPTIONS = {
+  saturationThreshold: 90, // 이 값 이상이면 코어 포화로 간주 (%)
+  overallThreshold: 50, // 전체 평균이 이 값 미만이면 "정상으로 보이는" 상태 (%)
+  minDuration: 10, // 포화 구간으로 보고할 최소 지속 시간 (초)
+};
+
+/**
+ * 측정값 배열에서 코어별 통계와 숨은 포화 구간 계산
+ * @param {Array} measurements - cpu.cores가 포함된 측정값
+ * @param {number} interval - 측정 간격 (초), 구간 마지막 측정이 차지하는 시간으로 사용
+ */
+function analyzeCores(measurements, interval = 1, options = {}) {
+  const { saturationThreshold, overallThreshold, minDuration } = { ...DEFAULT_OPTIONS, ...options };
+  const samples = measurements.filter(m => m.cpu && Array.isArray(m.cpu.cores));
+  if (samples.length === 0) {
+    return { cores: [], hiddenSaturation: [], options: { saturationThreshold, overallThreshold, minDuration } };
+  }
+
+  const coreCount = Math.max(...samples.map(m => m.cpu.cores.length));
+  const cores = [];
+  const hiddenSaturation = [];
+
+  for (let core = 0; core < coreCount; core++) {
+    const loads = samples.map(m => m.cpu.cores[core]).filter(load => typeof load === 'number');
+    let saturatedSamples = 0;
+    let longestStreak = 0;
+    let streak = [];
+
+    // 연속 포화 구간을 닫으며 숨은 병목 여부 판단
+    const closeStreak = () => {
+      if (streak.length === 0) return;
+
+      // 실제 경과 시간 기준 (이전 형식 세션은 측정 간격 x 개수)
+      const first = streak[0];
+      const last = streak[streak.length - 1];
+      const duration = typeof first.elapsed === 'number' && typeof last.elapsed === 'number'
+        ? last.elapsed - first.elapsed + interval
+        : streak.length * interval;
+      longestStreak = Math.max(longestStreak, duration);
+
+      const overallAvg = streak.reduce((sum, m) => sum + m.cpu.usage, 0) / streak.length;
+      if (duration >= minDuration && overallAvg < overallThreshold) {
+        hiddenSaturation.push({
+          core,
+          start: streak[0].timestamp,
+          end: streak[streak.length - 1].timestamp,
+          duration,
+          coreAvg: streak.reduce((sum, m) => sum + m.cpu.cores[core], 0) / streak.length,
+          overallAvg,
+        });
+      }
+      streak = [];
+    };
+
+    samples.forEach(m => {
+      if (m.cpu.cores[core] >= saturationThreshold) {
+        saturatedSamples++;
+        streak.push(m);
+      } else {
+        closeStreak();
+      }
+    });
+    closeStreak();
+
+    cores.push({
+      core,
+      min: loads.length > 0 ? Math.min(...loads) : 0,
+      max: loads.length > 0 ? Math.max(...loads) : 0,
+      avg: loads.length > 0 ? loads.reduce((a, b) => a + b, 0) / loads.length : 0,
+      saturatedPercent: (saturatedSamples / samples.length) * 100,
+      longestSaturation: longestStreak,
+    });
+  }
+
+  hiddenSaturation.sort((a, b) => b.duration - a.duration);
+
+  return {
+    cores,
+    hiddenSaturation,
+    options: { saturationThreshold, overallThreshold, minDuration },
+  };
+}
+
+module.exports = {
+  analyzeCores,
+  DEFAULT_OPTIONS,
+};
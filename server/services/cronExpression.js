@@ -0,0 +1,151 @@
+/**
+ * Cron 표현식
+ * 5개 필드(분 시 일 월 요일) 표준 형식 해석 및 다음 실행 시각 계산 (서버 로컬 시간 기준)
+ */
+
+const FIELDS = [
+  { name: '분', min: 0, max: 59 },
+  { name: '시', min: 0, max: 23 },
+  { name: '일', min: 1, max: 31 },
+  { name: '월', min: 1, max: 12 },
+  { name: '요일', min: 0, max: 7 }, // 0과 7은 모두 일요일
+];
+
+// 자주 쓰는 단축 표현
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+// 다음 실행 시각을 찾을 최대 범위 (2월 29일 같은 드문 조합까지 포함)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * 필드 하나(예: "*\/15", "1-5", "0,30")를 허용 값 집합으로 변환
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`잘못된 cron ${field.name} 필드입니다: ${text}`);
+    }
+
+    let [start, end] = match[1] === '*'
+      ? [field.min, field.max]
+      : match[1].split('-').map(Number);
+    if (end === undefined) {
+      // "5/10"은 5부터 최댓값까지 10 간격
+      end = match[2] ? field.max : start;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`cron ${field.name} 필드 범위를 벗어났습니다: ${part} (${field.min}-${field.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * cron 표현식 해석
+ * @returns {{source, minutes, hours, days, months, weekdays, anyDay, anyWeekday}}
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('cron 표현식이 비어 있습니다.');
+  }
+
+  const source = expression.trim();
+  const parts = (ALIASES[source] || source).split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`cron 표현식은 5개 필드(분 시 일 월 요일)여야 합니다: ${source}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7(일요일)은 0으로 통일
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+/**
+ * 해당 날짜가 일/월/요일 조건에 맞는지 확인
+ * 일과 요일이 모두 지정되면 둘 중 하나만 맞아도 실행 (표준 cron 동작)
+ */
+function matchesDay(cron, date) {
+  if (!cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+/**
+ * from 이후(초과) 첫 실행 시각
+ * @param {object|string} cron - parseCron 결과 또는 표현식
+ * @param {Date} from
+ * @returns {Date|null} 범위 안에 실행 시각이 없으면 null
+ */
+function getNextCronTime(cron, from = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (candidate.getTime() <= limit) {
+    if (!matchesDay(parsed, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return candidate;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  getNextCronTime,
+};
@@ -0,0 +1,242 @@
+/**
+ * 플릿(원격 에이전트) 레지스트리
+ * 에이전트가 보낸 호스트 정보와 최근 측정값을 호스트별로 보관하고 온라인 여부 판단
+ */
+
+const EventEmitter = require('events');
+
+const AGENT_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+class FleetRegistry extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {number} options.historyLimit - 호스트별로 보관할 최근 측정값 수
+   * @param {number} options.offlineAfter - 마지막 수신 후 오프라인으로 보는 시간 (ms)
+   */
+  constructor(options = {}) {
+    super();
+    this.historyLimit = options.historyLimit || 3600;
+    this.offlineAfter = options.offlineAfter || 30000;
+    this.hosts = new Map();
+
+    // 측정값이 끊긴 호스트를 오프라인으로 표시
+    this.timer = setInterval(() => this.checkOffline(), Math.min(this.offlineAfter, 5000));
+    this.timer.unref();
+  }
+
+  static isValidAgentId(agentId) {
+    return AGENT_ID_PATTERN.test(agentId || '');
+  }
+
+  /**
+   * 에이전트 등록 (에이전트 시작 또는 중앙 서버 재시작 후 재등록)
+   * @param {string} agentId
+   * @param {object} registration - { runId, systemInfo, collectors, config }
+   */
+  register(agentId, registration) {
+    const { runId, systemInfo, collectors, config } = registration;
+    if (!runId || typeof runId !== 'string') {
+      throw new Error('runId가 필요합니다.');
+    }
+    if (!systemInfo || !systemInfo.os) {
+      throw new Error('systemInfo가 필요합니다.');
+    }
+
+    const now = new Date().toISOString();
+    const existing = this.hosts.get(agentId);
+    const host = existing || {
+      agentId,
+      firstSeen: now,
+      measurements: [],
+      runs: new Map(), // runId → 마지막으로 받은 seq
+    };
+
+    Object.assign(host, {
+      hostname: systemInfo.os.hostname || agentId,
+      systemInfo,
+      collectors: collectors || [],
+      config: config || {},
+      interval: (config && config.interval) || 1,
+      runId,
+      status: 'online',
+      registeredAt: now,
+      lastSeen: now,
+      dropped: 0,
+    });
+    if (!host.runs.has(runId)) {
+      host.runs.set(runId, 0);
+    }
+
+    this.hosts.set(agentId, host);
+    console.log(`[플릿] 에이전트 ${existing ? '재등록' : '등록'}: ${agentId} (${host.hostname})`);
+    this.emit('updated');
+
+    return { agentId, runId, ack: host.runs.get(runId) };
+  }
+
+  /**
+   * 측정값 묶음 수신 - 이미 받은 seq(재연결 후 재전송분)는 건너뜀
+   * @returns {object|null} { accepted, ack } (등록되지 않은 에이전트면 null)
+   */
+  ingest(agentId, { runId, measurements, dropped }) {
+    const host = this.hosts.get(agentId);
+    if (!host || !host.runs.has(runId)) {
+      return null;
+    }
+    if (!Array.isArray(measurements)) {
+      throw new Error('measurements는 배열이어야 합니다.');
+    }
+
+    let ack = host.runs.get(runId);
+    const accepted = measurements
+      .filter(m => m && Number.isInteger(m.seq) && typeof m.timestamp === 'string')
+      .sort((a, b) => a.seq - b.seq)
+      .filter((m) => {
+        if (m.seq <= ack) return false;
+        ack = m.seq;
+        return true;
+      });
+    host.runs.set(runId, ack);
+
+    host.measurements.push(...accepted);
+    if (host.measurements.length > this.historyLimit) {
+      host.measurements.splice(0, host.measurements.length - this.historyLimit);
+    }
+
+    const wasOffline = host.status !== 'online';
+    host.status = 'online';
+    host.lastSeen = new Date().toISOString();
+    host.dropped = dropped || 0;
+
+    if (accepted.length > 0) {
+      this.emit('measurements', agentId, accepted);
+    }
+    if (accepted.length > 0 || wasOffline) {
+      this.emit('updated');
+    }
+
+    return { accepted: accepted.length, ack };
+  }
+
+  checkOffline() {
+    const now = Date.now();
+    let changed = false;
+
+    this.hosts.forEach((host) => {
+      if (host.status === 'online' && now - new Date(host.lastSeen) > this.offlineAfter) {
+        host.status = 'offline';
+        changed = true;
+        console.warn(`[플릿] 에이전트 응답 없음: ${host.agentId}`);
+      }
+    });
+
+    if (changed) {
+      this.emit('updated');
+    }
+  }
+
+  get(agentId) {
+    return this.hosts.get(agentId) || null;
+  }
+
+  /**
+   * 플릿 개요 (호스트별 타일용 최신 값)
+   */
+  list() {
+    return Array.from(this.hosts.values())
+      .map(host => this.describe(host))
+      .sort((a, b) => a.hostname.localeCompare(b.hostname));
+  }
+
+  describe(host) {
+    const latest = host.measurements[host.measurements.length - 1] || null;
+    const value = (fn) => {
+      try {
+        const result = latest ? fn(latest) : null;
+        return typeof result === 'number' ? result : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    return {
+      agentId: host.agentId,
+      hostname: host.hostname,
+      status: host.status,
+      platform: `${host.systemInfo.os.distro || host.systemInfo.os.platform} ${host.systemInfo.os.release || ''}`.trim(),
+      interval: host.interval,
+      collectors: host.collectors.map(collector => collector.id),
+      firstSeen: host.firstSeen,
+      lastSeen: host.lastSeen,
+      measurementCount: host.measurements.length,
+      dropped: host.dropped,
+      latest: latest && {
+        timestamp: latest.timestamp,
+        cpu: value(m => m.cpu.usage),
+        memory: value(m => m.memory.usagePercent),
+        disk: value(m => m.disk.usagePercent),
+        diskReadKBps: value(m => m.disk.io.readKBps),
+        diskWriteKBps: value(m => m.disk.io.writeKBps),
+        rxKBps: value(m => parseFloat(m.network.rxKBps)),
+        txKBps: value(m => parseFloat(m.network.txKBps)),
+        anomalies: (latest.anomalies || []).length,
+      },
+    };
+  }
+
+  /**
+   * 호스트의 보관 측정값을 일반 세션 데이터 형식으로 구성 (PDF 리포트용)
+   * @param {string} agentId
+   * @param {object} range - { from, to } (ISO 문자열, 생략 시 보관된 전체)
+   */
+  buildSessionData(agentId, range = {}) {
+    const host = this.hosts.get(agentId);
+    if (!host) {
+      return null;
+    }
+
+    const from = range.from ? new Date(range.from) : null;
+    const to = range.to ? new Date(range.to) : null;
+    const measurements = host.measurements.filter((m) => {
+      const at = new Date(m.timestamp);
+      return (!from || at >= from) && (!to || at <= to);
+    });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return {
+      sessionId: `fleet-${agentId}-${stamp}`,
+      agentId,
+      startTime: measurements.length > 0 ? measurements[0].timestamp : host.registeredAt,
+      endTime: measurements.length > 0 ? measurements[measurements.length - 1].timestamp : new Date().toISOString(),
+      mode: 'agent',
+      config: {
+        ...host.config,
+        mode: 'agent',
+        duration: null,
+        interval: host.interval,
+      },
+      collectors: host.collectors,
+      schedule: null,
+      systemInfo: host.systemInfo,
+      measurements,
+      alerts: [],
+    };
+  }
+
+  /**
+   * 호스트 목록에서 제거
+   */
+  remove(agentId) {
+    const removed = this.hosts.delete(agentId);
+    if (removed) {
+      this.emit('updated');
+    }
+    return removed;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = FleetRegistry;
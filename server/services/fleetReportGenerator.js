@@ -0,0 +1,150 @@
+/**
+ * 플릿 전체 PDF 리포트 생성
+ * 호스트별 요약 표와 호스트마다 지표별 최소/최대/평균을 한 문서로 작성
+ */
+
+const PDFDocument = require('pdfkit');
+const fs = require('fs-extra');
+const path = require('path');
+const { summarizeStats } = require('./sessionSummary');
+const { FONTS, registerFonts } = require('./pdfFonts');
+const PDFLayout = require('./pdfLayout');
+
+class FleetReportGenerator {
+  /**
+   * @param {object} fleetData - { reportId, generatedAt, hosts: [{ host(describe 결과), sessionData }] }
+   * @param {string} reportsDir
+   */
+  constructor(fleetData, reportsDir) {
+    this.fleetData = fleetData;
+    this.pdfPath = path.join(reportsDir, `${fleetData.reportId}.pdf`);
+  }
+
+  async generate() {
+    console.log('[PDF] 플릿 리포트 생성 시작...');
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      bufferPages: true,
+    });
+    registerFonts(doc);
+    this.layout = new PDFLayout(doc);
+
+    const stream = fs.createWriteStream(this.pdfPath);
+    doc.pipe(stream);
+
+    this.addHeader(doc);
+    this.layout.reserveToc();
+    this.addOverview(doc);
+    this.addHostDetails(doc);
+    this.layout.renderToc();
+    this.layout.addFooter(`리포트: ${this.fleetData.reportId}`);
+
+    doc.end();
+
+    return new Promise((resolve, reject) => {
+      stream.on('finish', () => {
+        console.log('[PDF] 플릿 리포트 생성 완료:', this.pdfPath);
+        resolve(this.pdfPath);
+      });
+      stream.on('error', reject);
+    });
+  }
+
+  addHeader(doc) {
+    const { hosts } = this.fleetData;
+
+    doc.fontSize(24).font(FONTS.BOLD).text('플릿 모니터링 리포트', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(12).font(FONTS.REGULAR)
+      .text(`생성 날짜: ${new Date(this.fleetData.generatedAt).toLocaleString('ko-KR')}`, { align: 'center' });
+    doc.text(`호스트: ${hosts.length}대 (온라인 ${hosts.filter(({ host }) => host.status === 'online').length}대)`, { align: 'center' });
+
+    doc.moveDown(1);
+    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+    doc.moveDown(1);
+  }
+
+  /**
+   * 호스트별 요약 표 (보관 기간의 평균/최대)
+   */
+  addOverview(doc) {
+    this.layout.section('호스트 요약');
+    doc.moveDown(0.5);
+
+    const pair = (stat) => (stat ? `${stat.avg.toFixed(1)}/${stat.max.toFixed(1)}` : '-');
+    this.layout.table({
+      columns: [
+        { header: '호스트' },
+        { header: '상태', width: 50 },
+        { header: '측정 수', width: 50, align: 'right' },
+        { header: 'CPU 평균/최대', width: 75, align: 'right' },
+        { header: '메모리 평균/최대', width: 80, align: 'right' },
+        { header: '디스크 %', width: 50, align: 'right' },
+        { header: '수신/송신 KB/s', width: 80, align: 'right' },
+      ],
+      rows: this.fleetData.hosts.map(({ host, sessionData }) => {
+        const stats = summarizeStats(sessionData);
+        const disk = stats['disk.usagePercent'];
+        const rx = stats['network.rxKBps'];
+        const tx = stats['network.txKBps'];
+
+        return {
+          color: host.status === 'online' ? null : '#6c757d',
+          cells: [
+            host.hostname,
+            host.status,
+            sessionData.measurements.length,
+            pair(stats['cpu.usage']),
+            pair(stats['memory.usagePercent']),
+            disk ? disk.avg.toFixed(1) : '-',
+            rx && tx ? `${rx.avg.toFixed(1)}/${tx.avg.toFixed(1)}` : '-',
+          ],
+        };
+      }),
+    });
+
+    doc.moveDown(1);
+  }
+
+  /**
+   * 호스트마다 시스템 정보와 지표별 최소/최대/평균
+   */
+  addHostDetails(doc) {
+    this.layout.section('호스트별 통계');
+    doc.moveDown(0.5);
+
+    this.fleetData.hosts.forEach(({ host, sessionData }) => {
+      const { systemInfo, measurements } = sessionData;
+      const stats = Object.values(summarizeStats(sessionData));
+
+      // 호스트 블록(제목, 설명, 표)이 페이지 경계에서 잘리지 않도록
+      this.layout.keepTogether(60 + (stats.length > 0 ? this.layout.tableHeight(stats.length) : 0), () => {
+        this.layout.section(`${host.hostname} (${host.agentId})`, { level: 2 });
+        doc.fontSize(9).font(FONTS.REGULAR);
+        doc.text(`${host.platform} | ${systemInfo.cpu.brand} (${systemInfo.cpu.cores}코어) | 메모리 ${systemInfo.memory.totalGB} GB`);
+        doc.text(measurements.length > 0
+          ? `${new Date(sessionData.startTime).toLocaleString('ko-KR')} ~ ${new Date(sessionData.endTime).toLocaleString('ko-KR')} (${measurements.length}회 측정, 마지막 수신 ${new Date(host.lastSeen).toLocaleTimeString('ko-KR')})`
+          : '보관된 측정값이 없습니다.');
+        doc.moveDown(0.3);
+
+        if (stats.length > 0) {
+          this.layout.table({
+            columns: [
+              { header: '지표' },
+              { header: '최소', width: 80, align: 'right' },
+              { header: '최대', width: 80, align: 'right' },
+              { header: '평균', width: 80, align: 'right' },
+            ],
+            rows: stats.map(stat => [stat.label, stat.min.toFixed(2), stat.max.toFixed(2), stat.avg.toFixed(2)]),
+          });
+        }
+      });
+
+      doc.moveDown(1);
+    });
+  }
+}
+
+module.exports = FleetReportGenerator;
@@ -0,0 +1,751 @@
+/**
+ * HTML 리포트 생성 서비스
+ * PDF 리포트와 같은 통계를 하나의 HTML 파일로 생성 (스타일, 차트 스크립트, 측정값을 파일 안에 포함)
+ * 섹션 구성/순서, 표지, 색상, 날짜 형식은 PDF와 같은 리포트 템플릿을 따름
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getPath } = require('./collectorRegistry');
+const { analyzeCores } = require('./cpuCoreAnalysis');
+const AnomalyDetector = require('./anomalyDetector');
+const { PALETTE, downsample } = require('./pdfCharts');
+const { summarize } = require('./statistics');
+const {
+  collectStatBlocks,
+  buildCharts,
+  findPeaks,
+  summarizeGpus,
+  summarizeBreakdowns,
+  rankProcesses,
+  formatDuration,
+  formatSlope,
+  dateFormatters,
+} = require('./reportContent');
+const defaultTemplates = require('../templates');
+
+const ASSETS_DIR = path.join(__dirname, '../htmlReport');
+
+// 차트 시리즈당 최대 점 수 (확대해도 구간별 최소/최대값이 보이도록 PDF보다 많이 남김)
+const MAX_CHART_POINTS = 2000;
+
+// 템플릿 섹션 종류별 작성 메서드
+const SECTION_RENDERERS = {
+  systemInfo: 'renderSystemInfo',
+  monitoringInfo: 'renderMonitoringInfo',
+  alerts: 'renderAlerts',
+  anomalies: 'renderAnomalies',
+  statistics: 'renderStatistics',
+  charts: 'renderCharts',
+  detailedStats: 'renderDetailedStats',
+  coreStats: 'renderCoreStats',
+  gpuStats: 'renderGpuStats',
+  breakdownStats: 'renderBreakdownStats',
+  processRanking: 'renderProcessRanking',
+  dataSample: 'renderDataSample',
+  text: 'renderTextBlock',
+  pageBreak: 'renderPageBreak',
+};
+
+const LOGO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 항목: 값 목록
+ * @param {Array} items - [라벨, 값] 쌍 (값은 이스케이프된 HTML)
+ */
+function fieldList(items) {
+  return `<dl class="fields">${items.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${value}</dd>`).join('')}</dl>`;
+}
+
+/**
+ * 표
+ * @param {object} options
+ * @param {Array} options.columns - { header, numeric }
+ * @param {Array} options.rows - 셀 배열 또는 { className, cells }
+ */
+function table({ columns, rows }) {
+  const head = columns
+    .map(column => `<th${column.numeric ? ' class="num"' : ''}>${escapeHtml(column.header)}</th>`)
+    .join('');
+  const body = rows.map(row => {
+    const { className, cells } = Array.isArray(row) ? { cells: row } : row;
+    const tds = cells
+      .map((cell, index) => `<td${columns[index].numeric ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`)
+      .join('');
+    return `<tr${className ? ` class="${className}"` : ''}>${tds}</tr>`;
+  }).join('\n');
+
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+class HTMLReportGenerator {
+  /**
+   * @param {object} sessionData
+   * @param {object} options
+   * @param {string} options.template - 리포트 템플릿 ID (미지정 시 세션 설정의 reportTemplate, 그다음 기본 템플릿)
+   * @param {ReportTemplateRegistry} options.templates - 템플릿 레지스트리 (기본값: 공용 인스턴스)
+   */
+  constructor(sessionData, options = {}) {
+    this.sessionData = sessionData;
+    this.template = (options.templates || defaultTemplates).resolveForSession(sessionData, options.template);
+    this.dates = dateFormatters(this.template);
+  }
+
+  /**
+   * HTML 문서 생성
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const [css, script] = await Promise.all([
+      fs.readFile(path.join(ASSETS_DIR, 'report.css'), 'utf8'),
+      fs.readFile(path.join(ASSETS_DIR, 'report.js'), 'utf8'),
+    ]);
+
+    const { title, locale, timeZone, colors, branding, cover, footer } = this.template;
+    const { sessionId } = this.sessionData;
+
+    // 섹션 번호와 목차 (데이터가 없어 생략된 섹션은 번호를 건너뜀)
+    this.entries = [];
+    this.charts = [];
+    const body = this.template.sections
+      .map(section => this[SECTION_RENDERERS[section.type]](section))
+      .filter(Boolean)
+      .join('\n');
+
+    const toc = cover.enabled && cover.toc && this.entries.length > 0
+      ? `<nav class="toc"><h2>목차</h2><ol>${this.entries
+        .map(entry => `<li><a href="#${entry.id}">${escapeHtml(entry.title)}</a></li>`)
+        .join('')}</ol></nav>`
+      : '';
+
+    // 스크립트 태그 안에서 </script>로 끝나지 않도록 '<'를 이스케이프
+    const data = JSON.stringify({ locale, timeZone, charts: this.charts }).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="System Monitor">
+<title>${escapeHtml(title)} - ${escapeHtml(sessionId)}</title>
+<style>
+:root {
+  --heading: ${colors.heading};
+  --accent: ${colors.accent};
+  --table-header: ${colors.tableHeader};
+  --table-header-text: ${colors.tableHeaderText};
+}
+${css}</style>
+</head>
+<body>
+<main class="report">
+${await this.renderHeader()}
+${toc}
+${body}
+<footer class="report-footer"><span>${escapeHtml(`${branding.companyName ? `${branding.companyName} · ` : ''}세션: ${sessionId}`)}</span><span>${escapeHtml(footer.text)}</span></footer>
+</main>
+<noscript><p class="note">차트를 보려면 JavaScript를 사용하도록 설정하세요.</p></noscript>
+<script type="application/json" id="report-data">${data}</script>
+<script>
+${script}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * 표지 또는 머리글
+   */
+  async renderHeader() {
+    const { title, branding, cover } = this.template;
+    const { sessionId, startTime, endTime, systemInfo } = this.sessionData;
+
+    let logo = '';
+    if (branding.logo) {
+      const image = await fs.readFile(branding.logo);
+      const type = LOGO_TYPES[path.extname(branding.logo).toLowerCase()];
+      logo = `<img class="logo" src="data:${type};base64,${image.toString('base64')}" alt="${escapeHtml(branding.companyName || '로고')}">`;
+    }
+    const created = `<p class="meta">생성 날짜: ${escapeHtml(this.dates.dateTime(new Date()))}</p>`;
+
+    if (!cover.enabled) {
+      return `<header class="cover compact">${logo}<h1>${escapeHtml(title)}</h1>` +
+        `${branding.companyName ? `<p class="meta">${escapeHtml(branding.companyName)}</p>` : ''}${created}</header>`;
+    }
+
+    const hostname = systemInfo && systemInfo.os && systemInfo.os.hostname;
+    return [
+      '<header class="cover">',
+      logo ? `<div>${logo}</div>` : '',
+      branding.companyName ? `<div class="company">${escapeHtml(branding.companyName)}</div>` : '',
+      `<h1>${escapeHtml(title)}</h1>`,
+      cover.subtitle ? `<p class="subtitle">${escapeHtml(cover.subtitle)}</p>` : '',
+      created,
+      `<p class="meta">세션: ${escapeHtml(sessionId)}${hostname ? ` (${escapeHtml(hostname)})` : ''}</p>`,
+      startTime && endTime
+        ? `<p class="meta">측정 기간: ${escapeHtml(this.dates.dateTime(startTime))} ~ ${escapeHtml(this.dates.dateTime(endTime))}</p>`
+        : '',
+      cover.text ? `<div class="cover-text">${escapeHtml(cover.text)}</div>` : '',
+      '</header>',
+    ].join('');
+  }
+
+  /**
+   * 템플릿 섹션 (접기/펼치기, 템플릿의 제목이 섹션 기본값보다 우선)
+   * newPage 설정은 인쇄할 때의 페이지 나눔으로 반영
+   */
+  section(section, title, content, { newPage = false } = {}) {
+    const text = `${this.entries.length + 1}. ${section.title || title}`;
+    const id = `section-${this.entries.length + 1}`;
+    this.entries.push({ id, title: text });
+
+    const pageBreak = (section.newPage !== undefined ? section.newPage : newPage) ? '<div class="page-break"></div>\n' : '';
+    return `${pageBreak}<details class="section" id="${id}" open><summary><h2>${escapeHtml(text)}</h2></summary>\n` +
+      `<div class="section-body">\n${content}\n</div></details>`;
+  }
+
+  /**
+   * 템플릿의 사용자 지정 문구 (제목이 있으면 목차에 포함되는 섹션으로)
+   */
+  renderTextBlock(section) {
+    const text = `<div class="text-block">${escapeHtml(section.text)}</div>`;
+    if (section.title) {
+      return this.section(section, section.title, text);
+    }
+    return `${section.newPage ? '<div class="page-break"></div>\n' : ''}${text}`;
+  }
+
+  /**
+   * 템플릿의 페이지 나눔 (인쇄할 때만 적용)
+   */
+  renderPageBreak() {
+    return '<div class="page-break"></div>';
+  }
+
+  /**
+   * 시스템 정보
+   */
+  renderSystemInfo(section = {}) {
+    const info = this.sessionData.systemInfo;
+    const lines = items => items.map(escapeHtml).join('<br>');
+
+    const gpus = info.gpu && info.gpu.length > 0
+      ? lines(info.gpu.map((gpu, idx) => `${idx + 1}. ${gpu.model} (${gpu.vendor})${gpu.vram ? ` - VRAM: ${gpu.vram} MB` : ''}`))
+      : '정보 없음';
+
+    const items = [
+      ['운영 체제', lines([`${info.os.distro} ${info.os.release} (${info.os.arch})`, `호스트명: ${info.os.hostname}`])],
+      ['CPU', lines([
+        info.cpu.brand,
+        `제조사: ${info.cpu.manufacturer}`,
+        `코어: ${info.cpu.physicalCores}개 (논리: ${info.cpu.cores}개)`,
+        `기본 속도: ${info.cpu.speed} GHz (최대: ${info.cpu.speedMax} GHz)`,
+      ])],
+      ['메모리', escapeHtml(`${info.memory.totalGB} GB`)],
+      ['GPU', gpus],
+    ];
+    if (info.disks && info.disks.length > 0) {
+      items.push(['디스크', lines(info.disks.map((disk, idx) => `${idx + 1}. ${disk.name || disk.type} - 용량: ${disk.sizeGB} GB (${disk.type})`))]);
+    }
+
+    return this.section(section, '시스템 정보', fieldList(items));
+  }
+
+  /**
+   * 모니터링 정보
+   */
+  renderMonitoringInfo(section = {}) {
+    const { startTime, endTime, measurements, imported, interrupted, schedule, segment, sampling, metadata = {} } = this.sessionData;
+    const duration = (new Date(endTime) - new Date(startTime)) / 1000;
+    const text = value => escapeHtml(value);
+
+    const items = [
+      ['시작 시각', text(this.dates.dateTime(startTime))],
+      ['종료 시각', text(this.dates.dateTime(endTime))],
+      ['모니터링 시간', text(`${Math.floor(duration / 60)}분 ${Math.floor(duration % 60)}초`)],
+      ['측정 횟수', text(`${measurements.length}회`)],
+      ['측정 간격', text(`약 ${(duration / measurements.length).toFixed(1)}초`)],
+    ];
+    // 세션 카탈로그에서 지정한 이름, 태그, 메모
+    if (metadata.name) {
+      items.push(['세션 이름', text(metadata.name)]);
+    }
+    if (metadata.tags && metadata.tags.length > 0) {
+      items.push(['태그', text(metadata.tags.join(', '))]);
+    }
+    if (metadata.notes) {
+      items.push(['메모', text(metadata.notes).replace(/\n/g, '<br>')]);
+    }
+    // 외부 파일에서 가져온 세션
+    if (imported) {
+      items.push(['가져온 데이터', text(`${imported.format.toUpperCase()}${imported.fileName ? ` (${imported.fileName})` : ''}, ${this.dates.dateTime(imported.importedAt)}`)]);
+    }
+    // 서버 비정상 종료 후 저널에서 복구한 세션
+    if (interrupted) {
+      items.push(['중단됨', text(`마지막 측정까지 복구 (복구 시각 ${this.dates.dateTime(interrupted.recoveredAt)})`)]);
+    }
+    // 예약 실행으로 시작된 세션
+    if (schedule) {
+      items.push(['예약 실행', text(`${schedule.name} (${schedule.id})`)]);
+    }
+    const parts = [fieldList(items)];
+
+    // 연속 모니터링 구간 정보 (이전/다음 구간 리포트 링크)
+    if (segment) {
+      const link = (id, url, emptyText) => (url ? `<a href="${escapeHtml(url)}">${text(id)}</a>` : text(emptyText));
+      parts.push('<h3>연속 모니터링 구간</h3>', fieldList([
+        ['구간', text(`#${segment.index + 1} (주기: ${segment.period}, 세션: ${this.sessionData.parentSessionId})`)],
+        ['구간 경계', text(`${this.dates.dateTime(segment.start)} ~ ${this.dates.dateTime(segment.end)}`)],
+        ['이전 구간', link(segment.prevId, segment.prevUrl, '없음 (첫 구간)')],
+        ['다음 구간', link(segment.nextId, segment.nextUrl, '없음 (마지막 구간)')],
+      ]));
+    }
+
+    // 데이터 완전성 (샘플링 정보가 있는 세션만)
+    if (sampling) {
+      const items = [
+        ['수집률', text(`${sampling.completeness.toFixed(2)}% (${sampling.collectedSamples} / 예정 ${sampling.expectedSamples}회)`)],
+        ['누락/실패/지연', text(`${sampling.missedSamples}회 / ${sampling.failedSamples || 0}회 / ${sampling.lateSamples}회`)],
+        ['수집 지연 시간', text(`평균 ${sampling.latencyMs.avg}ms, 최대 ${sampling.latencyMs.max}ms`)],
+      ];
+      if (sampling.gaps.length > 0) {
+        const gaps = sampling.gaps.slice(0, 10)
+          .map(gap => `${this.dates.time(gap.timestamp)} - 경과 ${gap.elapsed.toFixed(1)}초 시점에 ${gap.count}회 누락`);
+        if (sampling.gaps.length > 10) {
+          gaps.push(`... 외 ${sampling.gaps.length - 10}개 구간`);
+        }
+        items.push(['누락 구간', gaps.map(escapeHtml).join('<br>')]);
+      }
+      parts.push('<h3>데이터 완전성</h3>', fieldList(items));
+    }
+
+    return this.section(section, '모니터링 정보', parts.join('\n'));
+  }
+
+  /**
+   * 통계 요약 (수집기 설명의 render.pdf에 따른 블록)
+   */
+  renderStatistics(section = {}) {
+    if (this.sessionData.measurements.length === 0) {
+      return '<p class="note">측정 데이터가 없습니다.</p>';
+    }
+
+    const summaryLabels = { min: '최소', max: '최대', avg: '평균', median: '중간값', p90: 'P90', p95: 'P95', p99: 'P99' };
+    const blocks = collectStatBlocks(this.sessionData).map(block => {
+      // 여러 값을 한 줄씩 요약하는 블록 (예: 읽기/쓰기)
+      if (block.rows) {
+        return `<h3>${escapeHtml(block.label)}</h3>` + table({
+          columns: ['항목', '최소', '최대', '평균', 'P95'].map((header, index) => ({ header, numeric: index > 0 })),
+          rows: block.rows.map(({ label, stats }) => [
+            label,
+            stats.min.toFixed(2),
+            stats.max.toFixed(2),
+            stats.avg.toFixed(2),
+            stats.p95.toFixed(2),
+          ]),
+        });
+      }
+
+      // 설명의 요약 항목 다음에 백분위수, 표준편차, 추세
+      const { stats, unit } = block;
+      const fields = [...block.fields, 'p90', 'p95', 'p99'];
+      const parts = [
+        `<h3>${escapeHtml(block.label)}</h3>`,
+        table({
+          columns: [
+            ...fields.map(field => ({ header: summaryLabels[field], numeric: true })),
+            { header: '표준편차', numeric: true },
+            { header: '추세', numeric: true },
+          ],
+          rows: [[
+            ...fields.map(field => `${stats[field].toFixed(2)}${unit}`),
+            stats.stddev.toFixed(2),
+            formatSlope(stats.slopePerMinute, unit),
+          ]],
+        }),
+      ];
+      if (stats.timeAbove.length > 0) {
+        parts.push(`<p class="note">임계값 초과 - ${stats.timeAbove
+          .map(item => escapeHtml(`${item.threshold}${unit.trim()}: ${formatDuration(item.seconds)} (${item.percent.toFixed(1)}%)`))
+          .join(' · ')}</p>`);
+      }
+      return parts.join('\n');
+    });
+
+    return this.section(section, '리소스 사용률 통계 요약', blocks.join('\n'));
+  }
+
+  /**
+   * 시간에 따른 변화 그래프
+   * 측정값은 파일에 포함하고 브라우저에서 SVG로 그림 (report.js)
+   */
+  renderCharts(section = {}) {
+    const charts = buildCharts(this.sessionData);
+    if (charts.length === 0) return '';
+
+    const reduced = this.sessionData.measurements.length > MAX_CHART_POINTS;
+    const figures = charts.map(chart => {
+      const index = this.charts.length;
+      const series = chart.series.map((item, seriesIndex) => ({
+        label: item.label,
+        color: item.color || PALETTE[seriesIndex % PALETTE.length],
+        points: downsample(item.points, MAX_CHART_POINTS)
+          .map(([x, y]) => [x, typeof y === 'number' ? Math.round(y * 100) / 100 : null]),
+      }));
+      const times = series.flatMap(item => item.points.map(([x]) => x));
+      this.charts.push({
+        title: chart.title,
+        unit: chart.unit,
+        yMax: chart.yMax || null,
+        area: chart.area,
+        extent: [Math.min(...times), Math.max(...times)],
+        series,
+      });
+
+      const legend = series
+        .map(item => `<span><span class="swatch" style="background:${escapeHtml(item.color)}"></span>${escapeHtml(item.label)}</span>`)
+        .join('');
+      return `<figure class="chart" data-chart="${index}"><figcaption>${escapeHtml(chart.title)}</figcaption>` +
+        `<div class="chart-plot"></div><div class="chart-legend">${legend}</div></figure>`;
+    });
+
+    const content = [
+      reduced
+        ? `<p class="note">측정값 ${this.sessionData.measurements.length}개를 구간별 최소/최대값으로 줄여 포함했습니다.</p>`
+        : '',
+      '<div class="chart-toolbar"><span class="zoom-label"></span><button type="button" class="zoom-reset" hidden>전체 보기</button></div>',
+      ...figures,
+    ];
+    return this.section(section, '시간에 따른 변화 그래프', content.join('\n'), { newPage: true });
+  }
+
+  /**
+   * 상세 통계 (피크 사용 시점)
+   */
+  renderDetailedStats(section = {}) {
+    const { measurements } = this.sessionData;
+    if (measurements.length === 0) {
+      return this.section(section, '상세 통계 분석', '', { newPage: true });
+    }
+
+    // 피크 사용 시점 (해당 수집기가 실행된 경우에만)
+    const { cpu: peakCpu, memory: peakMem } = findPeaks(measurements);
+    const rows = [];
+    if (peakCpu) {
+      rows.push(['CPU', this.dates.time(peakCpu.timestamp), `${peakCpu.cpu.usage.toFixed(2)}%`, '-']);
+    }
+    if (peakMem) {
+      rows.push([
+        '메모리',
+        this.dates.time(peakMem.timestamp),
+        `${peakMem.memory.usagePercent.toFixed(2)}%`,
+        `${(peakMem.memory.used / 1024 / 1024 / 1024).toFixed(2)} GB`,
+      ]);
+    }
+
+    const content = rows.length > 0
+      ? '<h3>피크 사용 시점</h3>' + table({
+        columns: [{ header: '항목' }, { header: '최대 사용 시각' }, { header: '사용률', numeric: true }, { header: '사용량', numeric: true }],
+        rows,
+      })
+      : '';
+    return this.section(section, '상세 통계 분석', content, { newPage: true });
+  }
+
+  /**
+   * 코어별 CPU 통계 및 숨은 단일 코어 포화 구간
+   */
+  renderCoreStats(section = {}) {
+    const interval = (this.sessionData.config && this.sessionData.config.interval) || 1;
+    const { cores, hiddenSaturation, options } = analyzeCores(this.sessionData.measurements, interval);
+    if (cores.length === 0) return '';
+
+    const flagged = new Set(hiddenSaturation.map(episode => episode.core));
+    const parts = [
+      `<p class="note">포화 기준: 코어 사용률 ${options.saturationThreshold}% 이상. '*' 표시는 전체 평균이 ${options.overallThreshold}% 미만인데 ${options.minDuration}초 이상 포화된 코어입니다.</p>`,
+      table({
+        columns: [
+          { header: '코어' },
+          { header: '최소 %', numeric: true },
+          { header: '최대 %', numeric: true },
+          { header: '평균 %', numeric: true },
+          { header: '포화 비율 %', numeric: true },
+          { header: '최장 포화 (초)', numeric: true },
+        ],
+        rows: cores.map(core => ({
+          className: flagged.has(core.core) ? 'critical' : null,
+          cells: [
+            `${flagged.has(core.core) ? '*' : ''}C${core.core}`,
+            core.min.toFixed(1),
+            core.max.toFixed(1),
+            core.avg.toFixed(1),
+            core.saturatedPercent.toFixed(1),
+            core.longestSaturation.toFixed(0),
+          ],
+        })),
+      }),
+      '<h3>평균에 가려진 단일 코어 포화 구간</h3>',
+    ];
+
+    if (hiddenSaturation.length === 0) {
+      parts.push('<p>해당 구간이 없습니다.</p>');
+    } else {
+      parts.push(table({
+        columns: [
+          { header: '코어' },
+          { header: '시작' },
+          { header: '종료' },
+          { header: '지속 (초)', numeric: true },
+          { header: '코어 평균 %', numeric: true },
+          { header: '전체 평균 %', numeric: true },
+        ],
+        rows: hiddenSaturation.map(episode => [
+          `C${episode.core}`,
+          this.dates.time(episode.start),
+          this.dates.time(episode.end),
+          episode.duration.toFixed(0),
+          episode.coreAvg.toFixed(1),
+          episode.overallAvg.toFixed(1),
+        ]),
+      }));
+    }
+
+    return this.section(section, '코어별 CPU 통계', parts.join('\n'), { newPage: true });
+  }
+
+  /**
+   * 알림 규칙 및 발생 기록
+   */
+  renderAlerts(section = {}) {
+    const rules = (this.sessionData.config && this.sessionData.config.alertRules) || [];
+    const incidents = this.sessionData.alerts || [];
+    if (rules.length === 0 && incidents.length === 0) return '';
+
+    const time = value => (value ? this.dates.clock(value) : '-');
+    const parts = [
+      '<h3>알림 규칙</h3>',
+      table({
+        columns: [{ header: '규칙' }, { header: '심각도' }, { header: '조건' }],
+        rows: rules.map(rule => [
+          rule.id,
+          rule.severity,
+          `${rule.metric} ${rule.operator} ${rule.threshold}, ${rule.duration}초 지속 (히스테리시스 ${rule.hysteresis})`,
+        ]),
+      }),
+      `<h3>발생 기록 (${incidents.length}건)</h3>`,
+    ];
+
+    if (incidents.length === 0) {
+      parts.push('<p>세션 동안 발생한 알림이 없습니다.</p>');
+      return this.section(section, '알림', parts.join('\n'));
+    }
+
+    parts.push(table({
+      columns: [
+        { header: '규칙' },
+        { header: '심각도' },
+        { header: '시작' },
+        { header: '종료' },
+        { header: '지속', numeric: true },
+        { header: '최대값', numeric: true },
+        { header: '최대 시각' },
+      ],
+      rows: incidents.map(incident => {
+        const duration = incident.end
+          ? `${Math.round((new Date(incident.end) - new Date(incident.start)) / 1000)}초`
+          : '진행 중';
+        // 세션 종료 시점에 해제되지 않은 알림은 종료 시각 뒤에 * 표시
+        const end = incident.end ? `${time(incident.end)}${incident.resolved ? '' : '*'}` : '-';
+        return {
+          className: incident.severity === 'critical' ? 'critical' : null,
+          cells: [
+            incident.ruleId,
+            incident.severity,
+            time(incident.start),
+            end,
+            duration,
+            incident.peak.toFixed(2),
+            time(incident.peakAt),
+          ],
+        };
+      }),
+    }));
+
+    if (incidents.some(incident => !incident.resolved)) {
+      parts.push('<p class="note">* 세션 종료 시점까지 해제되지 않은 알림</p>');
+    }
+    return this.section(section, '알림', parts.join('\n'));
+  }
+
+  /**
+   * 이상 징후 감지 결과 (지표별로 이어진 이상 값을 구간으로 묶어 표시)
+   */
+  renderAnomalies(section = {}) {
+    const options = this.sessionData.config && this.sessionData.config.anomalyDetection;
+    if (!options || !options.enabled) return '';
+
+    const interval = this.sessionData.config.interval || 1;
+    const episodes = AnomalyDetector.summarize(this.sessionData.measurements, interval);
+    const time = value => this.dates.clock(value);
+
+    const parts = [
+      `<p class="note">지표별 EWMA 기준선(alpha ${options.alpha})에서 |z| ${options.threshold} 이상 벗어난 값입니다. ` +
+      `처음 ${options.warmup}회 측정은 기준선 학습 기간으로 판단하지 않습니다.</p>`,
+    ];
+
+    if (episodes.length === 0) {
+      parts.push('<p>감지된 이상 징후가 없습니다.</p>');
+    } else {
+      parts.push(table({
+        columns: [
+          { header: '지표' },
+          { header: '시작' },
+          { header: '종료' },
+          { header: '점 수', numeric: true },
+          { header: '최대 z', numeric: true },
+          { header: '최대값', numeric: true },
+          { header: '기준선', numeric: true },
+          { header: '최대 시각' },
+        ],
+        rows: episodes.map(episode => [
+          episode.metric,
+          time(episode.start),
+          time(episode.end),
+          episode.points,
+          episode.peakZ.toFixed(1),
+          episode.peakValue.toFixed(2),
+          episode.baseline.toFixed(2),
+          time(episode.peakAt),
+        ]),
+      }));
+    }
+
+    return this.section(section, '이상 징후', parts.join('\n'));
+  }
+
+  /**
+   * 항목별 최소/최대/평균 표
+   * @param {Array} rows - [라벨, 값 배열] 쌍의 목록
+   */
+  minMaxAvgTable(rows) {
+    return table({
+      columns: [{ header: '항목' }, { header: '최소', numeric: true }, { header: '최대', numeric: true }, { header: '평균', numeric: true }],
+      rows: rows.map(([label, values]) => {
+        const stats = summarize(values);
+        return stats
+          ? [label, stats.min.toFixed(2), stats.max.toFixed(2), stats.avg.toFixed(2)]
+          : [label, 'N/A', 'N/A', 'N/A'];
+      }),
+    });
+  }
+
+  /**
+   * GPU별 통계
+   */
+  renderGpuStats(section = {}) {
+    const gpus = summarizeGpus(this.sessionData);
+    if (gpus.length === 0) return '';
+
+    const content = gpus.map(({ index, model, memoryTotal, rows }) => [
+      `<h3>GPU ${index}: ${escapeHtml(model)}</h3>`,
+      memoryTotal ? `<p class="note">메모리: ${memoryTotal} MB</p>` : '',
+      this.minMaxAvgTable(rows),
+    ].join('\n'));
+
+    return this.section(section, 'GPU별 통계', content.join('\n'), { newPage: true });
+  }
+
+  /**
+   * 네트워크 인터페이스별 / 디스크 볼륨별 통계
+   */
+  renderBreakdownStats(section = {}) {
+    const { interfaces, volumes } = summarizeBreakdowns(this.sessionData.measurements);
+    if (interfaces.length === 0 && volumes.length === 0) return '';
+
+    const group = ({ title, rows }) => `<h4>${escapeHtml(title)}</h4>\n${this.minMaxAvgTable(rows)}`;
+    const parts = [];
+    if (interfaces.length > 0) {
+      parts.push('<h3>네트워크 인터페이스 (KB/s)</h3>', ...interfaces.map(group));
+    }
+    if (volumes.length > 0) {
+      parts.push('<h3>디스크 볼륨</h3>', ...volumes.map(group));
+    }
+
+    return this.section(section, '인터페이스 및 볼륨별 통계', parts.join('\n'), { newPage: true });
+  }
+
+  /**
+   * 세션 전체 기준 프로세스 순위
+   */
+  renderProcessRanking(section = {}) {
+    const ranking = rankProcesses(this.sessionData);
+    if (!ranking) return '';
+
+    const rankTable = (title, rows, valueHeader, formatValue) => `<h3>${escapeHtml(title)}</h3>\n` + table({
+      columns: [
+        { header: '#', numeric: true },
+        { header: 'PID', numeric: true },
+        { header: '이름' },
+        { header: '사용자' },
+        { header: valueHeader, numeric: true },
+      ],
+      rows: rows.map((proc, idx) => [idx + 1, proc.pid, proc.name, proc.user || '-', formatValue(proc)]),
+    });
+
+    const content = [
+      `<p class="note">측정마다 CPU/메모리 상위 ${ranking.topN}개 프로세스를 기록하여 세션 전체로 합산한 결과입니다.</p>`,
+      rankTable('누적 CPU 시간 기준', ranking.byCpu, 'CPU 시간 (초)', proc => proc.cpuSeconds.toFixed(1)),
+      rankTable('최대 메모리 사용량 기준', ranking.byMem, '최대 RSS (MB)', proc => proc.peakMemMB.toFixed(1)),
+    ];
+    return this.section(section, '프로세스 사용량 순위', content.join('\n'), { newPage: true });
+  }
+
+  /**
+   * 측정 데이터 샘플 (처음 10개)
+   */
+  renderDataSample(section = {}) {
+    const { measurements, sessionId } = this.sessionData;
+    if (measurements.length === 0) return '';
+
+    // 수집기가 꺼진 항목은 '-'로 표시
+    const cell = (m, keyPath, digits) => {
+      const value = getPath(m, keyPath);
+      return typeof value !== 'number' ? '-' : digits === undefined ? value.toString() : value.toFixed(digits);
+    };
+
+    const content = [
+      table({
+        columns: [
+          { header: '시각' },
+          { header: 'CPU %', numeric: true },
+          { header: '메모리 %', numeric: true },
+          { header: '디스크 %', numeric: true },
+          { header: '수신 KB/s ↓', numeric: true },
+          { header: '송신 KB/s ↑', numeric: true },
+        ],
+        rows: measurements.slice(0, 10).map(m => [
+          this.dates.time(m.timestamp),
+          cell(m, 'cpu.usage', 1),
+          cell(m, 'memory.usagePercent', 1),
+          cell(m, 'disk.usagePercent', 1),
+          cell(m, 'network.rxKBps'),
+          cell(m, 'network.txKBps'),
+        ]),
+      }),
+      measurements.length > 10 ? `<p class="note">... 외 ${measurements.length - 10}개 데이터 포인트</p>` : '',
+      `<p>전체 데이터는 세션 ID "${escapeHtml(sessionId)}"로 저장되었습니다.</p>`,
+    ];
+    return this.section(section, '측정 데이터 샘플 (처음 10개)', content.join('\n'));
+  }
+}
+
+module.exports = HTMLReportGenerator;
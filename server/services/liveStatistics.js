@@ -0,0 +1,265 @@
+/**
+ * 실행 중인 세션의 통계 집계
+ * 측정값을 보관하지 않고 통계 항목(render.pdf.stats)마다 고정 크기의 집계만 갱신하므로
+ * 세션이 길어져도 메모리 사용량이 늘지 않음 (대시보드가 5초마다 요청해도 저널을 다시 읽지 않음)
+ * 백분위수, 히스토그램, 임계값 초과 시간은 세밀한 고정 구간 분포에서 근사
+ */
+
+const { collectStatItems, formatStatistics, statValue } = require('./sessionSummary');
+const { PERCENTILES, DEFAULT_BINS, thresholdsFor } = require('./statistics');
+
+// 분포 구간 수 (짝수, 범위를 넓힐 때 이웃한 두 구간을 합침)
+const DISTRIBUTION_BINS = 1024;
+
+/**
+ * 지표 하나의 집계
+ * 개수/평균/분산과 추세 기울기는 온라인 알고리즘(Welford)으로 정확히 계산하고,
+ * 값 분포는 DISTRIBUTION_BINS개의 같은 너비 구간에 측정 수와 측정이 차지한 시간을 누적
+ * (범위를 벗어난 값이 오면 구간 너비를 두 배로 넓혀 범위의 1/DISTRIBUTION_BINS~2/DISTRIBUTION_BINS 해상도 유지)
+ */
+class MetricAggregate {
+  constructor() {
+    this.count = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.mean = 0;
+    this.m2 = 0; // 편차 제곱합
+
+    // 추세 기울기 (시각은 첫 측정 기준, 큰 시각 값의 정밀도 손실 방지)
+    this.startTime = null;
+    this.meanTime = 0;
+    this.m2Time = 0;
+    this.coMoment = 0;
+
+    // 값 분포 (모든 값이 같은 동안에는 구간 없이 min/count와 누적 시간만 사용)
+    this.singleDuration = 0;
+    this.origin = null;
+    this.binWidth = 0;
+    this.counts = null;
+    this.durations = null;
+
+    // 측정이 차지하는 시간은 다음 측정이 와야 정해지므로 마지막 측정은 따로 보관
+    this.last = null;
+    this.gapSum = 0;
+  }
+
+  add(time, value) {
+    this.count++;
+    this.min = Math.min(this.min, value);
+    this.max = Math.max(this.max, value);
+
+    const delta = value - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (value - this.mean);
+
+    if (this.startTime === null) this.startTime = time;
+    const t = time - this.startTime;
+    const deltaTime = t - this.meanTime;
+    this.meanTime += deltaTime / this.count;
+    this.m2Time += deltaTime * (t - this.meanTime);
+    this.coMoment += deltaTime * (value - this.mean);
+
+    if (!this.counts && this.last && value !== this.last.value) {
+      this.spread();
+    }
+    if (this.last) {
+      const gap = Math.max(time - this.last.time, 0);
+      this.gapSum += gap;
+      this.place(this.last.value, 0, gap);
+    }
+    this.place(value, 1, 0);
+    this.last = { time, value };
+  }
+
+  /**
+   * 서로 다른 값이 처음 나오면 지금까지의 범위(min~max)가 구간의 절반을 차지하도록 분포 생성
+   * (그전의 측정값은 모두 마지막 값과 같음)
+   */
+  spread() {
+    this.origin = this.min;
+    this.binWidth = (this.max - this.min) / (DISTRIBUTION_BINS / 2);
+    this.counts = new Float64Array(DISTRIBUTION_BINS);
+    this.durations = new Float64Array(DISTRIBUTION_BINS);
+
+    const idx = this.binIndex(this.last.value);
+    this.counts[idx] = this.count - 1;
+    this.durations[idx] = this.singleDuration;
+  }
+
+  /**
+   * 값 분포에 측정 수와 시간 누적
+   */
+  place(value, count, duration) {
+    if (!this.counts) {
+      this.singleDuration += duration;
+      return;
+    }
+
+    while (value < this.origin) this.widen(true);
+    while (value > this.origin + this.binWidth * DISTRIBUTION_BINS) this.widen(false);
+
+    const idx = this.binIndex(value);
+    this.counts[idx] += count;
+    this.durations[idx] += duration;
+  }
+
+  binIndex(value) {
+    const idx = Math.floor((value - this.origin) / this.binWidth);
+    return Math.min(Math.max(idx, 0), DISTRIBUTION_BINS - 1);
+  }
+
+  /**
+   * 구간 너비를 두 배로 (downward이면 아래쪽으로, 아니면 위쪽으로 범위 확장)
+   */
+  widen(downward) {
+    const half = DISTRIBUTION_BINS / 2;
+    const offset = downward ? half : 0;
+    [this.counts, this.durations] = [this.counts, this.durations].map((bins) => {
+      const widened = new Float64Array(DISTRIBUTION_BINS);
+      bins.forEach((amount, idx) => {
+        widened[offset + Math.floor(idx / 2)] += amount;
+      });
+      return widened;
+    });
+    if (downward) this.origin -= this.binWidth * DISTRIBUTION_BINS;
+    this.binWidth *= 2;
+  }
+
+  /**
+   * 백분위수 (statistics.percentile()과 같은 순위, 구간 안에서는 선형 보간)
+   */
+  percentile(p) {
+    if (!this.counts) return this.min;
+
+    const rank = (p / 100) * (this.count - 1);
+    let before = 0;
+    for (let idx = 0; idx < DISTRIBUTION_BINS; idx++) {
+      const count = this.counts[idx];
+      if (count > 0 && rank < before + count) {
+        const value = this.origin + this.binWidth * (idx + (rank - before + 0.5) / count);
+        return Math.min(Math.max(value, this.min), this.max);
+      }
+      before += count;
+    }
+    return this.max;
+  }
+
+  /**
+   * 같은 너비 구간의 도수 분포 (statistics.histogram()과 같은 형식, 분포 구간의 중앙값 기준으로 배분)
+   */
+  histogram(bins) {
+    if (!this.counts) {
+      return { min: this.min, max: this.max, binWidth: 0, counts: [this.count] };
+    }
+
+    const binWidth = (this.max - this.min) / bins;
+    const counts = new Array(bins).fill(0);
+    this.counts.forEach((count, idx) => {
+      if (count === 0) return;
+      const center = this.origin + this.binWidth * (idx + 0.5);
+      const target = Math.floor((center - this.min) / binWidth);
+      counts[Math.min(Math.max(target, 0), bins - 1)] += count;
+    });
+
+    return { min: this.min, max: this.max, binWidth, counts };
+  }
+
+  /**
+   * 임계값 초과 시간 (statistics.timeAboveThresholds()와 같은 형식)
+   * 마지막 측정은 평균 측정 간격만큼 차지, 임계값이 걸친 분포 구간은 비율로 나눔
+   */
+  timeAbove(thresholds) {
+    const lastDuration = this.count > 1 ? this.gapSum / (this.count - 1) : 0;
+    const total = this.gapSum + lastDuration;
+
+    return thresholds.map((threshold) => {
+      let seconds = this.last.value > threshold ? lastDuration : 0;
+      if (!this.counts) {
+        seconds += this.min > threshold ? this.singleDuration : 0;
+      } else {
+        this.durations.forEach((duration, idx) => {
+          if (duration === 0) return;
+          const low = this.origin + this.binWidth * idx;
+          const share = (low + this.binWidth - threshold) / this.binWidth;
+          seconds += duration * Math.min(Math.max(share, 0), 1);
+        });
+      }
+      return {
+        threshold,
+        seconds,
+        percent: total > 0 ? (seconds / total) * 100 : 0,
+      };
+    });
+  }
+
+  /**
+   * statistics.describeSeries()와 같은 형식의 통계
+   */
+  describe({ thresholds = [], bins = DEFAULT_BINS } = {}) {
+    if (this.count === 0) return null;
+
+    const stats = {
+      count: this.count,
+      min: this.min,
+      max: this.max,
+      avg: this.mean,
+      stddev: Math.sqrt(this.m2 / this.count),
+    };
+    PERCENTILES.forEach((p) => {
+      stats[`p${p}`] = this.percentile(p);
+    });
+    stats.median = stats.p50;
+
+    return {
+      ...stats,
+      slopePerMinute: this.count > 1 && this.m2Time > 0 ? (this.coMoment / this.m2Time) * 60 : null,
+      histogram: this.histogram(bins),
+      timeAbove: this.timeAbove(thresholds),
+    };
+  }
+}
+
+class LiveStatistics {
+  /**
+   * @param {Array} collectors - 세션 데이터의 수집기 설명 (CollectorRegistry.describe)
+   */
+  constructor(collectors) {
+    this.items = collectStatItems(collectors);
+    this.reset();
+  }
+
+  /**
+   * 집계 초기화 (연속 모드의 새 구간)
+   */
+  reset() {
+    this.count = 0;
+    this.aggregates = this.items.map(() => new MetricAggregate());
+  }
+
+  add(measurement) {
+    this.count++;
+    const time = new Date(measurement.timestamp).getTime() / 1000;
+    this.items.forEach((item, idx) => {
+      const value = statValue(measurement, item);
+      if (value !== null && !isNaN(value)) {
+        this.aggregates[idx].add(time, value);
+      }
+    });
+  }
+
+  /**
+   * 지표별 전체 통계 (sessionStatistics()와 같은 형식)
+   * @param {object} sessionData - 초과 시간 임계값을 정할 세션 설정 (알림 규칙)
+   * @param {object} options - sessionStatistics()의 options
+   */
+  describe(sessionData, { thresholds = {}, bins } = {}) {
+    return this.items
+      .map((item, idx) => formatStatistics(item, this.aggregates[idx].describe({
+        thresholds: thresholdsFor(sessionData, item, thresholds),
+        bins,
+      })))
+      .filter(Boolean);
+  }
+}
+
+module.exports = LiveStatistics;
@@ -0,0 +1,256 @@
+/**
+ * Prometheus 지표 내보내기
+ * 백그라운드 샘플러의 최신 측정값을 Prometheus 텍스트 형식(0.0.4)으로 변환
+ * 샘플러는 첫 수집 요청 때 시작하고 일정 시간 요청이 없으면 멈춤
+ */
+
+const MonitorService = require('./monitor');
+const CollectorRegistry = require('./collectorRegistry');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 지표 이름 접두사
+const PREFIX = 'sysmon';
+
+// 수집기 단위 → Prometheus 기본 단위 (이름 접미사, 환산 배수, 설명에 붙일 단위)
+const UNITS = {
+  '%': { suffix: 'percent', scale: 1, label: '%' },
+  B: { suffix: 'bytes', scale: 1, label: '바이트' },
+  'KB/s': { suffix: 'bytes_per_second', scale: 1024, label: '바이트/초' },
+  MB: { suffix: 'bytes', scale: 1024 * 1024, label: '바이트' },
+  GB: { suffix: 'bytes', scale: 1024 * 1024 * 1024, label: '바이트' },
+  '°C': { suffix: 'celsius', scale: 1, label: '°C' },
+  W: { suffix: 'watts', scale: 1, label: 'W' },
+  MHz: { suffix: 'hertz', scale: 1e6, label: 'Hz' },
+  ms: { suffix: 'seconds', scale: 0.001, label: '초' },
+  s: { suffix: 'seconds', scale: 1, label: '초' },
+  h: { suffix: 'seconds', scale: 3600, label: '초' },
+};
+
+/**
+ * 'io.readKBps' → 'io_read_k_bps'
+ */
+const toSnakeCase = (keyPath) => keyPath
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .replace(/[^A-Za-z0-9]+/g, '_')
+  .toLowerCase();
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(parseFloat(value.toPrecision(12)));
+};
+
+class MetricsExporter {
+  /**
+   * @param {object} options
+   * @param {number} options.interval - 백그라운드 측정 간격 (초)
+   * @param {number} options.idleTimeout - 이 시간(초) 동안 수집 요청이 없으면 샘플러 중지
+   * @param {string[]} options.collectors - 실행할 수집기 (미지정 시 기본값)
+   * @param {number} options.topProcesses
+   * @param {object} options.sessionManager - 실행 중인 세션 수 (선택)
+   * @param {object} options.fleetRegistry - 원격 에이전트 상태 (선택)
+   * @param {CollectorRegistry} options.registry - 수집기 레지스트리 (미지정 시 기본 레지스트리)
+   */
+  constructor(options = {}) {
+    this.interval = options.interval || 5;
+    this.idleTimeout = options.idleTimeout || 300;
+    this.collectorIds = options.collectors;
+    this.topProcesses = options.topProcesses || 5;
+    this.sessionManager = options.sessionManager || null;
+    this.fleetRegistry = options.fleetRegistry || null;
+    this.registry = options.registry;
+
+    this.monitor = null;
+    this.latest = null;
+    this.collected = 0; // 받은 측정값 수 (샘플러 통계는 콜백이 끝난 뒤에 늘어나므로 따로 셈)
+    this.firstSample = null;
+    this.idleTimer = null;
+  }
+
+  /**
+   * 백그라운드 샘플러 시작 (이미 실행 중이면 그대로)
+   * 첫 측정값이 들어오면 resolve
+   */
+  ensureStarted() {
+    if (this.monitor) {
+      return this.firstSample;
+    }
+
+    // 대화형 세션과 상태를 공유하지 않도록 별도 MonitorService를 에이전트 모드로 실행 (저장/알림 없음)
+    const monitor = new MonitorService({
+      sessionId: 'metrics-exporter',
+      mode: 'agent',
+      interval: this.interval,
+      topProcesses: this.topProcesses,
+      collectors: this.collectorIds,
+      alertRules: [],
+      anomalyDetection: { enabled: false },
+      registry: this.registry,
+    });
+    monitor.on('error', (error) => {
+      console.error('[지표] 백그라운드 측정 오류:', error.message);
+    });
+
+    this.monitor = monitor;
+    this.latest = null;
+    this.collected = 0;
+    this.firstSample = new Promise((resolve) => {
+      monitor.start(({ mode, totalElapsed, totalDuration, progress, segment, ...measurement }) => {
+        this.latest = measurement;
+        this.collected++;
+        resolve();
+      });
+    });
+
+    console.log(`[지표] 백그라운드 샘플러 시작 (측정 간격 ${this.interval}초)`);
+    return this.firstSample;
+  }
+
+  /**
+   * 수집 요청마다 유휴 타이머를 다시 설정
+   */
+  touch() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+    }
+    this.idleTimer = setTimeout(() => {
+      console.log(`[지표] ${this.idleTimeout}초 동안 수집 요청이 없어 백그라운드 샘플러를 중지합니다.`);
+      this.stop();
+    }, this.idleTimeout * 1000);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Prometheus 텍스트 형식 응답 본문
+   */
+  async collect() {
+    this.touch();
+    await this.ensureStarted();
+
+    const families = new Map();
+    const add = (name, type, help, labels, value) => {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      if (!families.has(name)) {
+        families.set(name, { type, help, samples: [] });
+      }
+      families.get(name).samples.push({ labels, value });
+    };
+
+    this.addMeasurementMetrics(add);
+    this.addExporterMetrics(add);
+
+    const lines = [];
+    families.forEach(({ type, help, samples }, name) => {
+      lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      samples.forEach(({ labels, value }) => {
+        const pairs = Object.entries(labels)
+          .filter(([, labelValue]) => labelValue !== null && labelValue !== undefined)
+          .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`);
+        lines.push(`${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * 수집기별 측정값을 지표로 변환
+   * 숫자 필드는 게이지(metrics.counters에 있으면 카운터), 배열 항목은 metrics.labels의 레이블로 구분
+   */
+  addMeasurementMetrics(add) {
+    const measurement = this.latest;
+
+    this.monitor.collectors.forEach((collector) => {
+      const spec = collector.metrics || {};
+      const names = spec.names || {};
+      const counters = spec.counters || [];
+      const helps = spec.help || {};
+
+      const emit = (keyPath, value, labels) => {
+        const unit = UNITS[collector.units[keyPath]];
+        let name = `${PREFIX}_${collector.id}_${names[keyPath] || toSnakeCase(keyPath)}`;
+        if (unit && !name.endsWith(`_${unit.suffix}`)) {
+          name += `_${unit.suffix}`;
+        }
+        const isCounter = counters.includes(keyPath);
+        if (isCounter) {
+          name += '_total';
+        }
+
+        // 설명은 metrics.help의 문구 (없는 외부 플러그인은 수집기 이름과 경로), 단위는 환산한 뒤의 단위
+        const description = helps[keyPath] || `${collector.name} 수집기 ${keyPath} 값`;
+        const help = unit ? `${description} (${unit.label})` : description;
+        add(name, isCounter ? 'counter' : 'gauge', help, labels, unit ? value * unit.scale : value);
+      };
+
+      const value = measurement[collector.id];
+      add(`${PREFIX}_collector_up`, 'gauge', '수집기 최근 측정 성공 여부 (1: 성공, 0: 실패 또는 미지원)',
+        { collector: collector.id }, value === null || value === undefined ? 0 : 1);
+      if (value && typeof value === 'object') {
+        CollectorRegistry.walkValues(collector, value, emit);
+      }
+    });
+  }
+
+  /**
+   * 샘플러/서버 상태 지표
+   */
+  addExporterMetrics(add) {
+    const { sampler } = this.monitor;
+    const stats = sampler ? sampler.stats : { missed: 0, failed: 0 };
+
+    add(`${PREFIX}_sample_timestamp_seconds`, 'gauge', '최근 측정 시각 (Unix 시간)', {},
+      new Date(this.latest.timestamp).getTime() / 1000);
+    add(`${PREFIX}_sample_interval_seconds`, 'gauge', '백그라운드 측정 간격 (초)', {}, this.interval);
+    add(`${PREFIX}_sample_duration_seconds`, 'gauge', '최근 측정에 걸린 시간 (초)', {},
+      this.latest.sampling ? this.latest.sampling.latencyMs / 1000 : null);
+    add(`${PREFIX}_samples_total`, 'counter', '백그라운드 샘플러가 수집한 측정값 수', {}, this.collected);
+    add(`${PREFIX}_samples_missed_total`, 'counter', '이전 측정이 늦어져 건너뛴 틱 수', {}, stats.missed);
+    add(`${PREFIX}_samples_failed_total`, 'counter', '실패한 측정 수', {}, stats.failed);
+
+    if (this.sessionManager) {
+      const counts = {};
+      this.sessionManager.list().forEach(session => {
+        counts[session.status] = (counts[session.status] || 0) + 1;
+      });
+      Object.entries(counts).forEach(([status, count]) => {
+        add(`${PREFIX}_sessions`, 'gauge', '모니터링 세션 수', { status }, count);
+      });
+    }
+
+    if (this.fleetRegistry) {
+      const hosts = this.fleetRegistry.list();
+      ['online', 'offline'].forEach(status => {
+        add(`${PREFIX}_fleet_hosts`, 'gauge', '원격 에이전트 호스트 수', { status },
+          hosts.filter(host => host.status === status).length);
+      });
+    }
+  }
+
+  /**
+   * 백그라운드 샘플러 중지 (다음 수집 요청 때 다시 시작)
+   */
+  async stop() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+    const { monitor } = this;
+    this.monitor = null;
+    this.firstSample = null;
+    if (monitor) {
+      await monitor.stop();
+    }
+  }
+}
+
+MetricsExporter.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = MetricsExporter;
@@ -8,33 +8,108 @@ const fs = require('fs-extra');
 const path = require('path');
 const EventEmitter = require('events');
 const PDFGenerator = require('./pdfGenerator');
+const CollectorRegistry = require('./collectorRegistry');
+const Sampler = require('./sampler');
+const AlertEngine = require('./alertEngine');
+const AnomalyDetector = require('./anomalyDetector');
+const SessionJournal = require('./sessionJournal');
+const LiveStatistics = require('./liveStatistics');
+const { streamSessionData, writeSessionJson } = require('./sessionStore');
+const { parseReportPeriod, getNextBoundary } = require('./reportPeriod');
+const defaultRegistry = require('../collectors');
+const reportTemplates = require('../templates');
 
 class MonitorService extends EventEmitter {
   constructor(config) {
     super();
     this.config = {
-      duration: config.duration || 300, // 기본 5분
+      // continuous: 기간 없이 계속 측정, agent: 기간 없이 측정값을 콜백으로만 전달 (중앙 서버 전송용)
+      mode: ['continuous', 'agent'].includes(config.mode) ? config.mode : 'fixed',
+      duration: config.duration || 300, // 기본 5분 (fixed 모드)
+      reportPeriod: config.reportPeriod || 'hourly', // 구간 리포트 주기 (continuous 모드)
+      publicUrl: config.publicUrl || '', // 리포트의 이전/다음 구간 링크에 쓰는 서버 주소
       interval: config.interval || 1, // 기본 1초
+      topProcesses: config.topProcesses || 5, // 틱마다 기록할 상위 프로세스 수
+      gpus: config.gpus || [], // 모니터링할 GPU (인덱스 또는 모델명 일부, 비어 있으면 전체)
+      collectorIntervals: config.collectorIntervals || {}, // 수집기별 주기 재정의 (초)
       dataDir: config.dataDir,
       reportsDir: config.reportsDir,
+      journalDir: config.journalDir, // 측정값 저널 디렉터리 (없거나 기록에 실패하면 측정값을 메모리에 보관)
     };
 
-    this.sessionId = `session-${Date.now()}`;
+    // 세션에서 실행할 수집기 (미지정 시 레지스트리 기본값)
+    const registry = config.registry || defaultRegistry;
+    this.collectors = registry.resolve(config.collectors);
+    this.collectorState = new Map(this.collectors.map(collector => [
+      collector.id,
+      { state: {}, lastRun: null, lastScheduled: null, lastValue: null },
+    ]));
+
+    this.period = this.config.mode === 'continuous' ? parseReportPeriod(this.config.reportPeriod) : null;
+
+    // 알림 규칙 (미지정 시 실행 중인 수집기에 해당하는 기본 규칙, 빈 배열이면 알림 없음)
+    const collectorIds = this.collectors.map(collector => collector.id);
+    const alertRules = config.alertRules === undefined
+      ? AlertEngine.DEFAULT_RULES.filter(rule => collectorIds.includes(rule.metric.split('.')[0]))
+      : config.alertRules;
+    this.alerts = new AlertEngine(AlertEngine.validateRules(alertRules, collectorIds));
+    this.alerts.on('fired', (incident) => {
+      this.journalAppend('alert', incident);
+      this.emit('alert-fired', incident);
+    });
+    this.alerts.on('resolved', (incident) => {
+      this.journalAppend('alert', incident);
+      this.emit('alert-resolved', incident);
+    });
+
+    // 이상 징후 감지 (기본 사용, anomalyDetection.enabled: false로 끔)
+    const anomalyOptions = AnomalyDetector.validateOptions(config.anomalyDetection, this.collectors);
+    this.anomalies = anomalyOptions.enabled ? new AnomalyDetector(anomalyOptions.metrics, anomalyOptions) : null;
+
+    // 리포트 템플릿 (미지정 시 PDF 생성 시점의 기본 템플릿)
+    const reportTemplate = config.reportTemplate ? reportTemplates.resolve(config.reportTemplate).id : null;
+
+    this.sessionId = config.sessionId || `session-${Date.now()}`;
     this.sessionData = {
       sessionId: this.sessionId,
       startTime: null,
       endTime: null,
+      mode: this.config.mode,
+      config: {
+        mode: this.config.mode,
+        duration: this.config.mode === 'fixed' ? this.config.duration : null,
+        reportPeriod: this.period ? this.config.reportPeriod : null,
+        interval: this.config.interval,
+        topProcesses: this.config.topProcesses,
+        gpus: this.config.gpus,
+        collectorIntervals: this.config.collectorIntervals,
+        alertRules: this.alerts.rules,
+        anomalyDetection: anomalyOptions,
+        reportTemplate,
+      },
+      collectors: this.collectors.map(CollectorRegistry.describe),
+      schedule: config.schedule || null, // 예약 실행으로 시작된 세션 ({ id, name })
       systemInfo: {},
       measurements: [],
+      alerts: this.alerts.incidents, // 알림 발생 기록 (시작, 종료, 최대값)
     };
 
-    this.intervalId = null;
-    this.timeoutId = null;
-    this.elapsedSeconds = 0;
+    this.sampler = null;
+    this.journal = null;
+    this.dataSaved = false; // 저널의 측정값을 세션 JSON으로 옮겨 저장했는지 (이후 측정값은 파일에서 읽음)
+    this.samplingGaps = [];
+    this.latencyStats = { count: 0, sum: 0, max: 0 };
     this.isRunning = false;
 
-    // 네트워크 통계 추적용
-    this.lastNetworkStats = null;
+    // 실행 중 통계 (고정 모드는 세션 전체, 연속 모드는 현재 구간, 에이전트 모드는 집계하지 않음)
+    this.liveStats = this.config.mode === 'agent' ? null : new LiveStatistics(this.sessionData.collectors);
+
+    // 연속 모드 구간 상태
+    this.segment = null;
+    this.segmentQueue = Promise.resolve();
+    if (this.period) {
+      this.sessionData.segments = [];
+    }
   }
 
   /**
@@ -70,7 +145,8 @@ class MonitorService extends EventEmitter {
           total: mem.total,
           totalGB: (mem.total / 1024 / 1024 / 1024).toFixed(2),
         },
-        gpu: graphics.controllers.map(gpu => ({
+        gpu: graphics.controllers.map((gpu, index) => ({
+          index,
           model: gpu.model,
           vendor: gpu.vendor,
           vram: gpu.vram,
@@ -94,100 +170,60 @@ class MonitorService extends EventEmitter {
 
   /**
    * 실시간 시스템 리소스 측정
+   * 세션에 선택된 수집기를 병렬 실행하고 결과를 수집기 ID별로 담음
+   * @param {number} elapsedMs - 세션 시작 기준 경과 시간 (단조 시계, ms)
+   * @param {number} scheduledMs - 틱의 예정 시각 (수집 주기 판단용, 기본값은 elapsedMs)
    */
-  async measureResources() {
-    try {
-      const [
-        cpuLoad,
-        cpuTemp,
-        mem,
-        fsSize,
-        fsStats,
-        networkStats,
-        currentLoad,
-        graphics,
-      ] = await Promise.all([
-        si.currentLoad(),
-        si.cpuTemperature(),
-        si.mem(),
-        si.fsSize(),
-        si.fsStats(),
-        si.networkStats(),
-        si.currentLoad(),
-        si.graphics(),
-      ]);
-
-      // 네트워크 속도 계산 (KB/s)
-      let networkSpeed = {
-        rx: 0,
-        tx: 0,
-      };
-
-      if (this.lastNetworkStats && networkStats.length > 0) {
-        const current = networkStats[0];
-        const last = this.lastNetworkStats;
-
-        const timeDiff = this.config.interval; // 초 단위
-        networkSpeed.rx = ((current.rx_bytes - last.rx_bytes) / timeDiff / 1024).toFixed(2);
-        networkSpeed.tx = ((current.tx_bytes - last.tx_bytes) / timeDiff / 1024).toFixed(2);
+  async measureResources(elapsedMs = 0, scheduledMs = elapsedMs) {
+    const timestamp = new Date().toISOString();
+    const toleranceMs = (this.config.interval * 1000) / 2;
+
+    const results = await Promise.all(this.collectors.map(async (collector) => {
+      const runtime = this.collectorState.get(collector.id);
+      const interval = this.getCollectorInterval(collector);
+
+      // 수집 주기가 아직 돌아오지 않았으면 직전 값을 재사용
+      // 늦게 실행된 틱에 밀리지 않도록 예정 시각 기준으로 판단하고 반 간격의 지터는 허용
+      if (runtime.lastScheduled !== null && scheduledMs - runtime.lastScheduled < interval * 1000 - toleranceMs) {
+        return [collector.id, runtime.lastValue];
       }
 
-      this.lastNetworkStats = networkStats.length > 0 ? networkStats[0] : null;
-
-      // 디스크 I/O 속도
-      const diskIO = {
-        readPerSec: fsStats.rx_sec || 0,
-        writePerSec: fsStats.wx_sec || 0,
-      };
+      try {
+        const value = await collector.collect({
+          config: this.config,
+          state: runtime.state,
+          // 속도 계산용 실제 경과 시간 (초)
+          interval: runtime.lastRun !== null ? (elapsedMs - runtime.lastRun) / 1000 : interval,
+          elapsed: elapsedMs / 1000,
+        });
+
+        runtime.lastRun = elapsedMs;
+        runtime.lastScheduled = scheduledMs;
+        runtime.lastValue = value === undefined ? null : value;
+      } catch (error) {
+        // 한 수집기의 실패가 전체 측정을 막지 않도록 null로 기록
+        console.error(`[수집기:${collector.id}] 측정 오류:`, error.message);
+        runtime.lastRun = elapsedMs;
+        runtime.lastScheduled = scheduledMs;
+        runtime.lastValue = null;
+      }
 
-      // GPU 정보
-      const gpuData = graphics.controllers.length > 0 ? {
-        utilization: graphics.controllers[0].utilizationGpu || null,
-        temperature: graphics.controllers[0].temperatureGpu || null,
-        memoryUsed: graphics.controllers[0].memoryUsed || null,
-        memoryTotal: graphics.controllers[0].memoryTotal || null,
-      } : null;
+      return [collector.id, runtime.lastValue];
+    }));
 
-      const measurement = {
-        timestamp: new Date().toISOString(),
-        elapsed: this.elapsedSeconds,
-        cpu: {
-          usage: parseFloat(cpuLoad.currentLoad.toFixed(2)),
-          temperature: cpuTemp.main || null,
-          cores: cpuLoad.cpus.map(core => parseFloat(core.load.toFixed(2))),
-        },
-        memory: {
-          total: mem.total,
-          used: mem.used,
-          free: mem.free,
-          usagePercent: parseFloat(((mem.used / mem.total) * 100).toFixed(2)),
-        },
-        disk: {
-          total: fsSize.reduce((sum, fs) => sum + fs.size, 0),
-          used: fsSize.reduce((sum, fs) => sum + fs.used, 0),
-          usagePercent: parseFloat(
-            fsSize.length > 0
-              ? ((fsSize.reduce((sum, fs) => sum + fs.used, 0) /
-                  fsSize.reduce((sum, fs) => sum + fs.size, 0)) * 100).toFixed(2)
-              : 0
-          ),
-          io: {
-            readKBps: parseFloat((diskIO.readPerSec / 1024).toFixed(2)),
-            writeKBps: parseFloat((diskIO.writePerSec / 1024).toFixed(2)),
-          },
-        },
-        network: {
-          rxKBps: parseFloat(networkSpeed.rx),
-          txKBps: parseFloat(networkSpeed.tx),
-        },
-        gpu: gpuData,
-      };
+    return {
+      timestamp,
+      elapsed: parseFloat((elapsedMs / 1000).toFixed(3)),
+      ...Object.fromEntries(results),
+    };
+  }
 
-      return measurement;
-    } catch (error) {
-      console.error('[리소스 측정] 오류:', error);
-      throw error;
-    }
+  /**
+   * 수집기 실행 주기 (세션 측정 간격보다 짧을 수 없음)
+   */
+  getCollectorInterval(collector) {
+    const override = this.config.collectorIntervals[collector.id];
+    return Math.max(override || collector.interval, this.config.interval);
   }
 
   /**
@@ -200,37 +236,387 @@ class MonitorService extends EventEmitter {
 
     this.isRunning = true;
     this.sessionData.startTime = new Date().toISOString();
-    this.elapsedSeconds = 0;
 
     console.log(`[모니터링] 세션 시작: ${this.sessionId}`);
 
-    // 정기적으로 리소스 측정
-    this.intervalId = setInterval(async () => {
-      try {
-        const measurement = await this.measureResources();
-        this.sessionData.measurements.push(measurement);
-
-        // 콜백으로 실시간 데이터 전송
-        if (callback) {
-          callback({
-            ...measurement,
-            totalElapsed: this.elapsedSeconds,
-            totalDuration: this.config.duration,
-            progress: ((this.elapsedSeconds / this.config.duration) * 100).toFixed(2),
-          });
+    // 측정값은 저널에 바로 기록 (비정상 종료 후 서버 시작 시 복구, 에이전트 모드는 저장하지 않음)
+    if (this.config.journalDir && this.config.mode !== 'agent') {
+      const { measurements, alerts, segments, ...session } = this.sessionData;
+      this.journal = new SessionJournal(SessionJournal.pathFor(this.config.journalDir, this.sessionId), {
+        onError: error => this.handleJournalError(error),
+      });
+      this.journal.open(session);
+    }
+
+    // 단조 시계 기반 스케줄러로 측정 (틱 겹침 없음, 지정 기간이 지나면 'end')
+    // 연속 모드는 기간 제한 없이 측정하고 주기마다 구간을 잘라 리포트 생성
+    this.sampler = new Sampler({
+      interval: this.config.interval,
+      duration: this.config.mode === 'fixed' ? this.config.duration : null,
+    }, tick => this.sample(tick, callback));
+
+    if (this.period) {
+      const startTime = new Date(this.sessionData.startTime);
+      this.openSegment(0, startTime);
+    }
+
+    this.sampler.on('missed', (gap) => {
+      console.warn(`[모니터링] 측정 누락: 틱 ${gap.fromTick}부터 ${gap.count}개`);
+      const record = {
+        fromTick: gap.fromTick,
+        count: gap.count,
+        elapsed: parseFloat((gap.elapsedMs / 1000).toFixed(3)),
+        timestamp: new Date().toISOString(),
+      };
+      this.samplingGaps.push(record);
+      this.journalAppend('gap', record);
+    });
+    this.sampler.on('error', (error) => {
+      console.error('[모니터링] 측정 오류:', error);
+      this.emit('error', error);
+    });
+    // 정해진 기간이 끝나면 중지 (저장 실패 등으로 완료하지 못하면 'failed', 저널은 남아 다음 시작 시 복구)
+    this.sampler.on('end', () => {
+      this.stop().catch((error) => {
+        console.error(`[모니터링] ${this.sessionId} 종료 처리 오류:`, error);
+        this.emit('failed', error);
+      });
+    });
+
+    this.sampler.start();
+  }
+
+  /**
+   * 틱 한 번의 측정 처리
+   */
+  async sample(tick, callback) {
+    const measurement = await this.measureResources(tick.startedAt, tick.scheduledAt);
+    const latencyMs = this.sampler.now() - tick.startedAt;
+
+    // 수집 지연과 예정 시각 대비 늦음/누락 여부 기록
+    measurement.sampling = {
+      tick: tick.tick,
+      scheduledMs: Math.round(tick.scheduledAt),
+      lateMs: Math.round(tick.lateMs),
+      latencyMs: Math.round(latencyMs),
+      late: tick.late,
+      missedBefore: tick.missedBefore,
+    };
+
+    this.latencyStats.count++;
+    this.latencyStats.sum += latencyMs;
+    this.latencyStats.max = Math.max(this.latencyStats.max, latencyMs);
+
+    if (this.period) {
+      // 경계를 넘은 측정값은 새 구간에 속함
+      // 시스템 절전 등으로 구간 하나 이상을 건너뛰었으면 측정값이 속하는 구간까지 빈 구간도 마감
+      const measuredAt = new Date(measurement.timestamp);
+      while (measuredAt >= this.segment.end) {
+        this.cutSegment(this.segment.end);
+      }
+    }
+
+    this.alerts.evaluate(measurement);
+    if (this.anomalies) {
+      // 이상 값은 measurement.anomalies로 측정값에 함께 저장됨
+      this.anomalies.evaluate(measurement);
+    }
+
+    // 평가를 마친 뒤 보관 (저널에 기록하는 측정값에 이상 값이 포함되도록)
+    // 에이전트 모드는 측정값을 보관하지 않음 (콜백으로 받은 쪽에서 전송 후 버림)
+    if (this.period) {
+      this.keepMeasurement(measurement, this.segment.measurements);
+    } else if (this.config.mode === 'fixed') {
+      this.keepMeasurement(measurement, this.sessionData.measurements);
+    }
+    if (this.liveStats) {
+      this.liveStats.add(measurement);
+    }
+
+    // 콜백으로 실시간 데이터 전송
+    if (callback) {
+      callback({
+        ...measurement,
+        mode: this.config.mode,
+        totalElapsed: measurement.elapsed,
+        totalDuration: this.config.mode === 'fixed' ? this.config.duration : null,
+        progress: this.config.mode !== 'fixed'
+          ? null
+          : Math.min((measurement.elapsed / this.config.duration) * 100, 100).toFixed(2),
+        segment: this.period
+          ? { index: this.segment.index, start: this.segment.start, end: this.segment.end }
+          : undefined,
+      });
+    }
+  }
+
+  /**
+   * 측정값 보관
+   * 저널이 있으면 기록을 마칠 때까지만 목록에 두고, 기록하지 못하면(저널 오류) 목록에 계속 보관
+   * 따라서 저널 파일의 측정값과 목록의 측정값을 합치면 빠짐없는 전체 측정값
+   * @param {Array} list - 저널에 기록하지 못한 측정값을 보관할 목록
+   */
+  keepMeasurement(measurement, list) {
+    list.push(measurement);
+    if (!this.journal) {
+      return;
+    }
+
+    this.journal.append('measurement', measurement).then((written) => {
+      if (written) {
+        const index = list.indexOf(measurement);
+        if (index !== -1) {
+          list.splice(index, 1);
         }
+      }
+    });
+  }
 
-        this.elapsedSeconds++;
-      } catch (error) {
-        console.error('[모니터링] 측정 오류:', error);
-        this.emit('error', error);
+  /**
+   * 저널 파일의 측정값과 메모리에 보관한 측정값을 틱 순서로 하나씩 전달 (전체를 메모리에 모으지 않음)
+   * 저널 기록에 실패한 뒤의 측정값은 메모리에 있으므로 저널 다음에 이어서 전달
+   * 호출 시점의 목록 기준이므로 읽는 도중 저널에 추가된 그 뒤의 측정값은 빠질 수 있음
+   * @param {Array} list - keepMeasurement()의 목록
+   * @param {function} visit - (measurement) => void, Promise를 돌려주면 끝날 때까지 기다림
+   */
+  async forEachMeasurement(list, visit) {
+    const kept = [...list];
+    const keptTicks = new Set(kept.map(m => m.sampling.tick));
+    const lastTick = kept.length > 0 ? kept[kept.length - 1].sampling.tick : Infinity;
+
+    if (this.journal && (await fs.pathExists(this.journal.filePath))) {
+      await SessionJournal.read(this.journal.filePath, async ({ type, data }) => {
+        if (type === 'measurement' && data.sampling.tick <= lastTick && !keptTicks.has(data.sampling.tick)) {
+          await visit(data);
+        }
+      });
+    }
+    for (const measurement of kept) {
+      await visit(measurement);
+    }
+  }
+
+  /**
+   * 시간 범위 [start, end)의 측정값 목록
+   * @param {Array} list - keepMeasurement()의 목록
+   */
+  async loadMeasurements(list, start, end) {
+    const measurements = [];
+    await this.forEachMeasurement(list, (m) => {
+      const at = new Date(m.timestamp);
+      if (at >= start && at < end) {
+        measurements.push(m);
       }
-    }, this.config.interval * 1000);
+    });
+    return measurements;
+  }
+
+  /**
+   * 저널 기록 실패 (디스크 공간 부족, 권한 등)
+   * 이후 측정값은 메모리에 보관하고 세션 오류로 알림
+   */
+  handleJournalError(error) {
+    console.warn(`[모니터링] ${this.sessionId} 저널 기록 실패 - 이후 측정값은 메모리에 보관합니다.`);
+    this.emit('error', new Error(`측정값 저널을 기록하지 못해 이후 측정값은 메모리에만 보관합니다. (${error.message})`));
+  }
+
+  /**
+   * 저널이 있으면 레코드 추가 (기록 완료를 기다리지 않음)
+   */
+  journalAppend(type, data) {
+    if (this.journal) {
+      this.journal.append(type, data);
+    }
+  }
+
+  /**
+   * 구간 ID (세션 ID + 일련번호)
+   */
+  getSegmentId(index) {
+    return MonitorService.segmentId(this.sessionId, index);
+  }
+
+  static segmentId(sessionId, index) {
+    return `${sessionId}-seg-${String(index).padStart(4, '0')}`;
+  }
 
-    // 지정된 기간 후 자동 종료
-    this.timeoutId = setTimeout(() => {
-      this.stop();
-    }, this.config.duration * 1000);
+  /**
+   * 새 구간 시작
+   */
+  openSegment(index, start) {
+    this.segment = {
+      index,
+      start,
+      end: getNextBoundary(start, this.period, new Date(this.sessionData.startTime)),
+      measurements: [], // 저널에 기록하지 못한 측정값 (keepMeasurement)
+    };
+  }
+
+  /**
+   * 현재 구간을 마감하고 다음 구간 시작
+   * 구간 측정값은 저널에서 읽고, 데이터 저장과 PDF 생성은 측정을 막지 않도록 순서대로 백그라운드 처리
+   * @param {Date} end - 구간 종료 시각
+   * @param {boolean} isLast - 세션 종료로 인한 마지막 구간 여부
+   */
+  cutSegment(end, isLast = false) {
+    const segment = this.segment;
+    // 알림은 마감 시점의 상태로 기록
+    const alerts = this.getSegmentAlerts(segment, end);
+
+    if (!isLast) {
+      this.openSegment(segment.index + 1, end);
+      this.liveStats.reset();
+    }
+
+    this.segmentQueue = this.segmentQueue
+      .then(async () => {
+        const measurements = await this.loadMeasurements(segment.measurements, segment.start, end);
+        return this.finalizeSegment(this.buildSegmentData(segment, end, isLast, measurements, alerts));
+      })
+      .catch(error => {
+        console.error(`[모니터링] 구간 ${this.getSegmentId(segment.index)} 처리 오류:`, error);
+        this.emit('error', error);
+      });
+
+    return this.segmentQueue;
+  }
+
+  /**
+   * 구간과 겹치는 알림 (구간 마감 시점에 진행 중이면 end가 null)
+   */
+  getSegmentAlerts(segment, end) {
+    return this.alerts.incidents
+      .filter(incident => new Date(incident.start) < end &&
+        (!incident.end || new Date(incident.end) >= segment.start))
+      .map(incident => ({ ...incident }));
+  }
+
+  /**
+   * 구간 하나를 일반 세션 데이터 형식으로 구성
+   * @param {Array} measurements - 구간의 측정값
+   * @param {Array} alerts - getSegmentAlerts() 결과
+   */
+  buildSegmentData(segment, end, isLast, measurements, alerts) {
+    const segmentId = this.getSegmentId(segment.index);
+    const prevId = segment.index > 0 ? this.getSegmentId(segment.index - 1) : null;
+    const nextId = isLast ? null : this.getSegmentId(segment.index + 1);
+    const reportUrl = (id) => (id ? `${this.config.publicUrl}/api/download-pdf/${id}` : null);
+    const gaps = this.samplingGaps.filter((gap) => {
+      const at = new Date(gap.timestamp);
+      return at >= segment.start && at < end;
+    });
+
+    return {
+      sessionId: segmentId,
+      parentSessionId: this.sessionId,
+      mode: 'continuous',
+      startTime: segment.start.toISOString(),
+      endTime: end.toISOString(),
+      segment: {
+        index: segment.index,
+        period: this.config.reportPeriod,
+        start: segment.start.toISOString(),
+        end: end.toISOString(),
+        prevId,
+        nextId,
+        prevUrl: reportUrl(prevId),
+        nextUrl: reportUrl(nextId),
+      },
+      config: this.sessionData.config,
+      collectors: this.sessionData.collectors,
+      schedule: this.sessionData.schedule,
+      systemInfo: this.sessionData.systemInfo,
+      alerts,
+      sampling: MonitorService.summarizeMeasurementSampling(measurements, this.config.interval, gaps),
+      measurements,
+    };
+  }
+
+  /**
+   * 측정값의 sampling 기록으로 만든 샘플링 완전성 요약
+   * 샘플러 통계가 없는 경우(연속 모드 구간, 중단된 세션 복구)에 사용
+   */
+  static summarizeMeasurementSampling(measurements, interval, gaps = []) {
+    const missed = measurements.reduce((sum, m) => sum + (m.sampling ? m.sampling.missedBefore : 0), 0);
+    const latencies = measurements.map(m => (m.sampling ? m.sampling.latencyMs : 0));
+
+    return {
+      clock: 'monotonic',
+      interval,
+      expectedSamples: measurements.length + missed,
+      collectedSamples: measurements.length,
+      missedSamples: missed,
+      lateSamples: measurements.filter(m => m.sampling && m.sampling.late).length,
+      completeness: measurements.length > 0
+        ? parseFloat(((measurements.length / (measurements.length + missed)) * 100).toFixed(2))
+        : 100,
+      latencyMs: {
+        avg: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : 0,
+        max: latencies.reduce((max, value) => Math.max(max, value), 0),
+      },
+      gaps,
+    };
+  }
+
+  /**
+   * 구간 데이터 저장 및 PDF 생성
+   */
+  async finalizeSegment(segmentData) {
+    const dataPath = path.join(this.config.dataDir, `${segmentData.sessionId}.json`);
+    await fs.writeJson(dataPath, segmentData, { spaces: 2 });
+
+    const summary = {
+      index: segmentData.segment.index,
+      sessionId: segmentData.sessionId,
+      start: segmentData.segment.start,
+      end: segmentData.segment.end,
+      measurementCount: segmentData.measurements.length,
+      pdfFileName: `${segmentData.sessionId}.pdf`,
+    };
+
+    // 저장한 구간의 측정값은 저널에서 제거 (저널에는 진행 중인 구간의 측정값만 남음)
+    if (this.journal) {
+      const end = new Date(summary.end);
+      this.journal.append('segment', summary);
+      await this.journal.compact(record => record.type !== 'measurement' || new Date(record.data.timestamp) >= end);
+    }
+
+    const pdfGenerator = new PDFGenerator(segmentData, this.config.reportsDir);
+    const pdfPath = await pdfGenerator.generate();
+
+    summary.pdfFileName = path.basename(pdfPath);
+    this.sessionData.segments.push(summary);
+
+    console.log(`[모니터링] 구간 리포트 생성: ${segmentData.sessionId} (${summary.measurementCount}개 측정값)`);
+    this.emit('segment', summary);
+
+    return pdfPath;
+  }
+
+  /**
+   * 샘플링 완전성 요약 (PDF의 데이터 완전성 항목에 사용)
+   */
+  getSamplingSummary() {
+    const { collected, missed, late, failed } = this.sampler
+      ? this.sampler.stats
+      : { collected: 0, missed: 0, late: 0, failed: 0 };
+    const expected = collected + missed + failed;
+
+    return {
+      clock: 'monotonic',
+      interval: this.config.interval,
+      expectedSamples: expected,
+      collectedSamples: collected,
+      missedSamples: missed,
+      failedSamples: failed,
+      lateSamples: late,
+      completeness: expected > 0 ? parseFloat(((collected / expected) * 100).toFixed(2)) : 100,
+      latencyMs: {
+        avg: this.latencyStats.count > 0 ? Math.round(this.latencyStats.sum / this.latencyStats.count) : 0,
+        max: Math.round(this.latencyStats.max),
+      },
+      gaps: this.samplingGaps,
+    };
   }
 
   /**
@@ -242,23 +628,40 @@ class MonitorService extends EventEmitter {
     }
 
     this.isRunning = false;
+
+    // 진행 중인 측정이 끝날 때까지 대기
+    if (this.sampler) {
+      await this.sampler.stop();
+    }
+
     this.sessionData.endTime = new Date().toISOString();
+    this.sessionData.sampling = this.getSamplingSummary();
+    this.alerts.close(this.sessionData.endTime);
 
-    // 타이머 정리
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
+    // 연속 모드는 마지막 구간까지 마감한 뒤 완료
+    if (this.period) {
+      await this.cutSegment(new Date(this.sessionData.endTime), true);
     }
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId);
-      this.timeoutId = null;
+
+    // 남은 기록을 마친 뒤 저널의 측정값을 세션 JSON으로 옮겨 씀 (saveData)
+    if (this.journal) {
+      await this.journal.close();
     }
 
     console.log(`[모니터링] 세션 종료: ${this.sessionId}`);
-    console.log(`[데이터] 총 ${this.sessionData.measurements.length}개 측정값 수집됨`);
+    console.log(`[데이터] 총 ${this.sessionData.sampling.collectedSamples}개 측정값 수집됨 (누락 ${this.sessionData.sampling.missedSamples}개)`);
 
-    // 데이터 저장
-    await this.saveData();
+    // 데이터 저장 (에이전트 모드는 중앙 서버가 저장)
+    if (this.config.mode !== 'agent') {
+      await this.saveData();
+    }
+
+    // 세션 데이터(JSON)를 저장했으므로 저널은 더 이상 필요 없음 (저장에 실패하면 남겨 두어 다음 시작 시 복구)
+    if (this.journal) {
+      await this.journal.remove().catch((error) => {
+        console.error(`[저널] ${this.sessionId} 삭제 오류:`, error.message);
+      });
+    }
 
     // 완료 이벤트 발생
     this.emit('complete', this.sessionData);
@@ -266,12 +669,18 @@ class MonitorService extends EventEmitter {
 
   /**
    * 수집된 데이터를 JSON 파일로 저장
+   * 고정 모드에서 저널이 있으면 측정값을 메모리에 모으지 않고 저널에서 바로 옮겨 씀
    */
   async saveData() {
     const dataPath = path.join(this.config.dataDir, `${this.sessionId}.json`);
 
     try {
-      await fs.writeJson(dataPath, this.sessionData, { spaces: 2 });
+      if (this.journal && this.config.mode === 'fixed') {
+        await this.writeJournaledData(dataPath);
+        this.dataSaved = true;
+      } else {
+        await fs.writeJson(dataPath, this.sessionData, { spaces: 2 });
+      }
       console.log(`[데이터] 저장 완료: ${dataPath}`);
     } catch (error) {
       console.error('[데이터] 저장 오류:', error);
@@ -279,57 +688,109 @@ class MonitorService extends EventEmitter {
     }
   }
 
+  /**
+   * 세션 JSON을 나눠 씀 - 측정값 앞뒤의 세션 정보, 그 사이에 저널의 측정값과 메모리에 보관한 측정값
+   */
+  async writeJournaledData(dataPath) {
+    const output = await fs.promises.open(dataPath, 'w');
+    try {
+      await writeSessionJson(
+        { ...this.sessionData, measurements: [] },
+        visit => this.forEachMeasurement(this.sessionData.measurements, visit),
+        text => output.write(text),
+      );
+      await output.sync();
+    } finally {
+      await output.close();
+    }
+  }
+
   /**
    * PDF 리포트 생성
    */
   async generatePDF() {
-    const pdfGenerator = new PDFGenerator(this.sessionData, this.config.reportsDir);
+    // 연속 모드의 PDF는 구간마다 이미 생성됨 - 마지막 구간 리포트 반환
+    if (this.period) {
+      await this.segmentQueue;
+      const last = this.sessionData.segments[this.sessionData.segments.length - 1];
+      return last ? path.join(this.config.reportsDir, last.pdfFileName) : null;
+    }
+
+    const pdfGenerator = new PDFGenerator(await this.getSessionData(), this.config.reportsDir);
     const pdfPath = await pdfGenerator.generate();
     return pdfPath;
   }
 
   /**
-   * 통계 계산
+   * 실행 중인 세션의 지표별 통계 (연속 모드는 현재 구간)
+   * @param {object} options - sessionStatistics()의 options
+   * @returns {object|null} { measurementCount, startTime, endTime, segment, metrics } (에이전트 모드는 집계하지 않으므로 null)
    */
-  getStatistics() {
-    const measurements = this.sessionData.measurements;
-
-    if (measurements.length === 0) {
-      return null;
-    }
+  getStatistics(options) {
+    if (!this.liveStats) return null;
 
-    const calculateStats = (values) => {
-      const sorted = values.sort((a, b) => a - b);
-      return {
-        min: Math.min(...values),
-        max: Math.max(...values),
-        avg: values.reduce((a, b) => a + b, 0) / values.length,
-        median: sorted[Math.floor(sorted.length / 2)],
-      };
-    };
+    const segment = this.period && this.segment ? this.segment : null;
 
     return {
-      cpu: {
-        usage: calculateStats(measurements.map(m => m.cpu.usage)),
-        temperature: calculateStats(
-          measurements.map(m => m.cpu.temperature).filter(t => t !== null)
-        ),
-      },
-      memory: {
-        usagePercent: calculateStats(measurements.map(m => m.memory.usagePercent)),
-        usedGB: calculateStats(measurements.map(m => m.memory.used / 1024 / 1024 / 1024)),
-      },
-      disk: {
-        usagePercent: calculateStats(measurements.map(m => m.disk.usagePercent)),
-        readKBps: calculateStats(measurements.map(m => m.disk.io.readKBps)),
-        writeKBps: calculateStats(measurements.map(m => m.disk.io.writeKBps)),
-      },
-      network: {
-        rxKBps: calculateStats(measurements.map(m => m.network.rxKBps)),
-        txKBps: calculateStats(measurements.map(m => m.network.txKBps)),
-      },
+      measurementCount: this.liveStats.count,
+      startTime: segment ? segment.start.toISOString() : this.sessionData.startTime,
+      endTime: this.sessionData.endTime || null,
+      segment: segment
+        ? { sessionId: this.getSegmentId(segment.index), start: segment.start.toISOString(), end: segment.end.toISOString() }
+        : undefined,
+      metrics: this.liveStats.describe(this.sessionData, options),
     };
   }
+
+  /**
+   * 지금까지의 측정값을 포함한 세션 데이터 (실행 중인 세션의 데이터 조회, PDF/HTML 리포트)
+   */
+  async getSessionData() {
+    const measurements = [];
+    const sessionData = await this.streamSessionData((m) => {
+      measurements.push(m);
+    });
+    return sessionData ? { ...sessionData, measurements } : null;
+  }
+
+  /**
+   * 지금까지의 측정값을 하나씩 읽음 (실행 중인 세션의 내보내기)
+   * 고정 모드 측정값은 대부분 메모리에 없으므로 저널(저장을 마쳤으면 세션 JSON)에서 읽음
+   * 연속 모드는 마감한 구간이 구간 세션으로 저장되므로 현재 구간의 측정값 (currentSegment에 구간 정보)
+   * @param {function} visit - (measurement) => void, Promise를 돌려주면 끝날 때까지 기다림
+   * @returns {object} 측정값을 뺀 세션 데이터 (measurements는 빈 배열)
+   */
+  async streamSessionData(visit) {
+    if (this.period && this.segment) {
+      const segment = this.segment;
+      await this.forEachMeasurement(segment.measurements, async (m) => {
+        const at = new Date(m.timestamp);
+        if (at >= segment.start && at < segment.end) {
+          await visit(m);
+        }
+      });
+      return {
+        ...this.sessionData,
+        currentSegment: {
+          sessionId: this.getSegmentId(segment.index),
+          start: segment.start.toISOString(),
+          end: segment.end.toISOString(),
+        },
+        measurements: [],
+      };
+    }
+    if (this.dataSaved) {
+      return streamSessionData(this.config.dataDir, this.sessionId, visit);
+    }
+    if (this.journal && this.config.mode === 'fixed') {
+      await this.forEachMeasurement(this.sessionData.measurements, visit);
+    } else {
+      for (const measurement of [...this.sessionData.measurements]) {
+        await visit(measurement);
+      }
+    }
+    return { ...this.sessionData, measurements: [] };
+  }
 }
 
 module.exports = MonitorService;
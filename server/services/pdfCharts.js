@@ -0,0 +1,241 @@
+/**
+ * PDF 벡터 차트
+ * canvas 모듈 없이 PDFKit 경로로 시계열 선/영역 차트를 그림 (축, 격자, 범례, 최대값 표시)
+ * 긴 세션은 구간별 최소/최대값만 남겨 점 수를 줄이므로 짧은 피크도 사라지지 않음
+ * 문서에 registerFonts로 글꼴이 등록되어 있어야 함
+ */
+
+const { FONTS } = require('./pdfFonts');
+
+// 차트 하나에 그릴 최대 점 수 (플롯 폭 1pt당 약 1점)
+const DEFAULT_MAX_POINTS = 400;
+
+// 색상이 없는 시리즈에 차례로 사용
+const PALETTE = ['#007bff', '#fd7e14', '#28a745', '#dc3545', '#6f42c1', '#20c997', '#6c757d', '#e83e8c'];
+
+const Y_AXIS_WIDTH = 40;
+const LEGEND_ROW_HEIGHT = 10;
+
+/**
+ * 수집기 설명의 'rgb(r, g, b)' 색상을 PDFKit 색상으로 변환 (16진수/이름은 그대로)
+ */
+function toPdfColor(color, index = 0) {
+  if (!color) return PALETTE[index % PALETTE.length];
+  const match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3])] : color;
+}
+
+/**
+ * 축 최대값을 1, 2, 5 단위로 올림
+ */
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const exponent = Math.pow(10, Math.floor(Math.log10(value)));
+  const fraction = value / exponent;
+  return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * exponent;
+}
+
+/**
+ * 점 수 줄이기 - 구간마다 최소/최대값 점만 시간 순서대로 남김
+ * 값이 모두 null인 구간은 null 점 하나로 남겨 선이 끊기도록 함
+ * @param {Array} points - [[x, y 또는 null], ...] (x 오름차순)
+ * @returns {Array}
+ */
+function downsample(points, maxPoints = DEFAULT_MAX_POINTS) {
+  if (points.length <= maxPoints) {
+    return points;
+  }
+
+  const buckets = Math.floor(maxPoints / 2);
+  const size = points.length / buckets;
+  const reduced = [];
+
+  for (let i = 0; i < buckets; i++) {
+    const bucket = points.slice(Math.floor(i * size), Math.floor((i + 1) * size));
+    const valid = bucket.filter(([, y]) => typeof y === 'number');
+    if (valid.length === 0) {
+      reduced.push([bucket[0][0], null]);
+      continue;
+    }
+
+    const min = valid.reduce((a, b) => (b[1] < a[1] ? b : a));
+    const max = valid.reduce((a, b) => (b[1] > a[1] ? b : a));
+    if (min === max) {
+      reduced.push(min);
+    } else {
+      reduced.push(...(min[0] <= max[0] ? [min, max] : [max, min]));
+    }
+  }
+
+  return reduced;
+}
+
+/**
+ * 시각 축 라벨 (6시간 이상은 분 단위까지)
+ */
+function formatClock(value, range) {
+  return new Date(value).toTimeString().slice(0, range >= 6 * 3600 * 1000 ? 5 : 8);
+}
+
+const formatNumber = value => String(parseFloat(value.toFixed(2)));
+
+/**
+ * 시계열 차트 그리기 (남은 공간이 부족하면 새 페이지에서 시작)
+ * @param {PDFDocument} doc
+ * @param {object} options
+ * @param {string} options.title
+ * @param {Array} options.series - [{ label, color, points: [[x, y 또는 null], ...] }]
+ * @param {string} options.unit - 최대값 라벨에 붙일 단위
+ * @param {number} options.yMax - y축 최대값 (미지정 시 데이터 최대값을 올림)
+ * @param {boolean} options.area - 선 아래를 채움 (시리즈가 하나일 때 적합)
+ * @param {boolean} options.peaks - 시리즈별 최대값 위치 표시 (기본값: true)
+ * @param {Function} options.formatX - x축 라벨 (value, range) => string (기본값: 시각)
+ * @param {number} options.height - 플롯 높이 (pt)
+ * @param {number} options.maxPoints - 시리즈별 최대 점 수
+ */
+function drawTimeSeriesChart(doc, options) {
+  const {
+    title,
+    unit = '',
+    area = false,
+    peaks = true,
+    formatX = formatClock,
+    height = 150,
+    maxPoints = DEFAULT_MAX_POINTS,
+  } = options;
+
+  const series = options.series
+    .map((item, index) => ({ ...item, color: toPdfColor(item.color, index) }))
+    .filter(item => item.points.some(([, y]) => typeof y === 'number'));
+  if (series.length === 0) return;
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  // 제목 + 플롯 + x축 라벨 + 범례가 한 페이지에 들어가도록
+  const legendRows = Math.ceil(series.length / 3);
+  if (doc.y + height + 40 + legendRows * LEGEND_ROW_HEIGHT > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  if (title) {
+    doc.fontSize(11).font(FONTS.BOLD).fillColor('black').text(title, left);
+    doc.moveDown(0.3);
+  }
+
+  const plot = { x: left + Y_AXIS_WIDTH, y: doc.y, width: width - Y_AXIS_WIDTH - 10, height };
+  const valid = series.flatMap(({ points }) => points.filter(([, y]) => typeof y === 'number'));
+  const xMin = Math.min(...valid.map(([x]) => x));
+  const xMax = Math.max(...valid.map(([x]) => x));
+  const xRange = xMax - xMin || 1;
+  const yMax = options.yMax || niceMax(Math.max(...valid.map(([, y]) => y)));
+
+  const toX = x => plot.x + ((x - xMin) / xRange) * plot.width;
+  const toY = y => plot.y + plot.height - (Math.min(Math.max(y, 0), yMax) / yMax) * plot.height;
+
+  doc.save();
+
+  // 격자와 축 라벨
+  doc.fontSize(7).font(FONTS.REGULAR).lineWidth(0.5);
+  for (let i = 0; i <= 4; i++) {
+    const value = (yMax / 4) * i;
+    const y = toY(value);
+    doc.strokeColor('#dee2e6').moveTo(plot.x, y).lineTo(plot.x + plot.width, y).stroke();
+    doc.fillColor('#6c757d').text(formatNumber(value), left, y - 3, { width: Y_AXIS_WIDTH - 4, align: 'right', lineBreak: false });
+  }
+  for (let i = 0; i <= 5; i++) {
+    const x = xMin + (xRange / 5) * i;
+    doc.strokeColor('#f1f3f5').moveTo(toX(x), plot.y).lineTo(toX(x), plot.y + plot.height).stroke();
+    doc.fillColor('#6c757d')
+      .text(formatX(x, xRange), toX(x) - 25, plot.y + plot.height + 4, { width: 50, align: 'center', lineBreak: false });
+  }
+
+  // 시리즈 (플롯 영역 밖으로 나가지 않도록 클리핑, null 점에서 선을 끊음)
+  doc.save();
+  doc.rect(plot.x, plot.y, plot.width, plot.height).clip();
+  series.forEach(({ points, color }) => {
+    const reduced = downsample(points, maxPoints);
+    const segments = [];
+    let segment = [];
+    reduced.forEach(([x, y]) => {
+      if (typeof y === 'number') {
+        segment.push([toX(x), toY(y)]);
+      } else if (segment.length > 0) {
+        segments.push(segment);
+        segment = [];
+      }
+    });
+    if (segment.length > 0) segments.push(segment);
+
+    segments.forEach(path => {
+      if (area && path.length > 1) {
+        doc.moveTo(path[0][0], plot.y + plot.height);
+        path.forEach(([x, y]) => doc.lineTo(x, y));
+        doc.lineTo(path[path.length - 1][0], plot.y + plot.height).closePath();
+        doc.fillColor(color).fillOpacity(0.15).fill();
+        doc.fillOpacity(1);
+      }
+
+      doc.lineWidth(1).strokeColor(color);
+      if (path.length === 1) {
+        doc.circle(path[0][0], path[0][1], 0.8).fillColor(color).fill();
+        return;
+      }
+      path.forEach(([x, y], i) => (i === 0 ? doc.moveTo(x, y) : doc.lineTo(x, y)));
+      doc.stroke();
+    });
+  });
+  doc.restore();
+
+  doc.lineWidth(0.5).strokeColor('#343a40').rect(plot.x, plot.y, plot.width, plot.height).stroke();
+
+  // 최대값 표시 (축소 전 원본 기준)
+  if (peaks) {
+    doc.fontSize(6.5).font(FONTS.REGULAR);
+    series.forEach(({ points, color }) => {
+      const peak = points
+        .filter(([, y]) => typeof y === 'number')
+        .reduce((a, b) => (b[1] > a[1] ? b : a));
+      const px = toX(peak[0]);
+      const py = toY(peak[1]);
+      const label = `최대 ${formatNumber(peak[1])}${unit}`;
+      const labelWidth = doc.widthOfString(label);
+
+      doc.lineWidth(0.8).circle(px, py, 2.5).fillAndStroke(color, 'white');
+      // 플롯 오른쪽/위쪽 경계에서는 라벨을 안쪽으로
+      const labelX = px + 4 + labelWidth > plot.x + plot.width ? px - 4 - labelWidth : px + 4;
+      const labelY = Math.max(plot.y + 1, py - 9);
+      doc.fillColor(color).text(label, labelX, labelY, { lineBreak: false });
+    });
+  }
+
+  // 범례 (한 줄에 들어가지 않으면 다음 줄)
+  let legendX = plot.x;
+  let legendY = plot.y + plot.height + 16;
+  doc.fontSize(7).font(FONTS.REGULAR);
+  series.forEach(({ label, color }) => {
+    const itemWidth = 11 + doc.widthOfString(label) + 12;
+    if (legendX > plot.x && legendX + itemWidth > plot.x + plot.width) {
+      legendX = plot.x;
+      legendY += LEGEND_ROW_HEIGHT;
+    }
+    doc.fillColor(color).rect(legendX, legendY + 1, 8, 6).fill();
+    doc.fillColor('#343a40').text(label, legendX + 11, legendY, { lineBreak: false });
+    legendX += itemWidth;
+  });
+
+  doc.restore();
+
+  doc.fillColor('black').strokeColor('black');
+  doc.x = left;
+  doc.y = legendY + 20;
+}
+
+module.exports = {
+  DEFAULT_MAX_POINTS,
+  PALETTE,
+  drawTimeSeriesChart,
+  downsample,
+  niceMax,
+  toPdfColor,
+};
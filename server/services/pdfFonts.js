@@ -0,0 +1,76 @@
+/**
+ * PDF 글꼴 관리
+ * PDFKit 기본 글꼴(Helvetica/Courier)은 한글을 표시하지 못하므로 한글 글꼴을 문서에 포함함
+ * 본문/굵게는 Pretendard, 고정폭은 D2Coding (server/fonts, SIL OFL 1.1)
+ * 문서에는 실제로 사용한 글자만 포함되므로(서브셋) PDF 크기는 크게 늘지 않음
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FONT_DIR = path.join(__dirname, '../fonts');
+
+// 문서에 등록하는 글꼴 이름 (doc.font(FONTS.BOLD) 형태로 사용)
+const FONTS = {
+  REGULAR: 'regular',
+  BOLD: 'bold',
+  MONO: 'mono',
+};
+
+const BUNDLED_FILES = {
+  [FONTS.REGULAR]: path.join(FONT_DIR, 'Pretendard-Regular.otf'),
+  [FONTS.BOLD]: path.join(FONT_DIR, 'Pretendard-Bold.otf'),
+  [FONTS.MONO]: path.join(FONT_DIR, 'D2Coding.ttf'),
+};
+
+// PDFKit 서브셋 생성이 지원하는 형식 (WOFF/WOFF2는 서브셋 생성 중 오류)
+const SUPPORTED_EXTENSIONS = ['.ttf', '.otf'];
+
+let fontFiles = { ...BUNDLED_FILES };
+// 글꼴 이름별 파일 내용 (리포트마다 수 MB를 다시 읽지 않도록 보관)
+const cache = new Map();
+
+/**
+ * 글꼴 파일 교체 (지정하지 않았거나 사용할 수 없는 파일은 내장 글꼴 사용)
+ * @param {object} files - { regular, bold, mono } 파일 경로
+ */
+function configureFonts(files = {}) {
+  fontFiles = { ...BUNDLED_FILES };
+  cache.clear();
+
+  Object.values(FONTS).forEach(name => {
+    const file = files[name];
+    if (!file) return;
+
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      console.warn(`[PDF] ${name} 글꼴은 TTF/OTF 파일만 사용할 수 있습니다: ${file} (내장 글꼴 사용)`);
+      return;
+    }
+    if (!fs.existsSync(file)) {
+      console.warn(`[PDF] ${name} 글꼴 파일을 찾을 수 없습니다: ${file} (내장 글꼴 사용)`);
+      return;
+    }
+    fontFiles[name] = path.resolve(file);
+    console.log(`[PDF] ${name} 글꼴: ${fontFiles[name]}`);
+  });
+}
+
+/**
+ * 문서에 글꼴을 등록하고 본문 글꼴을 선택
+ * @param {PDFDocument} doc
+ */
+function registerFonts(doc) {
+  Object.values(FONTS).forEach(name => {
+    if (!cache.has(name)) {
+      cache.set(name, fs.readFileSync(fontFiles[name]));
+    }
+    doc.registerFont(name, cache.get(name));
+  });
+  doc.font(FONTS.REGULAR);
+}
+
+module.exports = {
+  FONTS,
+  configureFonts,
+  registerFonts,
+};
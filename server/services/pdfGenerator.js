@@ -1,17 +1,65 @@
 /**
  * PDF 리포트 생성 서비스 (간소화 버전)
  * PDFKit을 사용하여 통계 데이터가 포함된 PDF 생성
+ * 섹션 구성/순서, 표지, 색상, 날짜 형식은 리포트 템플릿을 따름
  */
 
 const PDFDocument = require('pdfkit');
 const fs = require('fs-extra');
 const path = require('path');
+const { getPath } = require('./collectorRegistry');
+const { analyzeCores } = require('./cpuCoreAnalysis');
+const AnomalyDetector = require('./anomalyDetector');
+const { drawTimeSeriesChart, DEFAULT_MAX_POINTS } = require('./pdfCharts');
+const { FONTS, registerFonts } = require('./pdfFonts');
+const PDFLayout = require('./pdfLayout');
+const { summarize } = require('./statistics');
+const {
+  collectStatBlocks,
+  buildCharts,
+  findPeaks,
+  summarizeGpus,
+  summarizeBreakdowns,
+  rankProcesses,
+  formatDuration,
+  formatSlope,
+  dateFormatters,
+} = require('./reportContent');
+const defaultTemplates = require('../templates');
+
+// 템플릿 섹션 종류별 작성 메서드
+const SECTION_RENDERERS = {
+  systemInfo: 'addSystemInfo',
+  monitoringInfo: 'addMonitoringInfo',
+  alerts: 'addAlerts',
+  anomalies: 'addAnomalies',
+  statistics: 'addStatistics',
+  charts: 'addCharts',
+  detailedStats: 'addDetailedStats',
+  coreStats: 'addCoreStats',
+  gpuStats: 'addGpuStats',
+  breakdownStats: 'addBreakdownStats',
+  processRanking: 'addProcessRanking',
+  dataSample: 'addDataSummary',
+  text: 'addTextBlock',
+  pageBreak: 'addPageBreak',
+};
 
 class PDFGenerator {
-  constructor(sessionData, reportsDir) {
+  /**
+   * @param {object} sessionData
+   * @param {string} reportsDir
+   * @param {object} options
+   * @param {string} options.template - 리포트 템플릿 ID (미지정 시 세션 설정의 reportTemplate, 그다음 기본 템플릿)
+   * @param {ReportTemplateRegistry} options.templates - 템플릿 레지스트리 (기본값: 공용 인스턴스)
+   */
+  constructor(sessionData, reportsDir, options = {}) {
     this.sessionData = sessionData;
     this.reportsDir = reportsDir;
     this.pdfPath = path.join(reportsDir, `${sessionData.sessionId}.pdf`);
+
+    this.template = (options.templates || defaultTemplates).resolveForSession(sessionData, options.template);
+    this.dates = dateFormatters(this.template);
   }
 
   /**
@@ -23,19 +71,23 @@ class PDFGenerator {
     const doc = new PDFDocument({
       size: 'A4',
       margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      bufferPages: true, // 목차와 푸터에서 앞 페이지로 돌아가 쓰기 위해 필요
     });
+    registerFonts(doc);
+    this.layout = new PDFLayout(doc, { colors: this.template.colors });
 
     const stream = fs.createWriteStream(this.pdfPath);
     doc.pipe(stream);
 
-    // PDF 내용 작성
+    // PDF 내용 작성 (표지 다음 페이지부터 템플릿의 섹션 순서대로)
+    const { branding, footer } = this.template;
     this.addHeader(doc);
-    this.addSystemInfo(doc);
-    this.addMonitoringInfo(doc);
-    this.addStatistics(doc);
-    this.addDetailedStats(doc);
-    this.addDataSummary(doc);
-    this.addFooter(doc);
+    this.template.sections.forEach(section => this[SECTION_RENDERERS[section.type]](doc, section));
+    this.layout.renderToc();
+    this.layout.addFooter(
+      `${branding.companyName ? `${branding.companyName} · ` : ''}세션: ${this.sessionData.sessionId}`,
+      footer.text
+    );
 
     doc.end();
 
@@ -49,47 +101,158 @@ class PDFGenerator {
   }
 
   /**
-   * 헤더 추가
+   * 표지 또는 머리글 추가
+   * 표지를 쓰면 목차 자리를 남기고 본문은 다음 페이지부터, 쓰지 않으면 첫 페이지 위에 간단한 머리글
    */
   addHeader(doc) {
+    const { title, colors, branding, cover } = this.template;
+    const { sessionId, startTime, endTime, systemInfo } = this.sessionData;
+    const left = this.layout.left;
+    const width = this.layout.contentWidth;
+
+    if (!cover.enabled) {
+      if (branding.logo) {
+        doc.image(branding.logo, left + width - 100, doc.y, { fit: [100, 30], align: 'right' });
+      }
+      doc.fontSize(18).font(FONTS.BOLD).fillColor(colors.heading).text(title, left, doc.y, { width: width - 110 });
+      doc.fontSize(9).font(FONTS.REGULAR).fillColor('black');
+      if (branding.companyName) {
+        doc.text(branding.companyName);
+      }
+      doc.text(`생성 날짜: ${this.formatDateTime(new Date())}`);
+
+      doc.moveDown(0.5);
+      doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor(colors.accent).stroke().strokeColor('black');
+      doc.moveDown(1);
+      return;
+    }
+
+    if (branding.logo) {
+      doc.image(branding.logo, left, doc.y, { fit: [width, 80], align: 'center' });
+      doc.y += 90;
+    }
+    if (branding.companyName) {
+      doc.fontSize(14).font(FONTS.BOLD).fillColor(colors.accent).text(branding.companyName, left, doc.y, { width, align: 'center' });
+      doc.moveDown(0.5);
+    }
+
     doc
       .fontSize(24)
-      .font('Helvetica-Bold')
-      .text('시스템 모니터링 리포트', { align: 'center' });
+      .font(FONTS.BOLD)
+      .fillColor(colors.heading)
+      .text(title, left, doc.y, { width, align: 'center' });
+
+    if (cover.subtitle) {
+      doc.moveDown(0.3);
+      doc.fontSize(14).font(FONTS.REGULAR).text(cover.subtitle, { width, align: 'center' });
+    }
 
     doc.moveDown(0.5);
+    doc.fillColor('black');
 
     doc
       .fontSize(12)
-      .font('Helvetica')
-      .text(`생성 날짜: ${new Date().toLocaleString('ko-KR')}`, { align: 'center' });
+      .font(FONTS.REGULAR)
+      .text(`생성 날짜: ${this.formatDateTime(new Date())}`, { width, align: 'center' });
+
+    doc.fontSize(10);
+    const hostname = systemInfo && systemInfo.os && systemInfo.os.hostname;
+    doc.text(`세션: ${sessionId}${hostname ? ` (${hostname})` : ''}`, { width, align: 'center' });
+    if (startTime && endTime) {
+      doc.text(`측정 기간: ${this.formatDateTime(startTime)} ~ ${this.formatDateTime(endTime)}`, { width, align: 'center' });
+    }
+
+    if (cover.text) {
+      doc.moveDown(1);
+      doc.fontSize(10).text(cover.text, { width, align: 'left' });
+    }
 
     doc.moveDown(1);
-    doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor(colors.accent).stroke().strokeColor('black');
     doc.moveDown(1);
+
+    if (cover.toc) {
+      this.layout.reserveToc();
+    } else {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * 템플릿 섹션 시작 (템플릿의 제목/새 페이지 설정이 섹션 기본값보다 우선)
+   */
+  startSection(section, title, { newPage = false } = {}) {
+    this.layout.section(section.title || title, {
+      newPage: section.newPage !== undefined ? section.newPage : newPage,
+    });
+  }
+
+  /**
+   * 템플릿 로캘/시간대/날짜 형식으로 날짜와 시각 표시
+   */
+  formatDateTime(value) {
+    return this.dates.dateTime(value);
+  }
+
+  /**
+   * 템플릿 로캘/시간대로 시각 표시
+   */
+  formatTime(value) {
+    return this.dates.time(value);
+  }
+
+  /**
+   * 표에 쓰는 24시간 형식 시각 (HH:MM:SS)
+   */
+  formatClock(value) {
+    return this.dates.clock(value);
+  }
+
+  /**
+   * 템플릿의 사용자 지정 문구 (제목이 있으면 목차에 포함되는 섹션으로)
+   */
+  addTextBlock(doc, section) {
+    if (section.title) {
+      this.startSection(section, section.title);
+      doc.moveDown(0.5);
+    } else if (section.newPage) {
+      this.layout.pageBreak();
+    }
+
+    doc.x = this.layout.left;
+    doc.fontSize(10).font(FONTS.REGULAR).fillColor('black')
+      .text(section.text, { width: this.layout.contentWidth });
+    doc.moveDown(1);
+  }
+
+  /**
+   * 템플릿의 페이지 나눔
+   */
+  addPageBreak() {
+    this.layout.pageBreak();
   }
 
   /**
    * 시스템 정보 추가
    */
-  addSystemInfo(doc) {
+  addSystemInfo(doc, section = {}) {
     const info = this.sessionData.systemInfo;
 
-    doc.fontSize(16).font('Helvetica-Bold').text('1. 시스템 정보');
+    this.startSection(section, '시스템 정보');
     doc.moveDown(0.5);
 
-    doc.fontSize(10).font('Helvetica');
+    doc.fontSize(10).font(FONTS.REGULAR);
 
     // OS 정보
-    doc.font('Helvetica-Bold').text('운영 체제:', { continued: true });
-    doc.font('Helvetica').text(` ${info.os.distro} ${info.os.release} (${info.os.arch})`);
+    doc.font(FONTS.BOLD).text('운영 체제:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${info.os.distro} ${info.os.release} (${info.os.arch})`);
     doc.text(`  호스트명: ${info.os.hostname}`);
 
     doc.moveDown(0.3);
 
     // CPU 정보
-    doc.font('Helvetica-Bold').text('CPU:', { continued: true });
-    doc.font('Helvetica').text(` ${info.cpu.brand}`);
+    doc.font(FONTS.BOLD).text('CPU:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${info.cpu.brand}`);
     doc.text(`  - 제조사: ${info.cpu.manufacturer}`);
     doc.text(`  - 코어: ${info.cpu.physicalCores}개 (논리: ${info.cpu.cores}개)`);
     doc.text(`  - 기본 속도: ${info.cpu.speed} GHz (최대: ${info.cpu.speedMax} GHz)`);
@@ -97,32 +260,32 @@ class PDFGenerator {
     doc.moveDown(0.3);
 
     // 메모리 정보
-    doc.font('Helvetica-Bold').text('메모리:', { continued: true });
-    doc.font('Helvetica').text(` ${info.memory.totalGB} GB`);
+    doc.font(FONTS.BOLD).text('메모리:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${info.memory.totalGB} GB`);
 
     doc.moveDown(0.3);
 
     // GPU 정보
     if (info.gpu && info.gpu.length > 0) {
-      doc.font('Helvetica-Bold').text('GPU:');
+      doc.font(FONTS.BOLD).text('GPU:');
       info.gpu.forEach((gpu, idx) => {
-        doc.font('Helvetica').text(`  ${idx + 1}. ${gpu.model} (${gpu.vendor})`);
+        doc.font(FONTS.REGULAR).text(`  ${idx + 1}. ${gpu.model} (${gpu.vendor})`);
         if (gpu.vram) {
           doc.text(`     VRAM: ${gpu.vram} MB`);
         }
       });
     } else {
-      doc.font('Helvetica-Bold').text('GPU:', { continued: true });
-      doc.font('Helvetica').text(' 정보 없음');
+      doc.font(FONTS.BOLD).text('GPU:', { continued: true });
+      doc.font(FONTS.REGULAR).text(' 정보 없음');
     }
 
     doc.moveDown(0.3);
 
     // 디스크 정보
     if (info.disks && info.disks.length > 0) {
-      doc.font('Helvetica-Bold').text('디스크:');
+      doc.font(FONTS.BOLD).text('디스크:');
       info.disks.forEach((disk, idx) => {
-        doc.font('Helvetica').text(`  ${idx + 1}. ${disk.name || disk.type}`);
+        doc.font(FONTS.REGULAR).text(`  ${idx + 1}. ${disk.name || disk.type}`);
         doc.text(`     용량: ${disk.sizeGB} GB (${disk.type})`);
       });
     }
@@ -133,37 +296,129 @@ class PDFGenerator {
   /**
    * 모니터링 정보 추가
    */
-  addMonitoringInfo(doc) {
+  addMonitoringInfo(doc, section = {}) {
     const { startTime, endTime, measurements } = this.sessionData;
 
-    doc.fontSize(16).font('Helvetica-Bold').text('2. 모니터링 정보');
+    this.startSection(section, '모니터링 정보');
     doc.moveDown(0.5);
 
-    doc.fontSize(10).font('Helvetica');
+    doc.fontSize(10).font(FONTS.REGULAR);
 
-    doc.font('Helvetica-Bold').text('시작 시각:', { continued: true });
-    doc.font('Helvetica').text(` ${new Date(startTime).toLocaleString('ko-KR')}`);
+    doc.font(FONTS.BOLD).text('시작 시각:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${this.formatDateTime(startTime)}`);
 
-    doc.font('Helvetica-Bold').text('종료 시각:', { continued: true });
-    doc.font('Helvetica').text(` ${new Date(endTime).toLocaleString('ko-KR')}`);
+    doc.font(FONTS.BOLD).text('종료 시각:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${this.formatDateTime(endTime)}`);
 
     const duration = (new Date(endTime) - new Date(startTime)) / 1000;
-    doc.font('Helvetica-Bold').text('모니터링 시간:', { continued: true });
-    doc.font('Helvetica').text(` ${Math.floor(duration / 60)}분 ${Math.floor(duration % 60)}초`);
+    doc.font(FONTS.BOLD).text('모니터링 시간:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${Math.floor(duration / 60)}분 ${Math.floor(duration % 60)}초`);
+
+    doc.font(FONTS.BOLD).text('측정 횟수:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` ${measurements.length}회`);
+
+    doc.font(FONTS.BOLD).text('측정 간격:', { continued: true });
+    doc.font(FONTS.REGULAR).text(` 약 ${(duration / measurements.length).toFixed(1)}초`);
+
+    // 세션 카탈로그에서 지정한 이름, 태그, 메모
+    const { metadata = {} } = this.sessionData;
+    if (metadata.name) {
+      doc.font(FONTS.BOLD).text('세션 이름:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${metadata.name}`);
+    }
+    if (metadata.tags && metadata.tags.length > 0) {
+      doc.font(FONTS.BOLD).text('태그:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${metadata.tags.join(', ')}`);
+    }
+    if (metadata.notes) {
+      doc.font(FONTS.BOLD).text('메모:');
+      doc.font(FONTS.REGULAR).text(metadata.notes, { indent: 10 });
+    }
+
+    // 외부 파일에서 가져온 세션
+    const { imported } = this.sessionData;
+    if (imported) {
+      doc.font(FONTS.BOLD).text('가져온 데이터:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${imported.format.toUpperCase()}${imported.fileName ? ` (${imported.fileName})` : ''}, ${this.formatDateTime(imported.importedAt)}`);
+    }
+
+    // 서버 비정상 종료 후 저널에서 복구한 세션
+    const { interrupted } = this.sessionData;
+    if (interrupted) {
+      doc.font(FONTS.BOLD).fillColor('#dc3545').text('중단됨:', { continued: true });
+      doc.font(FONTS.REGULAR).fillColor('black').text(` 마지막 측정까지 복구 (복구 시각 ${this.formatDateTime(interrupted.recoveredAt)})`);
+    }
+
+    // 예약 실행으로 시작된 세션
+    const { schedule } = this.sessionData;
+    if (schedule) {
+      doc.font(FONTS.BOLD).text('예약 실행:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${schedule.name} (${schedule.id})`);
+    }
 
-    doc.font('Helvetica-Bold').text('측정 횟수:', { continued: true });
-    doc.font('Helvetica').text(` ${measurements.length}회`);
+    // 연속 모니터링 구간 정보 (이전/다음 구간 리포트 링크)
+    const { segment } = this.sessionData;
+    if (segment) {
+      doc.moveDown(0.5);
+      doc.fontSize(12).font(FONTS.BOLD).text('연속 모니터링 구간');
+      doc.fontSize(10);
+
+      doc.font(FONTS.BOLD).text('구간:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` #${segment.index + 1} (주기: ${segment.period}, 세션: ${this.sessionData.parentSessionId})`);
+
+      doc.font(FONTS.BOLD).text('구간 경계:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${this.formatDateTime(segment.start)} ~ ${this.formatDateTime(segment.end)}`);
+
+      const addSegmentLink = (label, id, url, emptyText) => {
+        doc.font(FONTS.BOLD).text(`${label}:`, { continued: true });
+        if (url) {
+          doc.font(FONTS.REGULAR).fillColor('#007bff').text(` ${id}`, { link: url, underline: true });
+          doc.fillColor('black');
+        } else {
+          doc.font(FONTS.REGULAR).text(` ${emptyText}`);
+        }
+      };
+      addSegmentLink('이전 구간', segment.prevId, segment.prevUrl, '없음 (첫 구간)');
+      addSegmentLink('다음 구간', segment.nextId, segment.nextUrl, '없음 (마지막 구간)');
+    }
 
-    doc.font('Helvetica-Bold').text('측정 간격:', { continued: true });
-    doc.font('Helvetica').text(` 약 ${(duration / measurements.length).toFixed(1)}초`);
+    // 데이터 완전성 (샘플링 정보가 있는 세션만)
+    const { sampling } = this.sessionData;
+    if (sampling) {
+      doc.moveDown(0.5);
+      doc.fontSize(12).font(FONTS.BOLD).text('데이터 완전성');
+      doc.fontSize(10);
+
+      doc.font(FONTS.BOLD).text('수집률:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${sampling.completeness.toFixed(2)}% (${sampling.collectedSamples} / 예정 ${sampling.expectedSamples}회)`);
+
+      doc.font(FONTS.BOLD).text('누락/실패/지연:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` ${sampling.missedSamples}회 / ${sampling.failedSamples || 0}회 / ${sampling.lateSamples}회`);
+
+      doc.font(FONTS.BOLD).text('수집 지연 시간:', { continued: true });
+      doc.font(FONTS.REGULAR).text(` 평균 ${sampling.latencyMs.avg}ms, 최대 ${sampling.latencyMs.max}ms`);
+
+      if (sampling.gaps.length > 0) {
+        doc.font(FONTS.BOLD).text('누락 구간:');
+        doc.font(FONTS.REGULAR);
+        sampling.gaps.slice(0, 10).forEach(gap => {
+          doc.text(`  ${this.formatTime(gap.timestamp)} - 경과 ${gap.elapsed.toFixed(1)}초 시점에 ${gap.count}회 누락`);
+        });
+        if (sampling.gaps.length > 10) {
+          doc.text(`  ... 외 ${sampling.gaps.length - 10}개 구간`);
+        }
+      }
+    }
 
     doc.moveDown(1);
   }
 
   /**
    * 통계 추가
+   * 세션에 기록된 수집기 설명(render.pdf)에 따라 통계 블록을 그림
+   * 설명의 요약 항목 다음에 백분위수, 표준편차, 추세, 임계값 초과 시간을 표시
    */
-  addStatistics(doc) {
+  addStatistics(doc, section = {}) {
     const measurements = this.sessionData.measurements;
 
     if (measurements.length === 0) {
@@ -171,202 +426,457 @@ class PDFGenerator {
       return;
     }
 
-    doc.fontSize(16).font('Helvetica-Bold').text('3. 리소스 사용률 통계 요약');
+    this.startSection(section, '리소스 사용률 통계 요약');
     doc.moveDown(0.5);
 
-    const calculateStats = (values) => {
-      const filtered = values.filter(v => v !== null && !isNaN(v));
-      if (filtered.length === 0) return { min: 0, max: 0, avg: 0, median: 0 };
-
-      const sorted = [...filtered].sort((a, b) => a - b);
-      return {
-        min: Math.min(...filtered),
-        max: Math.max(...filtered),
-        avg: filtered.reduce((a, b) => a + b, 0) / filtered.length,
-        median: sorted[Math.floor(sorted.length / 2)],
-      };
-    };
+    const summaryLabels = { min: '최소', max: '최대', avg: '평균', median: '중간값' };
+
+    collectStatBlocks(this.sessionData).forEach(block => {
+      // 여러 값을 한 줄씩 요약하는 블록 (예: 읽기/쓰기)
+      if (block.rows) {
+        this.layout.heading(block.label, { space: block.rows.length * 12 });
+        doc.fontSize(10).font(FONTS.REGULAR);
+        block.rows.forEach(({ label, stats }) => {
+          doc.text(`  ${label} - 최소: ${stats.min.toFixed(2)} | 최대: ${stats.max.toFixed(2)} | 평균: ${stats.avg.toFixed(2)} | P95: ${stats.p95.toFixed(2)}`);
+        });
+        doc.moveDown(0.5);
+        return;
+      }
 
-    // CPU 통계
-    const cpuStats = calculateStats(measurements.map(m => m.cpu.usage));
-    doc.fontSize(12).font('Helvetica-Bold').text('CPU 사용률 (%)');
-    doc.fontSize(10).font('Helvetica');
-    doc.text(`  최소: ${cpuStats.min.toFixed(2)}%`);
-    doc.text(`  최대: ${cpuStats.max.toFixed(2)}%`);
-    doc.text(`  평균: ${cpuStats.avg.toFixed(2)}%`);
-    doc.text(`  중간값: ${cpuStats.median.toFixed(2)}%`);
-    doc.moveDown(0.5);
+      const { stats, unit } = block;
+      const details = [
+        `P90: ${stats.p90.toFixed(2)}${unit} | P95: ${stats.p95.toFixed(2)}${unit} | P99: ${stats.p99.toFixed(2)}${unit} | 표준편차: ${stats.stddev.toFixed(2)}`,
+        `추세: ${formatSlope(stats.slopePerMinute, unit)}`,
+      ];
+      if (stats.timeAbove.length > 0) {
+        details.push(`임계값 초과 - ${stats.timeAbove
+          .map(item => `${item.threshold}${unit.trim()}: ${formatDuration(item.seconds)} (${item.percent.toFixed(1)}%)`)
+          .join(' | ')}`);
+      }
 
-    // CPU 온도 통계
-    const tempValues = measurements.map(m => m.cpu.temperature).filter(t => t !== null);
-    if (tempValues.length > 0) {
-      const tempStats = calculateStats(tempValues);
-      doc.fontSize(12).font('Helvetica-Bold').text('CPU 온도 (°C)');
-      doc.fontSize(10).font('Helvetica');
-      doc.text(`  최소: ${tempStats.min.toFixed(2)}°C`);
-      doc.text(`  최대: ${tempStats.max.toFixed(2)}°C`);
-      doc.text(`  평균: ${tempStats.avg.toFixed(2)}°C`);
-      doc.text(`  중간값: ${tempStats.median.toFixed(2)}°C`);
+      this.layout.heading(block.label, { space: (block.fields.length + details.length) * 12 });
+      doc.fontSize(10).font(FONTS.REGULAR);
+      block.fields.forEach(field => {
+        doc.text(`  ${summaryLabels[field]}: ${stats[field].toFixed(2)}${unit}`);
+      });
+      details.forEach(line => doc.text(`  ${line}`));
       doc.moveDown(0.5);
-    }
+    });
 
-    // 메모리 통계
-    const memStats = calculateStats(measurements.map(m => m.memory.usagePercent));
-    const memUsedStats = calculateStats(measurements.map(m => m.memory.used / 1024 / 1024 / 1024));
-    doc.fontSize(12).font('Helvetica-Bold').text('메모리 사용률 (%)');
-    doc.fontSize(10).font('Helvetica');
-    doc.text(`  최소: ${memStats.min.toFixed(2)}%`);
-    doc.text(`  최대: ${memStats.max.toFixed(2)}%`);
-    doc.text(`  평균: ${memStats.avg.toFixed(2)}%`);
-    doc.text(`  중간값: ${memStats.median.toFixed(2)}%`);
-    doc.moveDown(0.3);
-    doc.text(`  평균 사용량: ${memUsedStats.avg.toFixed(2)} GB`);
     doc.moveDown(0.5);
+  }
 
-    // 디스크 통계
-    const diskStats = calculateStats(measurements.map(m => m.disk.usagePercent));
-    const diskReadStats = calculateStats(measurements.map(m => m.disk.io.readKBps));
-    const diskWriteStats = calculateStats(measurements.map(m => m.disk.io.writeKBps));
-    doc.fontSize(12).font('Helvetica-Bold').text('디스크 사용률 (%)');
-    doc.fontSize(10).font('Helvetica');
-    doc.text(`  평균: ${diskStats.avg.toFixed(2)}%`);
+  /**
+   * 시간에 따른 변화 그래프 추가
+   * 대시보드와 같은 수집기 차트 설명(render.chart)의 시리즈와 GPU별 사용률을 벡터 차트로 그림
+   */
+  addCharts(doc, section = {}) {
+    const measurements = this.sessionData.measurements;
+    const charts = buildCharts(this.sessionData);
+    if (charts.length === 0) return;
+
+    this.startSection(section, '시간에 따른 변화 그래프', { newPage: true });
     doc.moveDown(0.3);
-    doc.fontSize(12).font('Helvetica-Bold').text('디스크 I/O (KB/s)');
-    doc.fontSize(10).font('Helvetica');
-    doc.text(`  읽기 - 최소: ${diskReadStats.min.toFixed(2)} | 최대: ${diskReadStats.max.toFixed(2)} | 평균: ${diskReadStats.avg.toFixed(2)}`);
-    doc.text(`  쓰기 - 최소: ${diskWriteStats.min.toFixed(2)} | 최대: ${diskWriteStats.max.toFixed(2)} | 평균: ${diskWriteStats.avg.toFixed(2)}`);
+    doc.fontSize(9).font(FONTS.REGULAR);
+    doc.text(measurements.length > DEFAULT_MAX_POINTS
+      ? `측정값 ${measurements.length}개를 구간별 최소/최대값으로 줄여 그렸습니다. 원 표시는 시리즈별 최대값입니다.`
+      : '원 표시는 시리즈별 최대값입니다.');
     doc.moveDown(0.5);
 
-    // 네트워크 통계
-    const netRxStats = calculateStats(measurements.map(m => m.network.rxKBps));
-    const netTxStats = calculateStats(measurements.map(m => m.network.txKBps));
-    doc.fontSize(12).font('Helvetica-Bold').text('네트워크 트래픽 (KB/s)');
-    doc.fontSize(10).font('Helvetica');
-    doc.text(`  수신 - 최소: ${netRxStats.min.toFixed(2)} | 최대: ${netRxStats.max.toFixed(2)} | 평균: ${netRxStats.avg.toFixed(2)}`);
-    doc.text(`  전송 - 최소: ${netTxStats.min.toFixed(2)} | 최대: ${netTxStats.max.toFixed(2)} | 평균: ${netTxStats.avg.toFixed(2)}`);
-
-    doc.moveDown(1);
+    charts.forEach(chart => drawTimeSeriesChart(doc, chart));
+    doc.fontSize(10).font(FONTS.REGULAR);
   }
 
   /**
    * 상세 통계 추가
    */
-  addDetailedStats(doc) {
-    doc.addPage();
-    doc.fontSize(16).font('Helvetica-Bold').text('4. 상세 통계 분석');
+  addDetailedStats(doc, section = {}) {
+    this.startSection(section, '상세 통계 분석', { newPage: true });
     doc.moveDown(0.5);
 
     const measurements = this.sessionData.measurements;
     if (measurements.length === 0) return;
 
-    doc.fontSize(10).font('Helvetica');
+    doc.fontSize(10).font(FONTS.REGULAR);
 
-    // 피크 사용 시점 찾기
-    const peakCpuIdx = measurements.reduce((maxIdx, curr, idx, arr) =>
-      curr.cpu.usage > arr[maxIdx].cpu.usage ? idx : maxIdx, 0);
-    const peakMemIdx = measurements.reduce((maxIdx, curr, idx, arr) =>
-      curr.memory.usagePercent > arr[maxIdx].memory.usagePercent ? idx : maxIdx, 0);
+    // 피크 사용 시점 (해당 수집기가 실행된 경우에만)
+    const { cpu: peakCpu, memory: peakMem } = findPeaks(measurements);
 
-    doc.font('Helvetica-Bold').text('피크 사용 시점:');
-    doc.font('Helvetica');
-    doc.text(`  CPU 최대 사용 시각: ${new Date(measurements[peakCpuIdx].timestamp).toLocaleTimeString('ko-KR')}`);
-    doc.text(`    사용률: ${measurements[peakCpuIdx].cpu.usage.toFixed(2)}%`);
-    doc.moveDown(0.3);
-    doc.text(`  메모리 최대 사용 시각: ${new Date(measurements[peakMemIdx].timestamp).toLocaleTimeString('ko-KR')}`);
-    doc.text(`    사용률: ${measurements[peakMemIdx].memory.usagePercent.toFixed(2)}%`);
-    doc.text(`    사용량: ${(measurements[peakMemIdx].memory.used / 1024 / 1024 / 1024).toFixed(2)} GB`);
+    if (peakCpu || peakMem) {
+      doc.font(FONTS.BOLD).text('피크 사용 시점:');
+      doc.font(FONTS.REGULAR);
+    }
+    if (peakCpu) {
+      doc.text(`  CPU 최대 사용 시각: ${this.formatTime(peakCpu.timestamp)}`);
+      doc.text(`    사용률: ${peakCpu.cpu.usage.toFixed(2)}%`);
+      doc.moveDown(0.3);
+    }
+    if (peakMem) {
+      doc.text(`  메모리 최대 사용 시각: ${this.formatTime(peakMem.timestamp)}`);
+      doc.text(`    사용률: ${peakMem.memory.usagePercent.toFixed(2)}%`);
+      doc.text(`    사용량: ${(peakMem.memory.used / 1024 / 1024 / 1024).toFixed(2)} GB`);
+    }
 
     doc.moveDown(1);
+  }
+
+  /**
+   * 코어별 CPU 통계 및 숨은 단일 코어 포화 구간 추가
+   */
+  addCoreStats(doc, section = {}) {
+    const interval = (this.sessionData.config && this.sessionData.config.interval) || 1;
+    const { cores, hiddenSaturation, options } = analyzeCores(this.sessionData.measurements, interval);
+    if (cores.length === 0) return;
+
+    this.startSection(section, '코어별 CPU 통계', { newPage: true });
+    doc.moveDown(0.5);
+
+    doc.fontSize(9).font(FONTS.REGULAR);
+    doc.text(`포화 기준: 코어 사용률 ${options.saturationThreshold}% 이상. '*' 표시는 전체 평균이 ${options.overallThreshold}% 미만인데 ${options.minDuration}초 이상 포화된 코어입니다.`);
+    doc.moveDown(0.5);
 
-    // GPU 통계 (있는 경우)
-    const gpuMeasurements = measurements.filter(m => m.gpu && m.gpu.utilization !== null);
-    if (gpuMeasurements.length > 0) {
-      doc.font('Helvetica-Bold').text('GPU 통계:');
-      doc.font('Helvetica');
-      const gpuUtils = gpuMeasurements.map(m => m.gpu.utilization);
-      const avgGpu = gpuUtils.reduce((a, b) => a + b, 0) / gpuUtils.length;
-      const maxGpu = Math.max(...gpuUtils);
-      doc.text(`  평균 사용률: ${avgGpu.toFixed(2)}%`);
-      doc.text(`  최대 사용률: ${maxGpu.toFixed(2)}%`);
-
-      const gpuTemps = gpuMeasurements.map(m => m.gpu.temperature).filter(t => t !== null);
-      if (gpuTemps.length > 0) {
-        const avgTemp = gpuTemps.reduce((a, b) => a + b, 0) / gpuTemps.length;
-        const maxTemp = Math.max(...gpuTemps);
-        doc.text(`  평균 온도: ${avgTemp.toFixed(2)}°C`);
-        doc.text(`  최대 온도: ${maxTemp.toFixed(2)}°C`);
+    const flagged = new Set(hiddenSaturation.map(episode => episode.core));
+    this.layout.table({
+      columns: [
+        { header: '코어', width: 60 },
+        { header: '최소 %', align: 'right' },
+        { header: '최대 %', align: 'right' },
+        { header: '평균 %', align: 'right' },
+        { header: '포화 비율 %', align: 'right' },
+        { header: '최장 포화 (초)', align: 'right' },
+      ],
+      rows: cores.map(core => ({
+        color: flagged.has(core.core) ? '#dc3545' : null,
+        cells: [
+          `${flagged.has(core.core) ? '*' : ' '}C${core.core}`,
+          core.min.toFixed(1),
+          core.max.toFixed(1),
+          core.avg.toFixed(1),
+          core.saturatedPercent.toFixed(1),
+          core.longestSaturation.toFixed(0),
+        ],
+      })),
+    });
+    doc.moveDown(0.5);
+
+    this.layout.heading('평균에 가려진 단일 코어 포화 구간');
+    doc.fontSize(10).font(FONTS.REGULAR);
+    if (hiddenSaturation.length === 0) {
+      doc.text('  해당 구간이 없습니다.');
+    } else {
+      hiddenSaturation.slice(0, 15).forEach(episode => {
+        doc.text(
+          `  C${episode.core}: ${this.formatTime(episode.start)} ~ ` +
+          `${this.formatTime(episode.end)} (${episode.duration.toFixed(0)}초) - ` +
+          `코어 평균 ${episode.coreAvg.toFixed(1)}%, 전체 평균 ${episode.overallAvg.toFixed(1)}%`
+        );
+      });
+      if (hiddenSaturation.length > 15) {
+        doc.text(`  ... 외 ${hiddenSaturation.length - 15}개 구간`);
       }
+    }
+
+    doc.moveDown(1);
+  }
+
+  /**
+   * 알림 규칙 및 발생 기록 추가
+   */
+  addAlerts(doc, section = {}) {
+    const rules = (this.sessionData.config && this.sessionData.config.alertRules) || [];
+    const incidents = this.sessionData.alerts || [];
+    if (rules.length === 0 && incidents.length === 0) return;
+
+    const time = value => (value ? this.formatClock(value) : '-');
+
+    doc.moveDown(1);
+    this.startSection(section, '알림');
+    doc.moveDown(0.5);
+
+    this.layout.heading('알림 규칙');
+    doc.moveDown(0.3);
+    this.layout.table({
+      columns: [
+        { header: '규칙', width: 100 },
+        { header: '심각도', width: 60 },
+        { header: '조건' },
+      ],
+      rows: rules.map(rule => [
+        rule.id,
+        rule.severity,
+        `${rule.metric} ${rule.operator} ${rule.threshold}, ${rule.duration}초 지속 (히스테리시스 ${rule.hysteresis})`,
+      ]),
+    });
+    doc.moveDown(0.5);
+
+    this.layout.heading(`발생 기록 (${incidents.length}건)`);
+    doc.moveDown(0.3);
+
+    if (incidents.length === 0) {
+      doc.fontSize(10).font(FONTS.REGULAR).text('세션 동안 발생한 알림이 없습니다.');
       doc.moveDown(1);
+      return;
     }
+
+    this.layout.table({
+      columns: [
+        { header: '규칙' },
+        { header: '심각도', width: 55 },
+        { header: '시작', width: 55 },
+        { header: '종료', width: 60 },
+        { header: '지속', width: 50, align: 'right' },
+        { header: '최대값', width: 60, align: 'right' },
+        { header: '최대 시각', width: 60 },
+      ],
+      rows: incidents.map(incident => {
+        const duration = incident.end
+          ? `${Math.round((new Date(incident.end) - new Date(incident.start)) / 1000)}초`
+          : '진행 중';
+        // 세션 종료 시점에 해제되지 않은 알림은 종료 시각 뒤에 * 표시
+        const end = incident.end ? `${time(incident.end)}${incident.resolved ? '' : '*'}` : '-';
+        return {
+          color: incident.severity === 'critical' ? '#dc3545' : null,
+          cells: [
+            incident.ruleId,
+            incident.severity,
+            time(incident.start),
+            end,
+            duration,
+            incident.peak.toFixed(2),
+            time(incident.peakAt),
+          ],
+        };
+      }),
+    });
+
+    if (incidents.some(incident => !incident.resolved)) {
+      doc.moveDown(0.3);
+      doc.fontSize(9).font(FONTS.REGULAR).text('* 세션 종료 시점까지 해제되지 않은 알림');
+    }
+    doc.moveDown(1);
+    doc.fontSize(10).font(FONTS.REGULAR);
+  }
+
+  /**
+   * 이상 징후 감지 결과 추가 (지표별로 이어진 이상 값을 구간으로 묶어 표시)
+   */
+  addAnomalies(doc, section = {}) {
+    const options = this.sessionData.config && this.sessionData.config.anomalyDetection;
+    if (!options || !options.enabled) return;
+
+    const interval = this.sessionData.config.interval || 1;
+    const episodes = AnomalyDetector.summarize(this.sessionData.measurements, interval);
+    const time = value => this.formatClock(value);
+
+    doc.moveDown(1);
+    this.startSection(section, '이상 징후');
+    doc.moveDown(0.5);
+
+    doc.fontSize(9).font(FONTS.REGULAR);
+    doc.text(
+      `지표별 EWMA 기준선(alpha ${options.alpha})에서 |z| ${options.threshold} 이상 벗어난 값입니다. ` +
+      `처음 ${options.warmup}회 측정은 기준선 학습 기간으로 판단하지 않습니다.`
+    );
+    doc.moveDown(0.5);
+
+    if (episodes.length === 0) {
+      doc.fontSize(10).text('감지된 이상 징후가 없습니다.');
+      doc.moveDown(1);
+      return;
+    }
+
+    this.layout.table({
+      columns: [
+        { header: '지표' },
+        { header: '시작', width: 55 },
+        { header: '종료', width: 55 },
+        { header: '점 수', width: 35, align: 'right' },
+        { header: '최대 z', width: 45, align: 'right' },
+        { header: '최대값', width: 55, align: 'right' },
+        { header: '기준선', width: 55, align: 'right' },
+        { header: '최대 시각', width: 55 },
+      ],
+      rows: episodes.map(episode => [
+        episode.metric,
+        time(episode.start),
+        time(episode.end),
+        episode.points,
+        episode.peakZ.toFixed(1),
+        episode.peakValue.toFixed(2),
+        episode.baseline.toFixed(2),
+        time(episode.peakAt),
+      ]),
+    });
+
+    doc.moveDown(0.5);
+    doc.fontSize(10).font(FONTS.REGULAR);
+  }
+
+  /**
+   * 항목별 최소/최대/평균 표 추가
+   * @param {Array} rows - [라벨, 값 배열] 쌍의 목록
+   */
+  addMinMaxAvgTable(doc, rows) {
+    this.layout.table({
+      columns: [
+        { header: '항목' },
+        { header: '최소', width: 90, align: 'right' },
+        { header: '최대', width: 90, align: 'right' },
+        { header: '평균', width: 90, align: 'right' },
+      ],
+      rows: rows.map(([label, values]) => {
+        const stats = summarize(values);
+        return stats
+          ? [label, stats.min.toFixed(2), stats.max.toFixed(2), stats.avg.toFixed(2)]
+          : [label, 'N/A', 'N/A', 'N/A'];
+      }),
+    });
+    doc.moveDown(0.3);
+  }
+
+  /**
+   * GPU별 통계 추가
+   */
+  addGpuStats(doc, section = {}) {
+    const gpus = summarizeGpus(this.sessionData);
+    if (gpus.length === 0) return;
+
+    this.startSection(section, 'GPU별 통계', { newPage: true });
+    doc.moveDown(0.5);
+
+    gpus.forEach(({ index, model, memoryTotal, rows }) => {
+      // GPU 제목과 표를 같은 페이지에
+      this.layout.keepTogether(40 + this.layout.tableHeight(rows.length), () => {
+        this.layout.heading(`GPU ${index}: ${model}`, { space: 0 });
+        if (memoryTotal) {
+          doc.fontSize(9).font(FONTS.REGULAR).text(`  메모리: ${memoryTotal} MB`);
+        }
+        doc.moveDown(0.3);
+        this.addMinMaxAvgTable(doc, rows);
+      });
+    });
+
+    doc.fontSize(10).font(FONTS.REGULAR);
+  }
+
+  /**
+   * 네트워크 인터페이스별 / 디스크 볼륨별 통계 추가
+   */
+  addBreakdownStats(doc, section = {}) {
+    const { interfaces, volumes } = summarizeBreakdowns(this.sessionData.measurements);
+    if (interfaces.length === 0 && volumes.length === 0) return;
+
+    this.startSection(section, '인터페이스 및 볼륨별 통계', { newPage: true });
+    doc.moveDown(0.5);
+
+    // 항목 이름과 표를 같은 페이지에
+    const addGroup = ({ title, rows }) => {
+      this.layout.keepTogether(20 + this.layout.tableHeight(rows.length), () => {
+        this.layout.heading(title, { fontSize: 10, space: 0 });
+        this.addMinMaxAvgTable(doc, rows);
+      });
+    };
+
+    if (interfaces.length > 0) {
+      this.layout.heading('네트워크 인터페이스 (KB/s)', { space: 60 });
+      doc.moveDown(0.3);
+      interfaces.forEach(addGroup);
+    }
+
+    if (volumes.length > 0) {
+      this.layout.heading('디스크 볼륨', { space: 80 });
+      doc.moveDown(0.3);
+      volumes.forEach(addGroup);
+    }
+
+    doc.fontSize(10).font(FONTS.REGULAR);
+  }
+
+  /**
+   * 세션 전체 기준 프로세스 순위 추가
+   */
+  addProcessRanking(doc, section = {}) {
+    const ranking = rankProcesses(this.sessionData);
+    if (!ranking) return;
+
+    this.startSection(section, '프로세스 사용량 순위', { newPage: true });
+    doc.moveDown(0.5);
+
+    doc.fontSize(9).font(FONTS.REGULAR);
+    doc.text(`측정마다 CPU/메모리 상위 ${ranking.topN}개 프로세스를 기록하여 세션 전체로 합산한 결과입니다.`);
+    doc.moveDown(0.5);
+
+    const renderTable = (title, rows, valueHeader, formatValue) => {
+      this.layout.keepTogether(30 + this.layout.tableHeight(rows.length), () => {
+        this.layout.heading(title, { space: 0 });
+        doc.moveDown(0.3);
+        this.layout.table({
+          columns: [
+            { header: '#', width: 25, align: 'right' },
+            { header: 'PID', width: 55, align: 'right' },
+            { header: '이름' },
+            { header: '사용자', width: 100 },
+            { header: valueHeader, width: 85, align: 'right' },
+          ],
+          rows: rows.map((proc, idx) => [idx + 1, proc.pid, proc.name, proc.user || '-', formatValue(proc)]),
+        });
+      });
+      doc.moveDown(0.5);
+    };
+
+    renderTable('누적 CPU 시간 기준', ranking.byCpu, 'CPU 시간 (초)', proc => proc.cpuSeconds.toFixed(1));
+    renderTable('최대 메모리 사용량 기준', ranking.byMem, '최대 RSS (MB)', proc => proc.peakMemMB.toFixed(1));
+
+    doc.fontSize(10).font(FONTS.REGULAR);
   }
 
   /**
    * 데이터 샘플 추가
    */
-  addDataSummary(doc) {
+  addDataSummary(doc, section = {}) {
     const measurements = this.sessionData.measurements;
     if (measurements.length === 0) return;
 
-    doc.fontSize(16).font('Helvetica-Bold').text('5. 측정 데이터 샘플 (처음 10개)');
+    this.startSection(section, '측정 데이터 샘플 (처음 10개)');
     doc.moveDown(0.5);
 
-    doc.fontSize(8).font('Courier');
-
-    // 테이블 헤더
-    const header = 'Time'.padEnd(12) + 'CPU%'.padEnd(8) + 'Mem%'.padEnd(8) + 'Disk%'.padEnd(8) + 'Net↓'.padEnd(10) + 'Net↑'.padEnd(10);
-    doc.text(header);
-    doc.text('-'.repeat(header.length));
-
     // 최대 10개 샘플
     const samples = measurements.slice(0, Math.min(10, measurements.length));
-    samples.forEach(m => {
-      const time = new Date(m.timestamp).toLocaleTimeString('ko-KR');
-      const row = time.padEnd(12) +
-                  m.cpu.usage.toFixed(1).padEnd(8) +
-                  m.memory.usagePercent.toFixed(1).padEnd(8) +
-                  m.disk.usagePercent.toFixed(1).padEnd(8) +
-                  m.network.rxKBps.toString().padEnd(10) +
-                  m.network.txKBps.toString().padEnd(10);
-      doc.text(row);
+    // 수집기가 꺼진 항목은 '-'로 표시
+    const cell = (m, keyPath, digits) => {
+      const value = getPath(m, keyPath);
+      return typeof value !== 'number' ? '-' : digits === undefined ? value.toString() : value.toFixed(digits);
+    };
+
+    this.layout.table({
+      columns: [
+        { header: '시각', width: 95 },
+        { header: 'CPU %', align: 'right' },
+        { header: '메모리 %', align: 'right' },
+        { header: '디스크 %', align: 'right' },
+        { header: '수신 KB/s ↓', align: 'right' },
+        { header: '송신 KB/s ↑', align: 'right' },
+      ],
+      rows: samples.map(m => [
+        this.formatTime(m.timestamp),
+        cell(m, 'cpu.usage', 1),
+        cell(m, 'memory.usagePercent', 1),
+        cell(m, 'disk.usagePercent', 1),
+        cell(m, 'network.rxKBps'),
+        cell(m, 'network.txKBps'),
+      ]),
     });
 
     if (measurements.length > 10) {
       doc.moveDown(0.5);
-      doc.fontSize(8).font('Helvetica');
+      doc.fontSize(8).font(FONTS.REGULAR);
       doc.text(`... 외 ${measurements.length - 10}개 데이터 포인트`);
     }
 
     doc.moveDown(1);
-    doc.fontSize(10).font('Helvetica');
+    doc.fontSize(10).font(FONTS.REGULAR);
     doc.text(`전체 데이터는 세션 ID "${this.sessionData.sessionId}"로 저장되었습니다.`);
   }
-
-  /**
-   * 푸터 추가
-   */
-  addFooter(doc) {
-    const pageCount = doc.bufferedPageRange().count;
-
-    for (let i = 0; i < pageCount; i++) {
-      doc.switchToPage(i);
-
-      // 페이지 번호
-      doc.fontSize(8).text(
-        `페이지 ${i + 1} / ${pageCount}`,
-        50,
-        doc.page.height - 50,
-        { align: 'center' }
-      );
-
-      // 세션 ID (하단 왼쪽)
-      doc.fontSize(7).text(
-        `세션: ${this.sessionData.sessionId}`,
-        50,
-        doc.page.height - 30,
-        { align: 'left' }
-      );
-    }
-  }
 }
 
 module.exports = PDFGenerator;
@@ -0,0 +1,324 @@
+/**
+ * PDF 레이아웃
+ * 섹션 제목(번호, 목차, 책갈피), 페이지 경계를 넘으면 머리글을 반복하는 표,
+ * 한 페이지에 함께 배치할 블록, 목차, 페이지 번호 푸터
+ * 문서는 bufferPages: true로 만들고 registerFonts로 글꼴을 등록해야 함
+ */
+
+const { FONTS } = require('./pdfFonts');
+
+// 섹션 제목이 페이지 끝에 홀로 남지 않도록 제목 아래에 확보할 공간
+const HEADING_SPACE = 80;
+
+const TABLE_PADDING_X = 4;
+const TABLE_PADDING_Y = 3;
+const TABLE_HEADER_FILL = '#e9ecef';
+const TABLE_STRIPE_FILL = '#f8f9fa';
+const TABLE_BORDER = '#dee2e6';
+
+const TOC_LINE_HEIGHT = 16;
+const TOC_INDENT = 15;
+
+class PDFLayout {
+  /**
+   * @param {PDFDocument} doc
+   * @param {object} options
+   * @param {object} options.colors - { heading, tableHeader, tableHeaderText } (리포트 템플릿 색상)
+   */
+  constructor(doc, { colors = {} } = {}) {
+    this.doc = doc;
+    this.colors = { heading: 'black', tableHeader: TABLE_HEADER_FILL, tableHeaderText: 'black', ...colors };
+    this.sectionCount = 0;
+    this.entries = []; // 목차 항목 { level, title, page, destination }
+    this.tocAnchor = null;
+    this.outlineParent = null;
+  }
+
+  get left() {
+    return this.doc.page.margins.left;
+  }
+
+  get contentWidth() {
+    return this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+  }
+
+  get bottom() {
+    return this.doc.page.height - this.doc.page.margins.bottom;
+  }
+
+  /**
+   * 현재 페이지 번호 (1부터)
+   */
+  get pageNumber() {
+    const range = this.doc.bufferedPageRange();
+    return range.start + range.count;
+  }
+
+  /**
+   * 남은 공간이 height보다 작으면 새 페이지
+   * @returns {boolean} 페이지를 추가했는지
+   */
+  ensureSpace(height) {
+    if (this.doc.y + height > this.bottom) {
+      this.doc.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 새 페이지 (현재 페이지가 비어 있으면 그대로 사용)
+   * 템플릿에서 섹션 순서를 바꿔도 빈 페이지가 생기지 않도록 함
+   */
+  pageBreak() {
+    if (this.doc.y > this.doc.page.margins.top) {
+      this.doc.addPage();
+    }
+  }
+
+  /**
+   * 높이 height의 블록을 페이지 경계에서 나누지 않고 그림
+   * 한 페이지보다 큰 블록은 새 페이지에서 시작만 맞춤
+   */
+  keepTogether(height, draw) {
+    this.ensureSpace(Math.min(height, this.bottom - this.doc.page.margins.top));
+    draw();
+  }
+
+  /**
+   * 섹션 제목 (목차와 PDF 책갈피에 추가)
+   * 1단계는 데이터가 없어 생략된 섹션을 건너뛰도록 번호를 자동으로 붙임
+   * @param {string} title
+   * @param {object} options
+   * @param {number} options.level - 1: 섹션, 2: 하위 섹션
+   * @param {boolean} options.newPage - 새 페이지에서 시작
+   */
+  section(title, { level = 1, newPage = false } = {}) {
+    const { doc } = this;
+
+    if (newPage) {
+      this.pageBreak();
+    } else {
+      this.ensureSpace(HEADING_SPACE);
+    }
+
+    const text = level === 1 ? `${++this.sectionCount}. ${title}` : title;
+    const destination = `section-${this.entries.length + 1}`;
+    this.entries.push({ level, title: text, page: this.pageNumber, destination });
+
+    if (level === 1) {
+      this.outlineParent = doc.outline.addItem(text);
+    } else {
+      (this.outlineParent || doc.outline).addItem(text);
+    }
+
+    doc.x = this.left;
+    doc.fontSize(level === 1 ? 16 : 12).font(FONTS.BOLD).fillColor(this.colors.heading).text(text, { destination });
+    doc.font(FONTS.REGULAR).fillColor('black');
+  }
+
+  /**
+   * 섹션 안의 소제목 (목차에는 넣지 않음)
+   * @param {number} space - 제목과 함께 같은 페이지에 있어야 할 본문 높이
+   */
+  heading(text, { fontSize = 12, space = 40 } = {}) {
+    this.ensureSpace(fontSize + space);
+    this.doc.x = this.left;
+    this.doc.fontSize(fontSize).font(FONTS.BOLD).fillColor('black').text(text);
+    this.doc.font(FONTS.REGULAR);
+  }
+
+  /**
+   * 현재 위치에 목차 자리를 남기고 다음 페이지로 넘어감 (내용은 renderToc에서 채움)
+   */
+  reserveToc() {
+    this.tocAnchor = { pageIndex: this.pageNumber - 1, y: this.doc.y };
+    this.doc.addPage();
+  }
+
+  /**
+   * 예약한 자리에 목차 작성 (모든 섹션을 그린 뒤 호출)
+   * 자리가 부족하면 남은 항목 수만 표시
+   */
+  renderToc() {
+    if (!this.tocAnchor || this.entries.length === 0) return;
+
+    const { doc } = this;
+    const { pageIndex, y } = this.tocAnchor;
+    doc.switchToPage(pageIndex);
+
+    doc.x = this.left;
+    doc.y = y;
+    doc.fontSize(16).font(FONTS.BOLD).fillColor(this.colors.heading).text('목차');
+    doc.moveDown(0.5);
+
+    const capacity = Math.floor((this.bottom - doc.y) / TOC_LINE_HEIGHT);
+    const overflow = this.entries.length > capacity;
+    const shown = overflow ? this.entries.slice(0, Math.max(capacity - 1, 0)) : this.entries;
+    const right = this.left + this.contentWidth;
+
+    let lineY = doc.y;
+    shown.forEach(entry => {
+      const x = this.left + (entry.level - 1) * TOC_INDENT;
+      const page = String(entry.page);
+
+      doc.fontSize(entry.level === 1 ? 11 : 10).font(entry.level === 1 ? FONTS.BOLD : FONTS.REGULAR);
+      const pageWidth = doc.widthOfString(page);
+      const title = this.fitText(entry.title, right - x - pageWidth - 20);
+      const titleWidth = doc.widthOfString(title);
+
+      doc.fillColor('black').text(title, x, lineY, { lineBreak: false });
+      doc.text(page, right - pageWidth, lineY, { lineBreak: false });
+
+      // 제목과 페이지 번호 사이 점선
+      const leaderY = lineY + doc.currentLineHeight() * 0.75;
+      doc.save()
+        .moveTo(x + titleWidth + 4, leaderY)
+        .lineTo(right - pageWidth - 4, leaderY)
+        .lineWidth(0.7)
+        .dash(0.7, { space: 2.5 })
+        .strokeColor('#adb5bd')
+        .stroke()
+        .restore();
+
+      doc.goTo(x, lineY, right - x, TOC_LINE_HEIGHT - 2, entry.destination);
+      lineY += TOC_LINE_HEIGHT;
+    });
+
+    if (overflow) {
+      doc.fontSize(10).font(FONTS.REGULAR).fillColor('#6c757d')
+        .text(`... 외 ${this.entries.length - shown.length}개`, this.left, lineY, { lineBreak: false });
+      doc.fillColor('black');
+    }
+  }
+
+  /**
+   * 표 (페이지가 넘어가면 머리글을 다시 그림)
+   * 셀은 한 줄로 그리고 열 너비를 넘는 내용은 말줄임표로 자름
+   * @param {object} options
+   * @param {Array} options.columns - [{ header, width, align }] (width가 없는 열은 남은 폭을 나눔)
+   * @param {Array} options.rows - 셀 배열 또는 { cells, color } (color: 행 글자색)
+   * @param {number} options.fontSize
+   */
+  table({ columns, rows, fontSize = 8 }) {
+    const { doc } = this;
+    const left = this.left;
+
+    const fixedWidth = columns.reduce((sum, column) => sum + (column.width || 0), 0);
+    const flexible = columns.filter(column => !column.width).length;
+    const widths = columns.map(column => column.width || (this.contentWidth - fixedWidth) / flexible);
+    const tableWidth = widths.reduce((sum, width) => sum + width, 0);
+
+    const rowHeightOf = font => doc.font(font).fontSize(fontSize).currentLineHeight(true) + TABLE_PADDING_Y * 2;
+    const headerHeight = rowHeightOf(FONTS.BOLD);
+    const rowHeight = rowHeightOf(FONTS.MONO);
+
+    const drawRow = (cells, y, height, { font, fill, color }) => {
+      if (fill) {
+        doc.rect(left, y, tableWidth, height).fill(fill);
+      }
+      doc.font(font).fontSize(fontSize).fillColor(color);
+
+      let x = left;
+      columns.forEach((column, index) => {
+        const value = cells[index];
+        const text = this.fitText(value === null || value === undefined ? '' : String(value), widths[index] - TABLE_PADDING_X * 2);
+        const textWidth = doc.widthOfString(text);
+        const textX = column.align === 'right'
+          ? x + widths[index] - TABLE_PADDING_X - textWidth
+          : column.align === 'center' ? x + (widths[index] - textWidth) / 2 : x + TABLE_PADDING_X;
+        doc.text(text, textX, y + TABLE_PADDING_Y, { lineBreak: false });
+        x += widths[index];
+      });
+    };
+
+    const drawHeader = () => {
+      const y = doc.y;
+      drawRow(columns.map(column => column.header), y, headerHeight, {
+        font: FONTS.BOLD,
+        fill: this.colors.tableHeader,
+        color: this.colors.tableHeaderText,
+      });
+      doc.y = y + headerHeight;
+    };
+
+    // 머리글만 페이지 끝에 남지 않도록 첫 몇 행과 함께 배치
+    this.ensureSpace(headerHeight + rowHeight * Math.min(rows.length, 3));
+    drawHeader();
+
+    rows.forEach((row, index) => {
+      if (doc.y + rowHeight > this.bottom) {
+        doc.addPage();
+        drawHeader();
+      }
+
+      const { cells, color } = Array.isArray(row) ? { cells: row } : row;
+      const y = doc.y;
+      drawRow(cells, y, rowHeight, { font: FONTS.MONO, fill: index % 2 === 1 ? TABLE_STRIPE_FILL : null, color: color || 'black' });
+      doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight)
+        .lineWidth(0.5).strokeColor(TABLE_BORDER).stroke();
+      doc.y = y + rowHeight;
+    });
+
+    doc.fillColor('black').strokeColor('black').font(FONTS.REGULAR);
+    doc.x = left;
+    doc.moveDown(0.5);
+  }
+
+  /**
+   * 머리글과 행 수로 표 높이 계산 (keepTogether와 함께 사용)
+   */
+  tableHeight(rowCount, fontSize = 8) {
+    const { doc } = this;
+    const lineHeight = font => doc.font(font).fontSize(fontSize).currentLineHeight(true) + TABLE_PADDING_Y * 2;
+    const height = lineHeight(FONTS.BOLD) + lineHeight(FONTS.MONO) * rowCount;
+    doc.font(FONTS.REGULAR);
+    return height;
+  }
+
+  /**
+   * 현재 글꼴로 width 안에 들어가도록 자름 (넘치면 말줄임표)
+   */
+  fitText(text, width) {
+    const { doc } = this;
+    if (doc.widthOfString(text) <= width) return text;
+
+    let end = text.length;
+    while (end > 0 && doc.widthOfString(`${text.slice(0, end)}…`) > width) {
+      end--;
+    }
+    return `${text.slice(0, end)}…`;
+  }
+
+  /**
+   * 모든 페이지에 페이지 번호와 왼쪽/오른쪽 아래 라벨 (문서 작성이 끝난 뒤 호출)
+   * @param {string} label - 예: '세션: <ID>'
+   * @param {string} note - 오른쪽 아래 문구 (예: 템플릿 푸터 '대외비')
+   */
+  addFooter(label, note = '') {
+    const { doc } = this;
+    const { start, count } = doc.bufferedPageRange();
+
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      // 하단 여백 안에 쓰므로 여백을 잠시 없애야 새 페이지가 추가되지 않음
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+
+      doc.fontSize(8).font(FONTS.REGULAR).fillColor('black').text(
+        `페이지 ${i + 1} / ${count}`,
+        this.left,
+        doc.page.height - 50,
+        { width: this.contentWidth, align: 'center' }
+      );
+      doc.fontSize(7).text(label, this.left, doc.page.height - 30, { lineBreak: false });
+      if (note) {
+        doc.text(note, this.left + this.contentWidth - doc.widthOfString(note), doc.page.height - 30, { lineBreak: false });
+      }
+
+      doc.page.margins.bottom = bottom;
+    }
+  }
+}
+
+module.exports = PDFLayout;
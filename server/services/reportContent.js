@@ -0,0 +1,332 @@
+/**
+ * 리포트 내용 계산
+ * PDF와 HTML 리포트가 같은 통계를 표시하도록 섹션별 데이터를 세션 데이터에서 계산
+ */
+
+const defaultRegistry = require('../collectors');
+const { getPath } = require('./collectorRegistry');
+const { describeSeries, thresholdsFor, toTimePoints } = require('./statistics');
+
+/**
+ * 측정값의 GPU 컨트롤러 목록 (이전 형식의 단일 GPU 객체도 컨트롤러 목록으로 취급)
+ */
+function gpuControllers(measurement) {
+  if (!measurement.gpu) return [];
+  return measurement.gpu.controllers || [{ index: 0, ...measurement.gpu }];
+}
+
+/**
+ * 세션에 기록된 수집기 설명 (이전 형식의 세션은 기본 수집기 중 데이터가 있는 것)
+ */
+function getCollectors(sessionData) {
+  if (sessionData.collectors) {
+    return sessionData.collectors;
+  }
+
+  const sample = sessionData.measurements[0] || {};
+  return defaultRegistry.describeAll().filter(collector => collector.id in sample);
+}
+
+/**
+ * 통계 요약 블록 - 수집기 설명(render.pdf.stats)에 따라 계산 (값이 없는 블록은 생략)
+ * stats는 statistics.describeSeries() 결과 (백분위수, 표준편차, 추세, 임계값 초과 시간 포함)
+ * @returns {Array} { label, unit, fields, stats } 또는 여러 값 블록 { label, rows: [{ label, stats }] }
+ */
+function collectStatBlocks(sessionData) {
+  const { measurements } = sessionData;
+  const blocks = [];
+
+  getCollectors(sessionData).forEach(collector => {
+    const descriptors = (collector.render && collector.render.pdf && collector.render.pdf.stats) || [];
+
+    const statsOf = (key, unit, divisor = 1) => {
+      const values = measurements.map(m => {
+        const value = getPath(m[collector.id], key);
+        return typeof value === 'number' ? value / divisor : null;
+      });
+      return describeSeries(toTimePoints(measurements, values), {
+        thresholds: thresholdsFor(sessionData, { key: `${collector.id}.${key}`, unit, divisor }),
+      });
+    };
+
+    descriptors.forEach(block => {
+      // 여러 값을 한 줄씩 요약하는 블록 (예: 읽기/쓰기)
+      if (block.rows) {
+        const rows = block.rows
+          .map(row => ({ label: row.label, stats: statsOf(row.key, block.unit, row.divisor) }))
+          .filter(row => row.stats);
+        if (rows.length > 0) {
+          blocks.push({ label: block.label, rows });
+        }
+        return;
+      }
+
+      // 단일 값 블록 (값이 없는 센서는 생략)
+      const stats = statsOf(block.key, block.unit, block.divisor);
+      if (stats) {
+        blocks.push({
+          label: block.label,
+          unit: block.unit || '',
+          fields: block.summary || ['min', 'max', 'avg', 'median'],
+          stats,
+        });
+      }
+    });
+  });
+
+  return blocks;
+}
+
+/**
+ * 시계열 차트 - 대시보드와 같은 수집기 차트 설명(render.chart)의 시리즈와 GPU별 사용률
+ * 값이 하나도 없는 차트는 제외
+ * @returns {Array} { title, unit, yMax, area, series: [{ label, color, points: [[시각(ms), 값 또는 null]] }] }
+ */
+function buildCharts(sessionData) {
+  const { measurements } = sessionData;
+  const timeOf = m => new Date(m.timestamp).getTime();
+
+  const charts = getCollectors(sessionData)
+    .filter(collector => collector.render && collector.render.chart && collector.render.chart.series)
+    .map(collector => {
+      const { title, series } = collector.render.chart;
+      const units = series.map(item => (collector.units || {})[item.key] || '');
+      const unit = units.every(item => item === units[0]) ? units[0] : '';
+      return {
+        title,
+        unit,
+        yMax: unit === '%' ? 100 : undefined,
+        area: series.length === 1,
+        series: series.map(item => ({
+          label: item.label,
+          color: item.color,
+          points: measurements.map(m => {
+            const value = getPath(m[collector.id], item.key);
+            return [timeOf(m), typeof value === 'number' ? value : null];
+          }),
+        })),
+      };
+    });
+
+  // GPU는 컨트롤러마다 한 시리즈
+  const gpus = new Map();
+  measurements.forEach(m => {
+    gpuControllers(m).forEach(controller => {
+      if (!gpus.has(controller.index)) {
+        gpus.set(controller.index, { label: `GPU ${controller.index}${controller.model ? ` ${controller.model}` : ''}`, points: [] });
+      }
+      gpus.get(controller.index).points.push([timeOf(m), controller.utilization]);
+    });
+  });
+  if (gpus.size > 0) {
+    charts.push({
+      title: 'GPU 사용률 (%)',
+      unit: '%',
+      yMax: 100,
+      area: gpus.size === 1,
+      series: [...gpus.entries()].sort(([a], [b]) => a - b).map(([, item]) => item),
+    });
+  }
+
+  return charts.filter(chart => chart.series.some(item => item.points.some(([, value]) => typeof value === 'number')));
+}
+
+/**
+ * CPU/메모리 최대 사용 시점의 측정값 (해당 수집기가 실행된 경우에만)
+ * @returns {object} { cpu, memory } (없으면 null)
+ */
+function findPeaks(measurements) {
+  const findPeak = (getValue) => measurements
+    .filter(m => typeof getValue(m) === 'number')
+    .reduce((peak, curr) => (!peak || getValue(curr) > getValue(peak) ? curr : peak), null);
+
+  return {
+    cpu: findPeak(m => getPath(m, 'cpu.usage')),
+    memory: findPeak(m => getPath(m, 'memory.usagePercent')),
+  };
+}
+
+/**
+ * GPU별 항목 값 (값이 없는 항목은 제외)
+ * @returns {Array} { index, model, memoryTotal, rows: [[라벨, 값 배열]] } (인덱스 순)
+ */
+function summarizeGpus(sessionData) {
+  const gpus = new Map();
+
+  sessionData.measurements.forEach(m => {
+    gpuControllers(m).forEach(controller => {
+      if (!gpus.has(controller.index)) gpus.set(controller.index, []);
+      gpus.get(controller.index).push(controller);
+    });
+  });
+
+  const systemGpus = (sessionData.systemInfo && sessionData.systemInfo.gpu) || [];
+
+  return [...gpus.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, samples]) => ({
+      index,
+      model: samples.map(s => s.model).find(Boolean) ||
+        (systemGpus[index] && systemGpus[index].model) || `GPU ${index}`,
+      memoryTotal: samples.map(s => s.memoryTotal).find(total => typeof total === 'number'),
+      rows: [
+        ['사용률 %', samples.map(s => s.utilization)],
+        ['메모리 사용률 %', samples.map(s => s.memoryUtilization)],
+        ['메모리 사용량 MB', samples.map(s => s.memoryUsed)],
+        ['온도 °C', samples.map(s => s.temperature)],
+        ['전력 W', samples.map(s => s.powerDraw)],
+        ['코어 클럭 MHz', samples.map(s => s.clockCore)],
+        ['메모리 클럭 MHz', samples.map(s => s.clockMemory)],
+      ].filter(([, values]) => values.some(value => typeof value === 'number')),
+    }));
+}
+
+/**
+ * 네트워크 인터페이스별 / 디스크 볼륨별 항목 값
+ * @returns {object} { interfaces, volumes } - 각각 [{ title, rows: [[라벨, 값 배열]] }]
+ */
+function summarizeBreakdowns(measurements) {
+  // 측정마다 배열로 기록된 항목을 이름별로 모음
+  const groupBy = (getList, getName) => {
+    const groups = new Map();
+    measurements.forEach(m => {
+      (getList(m) || []).forEach(item => {
+        const name = getName(item);
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(item);
+      });
+    });
+    return [...groups.entries()];
+  };
+
+  const interfaces = groupBy(m => getPath(m, 'network.interfaces'), iface => iface.iface)
+    .map(([name, samples]) => ({
+      title: `${name} (${samples[samples.length - 1].operstate})`,
+      rows: [
+        ['수신 KB/s', samples.map(s => s.rxKBps)],
+        ['송신 KB/s', samples.map(s => s.txKBps)],
+      ],
+    }));
+
+  const volumes = groupBy(m => getPath(m, 'disk.volumes'), volume => volume.mount)
+    .map(([mount, samples]) => {
+      const latest = samples[samples.length - 1];
+      return {
+        title: `${mount} (${latest.fs}, ${latest.type}, ${(latest.size / 1024 / 1024 / 1024).toFixed(1)} GB)`,
+        rows: [
+          ['사용률 %', samples.map(s => s.usagePercent)],
+          ['읽기 KB/s', samples.map(s => (s.io ? s.io.readKBps : null))],
+          ['쓰기 KB/s', samples.map(s => (s.io ? s.io.writeKBps : null))],
+        ],
+      };
+    });
+
+  return { interfaces, volumes };
+}
+
+/**
+ * 세션 전체 기준 프로세스 순위
+ * 틱마다 기록된 상위 N개 프로세스를 PID 단위로 합산
+ * @returns {object|null} { topN, byCpu, byMem } (순위 목록이 없는 세션은 null)
+ */
+function rankProcesses(sessionData) {
+  // CSV에서 가져온 세션은 프로세스 수만 있고 순위 목록이 없음
+  const measurements = sessionData.measurements.filter(m => m.processes && Array.isArray(m.processes.topCpu));
+  if (measurements.length === 0) return null;
+
+  const config = sessionData.config || {};
+  const interval = config.interval || 1;
+  const topN = config.topProcesses || measurements[0].processes.topCpu.length;
+  const totals = new Map();
+
+  measurements.forEach((m, idx) => {
+    // 직전 측정과의 실제 시간 차이 (누락된 틱 구간도 포함)
+    const prev = measurements[idx - 1];
+    const dt = prev && typeof m.elapsed === 'number' && typeof prev.elapsed === 'number'
+      ? m.elapsed - prev.elapsed
+      : interval;
+
+    // 같은 틱에서 CPU/메모리 목록에 중복으로 나온 프로세스는 한 번만 집계
+    const seen = new Map();
+    [...m.processes.topCpu, ...m.processes.topMemory].forEach(proc => {
+      seen.set(proc.pid, proc);
+    });
+
+    seen.forEach(proc => {
+      const key = `${proc.pid}:${proc.name}`;
+      const entry = totals.get(key) || {
+        pid: proc.pid,
+        name: proc.name,
+        user: proc.user,
+        cpuSeconds: 0,
+        peakMemMB: 0,
+        samples: 0,
+      };
+      entry.cpuSeconds += (proc.cpu / 100) * dt;
+      entry.peakMemMB = Math.max(entry.peakMemMB, proc.memRssMB);
+      entry.samples++;
+      totals.set(key, entry);
+    });
+  });
+
+  const ranked = [...totals.values()];
+  return {
+    topN,
+    byCpu: [...ranked].sort((a, b) => b.cpuSeconds - a.cpuSeconds).slice(0, 10),
+    byMem: [...ranked].sort((a, b) => b.peakMemMB - a.peakMemMB).slice(0, 10),
+  };
+}
+
+/**
+ * 초 단위 시간 표시 (예: 45초, 3분 20초, 2시간 5분)
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  if (total < 60) return `${total}초`;
+  if (total < 3600) return `${Math.floor(total / 60)}분 ${total % 60}초`;
+  return `${Math.floor(total / 3600)}시간 ${Math.floor((total % 3600) / 60)}분`;
+}
+
+/**
+ * 추세 기울기 표시 (예: +0.12%/분)
+ */
+function formatSlope(slopePerMinute, unit = '') {
+  if (slopePerMinute === null) return '-';
+  const rounded = Math.round(slopePerMinute * 100) / 100 || 0; // -0 방지
+  return `${rounded >= 0 ? '+' : ''}${rounded.toFixed(2)}${unit.trim()}/분`;
+}
+
+/**
+ * 템플릿 로캘/시간대/날짜 형식을 따르는 날짜 표시 함수
+ * @returns {object} { dateTime, time, clock(24시간 HH:MM:SS) }
+ */
+function dateFormatters(template) {
+  const { locale, dateFormat } = template;
+  const timeZone = template.timeZone || undefined;
+
+  return {
+    dateTime: value => new Date(value).toLocaleString(locale, { ...dateFormat, timeZone }),
+    time: value => new Date(value).toLocaleTimeString(locale, { timeZone }),
+    clock: value => new Date(value).toLocaleTimeString(locale, {
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+      timeZone,
+    }),
+  };
+}
+
+module.exports = {
+  gpuControllers,
+  getCollectors,
+  collectStatBlocks,
+  buildCharts,
+  findPeaks,
+  summarizeGpus,
+  summarizeBreakdowns,
+  rankProcesses,
+  formatDuration,
+  formatSlope,
+  dateFormatters,
+};
@@ -0,0 +1,57 @@
+/**
+ * 연속 모니터링 리포트 주기
+ * 'hourly' / 'daily'는 시계 기준(정각, 자정)으로 구간을 자르고, 숫자는 시작 시각 기준 초 단위 주기
+ */
+
+const NAMED_PERIODS = {
+  hourly: 60 * 60,
+  daily: 24 * 60 * 60,
+};
+
+/**
+ * 주기 설정 파싱
+ * @param {string|number} value - 'hourly', 'daily' 또는 초 단위 숫자
+ */
+function parseReportPeriod(value) {
+  if (typeof value === 'string' && NAMED_PERIODS[value]) {
+    return { type: value, seconds: NAMED_PERIODS[value] };
+  }
+
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 60) {
+    throw new Error(`잘못된 리포트 주기입니다: ${value} ('hourly', 'daily' 또는 60초 이상)`);
+  }
+
+  return { type: 'interval', seconds };
+}
+
+/**
+ * 주어진 시각 이후의 다음 구간 경계
+ * @param {Date} from - 기준 시각
+ * @param {Object} period - parseReportPeriod() 결과
+ * @param {Date} origin - 숫자 주기의 기준 시각 (세션 시작)
+ */
+function getNextBoundary(from, period, origin) {
+  if (period.type === 'hourly') {
+    const next = new Date(from);
+    next.setMinutes(0, 0, 0);
+    next.setHours(next.getHours() + 1);
+    return next;
+  }
+
+  if (period.type === 'daily') {
+    const next = new Date(from);
+    next.setHours(0, 0, 0, 0);
+    next.setDate(next.getDate() + 1);
+    return next;
+  }
+
+  const periodMs = period.seconds * 1000;
+  const passed = Math.floor((from - origin) / periodMs) + 1;
+  return new Date(origin.getTime() + passed * periodMs);
+}
+
+module.exports = {
+  parseReportPeriod,
+  getNextBoundary,
+};
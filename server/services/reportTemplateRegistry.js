@@ -0,0 +1,280 @@
+/**
+ * 리포트 템플릿 레지스트리
+ * PDF 리포트의 섹션 선택/순서, 제목, 색상, 로고, 표지, 날짜 형식을 정하는 JSON 템플릿을 등록/조회
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// PDFGenerator가 그릴 수 있는 섹션 (text: 사용자 지정 문구, pageBreak: 페이지 나눔)
+const SECTION_TYPES = [
+  'systemInfo',
+  'monitoringInfo',
+  'alerts',
+  'anomalies',
+  'statistics',
+  'charts',
+  'detailedStats',
+  'coreStats',
+  'gpuStats',
+  'breakdownStats',
+  'processRanking',
+  'dataSample',
+  'text',
+  'pageBreak',
+];
+
+const COLOR_KEYS = ['heading', 'accent', 'tableHeader', 'tableHeaderText'];
+const LOGO_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// 템플릿에서 생략한 항목의 기본값 (기존 고정 리포트와 같은 구성)
+const DEFAULTS = {
+  name: '',
+  description: '',
+  title: '시스템 모니터링 리포트',
+  locale: 'ko-KR',
+  timeZone: null,
+  dateFormat: {}, // Intl.DateTimeFormat 옵션 (비어 있으면 로캘 기본 형식)
+  colors: { heading: '#000000', accent: '#000000', tableHeader: '#e9ecef', tableHeaderText: '#000000' },
+  branding: { companyName: '', logo: null },
+  cover: { enabled: true, subtitle: '', text: '', toc: true }, // toc: 표지 아래 목차 (표지가 없으면 목차도 없음)
+  footer: { text: '' },
+  sections: [
+    'systemInfo',
+    'monitoringInfo',
+    'alerts',
+    'anomalies',
+    'statistics',
+    'charts',
+    'detailedStats',
+    'coreStats',
+    'gpuStats',
+    'breakdownStats',
+    'processRanking',
+    'dataSample',
+  ],
+};
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+class ReportTemplateRegistry {
+  constructor() {
+    this.templates = new Map();
+    this.defaultId = 'default';
+  }
+
+  /**
+   * 템플릿 정의 검증
+   * @param {object} template
+   * @param {string} baseDir - 로고 상대 경로의 기준 디렉터리
+   */
+  static validate(template, baseDir = process.cwd()) {
+    if (!isObject(template)) {
+      throw new Error('템플릿은 객체여야 합니다.');
+    }
+    if (typeof template.id !== 'string' || !/^[a-zA-Z0-9][\w-]*$/.test(template.id)) {
+      throw new Error(`잘못된 템플릿 ID입니다: ${template.id}`);
+    }
+
+    const label = `템플릿 "${template.id}"`;
+    ['name', 'description', 'title'].forEach(key => {
+      if (template[key] !== undefined && typeof template[key] !== 'string') {
+        throw new Error(`${label}: ${key}는 문자열이어야 합니다.`);
+      }
+    });
+
+    // 로캘, 시간대, 날짜 형식은 Intl에서 실제로 쓸 수 있는지 확인
+    const locale = template.locale || DEFAULTS.locale;
+    try {
+      new Intl.DateTimeFormat(locale, {
+        ...(template.dateFormat || {}),
+        timeZone: template.timeZone || undefined,
+      }).format(new Date());
+    } catch (error) {
+      throw new Error(`${label}: locale/timeZone/dateFormat이 올바르지 않습니다 (${error.message})`);
+    }
+    if (template.dateFormat !== undefined && !isObject(template.dateFormat)) {
+      throw new Error(`${label}: dateFormat은 Intl.DateTimeFormat 옵션 객체여야 합니다.`);
+    }
+
+    if (template.colors !== undefined) {
+      if (!isObject(template.colors)) {
+        throw new Error(`${label}: colors는 객체여야 합니다.`);
+      }
+      Object.entries(template.colors).forEach(([key, color]) => {
+        if (!COLOR_KEYS.includes(key)) {
+          throw new Error(`${label}: 알 수 없는 색상 항목입니다: ${key} (${COLOR_KEYS.join(', ')})`);
+        }
+        if (typeof color !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+          throw new Error(`${label}: 색상은 #rgb 또는 #rrggbb 형식이어야 합니다: ${key}=${color}`);
+        }
+      });
+    }
+
+    const branding = template.branding || {};
+    if (!isObject(branding)) {
+      throw new Error(`${label}: branding은 객체여야 합니다.`);
+    }
+    if (branding.logo !== undefined && branding.logo !== null) {
+      const logoPath = path.resolve(baseDir, String(branding.logo));
+      if (!LOGO_EXTENSIONS.includes(path.extname(logoPath).toLowerCase())) {
+        throw new Error(`${label}: 로고는 PNG 또는 JPEG 파일이어야 합니다: ${branding.logo}`);
+      }
+      if (!fs.existsSync(logoPath)) {
+        throw new Error(`${label}: 로고 파일을 찾을 수 없습니다: ${logoPath}`);
+      }
+    }
+
+    ['cover', 'footer'].forEach(key => {
+      if (template[key] !== undefined && !isObject(template[key])) {
+        throw new Error(`${label}: ${key}는 객체여야 합니다.`);
+      }
+    });
+
+    if (template.sections !== undefined) {
+      if (!Array.isArray(template.sections) || template.sections.length === 0) {
+        throw new Error(`${label}: sections는 비어 있지 않은 배열이어야 합니다.`);
+      }
+      template.sections.forEach((section, index) => {
+        const type = typeof section === 'string' ? section : section && section.type;
+        if (!SECTION_TYPES.includes(type)) {
+          throw new Error(`${label}: sections[${index}]의 섹션 종류가 잘못되었습니다: ${type}`);
+        }
+        if (type === 'text' && (typeof section !== 'object' || typeof section.text !== 'string')) {
+          throw new Error(`${label}: sections[${index}] text 섹션에는 text 문자열이 필요합니다.`);
+        }
+        if (typeof section === 'object' && section.title !== undefined && typeof section.title !== 'string') {
+          throw new Error(`${label}: sections[${index}]의 title은 문자열이어야 합니다.`);
+        }
+      });
+    }
+  }
+
+  /**
+   * 템플릿을 기본값과 합쳐 PDFGenerator가 사용하는 형태로 변환
+   */
+  static normalize(template, baseDir = process.cwd()) {
+    const branding = { ...DEFAULTS.branding, ...(template.branding || {}) };
+
+    return {
+      ...DEFAULTS,
+      ...template,
+      name: template.name || template.id,
+      colors: { ...DEFAULTS.colors, ...(template.colors || {}) },
+      branding: { ...branding, logo: branding.logo ? path.resolve(baseDir, branding.logo) : null },
+      cover: { ...DEFAULTS.cover, ...(template.cover || {}) },
+      footer: { ...DEFAULTS.footer, ...(template.footer || {}) },
+      sections: (template.sections || DEFAULTS.sections)
+        .map(section => (typeof section === 'string' ? { type: section } : { ...section })),
+    };
+  }
+
+  /**
+   * 템플릿 등록
+   */
+  register(template, baseDir) {
+    ReportTemplateRegistry.validate(template, baseDir);
+
+    if (this.templates.has(template.id)) {
+      throw new Error(`이미 등록된 템플릿입니다: ${template.id}`);
+    }
+    this.templates.set(template.id, ReportTemplateRegistry.normalize(template, baseDir));
+  }
+
+  /**
+   * 디렉터리의 *.json 파일을 템플릿으로 로드 (파일 이름이 템플릿 ID)
+   * 잘못된 템플릿은 건너뛰고 로그만 남김
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const loaded = [];
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const id = path.basename(file, '.json');
+        try {
+          this.register({ ...fs.readJsonSync(path.join(dir, file)), id }, dir);
+          loaded.push(id);
+          console.log(`[템플릿] 로드됨: ${id} (${file})`);
+        } catch (error) {
+          console.error(`[템플릿] 로드 실패 (${file}):`, error.message);
+        }
+      });
+
+    return loaded;
+  }
+
+  has(id) {
+    return this.templates.has(id);
+  }
+
+  get(id) {
+    return this.templates.get(id);
+  }
+
+  list() {
+    return [...this.templates.values()];
+  }
+
+  /**
+   * 세션에 템플릿을 지정하지 않았을 때 사용할 템플릿
+   */
+  setDefault(id) {
+    if (!this.has(id)) {
+      throw new Error(`알 수 없는 리포트 템플릿입니다: ${id}`);
+    }
+    this.defaultId = id;
+  }
+
+  /**
+   * ID로 템플릿 조회 (미지정 시 기본 템플릿)
+   */
+  resolve(id) {
+    const template = this.get(id || this.defaultId);
+    if (!template) {
+      throw new Error(`알 수 없는 리포트 템플릿입니다: ${id}`);
+    }
+    return template;
+  }
+
+  /**
+   * 세션 리포트에 쓸 템플릿 - 지정한 ID, 세션 설정의 reportTemplate, 기본 템플릿 순
+   * 세션 저장 이후 삭제된 템플릿은 기본 템플릿으로 대체 (명시적으로 지정한 템플릿은 호출 측에서 검증)
+   */
+  resolveForSession(sessionData, id) {
+    const templateId = id || (sessionData.config && sessionData.config.reportTemplate);
+    if (templateId && !this.has(templateId)) {
+      console.warn(`[템플릿] 리포트 템플릿을 찾을 수 없습니다: ${templateId} (기본 템플릿 사용)`);
+      return this.resolve();
+    }
+    return this.resolve(templateId);
+  }
+
+  /**
+   * 클라이언트에 전달할 요약
+   */
+  static describe(template) {
+    return {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      title: template.title,
+      locale: template.locale,
+      cover: template.cover.enabled,
+      logo: Boolean(template.branding.logo),
+      sections: template.sections.map(section => section.type),
+    };
+  }
+
+  describeAll() {
+    return this.list().map(ReportTemplateRegistry.describe);
+  }
+}
+
+ReportTemplateRegistry.SECTION_TYPES = SECTION_TYPES;
+
+module.exports = ReportTemplateRegistry;
@@ -0,0 +1,366 @@
+/**
+ * 저장 공간 보존 정책
+ * data/(세션 JSON)와 reports/(PDF)에 디렉터리별 최대 보관 기간, 최대 개수, 최대 전체 크기를 적용하고
+ * 오래된 세션 JSON을 gzip으로 압축. 고정(pin)한 세션은 삭제하지 않음
+ * 주기적으로 실행하고 /api/maintenance/cleanup으로 미리보기(dryRun) 또는 즉시 정리
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const SessionJournal = require('./sessionJournal');
+const { JSON_EXTENSION, GZIP_EXTENSION, sessionIdOf, compressSessionData } = require('./sessionStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 디렉터리별 정책 항목 (compressAfterDays는 data/만)
+const POLICY_KEYS = {
+  data: ['maxAgeDays', 'maxCount', 'maxSize', 'compressAfterDays'],
+  reports: ['maxAgeDays', 'maxCount', 'maxSize'],
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+// 연속 모드 구간 세션 ID의 접미사 (상위 세션을 고정하면 구간도 고정)
+const SEGMENT_SUFFIX = /-seg-\d{4}$/;
+
+/**
+ * 크기 문자열 → 바이트 ('500mb', '2GB', '1048576')
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+  if (!match) {
+    throw new Error(`크기는 숫자(바이트) 또는 kb/mb/gb/tb 단위여야 합니다: ${value}`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+class RetentionManager extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - 세션 데이터(JSON) 디렉터리
+   * @param {string} options.reportsDir - PDF 리포트 디렉터리
+   * @param {string} options.journalDir - 실행 중인 세션의 저널 디렉터리 (사용량 표시만, 정리하지 않음)
+   * @param {string} options.pinsFile - 고정한 세션 목록 저장 파일
+   * @param {object} options.policies - validatePolicies로 검증한 { data, reports }
+   * @param {number} options.interval - 자동 정리 주기 (분, 0이면 자동 정리 안 함)
+   * @param {function} options.isActive - (sessionId) => boolean, 실행 중이거나 리포트 생성 중인 세션
+   */
+  constructor(options) {
+    super();
+    this.dirs = { data: options.dataDir, reports: options.reportsDir };
+    this.journalDir = options.journalDir;
+    this.pinsFile = options.pinsFile;
+    this.policies = options.policies || { data: {}, reports: {} };
+    this.interval = options.interval === undefined ? 60 : options.interval;
+    this.isActive = options.isActive || (() => false);
+
+    this.pins = new Set();
+    this.timer = null;
+    this.running = null; // 진행 중인 정리 (동시에 한 번만)
+  }
+
+  /**
+   * 정책 검증 (모든 항목은 선택, 지정하지 않은 항목은 제한 없음)
+   * @param {object} policies - { data: { maxAgeDays, maxCount, maxSize, compressAfterDays }, reports: { ... } }
+   */
+  static validatePolicies(policies = {}) {
+    return Object.fromEntries(Object.entries(POLICY_KEYS).map(([dir, keys]) => {
+      const policy = policies[dir] || {};
+      const validated = {};
+
+      Object.keys(policy).forEach((key) => {
+        if (!keys.includes(key)) {
+          throw new Error(`${dir} 보존 정책에 알 수 없는 항목입니다: ${key}`);
+        }
+      });
+
+      keys.forEach((key) => {
+        const raw = policy[key];
+        if (raw === undefined || raw === null || raw === '') return;
+
+        const value = key === 'maxSize' ? parseSize(raw) : Number(raw);
+        const valid = key === 'maxCount' ? Number.isInteger(value) && value >= 1 : Number.isFinite(value) && value > 0;
+        if (!valid) {
+          throw new Error(`${dir} 보존 정책의 ${key}는 ${key === 'maxCount' ? '1 이상의 정수' : '0보다 큰 값'}여야 합니다: ${raw}`);
+        }
+        validated[key] = value;
+      });
+
+      return [dir, validated];
+    }));
+  }
+
+  /**
+   * 고정 목록 불러오기 및 자동 정리 시작 (첫 정리는 바로 실행)
+   */
+  async start() {
+    if (await fs.pathExists(this.pinsFile)) {
+      const { sessions = [] } = await fs.readJson(this.pinsFile);
+      this.pins = new Set(sessions);
+    }
+
+    if (this.interval > 0) {
+      this.timer = setInterval(() => this.runScheduled(), this.interval * 60 * 1000);
+      this.timer.unref();
+      this.runScheduled();
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 자동 정리 (정책이 없거나 다른 정리가 진행 중이면 건너뜀)
+   */
+  async runScheduled() {
+    if (this.running || !this.hasPolicy()) {
+      return;
+    }
+    try {
+      await this.cleanup();
+    } catch (error) {
+      console.error('[보존] 자동 정리 오류:', error);
+    }
+  }
+
+  hasPolicy() {
+    return Object.values(this.policies).some(policy => Object.keys(policy).length > 0);
+  }
+
+  /**
+   * 고정 여부 (연속 모드 구간은 상위 세션을 고정해도 고정)
+   */
+  isPinned(sessionId) {
+    return this.pins.has(sessionId) || this.pins.has(sessionId.replace(SEGMENT_SUFFIX, ''));
+  }
+
+  /**
+   * 실행 중인 세션의 파일인지 (실행 중인 연속 모드 세션의 구간 포함)
+   */
+  isInUse(sessionId) {
+    return this.isActive(sessionId) || this.isActive(sessionId.replace(SEGMENT_SUFFIX, ''));
+  }
+
+  listPins() {
+    return [...this.pins].sort();
+  }
+
+  async pin(sessionId) {
+    this.pins.add(sessionId);
+    await this.savePins();
+  }
+
+  /**
+   * @returns {boolean} 고정되어 있었는지
+   */
+  async unpin(sessionId) {
+    if (!this.pins.delete(sessionId)) {
+      return false;
+    }
+    await this.savePins();
+    return true;
+  }
+
+  async savePins() {
+    await fs.ensureDir(path.dirname(this.pinsFile));
+    await fs.writeJson(this.pinsFile, { sessions: this.listPins() }, { spaces: 2 });
+  }
+
+  /**
+   * 디렉터리의 세션 파일 목록 (최신순)
+   * @param {string} dir - 'data' 또는 'reports'
+   */
+  async scan(dir) {
+    const dirPath = this.dirs[dir];
+    if (!(await fs.pathExists(dirPath))) {
+      return [];
+    }
+
+    const files = [];
+    for (const file of await fs.readdir(dirPath)) {
+      const sessionId = dir === 'data'
+        ? sessionIdOf(file)
+        : (file.endsWith('.pdf') ? file.slice(0, -'.pdf'.length) : null);
+      if (!sessionId) continue;
+
+      const filePath = path.join(dirPath, file);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (!stats || !stats.isFile()) continue;
+
+      files.push({
+        directory: dir,
+        file,
+        sessionId,
+        path: filePath,
+        bytes: stats.size,
+        modifiedAt: stats.mtime,
+        compressed: file.endsWith(GZIP_EXTENSION),
+      });
+    }
+
+    return files.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  /**
+   * 디렉터리별 사용량과 정책, 디스크 여유 공간
+   */
+  async usage() {
+    const directories = {};
+    for (const dir of Object.keys(this.dirs)) {
+      const files = await this.scan(dir);
+      directories[dir] = {
+        files: files.length,
+        bytes: files.reduce((sum, file) => sum + file.bytes, 0),
+        compressedFiles: dir === 'data' ? files.filter(file => file.compressed).length : undefined,
+        pinnedFiles: files.filter(file => this.isPinned(file.sessionId)).length,
+        oldest: files.length > 0 ? files[files.length - 1].modifiedAt : null,
+        policy: this.policies[dir],
+      };
+    }
+
+    const journals = await SessionJournal.list(this.journalDir);
+    const journalSizes = await Promise.all(journals.map(file => fs.stat(file).then(stats => stats.size, () => 0)));
+    directories.journal = {
+      files: journals.length,
+      bytes: journalSizes.reduce((sum, size) => sum + size, 0),
+    };
+
+    // statfs는 Node.js 18.15 이상
+    let disk = null;
+    if (fs.promises.statfs) {
+      const stats = await fs.promises.statfs(this.dirs.data).catch(() => null);
+      if (stats) {
+        disk = { totalBytes: stats.blocks * stats.bsize, freeBytes: stats.bavail * stats.bsize };
+      }
+    }
+
+    return { directories, disk, pins: this.pins.size, interval: this.interval };
+  }
+
+  /**
+   * 디렉터리 하나의 정리 계획
+   * 고정한 세션과 실행 중인 세션은 개수/크기에는 포함하되 삭제하지 않음
+   * 크기 제한은 압축 전 크기 기준 (압축으로 줄어든 크기는 다음 정리부터 반영)
+   */
+  plan(dir, files, now) {
+    const policy = this.policies[dir];
+    const deleted = [];
+    const kept = [];
+    const protect = file => this.isPinned(file.sessionId) || this.isInUse(file.sessionId);
+
+    files.forEach((file) => {
+      if (protect(file)) {
+        kept.push(file);
+      } else if (policy.maxAgeDays && now - file.modifiedAt > policy.maxAgeDays * DAY_MS) {
+        deleted.push({ ...file, reason: 'age' });
+      } else if (policy.maxCount && kept.length >= policy.maxCount) {
+        deleted.push({ ...file, reason: 'count' });
+      } else {
+        kept.push(file);
+      }
+    });
+
+    // 전체 크기를 넘으면 남은 파일 중 오래된 것부터 삭제
+    if (policy.maxSize) {
+      let total = kept.reduce((sum, file) => sum + file.bytes, 0);
+      for (let i = kept.length - 1; i >= 0 && total > policy.maxSize; i--) {
+        if (protect(kept[i])) continue;
+        total -= kept[i].bytes;
+        deleted.push({ ...kept[i], reason: 'size' });
+        kept.splice(i, 1);
+      }
+    }
+
+    const compressed = policy.compressAfterDays
+      ? kept.filter(file => !file.compressed && !this.isInUse(file.sessionId) &&
+        now - file.modifiedAt > policy.compressAfterDays * DAY_MS)
+      : [];
+
+    return { deleted, compressed };
+  }
+
+  /**
+   * 정책에 따라 정리 (dryRun이면 계획만 반환)
+   * @returns {object} { dryRun, deleted, compressed, freedBytes, errors, usage }
+   */
+  async cleanup({ dryRun = false } = {}) {
+    if (this.running) {
+      throw Object.assign(new Error('다른 정리 작업이 진행 중입니다.'), { statusCode: 409 });
+    }
+
+    this.running = this.runCleanup(dryRun);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runCleanup(dryRun) {
+    const startedAt = new Date();
+    const deleted = [];
+    const compressed = [];
+    const errors = [];
+    const describe = ({ directory, file, sessionId, bytes, modifiedAt }) => ({ directory, file, sessionId, bytes, modifiedAt });
+
+    for (const dir of Object.keys(this.dirs)) {
+      const plan = this.plan(dir, await this.scan(dir), startedAt);
+
+      for (const file of plan.deleted) {
+        try {
+          if (!dryRun) {
+            await fs.remove(file.path);
+          }
+          deleted.push({ ...describe(file), reason: file.reason });
+        } catch (error) {
+          errors.push({ directory: dir, file: file.file, error: error.message });
+        }
+      }
+
+      for (const file of plan.compressed) {
+        try {
+          const compressedBytes = dryRun ? null : await compressSessionData(file.path);
+          compressed.push({
+            ...describe(file),
+            compressedFile: `${file.file.slice(0, -JSON_EXTENSION.length)}${GZIP_EXTENSION}`,
+            compressedBytes,
+          });
+        } catch (error) {
+          errors.push({ directory: dir, file: file.file, error: error.message });
+        }
+      }
+    }
+
+    const freedBytes = deleted.reduce((sum, file) => sum + file.bytes, 0) +
+      compressed.reduce((sum, file) => sum + (file.compressedBytes === null ? 0 : file.bytes - file.compressedBytes), 0);
+    const result = {
+      dryRun,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      deleted,
+      compressed,
+      freedBytes,
+      errors,
+      usage: await this.usage(),
+    };
+
+    if (!dryRun && (deleted.length > 0 || compressed.length > 0)) {
+      console.log(`[보존] 정리 완료: 삭제 ${deleted.length}개, 압축 ${compressed.length}개, ${(freedBytes / 1024 / 1024).toFixed(1)} MB 확보`);
+      this.emit('cleaned', result);
+    }
+    errors.forEach(({ directory, file, error }) => console.error(`[보존] ${directory}/${file} 정리 오류: ${error}`));
+
+    return result;
+  }
+}
+
+RetentionManager.parseSize = parseSize;
+RetentionManager.POLICY_KEYS = POLICY_KEYS;
+
+module.exports = RetentionManager;
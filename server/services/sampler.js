@@ -0,0 +1,146 @@
+/**
+ * 샘플링 스케줄러
+ * 단조 시계(performance.now) 기준으로 틱을 예약하여 드리프트 없이 측정하고,
+ * 이전 틱이 끝나기 전에는 다음 틱을 시작하지 않음 (겹침 방지)
+ */
+
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+
+class Sampler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.interval - 측정 간격 (초)
+   * @param {number|null} options.duration - 전체 기간 (초), null이면 무기한
+   * @param {number} options.lateTolerance - 예정 시각보다 이 비율(간격 대비) 이상 늦으면 지연으로 표시
+   * @param {Function} onTick - async (tickInfo) => void
+   */
+  constructor({ interval, duration = null, lateTolerance = 0.2 }, onTick) {
+    super();
+    this.intervalMs = interval * 1000;
+    this.durationMs = duration ? duration * 1000 : null;
+    this.lateToleranceMs = this.intervalMs * lateTolerance;
+    this.onTick = onTick;
+
+    this.origin = null;
+    this.nextTick = 0;
+    this.pendingMissed = 0;
+    this.timer = null;
+    this.inFlight = null;
+    this.running = false;
+
+    this.stats = {
+      collected: 0,
+      missed: 0,
+      late: 0,
+      failed: 0,
+    };
+  }
+
+  /**
+   * 시작 시점 기준 경과 시간 (ms, 단조 시계)
+   */
+  now() {
+    return performance.now() - this.origin;
+  }
+
+  start() {
+    if (this.running) {
+      throw new Error('샘플러가 이미 실행 중입니다.');
+    }
+
+    this.origin = performance.now();
+    this.running = true;
+    this.scheduleNext();
+  }
+
+  /**
+   * 다음 틱 예약 (기간이 끝나면 종료 시각에 'end' 발생)
+   */
+  scheduleNext() {
+    if (!this.running) return;
+
+    const target = this.nextTick * this.intervalMs;
+
+    if (this.durationMs !== null && target >= this.durationMs) {
+      this.timer = setTimeout(() => this.finish(), Math.max(0, this.durationMs - this.now()));
+      return;
+    }
+
+    this.timer = setTimeout(() => this.runTick(), Math.max(0, target - this.now()));
+  }
+
+  async runTick() {
+    const tick = this.nextTick;
+    const scheduledAt = tick * this.intervalMs;
+    const startedAt = this.now();
+    const lateMs = Math.max(0, startedAt - scheduledAt);
+
+    const info = {
+      tick,
+      scheduledAt,
+      startedAt,
+      lateMs,
+      late: lateMs > this.lateToleranceMs,
+      missedBefore: this.pendingMissed,
+    };
+    this.pendingMissed = 0;
+
+    if (info.late) this.stats.late++;
+
+    this.inFlight = Promise.resolve()
+      .then(() => this.onTick(info))
+      .then(() => {
+        this.stats.collected++;
+      })
+      .catch(error => {
+        this.stats.failed++;
+        this.emit('error', error);
+      });
+    await this.inFlight;
+    this.inFlight = null;
+
+    // 측정이 오래 걸려 구간 전체를 놓친 틱은 건너뛰고 누락으로 기록
+    const finishedAt = this.now();
+    let next = tick + 1;
+    while (
+      (next + 1) * this.intervalMs <= finishedAt &&
+      (this.durationMs === null || next * this.intervalMs < this.durationMs)
+    ) {
+      next++;
+    }
+
+    const missed = next - tick - 1;
+    if (missed > 0) {
+      this.stats.missed += missed;
+      this.pendingMissed = missed;
+      this.emit('missed', { fromTick: tick + 1, count: missed, elapsedMs: finishedAt });
+    }
+
+    this.nextTick = next;
+    this.scheduleNext();
+  }
+
+  finish() {
+    this.running = false;
+    this.emit('end');
+  }
+
+  /**
+   * 중지 (진행 중인 틱이 있으면 끝날 때까지 대기)
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.inFlight) {
+      await this.inFlight;
+    }
+  }
+}
+
+module.exports = Sampler;
@@ -0,0 +1,395 @@
+/**
+ * 예약 모니터링 스케줄러
+ * cron 표현식, 1회 실행 시각, 반복 시간대(window) 예약을 디스크에 저장하고 시각이 되면 세션 시작
+ */
+
+const fs = require('fs-extra');
+const EventEmitter = require('events');
+const { parseCron, getNextCronTime } = require('./cronExpression');
+const { parseReportPeriod } = require('./reportPeriod');
+const AlertEngine = require('./alertEngine');
+const AnomalyDetector = require('./anomalyDetector');
+const WebhookDispatcher = require('./webhookDispatcher');
+const defaultRegistry = require('../collectors');
+const reportTemplates = require('../templates');
+
+const SCHEDULE_TYPES = ['cron', 'once', 'window'];
+
+// setTimeout 최대 지연(약 24.8일)을 넘지 않도록 타이머를 주기적으로 다시 설정
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+// 예약 실행 중 오류(예약 파일 저장 실패 등)로 타이머를 다시 설정하지 못했을 때 다시 확인할 간격
+const TICK_RETRY_DELAY = 60 * 1000;
+
+/**
+ * "HH:MM" → 자정부터의 분
+ */
+function parseTimeOfDay(value, label) {
+  const match = typeof value === 'string' && value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`${label} 시각은 HH:MM 형식이어야 합니다: ${value}`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+class Scheduler extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - 예약 목록 저장 파일 (JSON)
+   * @param {function} options.run - async (config, schedule) => sessionId, 세션 시작 함수
+   * @param {object} options.registry - 수집기 검증에 쓸 레지스트리
+   */
+  constructor(options) {
+    super();
+    this.filePath = options.filePath;
+    this.run = options.run;
+    this.registry = options.registry || defaultRegistry;
+    this.schedules = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * 저장된 예약 불러오기 및 타이머 시작
+   */
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      const { schedules = [] } = await fs.readJson(this.filePath);
+      schedules.forEach((schedule) => {
+        schedule.nextRun = this.getNextRun(schedule);
+        this.schedules.set(schedule.id, schedule);
+      });
+    }
+
+    console.log(`[스케줄러] 예약 ${this.schedules.size}개 로드됨`);
+    this.arm();
+  }
+
+  async save() {
+    await fs.outputJson(this.filePath, { schedules: this.list() }, { spaces: 2 });
+  }
+
+  list() {
+    return [...this.schedules.values()]
+      .sort((a, b) => (a.nextRun || '9999').localeCompare(b.nextRun || '9999'));
+  }
+
+  get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  /**
+   * 예약 추가
+   */
+  async create(input) {
+    const schedule = this.validate(input);
+    if (schedule.type === 'once' && new Date(schedule.at) <= new Date()) {
+      throw new Error('1회 실행 시각은 현재 이후여야 합니다.');
+    }
+
+    const now = new Date().toISOString();
+    schedule.id = this.createId();
+    schedule.createdAt = now;
+    schedule.updatedAt = now;
+    schedule.lastRun = null;
+    schedule.nextRun = this.getNextRun(schedule);
+
+    this.schedules.set(schedule.id, schedule);
+    await this.changed();
+    console.log(`[스케줄러] 예약 추가: ${schedule.name} (${schedule.id}) - 다음 실행: ${schedule.nextRun}`);
+    return schedule;
+  }
+
+  /**
+   * 예약 수정 (전달된 필드만 변경)
+   */
+  async update(id, input) {
+    const existing = this.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const schedule = this.validate({ ...existing, ...input, config: input.config || existing.config });
+    Object.assign(schedule, {
+      id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString(),
+      // 1회 예약의 시각을 바꾸면 다시 실행 대상이 됨
+      lastRun: schedule.type === 'once' && schedule.at !== existing.at ? null : existing.lastRun,
+    });
+    schedule.nextRun = this.getNextRun(schedule);
+
+    this.schedules.set(id, schedule);
+    await this.changed();
+    return schedule;
+  }
+
+  async remove(id) {
+    if (!this.schedules.delete(id)) {
+      return false;
+    }
+    await this.changed();
+    console.log(`[스케줄러] 예약 삭제: ${id}`);
+    return true;
+  }
+
+  /**
+   * 입력 검증 후 저장할 예약 객체 생성
+   */
+  validate(input = {}) {
+    const type = input.type;
+    if (!SCHEDULE_TYPES.includes(type)) {
+      throw new Error(`예약 종류는 ${SCHEDULE_TYPES.join(', ')} 중 하나여야 합니다.`);
+    }
+
+    const schedule = {
+      name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${type} 예약`,
+      type,
+      enabled: input.enabled !== false,
+    };
+
+    if (type === 'cron') {
+      schedule.cron = parseCron(input.cron).source;
+    } else if (type === 'once') {
+      const at = new Date(input.at);
+      if (Number.isNaN(at.getTime())) {
+        throw new Error(`1회 실행 시각이 올바르지 않습니다: ${input.at}`);
+      }
+      schedule.at = at.toISOString();
+    } else {
+      const window = input.window || {};
+      const start = parseTimeOfDay(window.start, '시작');
+      const end = parseTimeOfDay(window.end, '종료');
+      if (start === end) {
+        throw new Error('시간대의 시작과 종료 시각이 같습니다.');
+      }
+      const days = window.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : window.days;
+      if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new Error('시간대 요일은 0(일)~6(토) 정수 배열이어야 합니다.');
+      }
+      schedule.window = { start: window.start, end: window.end, days: [...new Set(days)].sort((a, b) => a - b) };
+    }
+
+    schedule.config = this.validateConfig(input.config || {}, type);
+    return schedule;
+  }
+
+  /**
+   * 세션 설정 검증 - 실행 시점이 아니라 등록 시점에 오류를 알리기 위함
+   */
+  validateConfig(config, type) {
+    const mode = config.mode === 'continuous' ? 'continuous' : 'fixed';
+
+    // 반복 예약은 실행마다 끝나는 세션이어야 하므로 연속 모드는 1회 예약에서만 허용
+    if (mode === 'continuous' && type !== 'once') {
+      throw new Error('연속 모드는 1회 실행 예약에서만 사용할 수 있습니다.');
+    }
+
+    ['duration', 'interval', 'topProcesses'].forEach((key) => {
+      if (config[key] !== undefined && !(Number.isInteger(config[key]) && config[key] > 0)) {
+        throw new Error(`${key}는 양의 정수여야 합니다.`);
+      }
+    });
+
+    if (mode === 'continuous' && config.reportPeriod !== undefined) {
+      parseReportPeriod(config.reportPeriod);
+    }
+    const collectors = this.registry.resolve(config.collectors);
+    if (config.alertRules !== undefined) {
+      AlertEngine.validateRules(config.alertRules, collectors.map(collector => collector.id));
+    }
+    if (config.anomalyDetection !== undefined) {
+      AnomalyDetector.validateOptions(config.anomalyDetection, collectors);
+    }
+    if (config.webhooks !== undefined) {
+      WebhookDispatcher.validate(config.webhooks, 'session-webhook');
+    }
+    if (config.reportTemplate !== undefined) {
+      reportTemplates.resolve(config.reportTemplate);
+    }
+
+    const validated = { mode };
+    ['duration', 'interval', 'topProcesses', 'reportPeriod', 'collectors', 'gpus', 'collectorIntervals', 'alertRules', 'anomalyDetection', 'webhooks', 'reportTemplate']
+      .forEach((key) => {
+        if (config[key] !== undefined) {
+          validated[key] = config[key];
+        }
+      });
+
+    // 시간대 예약의 기간은 실행 시 시간대 종료까지로 계산
+    if (type === 'window') {
+      delete validated.duration;
+    }
+    return validated;
+  }
+
+  createId() {
+    const base = `schedule-${Date.now()}`;
+    let id = base;
+    let suffix = 1;
+    while (this.schedules.has(id)) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  /**
+   * 다음 실행 시각 (ISO 문자열, 없으면 null)
+   */
+  getNextRun(schedule, from = new Date()) {
+    if (!schedule.enabled) {
+      return null;
+    }
+
+    if (schedule.type === 'cron') {
+      const next = getNextCronTime(schedule.cron, from);
+      return next ? next.toISOString() : null;
+    }
+
+    if (schedule.type === 'once') {
+      // 서버가 꺼져 있는 동안 지난 1회 예약은 실행하지 않음
+      return !schedule.lastRun && new Date(schedule.at) > from ? schedule.at : null;
+    }
+
+    const window = this.findWindow(schedule, from);
+    return window ? window.start.toISOString() : null;
+  }
+
+  /**
+   * from 시점에 끝나지 않은 첫 시간대 (이미 실행한 시간대 제외)
+   * 현재 시간대 안이면 시작 시각이 과거이므로 바로 실행됨
+   */
+  findWindow(schedule, from) {
+    const { window } = schedule;
+    const startMinutes = parseTimeOfDay(window.start, '시작');
+    let lengthMinutes = parseTimeOfDay(window.end, '종료') - startMinutes;
+    if (lengthMinutes <= 0) {
+      lengthMinutes += 24 * 60; // 자정을 넘는 시간대
+    }
+    const lastWindowStart = schedule.lastRun ? schedule.lastRun.windowStart : null;
+
+    // 전날 시작해 자정을 넘긴 시간대부터 일주일 뒤까지 확인
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(from);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + offset);
+      if (!window.days.includes(day.getDay())) {
+        continue;
+      }
+
+      const start = new Date(day.getTime() + startMinutes * 60 * 1000);
+      const end = new Date(start.getTime() + lengthMinutes * 60 * 1000);
+      if (end > from && start.toISOString() !== lastWindowStart) {
+        return { start, end };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 가장 가까운 실행 시각에 맞춰 타이머 설정
+   */
+  arm() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = this.list().find(schedule => schedule.nextRun);
+    if (!next) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(new Date(next.nextRun) - Date.now(), 0), MAX_TIMER_DELAY);
+    this.timer = setTimeout(() => {
+      this.tick().catch((error) => {
+        console.error('[스케줄러] 예약 실행 오류:', error);
+        this.timer = setTimeout(() => this.arm(), TICK_RETRY_DELAY);
+        this.timer.unref();
+      });
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * 실행 시각이 된 예약 실행
+   */
+  async tick() {
+    // 세션 시작을 기다리는 동안 예약 변경으로 타이머가 다시 울려도 중복 실행하지 않음
+    // (진행 중인 tick이 끝나면 타이머를 다시 설정)
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const now = new Date();
+      const due = [...this.schedules.values()]
+        .filter(schedule => schedule.nextRun && new Date(schedule.nextRun) <= now);
+
+      for (const schedule of due) {
+        await this.trigger(schedule, now);
+      }
+
+      if (due.length > 0) {
+        await this.changed();
+      } else {
+        this.arm();
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * 예약 하나 실행 - 세션 시작 실패(세션 수 초과 등)는 lastRun에 기록
+   */
+  async trigger(schedule, now = new Date()) {
+    const config = { ...schedule.config, schedule: { id: schedule.id, name: schedule.name } };
+    const lastRun = { startedAt: now.toISOString(), sessionId: null, error: null };
+
+    if (schedule.type === 'window') {
+      const window = this.findWindow(schedule, now);
+      lastRun.windowStart = window.start.toISOString();
+      config.duration = Math.max(Math.floor((window.end - now) / 1000), 1);
+    }
+
+    try {
+      lastRun.sessionId = await this.run(config, schedule);
+      console.log(`[스케줄러] 예약 실행: ${schedule.name} → ${lastRun.sessionId}`);
+      this.emit('run', schedule, lastRun.sessionId);
+    } catch (error) {
+      lastRun.error = error.message;
+      console.error(`[스케줄러] 예약 실행 실패: ${schedule.name} - ${error.message}`);
+      this.emit('run-error', schedule, error);
+    }
+
+    // 실행을 기다리는 동안 수정되었으면 새 객체에, 삭제되었으면 기록하지 않음
+    const current = this.get(schedule.id);
+    if (!current) {
+      return;
+    }
+
+    current.lastRun = lastRun;
+    if (current.type === 'once') {
+      current.enabled = false;
+    }
+
+    // 같은 분/시간대에 다시 실행되지 않도록 실행 시각 이후로 계산
+    current.nextRun = this.getNextRun(current, now);
+  }
+
+  /**
+   * 변경 사항 저장, 타이머 재설정 및 알림
+   */
+  async changed() {
+    await this.save();
+    this.arm();
+    this.emit('updated', this.list());
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,408 @@
+/**
+ * 세션 카탈로그
+ * data/의 세션 JSON(압축 포함)을 목록으로 만들어 기간/호스트/태그/상태로 거르고 메모를 검색
+ * 세션 이름, 태그, 메모는 세션 JSON의 metadata에 저장하고, 수정하거나 삭제하면 PDF도 함께 맞춤
+ * 세션마다 요약(통계 포함)을 계산해 두고 파일의 수정 시각/크기가 바뀐 경우에만 다시 읽음
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const PDFGenerator = require('./pdfGenerator');
+const { summarizeSession } = require('./sessionSummary');
+const {
+  GZIP_EXTENSION,
+  sessionIdOf,
+  readSessionData,
+  writeSessionData,
+  removeSessionData,
+} = require('./sessionStore');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const STATUSES = ['completed', 'interrupted', 'imported'];
+
+// 메타데이터 제한
+const MAX_NAME_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_NOTES_LENGTH = 10000;
+
+/**
+ * 요청 오류 (라우트에서 statusCode로 응답)
+ */
+function catalogError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * 세션 상태: 가져온 세션 → imported, 저널에서 복구한 세션 → interrupted, 그 외 completed
+ */
+function sessionStatus(sessionData) {
+  if (sessionData.imported) return 'imported';
+  if (sessionData.interrupted) return 'interrupted';
+  return 'completed';
+}
+
+/**
+ * 날짜 쿼리 (YYYY-MM-DD 또는 ISO 8601, `to`의 날짜만 있는 값은 그날 끝까지)
+ */
+function parseDate(value, name, endOfDay = false) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw catalogError(`${name} 값은 날짜(YYYY-MM-DD) 또는 ISO 8601 시각이어야 합니다: ${value}`);
+  }
+  if (dateOnly && endOfDay) {
+    date.setDate(date.getDate() + 1);
+    date.setMilliseconds(-1);
+  }
+  return date;
+}
+
+function parsePositiveInt(value, name, defaultValue, max = Infinity) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw catalogError(`${name} 값은 1${max === Infinity ? ' 이상' : `~${max} 사이`}의 정수여야 합니다: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * 쉼표로 구분한 목록 (배열로 여러 번 지정한 쿼리도 허용)
+ */
+function parseList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return [].concat(value).flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 목록 쿼리 검증
+ * ?from=&to= 기간 (세션이 기간과 겹치면 포함), ?host= 호스트 이름, ?tag=a,b 모든 태그 포함,
+ * ?q= 메모/이름/세션 ID 검색, ?status=, ?mode=, ?segments=1 연속 모드 구간 포함, ?page=&pageSize=
+ */
+function parseQuery(query = {}) {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to', true);
+  if (from && to && from > to) {
+    throw catalogError('from 값은 to 값보다 이전이어야 합니다.');
+  }
+
+  const statuses = parseList(query.status);
+  const unknown = statuses.find(status => !STATUSES.includes(status));
+  if (unknown) {
+    throw catalogError(`status 값은 ${STATUSES.join(', ')} 중 하나여야 합니다: ${unknown}`);
+  }
+
+  return {
+    from,
+    to,
+    hosts: parseList(query.host).map(host => host.toLowerCase()),
+    tags: parseList(query.tag).map(tag => tag.toLowerCase()),
+    text: query.q ? String(query.q).trim().toLowerCase() : '',
+    statuses,
+    modes: parseList(query.mode),
+    segments: ['1', 'true'].includes(query.segments),
+    page: parsePositiveInt(query.page, 'page', 1),
+    pageSize: parsePositiveInt(query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+  };
+}
+
+/**
+ * 메타데이터 수정 요청 검증 (지정한 항목만 바꾸고 null이면 지움)
+ * @param {object} patch - { name, tags, notes }
+ */
+function validateMetadata(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw catalogError('수정할 항목을 JSON 객체로 보내세요.');
+  }
+
+  const fields = ['name', 'tags', 'notes'];
+  const unknown = Object.keys(patch).find(key => !fields.includes(key));
+  if (unknown) {
+    throw catalogError(`수정할 수 없는 항목입니다: ${unknown} (${fields.join(', ')}만 수정 가능)`);
+  }
+  if (!Object.keys(patch).length) {
+    throw catalogError(`수정할 항목이 없습니다 (${fields.join(', ')}).`);
+  }
+
+  const metadata = {};
+  const checkText = (key, max) => {
+    const value = patch[key];
+    if (value === null) {
+      metadata[key] = null;
+    } else if (typeof value !== 'string' || value.length > max) {
+      throw catalogError(`${key} 값은 ${max}자 이하의 문자열이어야 합니다.`);
+    } else {
+      metadata[key] = key === 'name' ? value.trim() || null : value;
+    }
+  };
+
+  if (patch.name !== undefined) checkText('name', MAX_NAME_LENGTH);
+  if (patch.notes !== undefined) checkText('notes', MAX_NOTES_LENGTH);
+
+  if (patch.tags !== undefined) {
+    const tags = patch.tags === null ? [] : patch.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw catalogError('tags 값은 문자열 배열이어야 합니다.');
+    }
+    const unique = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+    if (unique.length > MAX_TAGS || unique.some(tag => tag.length > MAX_TAG_LENGTH || tag.includes(','))) {
+      throw catalogError(`태그는 최대 ${MAX_TAGS}개, 각각 쉼표 없는 ${MAX_TAG_LENGTH}자 이하여야 합니다.`);
+    }
+    metadata.tags = unique;
+  }
+
+  return metadata;
+}
+
+class SessionCatalog {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - 세션 데이터(JSON) 디렉터리
+   * @param {string} options.reportsDir - PDF 리포트 디렉터리
+   * @param {function} options.isPinned - (sessionId) => boolean, 보존 정책에서 고정한 세션
+   */
+  constructor(options) {
+    this.dataDir = options.dataDir;
+    this.reportsDir = options.reportsDir;
+    this.isPinned = options.isPinned || (() => false);
+
+    // sessionId → { file, mtimeMs, size, entry }
+    this.cache = new Map();
+    this.refreshing = null;
+  }
+
+  /**
+   * data/를 다시 읽어 바뀐 세션만 요약 갱신 (동시에 요청되면 진행 중인 갱신을 함께 기다림)
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.scan().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  async scan() {
+    const seen = new Set();
+    const files = (await fs.pathExists(this.dataDir)) ? await fs.readdir(this.dataDir) : [];
+
+    for (const file of files) {
+      const sessionId = sessionIdOf(file);
+      if (!sessionId) continue;
+
+      const stats = await fs.stat(path.join(this.dataDir, file)).catch(() => null);
+      if (!stats || !stats.isFile()) continue;
+
+      // 압축 도중이라 .json과 .json.gz가 함께 있으면 압축하지 않은 파일 사용 (sessionStore와 같은 순서)
+      if (seen.has(sessionId) && file.endsWith(GZIP_EXTENSION)) continue;
+      seen.add(sessionId);
+
+      const cached = this.cache.get(sessionId);
+      if (cached && cached.file === file && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        continue;
+      }
+
+      try {
+        const sessionData = await readSessionData(this.dataDir, sessionId);
+        this.cache.set(sessionId, {
+          file,
+          mtimeMs: stats.mtimeMs,
+          size: stats.size,
+          entry: this.describe(sessionData, { sessionId, file, size: stats.size }),
+        });
+      } catch (error) {
+        console.error(`[카탈로그] ${file}을 읽을 수 없어 목록에서 제외:`, error.message);
+        this.cache.delete(sessionId);
+      }
+    }
+
+    [...this.cache.keys()].filter(sessionId => !seen.has(sessionId)).forEach(sessionId => this.cache.delete(sessionId));
+  }
+
+  /**
+   * 세션 데이터 → 카탈로그 항목 (측정값 없이 요약만)
+   */
+  describe(sessionData, { sessionId, file, size }) {
+    const metadata = sessionData.metadata || {};
+    const summary = summarizeSession(sessionData);
+
+    return {
+      sessionId,
+      name: metadata.name || null,
+      tags: metadata.tags || [],
+      notes: metadata.notes || null,
+      updatedAt: metadata.updatedAt || null,
+      status: sessionStatus(sessionData),
+      mode: summary.mode,
+      parentSessionId: sessionData.parentSessionId || null,
+      startTime: summary.startTime,
+      endTime: summary.endTime,
+      durationSeconds: summary.durationSeconds,
+      hostname: summary.hostname,
+      collectors: summary.collectors,
+      config: sessionData.config || {},
+      schedule: summary.schedule,
+      measurementCount: summary.measurementCount,
+      completeness: summary.completeness,
+      alerts: summary.alerts,
+      anomalies: summary.anomalies,
+      segments: sessionData.segments ? sessionData.segments.map(segment => segment.sessionId) : undefined,
+      stats: summary.stats,
+      interrupted: sessionData.interrupted || undefined,
+      imported: sessionData.imported || undefined,
+      data: {
+        fileName: file,
+        size,
+        compressed: file.endsWith(GZIP_EXTENSION),
+      },
+      dataUrl: `/api/session-data/${sessionId}`,
+      htmlUrl: `/api/reports/${sessionId}/html`,
+    };
+  }
+
+  /**
+   * 항목에 PDF 정보와 고정 여부 추가 (PDF는 따로 만들어지거나 지워질 수 있으므로 조회할 때 확인)
+   */
+  async withReport(entry) {
+    const pdfFileName = `${entry.sessionId}.pdf`;
+    const stats = await fs.stat(path.join(this.reportsDir, pdfFileName)).catch(() => null);
+
+    return {
+      ...entry,
+      report: stats ? { fileName: pdfFileName, size: stats.size, createdAt: stats.mtime } : null,
+      downloadUrl: stats ? `/api/download-pdf/${entry.sessionId}` : null,
+      pinned: this.isPinned(entry.sessionId),
+    };
+  }
+
+  matches(entry, filter) {
+    if (entry.parentSessionId && !filter.segments) return false;
+    if (filter.from && new Date(entry.endTime || entry.startTime) < filter.from) return false;
+    if (filter.to && new Date(entry.startTime) > filter.to) return false;
+    if (filter.hosts.length > 0 && !filter.hosts.includes((entry.hostname || '').toLowerCase())) return false;
+    if (filter.statuses.length > 0 && !filter.statuses.includes(entry.status)) return false;
+    if (filter.modes.length > 0 && !filter.modes.includes(entry.mode)) return false;
+
+    const tags = entry.tags.map(tag => tag.toLowerCase());
+    if (!filter.tags.every(tag => tags.includes(tag))) return false;
+
+    if (filter.text) {
+      const haystack = [entry.notes, entry.name, entry.sessionId].filter(Boolean).join('\n').toLowerCase();
+      if (!haystack.includes(filter.text)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * 세션 목록 (최근 시작 순, 페이지 단위)
+   * @param {object} query - parseQuery 참고
+   * @returns {object} { total, page, pageSize, pages, facets: { tags, hosts }, sessions }
+   */
+  async list(query) {
+    const filter = parseQuery(query);
+    await this.refresh();
+
+    const entries = [...this.cache.values()].map(({ entry }) => entry);
+    const matched = entries
+      .filter(entry => this.matches(entry, filter))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime) || a.sessionId.localeCompare(b.sessionId));
+
+    const start = (filter.page - 1) * filter.pageSize;
+    const sessions = await Promise.all(matched.slice(start, start + filter.pageSize).map(entry => this.withReport(entry)));
+    const unique = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+    return {
+      total: matched.length,
+      page: filter.page,
+      pageSize: filter.pageSize,
+      pages: Math.ceil(matched.length / filter.pageSize),
+      // 필터 선택 목록 (전체 세션 기준)
+      facets: {
+        tags: unique(entries.flatMap(entry => entry.tags)),
+        hosts: unique(entries.map(entry => entry.hostname)),
+      },
+      sessions,
+    };
+  }
+
+  /**
+   * 세션 하나 (없으면 null)
+   */
+  async get(sessionId) {
+    await this.refresh();
+    const cached = this.cache.get(sessionId);
+    return cached ? this.withReport(cached.entry) : null;
+  }
+
+  /**
+   * 메타데이터 수정 후 JSON 저장, PDF가 있으면 다시 만들어 리포트에도 반영
+   * @returns {object|null} 수정한 항목 (세션이 없으면 null)
+   */
+  async update(sessionId, patch) {
+    const changes = validateMetadata(patch);
+    const sessionData = await readSessionData(this.dataDir, sessionId);
+    if (!sessionData) {
+      return null;
+    }
+
+    const metadata = { ...sessionData.metadata, ...changes, updatedAt: new Date().toISOString() };
+    Object.keys(metadata).forEach((key) => {
+      if (metadata[key] === null) delete metadata[key];
+    });
+    sessionData.metadata = metadata;
+    await writeSessionData(this.dataDir, sessionId, sessionData);
+
+    const pdfPath = path.join(this.reportsDir, `${path.basename(sessionId)}.pdf`);
+    if (await fs.pathExists(pdfPath)) {
+      await new PDFGenerator(sessionData, this.reportsDir).generate();
+    }
+
+    console.log(`[카탈로그] 메타데이터 수정: ${sessionId} (${Object.keys(changes).join(', ')})`);
+    return this.get(sessionId);
+  }
+
+  /**
+   * 세션 JSON과 PDF 삭제 (연속 모드 세션은 모든 구간 포함)
+   * 구간 하나만 지우면 상위 세션의 구간 목록과 이전/다음 링크가 맞지 않으므로 구간은 상위 세션과 함께만 삭제
+   * @returns {string[]|null} 삭제한 세션 ID (세션이 없으면 null)
+   */
+  async remove(sessionId) {
+    const sessionData = await readSessionData(this.dataDir, sessionId);
+    const pdfPath = path.join(this.reportsDir, `${path.basename(sessionId)}.pdf`);
+    if (!sessionData && !(await fs.pathExists(pdfPath))) {
+      return null;
+    }
+    if (sessionData && sessionData.parentSessionId) {
+      throw catalogError(`연속 모드 구간은 상위 세션(${sessionData.parentSessionId})과 함께 삭제하세요.`);
+    }
+
+    const sessionIds = [sessionId, ...((sessionData && sessionData.segments) || []).map(segment => segment.sessionId)];
+    for (const id of sessionIds) {
+      await fs.remove(path.join(this.reportsDir, `${path.basename(id)}.pdf`));
+      await removeSessionData(this.dataDir, id);
+      this.cache.delete(id);
+    }
+
+    console.log(`[카탈로그] 세션 삭제: ${sessionId}${sessionIds.length > 1 ? ` (구간 ${sessionIds.length - 1}개 포함)` : ''}`);
+    return sessionIds;
+  }
+}
+
+SessionCatalog.parseQuery = parseQuery;
+SessionCatalog.validateMetadata = validateMetadata;
+
+module.exports = SessionCatalog;
@@ -0,0 +1,145 @@
+/**
+ * 세션 비교
+ * 두 개 이상의 세션(첫 번째가 기준)을 지표별 평균/P95/최대와 기준 대비 변화율로 비교하고
+ * 경과 시간 기준으로 맞춘 시계열을 함께 제공
+ */
+
+const { collectStatValues, summarizeSession } = require('./sessionSummary');
+const statistics = require('./statistics');
+
+const MIN_SESSIONS = 2;
+const MAX_SESSIONS = 6;
+
+// 세션별 시계열 최대 점 수 (긴 세션은 구간 평균으로 줄임)
+const SERIES_POINTS = 300;
+
+// 변화율이 이 값(%) 미만이면 변화 없음으로 표시
+const FLAT_THRESHOLD = 1;
+
+/**
+ * 평균/P95/최대 (유효한 값이 없으면 null)
+ */
+function summarize(values) {
+  const stats = statistics.summarize(values);
+  if (!stats) return null;
+
+  return {
+    avg: parseFloat(stats.avg.toFixed(2)),
+    p95: parseFloat(stats.p95.toFixed(2)),
+    max: parseFloat(stats.max.toFixed(2)),
+  };
+}
+
+/**
+ * 기준 값 대비 변화율과 방향 (up, down, flat)
+ * 기준이 0이면 변화율을 계산할 수 없으므로 percent는 null
+ */
+function change(before, after) {
+  if (before === 0) {
+    return { percent: after === 0 ? 0 : null, direction: after === 0 ? 'flat' : after > 0 ? 'up' : 'down' };
+  }
+
+  const percent = parseFloat((((after - before) / Math.abs(before)) * 100).toFixed(1));
+  return {
+    percent,
+    direction: Math.abs(percent) < FLAT_THRESHOLD ? 'flat' : percent > 0 ? 'up' : 'down',
+  };
+}
+
+/**
+ * 측정값마다의 [경과 시간(초), 값]을 최대 SERIES_POINTS개로 줄임
+ */
+function toSeries(measurements, values) {
+  const start = measurements.length > 0 ? new Date(measurements[0].timestamp).getTime() : 0;
+  const points = [];
+  values.forEach((value, idx) => {
+    if (typeof value !== 'number') return;
+    const m = measurements[idx];
+    const elapsed = typeof m.elapsed === 'number' ? m.elapsed : (new Date(m.timestamp).getTime() - start) / 1000;
+    points.push([elapsed, value]);
+  });
+
+  if (points.length <= SERIES_POINTS) {
+    return points.map(([elapsed, value]) => [parseFloat(elapsed.toFixed(1)), parseFloat(value.toFixed(2))]);
+  }
+
+  const size = points.length / SERIES_POINTS;
+  const reduced = [];
+  for (let i = 0; i < SERIES_POINTS; i++) {
+    const bucket = points.slice(Math.floor(i * size), Math.floor((i + 1) * size));
+    const elapsed = bucket.reduce((sum, [e]) => sum + e, 0) / bucket.length;
+    const value = bucket.reduce((sum, [, v]) => sum + v, 0) / bucket.length;
+    reduced.push([parseFloat(elapsed.toFixed(1)), parseFloat(value.toFixed(2))]);
+  }
+  return reduced;
+}
+
+/**
+ * 비교 대상 세션 수 검증
+ */
+function validateSessionIds(sessionIds) {
+  if (!Array.isArray(sessionIds) || sessionIds.length < MIN_SESSIONS) {
+    throw new Error(`비교할 세션을 ${MIN_SESSIONS}개 이상 지정하세요.`);
+  }
+  if (sessionIds.length > MAX_SESSIONS) {
+    throw new Error(`한 번에 비교할 수 있는 세션은 최대 ${MAX_SESSIONS}개입니다.`);
+  }
+  if (new Set(sessionIds).size !== sessionIds.length) {
+    throw new Error('같은 세션이 두 번 이상 지정되었습니다.');
+  }
+}
+
+/**
+ * 세션 비교 결과
+ * @param {Array} sessions - 세션 데이터 목록 (첫 번째가 기준 세션)
+ * @returns {object} { baselineId, sessions, metrics, series }
+ */
+function compareSessions(sessions) {
+  const metrics = new Map();
+
+  sessions.forEach((sessionData, index) => {
+    collectStatValues(sessionData).forEach(({ key, label, unit, values }) => {
+      if (!metrics.has(key)) {
+        metrics.set(key, { key, label, unit, values: sessions.map(() => null), series: sessions.map(() => []) });
+      }
+      const metric = metrics.get(key);
+      metric.values[index] = summarize(values);
+      metric.series[index] = toSeries(sessionData.measurements, values);
+    });
+  });
+
+  const comparedMetrics = [...metrics.values()]
+    .filter(metric => metric.values.some(Boolean))
+    .map(({ key, label, unit, values, series }) => {
+      const [base] = values;
+      return {
+        key,
+        label,
+        unit,
+        values: values.map((value, index) => (value ? { sessionId: sessions[index].sessionId, ...value } : null)),
+        // 기준 세션과 값이 없는 세션은 null
+        changes: values.map((value, index) => (index > 0 && base && value ? {
+          avg: change(base.avg, value.avg),
+          p95: change(base.p95, value.p95),
+          max: change(base.max, value.max),
+        } : null)),
+        series: series.map((points, index) => ({ sessionId: sessions[index].sessionId, points })),
+      };
+    });
+
+  return {
+    baselineId: sessions[0].sessionId,
+    sessions: sessions.map(sessionData => {
+      const { stats, alerts, anomalies, ...summary } = summarizeSession(sessionData);
+      return { ...summary, imported: sessionData.imported || undefined };
+    }),
+    metrics: comparedMetrics.map(({ series, ...metric }) => metric),
+    series: Object.fromEntries(comparedMetrics.map(({ key, series }) => [key, series])),
+  };
+}
+
+module.exports = {
+  compareSessions,
+  validateSessionIds,
+  MAX_SESSIONS,
+};
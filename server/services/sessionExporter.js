@@ -0,0 +1,339 @@
+/**
+ * 세션 데이터 내보내기
+ * 측정값을 지표별 열로 펼쳐 CSV, XLSX(요약 + 원본 시트), InfluxDB 라인 프로토콜로 스트리밍
+ * 측정값은 목록 대신 하나씩 전달하는 함수로 받을 수 있어 큰 세션도 측정값 전체를 메모리에 올리지 않음
+ * (열 구성을 정하는 첫 번째 읽기와 행을 쓰는 두 번째 읽기)
+ */
+
+const ExcelJS = require('exceljs');
+const CollectorRegistry = require('./collectorRegistry');
+const defaultRegistry = require('../collectors');
+const { writeSessionJson } = require('./sessionStore');
+
+// 형식별 응답 헤더와 파일 확장자
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  influx: { contentType: 'text/plain; charset=utf-8', extension: 'lp' },
+};
+
+// JSON을 이 크기(문자 수)만큼 모아 응답에 기록
+const JSON_CHUNK_SIZE = 64 * 1024;
+
+// XLSX 원본 시트에서 행을 이 개수만큼 쓸 때마다 이벤트 루프에 양보 (압축 스트림 비우기)
+const XLSX_YIELD_ROWS = 1000;
+
+/**
+ * 스트림에 쓰고 버퍼가 차면 drain까지 대기 (클라이언트가 연결을 끊으면 중단)
+ */
+function write(stream, chunk) {
+  return new Promise((resolve, reject) => {
+    if (stream.destroyed) {
+      reject(new Error('내보내기 스트림이 닫혔습니다.'));
+      return;
+    }
+    if (stream.write(chunk)) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      if (stream.destroyed) {
+        reject(new Error('내보내기 스트림이 닫혔습니다.'));
+      } else {
+        resolve();
+      }
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 라인 프로토콜 이스케이프 (측정 이름은 쉼표/공백, 태그와 필드 키는 등호까지)
+const escapeMeasurement = (value) => String(value).replace(/([,\s])/g, '\\$1');
+const escapeTag = (value) => String(value).replace(/([,=\s])/g, '\\$1');
+
+class SessionExporter {
+  /**
+   * @param {object} sessionData - 저장된 세션 JSON 또는 실행 중인 세션의 sessionData
+   * @param {function} forEachMeasurement - (visit) => Promise, 측정값마다 visit(measurement)를 기다리며 호출
+   *   (여러 번 호출됨, 생략하면 sessionData.measurements)
+   */
+  constructor(sessionData, forEachMeasurement = null) {
+    this.sessionData = sessionData;
+    this.forEachMeasurement = forEachMeasurement || (async (visit) => {
+      for (const measurement of sessionData.measurements || []) {
+        await visit(measurement);
+      }
+    });
+    this.collectors = sessionData.collectors ? this.getCollectors() : null;
+    this.columns = null;
+    this.count = 0;
+  }
+
+  /**
+   * 세션에 기록된 수집기 설명 (이전 형식의 세션은 기본 수집기 중 첫 측정값에 데이터가 있는 것)
+   * 지표 설정(metrics)이 없는 이전 세션은 등록된 수집기의 설정을 사용
+   */
+  getCollectors(firstMeasurement = {}) {
+    const collectors = this.sessionData.collectors || defaultRegistry.describeAll()
+      .filter(collector => collector.id in firstMeasurement);
+
+    return collectors.map(collector => {
+      const registered = defaultRegistry.get(collector.id);
+      return {
+        ...collector,
+        units: collector.units || {},
+        metrics: collector.metrics || (registered ? registered.metrics : {}),
+      };
+    });
+  }
+
+  /**
+   * 측정값 하나를 { 열 키: 값 } 으로 펼침
+   * 배열 항목은 레이블 값을 대괄호로 붙여 구분 (예: cpu.cores[0], disk.volumes.usagePercent[C:])
+   */
+  flatten(measurement, visit) {
+    this.collectors.forEach(collector => {
+      const value = measurement[collector.id];
+      if (!value || typeof value !== 'object') return;
+
+      CollectorRegistry.walkValues(collector, value, (keyPath, number, labels) => {
+        const labelValues = Object.values(labels).filter(label => label !== null && label !== undefined);
+        const key = `${collector.id}.${keyPath}${labelValues.length > 0 ? `[${labelValues.join(',')}]` : ''}`;
+        visit(key, number, { collector, keyPath, labels });
+      });
+    });
+  }
+
+  /**
+   * 전체 측정값에 한 번이라도 나온 지표 열과 열별 최소/최대/평균 (측정값 수는 this.count)
+   * 측정 도중 나타난 볼륨/인터페이스도 열로 포함됨
+   */
+  async getColumns() {
+    if (this.columns) {
+      return this.columns;
+    }
+
+    const columns = new Map();
+    await this.forEachMeasurement((measurement) => {
+      if (!this.collectors) {
+        this.collectors = this.getCollectors(measurement);
+      }
+      this.count++;
+      this.flatten(measurement, (key, value, { collector, keyPath }) => {
+        let column = columns.get(key);
+        if (!column) {
+          column = { key, unit: collector.units[keyPath] || '', count: 0, sum: 0, min: Infinity, max: -Infinity };
+          columns.set(key, column);
+        }
+        column.count++;
+        column.sum += value;
+        column.min = Math.min(column.min, value);
+        column.max = Math.max(column.max, value);
+      });
+    });
+
+    if (!this.collectors) {
+      this.collectors = this.getCollectors();
+    }
+    this.columns = [...columns.values()];
+    return this.columns;
+  }
+
+  /**
+   * 열을 정할 때 센 측정값만 차례로 전달 (실행 중인 세션은 그 뒤에 추가된 측정값이 열에 없으므로 제외)
+   * @param {function} visit - (measurement, index) => Promise
+   */
+  async eachRow(visit) {
+    let index = 0;
+    await this.forEachMeasurement(async (measurement) => {
+      if (index < this.count) {
+        await visit(measurement, index++);
+      }
+    });
+  }
+
+  /**
+   * 측정값 하나의 행 (타임스탬프, 경과 시간, 지표 열 순서, getColumns() 이후에 사용)
+   */
+  toRow(measurement) {
+    const values = new Map();
+    this.flatten(measurement, (key, value) => values.set(key, value));
+    return [
+      measurement.timestamp,
+      measurement.elapsed,
+      ...this.columns.map(column => (values.has(column.key) ? values.get(column.key) : null)),
+    ];
+  }
+
+  /**
+   * 형식에 맞게 스트림에 기록
+   * @param {string} format - json, csv, xlsx, influx
+   * @param {Writable} stream - HTTP 응답 등
+   */
+  async write(format, stream) {
+    switch (format) {
+      case 'json':
+        return this.writeJson(stream);
+      case 'csv':
+        return this.writeCsv(stream);
+      case 'xlsx':
+        return this.writeXlsx(stream);
+      case 'influx':
+        return this.writeInflux(stream);
+      default:
+        throw new Error(`지원하지 않는 내보내기 형식입니다: ${format}`);
+    }
+  }
+
+  /**
+   * JSON - 저장된 세션 JSON과 같은 형식 (측정값은 한 줄에 하나씩)
+   */
+  async writeJson(stream) {
+    await writeSessionJson(
+      { ...this.sessionData, measurements: [] },
+      this.forEachMeasurement,
+      text => write(stream, text),
+      JSON_CHUNK_SIZE,
+    );
+    stream.end();
+  }
+
+  /**
+   * CSV - 지표마다 한 열 (Excel에서 한글이 깨지지 않도록 BOM 포함)
+   */
+  async writeCsv(stream) {
+    const header = ['timestamp', 'elapsed', ...(await this.getColumns()).map(column => column.key)];
+    await write(stream, `\uFEFF${header.map(escapeCsv).join(',')}\r\n`);
+
+    await this.eachRow(async (measurement) => {
+      await write(stream, `${this.toRow(measurement).map(escapeCsv).join(',')}\r\n`);
+    });
+    stream.end();
+  }
+
+  /**
+   * XLSX - 세션 정보와 지표별 통계를 담은 요약 시트 + 측정값 원본 시트
+   */
+  async writeXlsx(stream) {
+    const { sessionData } = this;
+    const columns = await this.getColumns();
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    workbook.creator = 'Windows System Monitor';
+    workbook.created = new Date();
+
+    const summary = workbook.addWorksheet('요약');
+    summary.columns = [
+      { width: 40 },
+      { width: 10 },
+      { width: 16 },
+      { width: 16 },
+      { width: 16 },
+      { width: 10 },
+    ];
+    const systemInfo = sessionData.systemInfo || {};
+    [
+      ['세션 ID', sessionData.sessionId],
+      ['호스트', systemInfo.os ? systemInfo.os.hostname : ''],
+      ['모드', sessionData.mode || 'fixed'],
+      ['시작 시각', sessionData.startTime ? new Date(sessionData.startTime) : ''],
+      ['종료 시각', sessionData.endTime ? new Date(sessionData.endTime) : '(실행 중)'],
+      ['측정 간격 (초)', sessionData.config ? sessionData.config.interval : ''],
+      ['측정값 수', this.count],
+      [],
+    ].forEach(values => summary.addRow(values).commit());
+
+    const statsHeader = summary.addRow(['지표', '단위', '최소', '최대', '평균', '측정 수']);
+    statsHeader.font = { bold: true };
+    statsHeader.commit();
+    columns.forEach(column => {
+      summary.addRow([
+        column.key,
+        column.unit,
+        column.min,
+        column.max,
+        parseFloat((column.sum / column.count).toFixed(2)),
+        column.count,
+      ]).commit();
+    });
+    summary.commit();
+
+    const raw = workbook.addWorksheet('측정 데이터', {
+      views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }],
+    });
+    raw.columns = [
+      { header: 'timestamp (UTC)', width: 22, style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } },
+      { header: 'elapsed', width: 10 },
+      ...columns.map(column => ({ header: column.unit ? `${column.key} (${column.unit})` : column.key, width: 16 })),
+    ];
+    raw.getRow(1).font = { bold: true };
+
+    await this.eachRow(async (measurement, i) => {
+      const [timestamp, ...values] = this.toRow(measurement);
+      raw.addRow([new Date(timestamp), ...values]).commit();
+
+      if ((i + 1) % XLSX_YIELD_ROWS === 0) {
+        if (stream.destroyed) {
+          throw new Error('내보내기 스트림이 닫혔습니다.');
+        }
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    });
+    raw.commit();
+
+    await workbook.commit();
+  }
+
+  /**
+   * InfluxDB 라인 프로토콜 - 수집기가 측정 이름, 코어/볼륨/인터페이스/GPU는 태그 (타임스탬프 ns)
+   */
+  async writeInflux(stream) {
+    const { sessionData } = this;
+    const host = sessionData.systemInfo && sessionData.systemInfo.os ? sessionData.systemInfo.os.hostname : null;
+    const baseTags = [
+      host ? `host=${escapeTag(host)}` : null,
+      `session=${escapeTag(sessionData.sessionId)}`,
+    ].filter(Boolean);
+
+    // 열 구성이 필요 없으므로 한 번만 읽음
+    await this.forEachMeasurement(async (measurement) => {
+      if (!this.collectors) {
+        this.collectors = this.getCollectors(measurement);
+      }
+
+      // 같은 수집기·레이블의 값을 한 줄로 묶음
+      const lines = new Map();
+      this.flatten(measurement, (key, value, { collector, keyPath, labels }) => {
+        const tags = [...baseTags];
+        Object.entries(labels)
+          .filter(([, label]) => label !== null && label !== undefined && label !== '')
+          .forEach(([name, label]) => tags.push(`${escapeTag(name)}=${escapeTag(label)}`));
+
+        const series = `${escapeMeasurement(collector.id)},${tags.join(',')}`;
+        if (!lines.has(series)) {
+          lines.set(series, []);
+        }
+        lines.get(series).push(`${escapeTag(keyPath)}=${value}`);
+      });
+
+      const timestamp = `${new Date(measurement.timestamp).getTime()}000000`;
+      const chunk = [...lines].map(([series, fields]) => `${series} ${fields.join(',')} ${timestamp}\n`).join('');
+      if (chunk) {
+        await write(stream, chunk);
+      }
+    });
+    stream.end();
+  }
+}
+
+SessionExporter.FORMATS = FORMATS;
+
+module.exports = SessionExporter;
@@ -0,0 +1,418 @@
+/**
+ * 세션 데이터 가져오기
+ * 외부 도구나 다른 PC에서 가져온 세션 JSON/CSV를 측정값 스키마로 검증하고 저장 가능한 세션 데이터로 정리
+ */
+
+const CollectorRegistry = require('./collectorRegistry');
+const defaultRegistry = require('../collectors');
+
+// 수집기 값이 아닌 측정값 필드
+const MEASUREMENT_FIELDS = ['timestamp', 'elapsed', 'sampling', 'anomalies'];
+
+// 오류 응답에 담을 최대 항목 수
+const MAX_ERRORS = 20;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * 검증 실패 (상세 항목은 error.details)
+ */
+function importError(message, details = []) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+}
+
+/**
+ * RFC 4180 CSV 파싱 (따옴표 안의 쉼표/줄바꿈 허용)
+ * @returns {string[][]}
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * 값 하나를 중첩 객체의 경로에 기록 ('io.readKBps' → { io: { readKBps } })
+ */
+function setPath(obj, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    return node[key];
+  }, obj);
+  target[last] = value;
+}
+
+/**
+ * 타임스탬프 해석 (ISO 문자열 또는 Unix 시간 - 1e12 미만은 초, 이상은 ms)
+ */
+function parseTimestamp(value) {
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const number = Number(value);
+    return new Date(number < 1e12 ? number * 1000 : number);
+  }
+  return new Date(value);
+}
+
+/**
+ * CSV 내보내기 형식(/api/session-data?format=csv)을 세션 데이터로 변환
+ * 열 이름은 <수집기>.<경로>, 배열 항목은 레이블 값을 대괄호로 붙임 (예: disk.volumes.usagePercent[C:])
+ * @param {string} text
+ * @param {CollectorRegistry} registry
+ */
+function parseSessionCsv(text, registry = defaultRegistry) {
+  const rows = parseCsvRows(String(text || ''));
+  if (rows.length < 2) {
+    throw importError('CSV에 헤더와 측정값 행이 필요합니다.');
+  }
+
+  const [header, ...dataRows] = rows;
+  const timestampIndex = header.findIndex(name => /^timestamp\b/i.test(name.trim()));
+  if (timestampIndex === -1) {
+    throw importError('CSV에 timestamp 열이 없습니다.');
+  }
+
+  // 열 이름 해석 (배열 경로는 수집기 스키마의 [] 타입 필드, 레이블은 metrics.labels)
+  const errors = [];
+  const columns = header.map((rawName, index) => {
+    const name = rawName.trim();
+    if (index === timestampIndex || name === '') return null;
+    if (name === 'elapsed') return { index, elapsed: true };
+
+    const match = name.match(/^([A-Za-z][\w-]*)\.([^[\s]+?)(?:\[(.*)\])?(?: \(.*\))?$/);
+    const collector = match && registry.get(match[1]);
+    if (!collector) {
+      errors.push(`열 "${name}": 알 수 없는 수집기이거나 열 이름 형식이 잘못되었습니다.`);
+      return null;
+    }
+
+    const [, , keyPath, labelText] = match;
+    const [arrayPath, ...rest] = keyPath.split('.');
+    const isArray = String(collector.schema[arrayPath] || '').includes('[]');
+    if (isArray !== (labelText !== undefined)) {
+      errors.push(`열 "${name}": ${isArray ? '배열 항목은 [레이블]이 필요합니다.' : '배열이 아닌 필드에 레이블이 있습니다.'}`);
+      return null;
+    }
+
+    const column = { index, collectorId: collector.id, keyPath };
+    if (isArray) {
+      const labelSpec = (collector.metrics.labels && collector.metrics.labels[arrayPath]) || { index: '$index' };
+      const props = Object.values(labelSpec);
+      // 마지막 레이블 값(GPU 모델명 등)에 쉼표가 있으면 나머지를 모두 붙임
+      const values = labelText.split(',');
+      values.splice(props.length - 1, values.length, values.slice(props.length - 1).join(','));
+      column.array = {
+        path: arrayPath,
+        itemPath: rest.join('.'),
+        key: labelText,
+        props: props.map((prop, i) => [
+          prop,
+          /^-?\d+(\.\d+)?$/.test(values[i]) ? Number(values[i]) : values[i],
+        ]),
+      };
+    }
+    return column;
+  }).filter(Boolean);
+
+  if (errors.length > 0) {
+    throw importError('CSV 열을 해석할 수 없습니다.', errors.slice(0, MAX_ERRORS));
+  }
+
+  const measurements = dataRows.map(cells => {
+    const measurement = { timestamp: cells[timestampIndex] };
+    const arrays = {};
+
+    columns.forEach(column => {
+      const cell = (cells[column.index] || '').trim();
+      if (cell === '') return;
+      const value = Number(cell);
+
+      if (column.elapsed) {
+        measurement.elapsed = value;
+        return;
+      }
+
+      const target = measurement[column.collectorId] || (measurement[column.collectorId] = {});
+      if (!column.array) {
+        setPath(target, column.keyPath, value);
+        return;
+      }
+
+      // 같은 레이블의 열은 배열의 한 항목으로 모음
+      const { path: arrayPath, itemPath, key, props } = column.array;
+      const items = arrays[`${column.collectorId}.${arrayPath}`] || (arrays[`${column.collectorId}.${arrayPath}`] = new Map());
+      if (!itemPath) {
+        // 숫자 배열 (예: cpu.cores[0]) - 레이블이 순번
+        if (!Array.isArray(target[arrayPath])) target[arrayPath] = [];
+        target[arrayPath][Number(props[0][1])] = value;
+        return;
+      }
+      if (!items.has(key)) {
+        const item = {};
+        props.forEach(([prop, propValue]) => {
+          if (prop !== '$index') item[prop] = propValue;
+        });
+        items.set(key, item);
+        if (!Array.isArray(target[arrayPath])) target[arrayPath] = [];
+        target[arrayPath].push(item);
+      }
+      setPath(items.get(key), itemPath, value);
+    });
+
+    return measurement;
+  });
+
+  return { measurements };
+}
+
+/**
+ * 스키마 타입 검사 ('number?'처럼 ?가 붙으면 null 허용)
+ */
+function matchesType(value, type) {
+  const nullable = type.endsWith('?');
+  const base = type.replace(/\?$/, '');
+
+  if (value === null) return nullable;
+  switch (base) {
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'number[]':
+      return Array.isArray(value) && value.every(item => item === null || typeof item === 'number');
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'object[]':
+      return Array.isArray(value) && value.every(item => item && typeof item === 'object');
+    default:
+      return true;
+  }
+}
+
+/**
+ * 가져온 데이터를 측정값 스키마로 검증하고 저장할 세션 데이터로 정리
+ * 파일에 수집기 설명이 있으면 그 스키마를, 없으면 등록된 수집기의 스키마를 사용
+ * 이전 버전에서 없던 필드는 허용하지만 있는 필드는 타입이 맞아야 함
+ * @param {object|object[]} input - 세션 JSON 또는 측정값 배열
+ * @param {object} options - { format, fileName, sessionId, registry }
+ */
+function buildImportedSession(input, options = {}) {
+  const registry = options.registry || defaultRegistry;
+  const source = Array.isArray(input) ? { measurements: input } : input;
+
+  if (!source || typeof source !== 'object' || !Array.isArray(source.measurements)) {
+    throw importError('세션 JSON에 measurements 배열이 없습니다.');
+  }
+  if (source.measurements.length === 0) {
+    throw importError('측정값이 없습니다. (연속 모드 세션은 구간 세션 파일을 가져오세요)');
+  }
+
+  const sessionId = options.sessionId || source.sessionId || `import-${Date.now()}`;
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    throw importError(`세션 ID는 영문, 숫자, '.', '_', '-'만 사용할 수 있습니다: ${sessionId}`);
+  }
+
+  // 파일에 기록된 수집기 설명 (다른 PC의 플러그인 수집기 포함)
+  const described = new Map();
+  (Array.isArray(source.collectors) ? source.collectors : []).forEach(collector => {
+    if (collector && typeof collector.id === 'string') {
+      described.set(collector.id, { schema: {}, units: {}, render: {}, ...collector });
+    }
+  });
+  const findCollector = id => described.get(id) || (registry.has(id) ? CollectorRegistry.describe(registry.get(id)) : null);
+
+  const errors = [];
+  const used = new Set();
+  const measurements = source.measurements.map((m, index) => {
+    const label = `측정값 #${index + 1}`;
+    if (!m || typeof m !== 'object' || Array.isArray(m)) {
+      errors.push(`${label}: 객체가 아닙니다.`);
+      return null;
+    }
+
+    const time = parseTimestamp(m.timestamp);
+    if (m.timestamp === undefined || isNaN(time.getTime())) {
+      errors.push(`${label}: timestamp가 없거나 올바른 시각이 아닙니다.`);
+      return null;
+    }
+
+    Object.entries(m).forEach(([key, value]) => {
+      if (MEASUREMENT_FIELDS.includes(key)) return;
+
+      const collector = findCollector(key);
+      if (!collector) {
+        errors.push(`${label}: 알 수 없는 수집기입니다: ${key}`);
+        return;
+      }
+      used.add(key);
+      if (value === null) return; // 수집 실패
+
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${label}: ${key}는 객체여야 합니다.`);
+        return;
+      }
+      Object.entries(collector.schema).forEach(([field, type]) => {
+        if (value[field] !== undefined && !matchesType(value[field], type)) {
+          errors.push(`${label}: ${key}.${field}는 ${type} 타입이어야 합니다.`);
+        }
+      });
+    });
+
+    if (m.elapsed !== undefined && typeof m.elapsed !== 'number') {
+      errors.push(`${label}: elapsed는 숫자여야 합니다.`);
+    }
+
+    return { ...m, timestamp: time.toISOString() };
+  });
+
+  if (errors.length > 0) {
+    throw importError(
+      `측정값 스키마 검증에 실패했습니다. (${errors.length}개 오류)`,
+      errors.slice(0, MAX_ERRORS)
+    );
+  }
+  if (used.size === 0) {
+    throw importError('측정값에 수집기 데이터가 없습니다.');
+  }
+
+  // 시각 순으로 정렬하고 경과 시간이 없으면 첫 측정값 기준으로 계산
+  measurements.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const first = new Date(measurements[0].timestamp).getTime();
+  measurements.forEach(m => {
+    if (m.elapsed === undefined) {
+      m.elapsed = parseFloat(((new Date(m.timestamp).getTime() - first) / 1000).toFixed(3));
+    }
+  });
+
+  const startTime = source.startTime || measurements[0].timestamp;
+  const endTime = source.endTime || measurements[measurements.length - 1].timestamp;
+  const config = source.config && typeof source.config === 'object' ? source.config : {};
+  const interval = config.interval || estimateInterval(measurements);
+
+  return {
+    ...source,
+    sessionId,
+    startTime,
+    endTime,
+    mode: source.mode === 'continuous' || source.mode === 'agent' ? source.mode : 'fixed',
+    config: {
+      ...config,
+      mode: config.mode || 'fixed',
+      duration: config.duration !== undefined ? config.duration : Math.round((new Date(endTime) - new Date(startTime)) / 1000),
+      interval,
+    },
+    collectors: [...used].map(findCollector),
+    systemInfo: normalizeSystemInfo(source.systemInfo, measurements),
+    measurements,
+    alerts: Array.isArray(source.alerts) ? source.alerts : [],
+    // PDF의 데이터 완전성 항목은 이 도구의 샘플링 요약 형식만 표시
+    sampling: isSamplingSummary(source.sampling) ? source.sampling : undefined,
+    imported: {
+      format: options.format || 'json',
+      fileName: options.fileName || null,
+      originalSessionId: source.sessionId && source.sessionId !== sessionId ? source.sessionId : undefined,
+      importedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * 측정 간격 추정 (연속된 측정값 시각 차이의 중앙값, 초)
+ */
+function estimateInterval(measurements) {
+  const diffs = measurements.slice(1)
+    .map((m, i) => (new Date(m.timestamp) - new Date(measurements[i].timestamp)) / 1000)
+    .filter(diff => diff > 0)
+    .sort((a, b) => a - b);
+  return diffs.length > 0 ? parseFloat(diffs[Math.floor(diffs.length / 2)].toFixed(3)) : 1;
+}
+
+function isSamplingSummary(sampling) {
+  return Boolean(sampling) &&
+    typeof sampling.completeness === 'number' &&
+    Array.isArray(sampling.gaps) &&
+    Boolean(sampling.latencyMs);
+}
+
+/**
+ * 시스템 정보가 없거나 일부만 있는 파일은 PDF에 필요한 항목을 채움 (알 수 없는 값은 '-')
+ */
+function normalizeSystemInfo(systemInfo = {}, measurements) {
+  const info = systemInfo && typeof systemInfo === 'object' ? systemInfo : {};
+  const sample = measurements.find(m => m.memory && m.memory.total) || {};
+  const coreSample = measurements.find(m => m.cpu && Array.isArray(m.cpu.cores));
+  const memoryTotal = (info.memory && info.memory.total) || (sample.memory ? sample.memory.total : null);
+
+  return {
+    ...info,
+    os: { platform: '-', distro: '알 수 없음', release: '', arch: '-', hostname: '-', ...info.os },
+    cpu: {
+      manufacturer: '-',
+      brand: '알 수 없음',
+      cores: coreSample ? coreSample.cpu.cores.length : '-',
+      physicalCores: '-',
+      speed: '-',
+      speedMax: '-',
+      ...info.cpu,
+    },
+    memory: {
+      total: memoryTotal,
+      totalGB: memoryTotal ? (memoryTotal / 1024 / 1024 / 1024).toFixed(2) : '-',
+      ...info.memory,
+    },
+    gpu: Array.isArray(info.gpu) ? info.gpu : [],
+    disks: Array.isArray(info.disks) ? info.disks : [],
+  };
+}
+
+module.exports = {
+  parseSessionCsv,
+  buildImportedSession,
+  SESSION_ID_PATTERN,
+};
@@ -0,0 +1,230 @@
+/**
+ * 세션 저널
+ * 측정값을 수집하는 즉시 추가 전용 NDJSON 파일에 기록하여 서버가 비정상 종료되어도 측정값이 남도록 함
+ * 한 줄이 레코드 하나: { type, data }
+ *   session     - 세션 정보 (측정값을 뺀 세션 데이터, 첫 줄)
+ *   measurement - 측정값
+ *   gap         - 측정 누락 구간
+ *   alert       - 알림 발생/해제 시점의 알림 (같은 id의 마지막 레코드가 최신)
+ *   segment     - 연속 모드에서 저장을 마친 구간
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+
+const EXTENSION = '.ndjson';
+
+// 디스크에 강제로 기록(fsync)하는 기본 주기 (ms)
+const DEFAULT_SYNC_INTERVAL = 5000;
+
+class SessionJournal {
+  /**
+   * @param {string} filePath - 저널 파일 경로
+   * @param {object} options
+   * @param {number} options.syncInterval - fsync 주기 (ms)
+   * @param {function} options.onError - (error) => void, 첫 기록 실패 시 한 번 호출
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.syncInterval = options.syncInterval || DEFAULT_SYNC_INTERVAL;
+    this.handle = null;
+    this.queue = Promise.resolve();
+    this.dirty = false;
+    this.syncTimer = null;
+    this.failed = false;
+    this.onError = options.onError || null;
+  }
+
+  /**
+   * 세션의 저널 파일 경로
+   */
+  static pathFor(dir, sessionId) {
+    return path.join(dir, `${sessionId}${EXTENSION}`);
+  }
+
+  /**
+   * 디렉터리의 저널 파일 목록
+   */
+  static async list(dir) {
+    if (!(await fs.pathExists(dir))) {
+      return [];
+    }
+    const files = await fs.readdir(dir);
+    return files.filter(file => file.endsWith(EXTENSION)).map(file => path.join(dir, file));
+  }
+
+  /**
+   * 저널 파일의 레코드를 순서대로 읽음
+   * 비정상 종료로 마지막 줄이 잘렸으면 그 줄은 건너뜀
+   * @param {string} filePath
+   * @param {function} onRecord - (record) => void (Promise를 돌려주면 끝날 때까지 다음 줄을 읽지 않음)
+   */
+  static async read(filePath, onRecord) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity,
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        console.warn(`[저널] ${path.basename(filePath)} ${lineNumber}번째 줄을 읽을 수 없어 건너뜀`);
+        continue;
+      }
+      await onRecord(record);
+    }
+  }
+
+  /**
+   * 새 저널 파일을 만들고 세션 정보 기록
+   * 이후 추가하는 레코드는 파일이 열린 뒤에 순서대로 기록되므로 완료를 기다리지 않아도 됨
+   * @param {object} session - 측정값을 뺀 세션 데이터
+   */
+  open(session) {
+    this.syncTimer = setInterval(() => this.sync(), this.syncInterval);
+    this.syncTimer.unref();
+
+    return this.enqueue(async () => {
+      await fs.ensureDir(path.dirname(this.filePath));
+      this.handle = await fs.promises.open(this.filePath, 'w');
+      await this.handle.appendFile(`${JSON.stringify({ type: 'session', data: session })}\n`);
+      await this.handle.sync();
+    }, false);
+  }
+
+  /**
+   * 레코드 추가 (기록 순서 보장, 측정을 막지 않도록 완료를 기다리지 않아도 됨)
+   * @returns {Promise<boolean>} 파일에 기록했는지 (실패했거나 이전 실패로 건너뛰었으면 false)
+   */
+  append(type, data) {
+    const line = `${JSON.stringify({ type, data })}\n`;
+    return this.enqueue(async () => {
+      await this.handle.appendFile(line);
+      this.dirty = true;
+    });
+  }
+
+  /**
+   * 기록 작업을 순서대로 실행
+   * 한 번 실패하면(디스크 공간 부족 등) 이후 작업은 실행하지 않음 - 파일에는 실패 전까지의 레코드만 온전히 남고,
+   * 기록하지 못한 레코드는 호출한 쪽이 결과(false)를 보고 따로 보관
+   * @param {function} task - async () => void
+   * @param {boolean} needsHandle - 파일이 열려 있어야 하는 작업인지
+   * @returns {Promise<boolean>} 작업을 마쳤는지
+   */
+  enqueue(task, needsHandle = true) {
+    this.queue = this.queue
+      .then(async () => {
+        if (this.failed) {
+          return false;
+        }
+        if (needsHandle && !this.handle) {
+          throw new Error('저널이 열려 있지 않습니다.');
+        }
+        await task();
+        return true;
+      })
+      .catch((error) => {
+        console.error(`[저널] 기록 오류 (${path.basename(this.filePath)}):`, error.message);
+        this.failed = true;
+        if (this.onError) {
+          this.onError(error);
+        }
+        return false;
+      });
+    return this.queue;
+  }
+
+  /**
+   * 마지막 fsync 이후 기록한 내용을 디스크에 반영
+   */
+  sync() {
+    if (!this.dirty) {
+      return this.queue;
+    }
+    return this.enqueue(async () => {
+      this.dirty = false;
+      await this.handle.sync();
+    });
+  }
+
+  /**
+   * 조건에 맞는 레코드만 남기고 파일을 다시 씀 (연속 모드에서 저장을 마친 구간의 측정값 제거)
+   * 임시 파일에 쓴 뒤 이름을 바꾸므로 도중에 종료되어도 기존 저널이 유지됨
+   * @param {function} keep - (record) => boolean
+   */
+  compact(keep) {
+    return this.enqueue(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      const output = await fs.promises.open(tempPath, 'w');
+      try {
+        let buffer = '';
+        await SessionJournal.read(this.filePath, (record) => {
+          if (keep(record)) {
+            buffer += `${JSON.stringify(record)}\n`;
+          }
+        });
+        await output.appendFile(buffer);
+        await output.sync();
+      } finally {
+        await output.close();
+      }
+
+      await this.handle.close();
+      await fs.rename(tempPath, this.filePath);
+      this.handle = await fs.promises.open(this.filePath, 'a');
+      this.dirty = false;
+    });
+  }
+
+  /**
+   * 지금까지 기록한 측정값 (기록 대기 중인 레코드까지 반영한 뒤 파일에서 읽음)
+   * 파일을 만들지 못했으면 빈 배열
+   */
+  async readMeasurements() {
+    await this.queue;
+    const measurements = [];
+    if (!(await fs.pathExists(this.filePath))) {
+      return measurements;
+    }
+    await SessionJournal.read(this.filePath, (record) => {
+      if (record.type === 'measurement') {
+        measurements.push(record.data);
+      }
+    });
+    return measurements;
+  }
+
+  /**
+   * 남은 기록을 마치고 파일 닫기
+   */
+  async close() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+    await this.sync();
+    await this.queue;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  /**
+   * 세션 데이터를 저장한 뒤 저널 삭제
+   */
+  async remove() {
+    await this.close();
+    await fs.remove(this.filePath);
+  }
+}
+
+SessionJournal.EXTENSION = EXTENSION;
+
+module.exports = SessionJournal;
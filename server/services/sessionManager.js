@@ -0,0 +1,257 @@
+/**
+ * 세션 관리자
+ * 여러 모니터링 세션을 동시에 실행하고 sessionId로 관리
+ */
+
+const path = require('path');
+const EventEmitter = require('events');
+const MonitorService = require('./monitor');
+const WebhookDispatcher = require('./webhookDispatcher');
+
+class SessionManager extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {number} options.maxSessions - 동시에 실행할 수 있는 최대 세션 수
+   * @param {object} options.defaults - 요청에 없는 설정의 기본값 (duration, interval, topProcesses, reportPeriod, publicUrl)
+   * @param {string} options.dataDir - 세션 데이터(JSON) 저장 디렉터리
+   * @param {string} options.reportsDir - PDF 리포트 저장 디렉터리
+   * @param {string} options.journalDir - 측정값 저널 디렉터리 (비정상 종료 후 복구용)
+   */
+  constructor(options = {}) {
+    super();
+    this.maxSessions = options.maxSessions || 4;
+    this.defaults = options.defaults || {};
+    this.dataDir = options.dataDir;
+    this.reportsDir = options.reportsDir;
+    this.journalDir = options.journalDir;
+
+    // sessionId → { service, status, owner, webhooks }
+    // status: running → stopping → generating (PDF 생성 중) → 목록에서 제거
+    this.sessions = new Map();
+  }
+
+  /**
+   * 새 세션 생성 및 시작
+   * 세션 수 제한을 넘거나 설정이 잘못되면 예외 발생
+   */
+  async create(config = {}, owner = null) {
+    if (this.sessions.size >= this.maxSessions) {
+      throw new Error(`동시에 실행할 수 있는 세션 수(${this.maxSessions}개)를 초과했습니다.`);
+    }
+
+    const mode = config.mode === 'continuous' ? 'continuous' : 'fixed';
+    // 세션 웹훅은 비밀 값이 있을 수 있어 세션 데이터(JSON)에 저장하지 않고 관리자만 보관
+    const webhooks = WebhookDispatcher.validate(config.webhooks || [], 'session-webhook');
+    const service = new MonitorService({
+      sessionId: this.createSessionId(),
+      mode,
+      duration: config.duration || this.defaults.duration,
+      reportPeriod: config.reportPeriod || this.defaults.reportPeriod,
+      publicUrl: this.defaults.publicUrl,
+      interval: config.interval || this.defaults.interval,
+      topProcesses: config.topProcesses || this.defaults.topProcesses,
+      collectors: config.collectors,
+      gpus: config.gpus,
+      collectorIntervals: config.collectorIntervals,
+      schedule: config.schedule,
+      alertRules: config.alertRules,
+      anomalyDetection: config.anomalyDetection,
+      reportTemplate: config.reportTemplate,
+      dataDir: this.dataDir,
+      reportsDir: this.reportsDir,
+      journalDir: this.journalDir,
+    });
+
+    const session = { service, status: 'running', owner, webhooks };
+    this.sessions.set(service.sessionId, session);
+    this.attach(session);
+
+    if (mode === 'continuous') {
+      console.log(`[세션] ${service.sessionId} 연속 모드 시작 - 리포트 주기: ${service.config.reportPeriod}, 간격: ${service.config.interval}초`);
+    } else {
+      console.log(`[세션] ${service.sessionId} 시작 - 기간: ${service.config.duration}초, 간격: ${service.config.interval}초`);
+    }
+
+    // 시작 전에 목록에 넣어 동시에 들어온 요청도 세션 수 제한에 포함하고, 시작에 실패하면 다시 제거
+    try {
+      await service.getSystemInfo();
+      service.start((data) => {
+        this.emit('data', service.sessionId, data);
+      });
+    } catch (error) {
+      console.error(`[세션] ${service.sessionId} 시작 오류:`, error);
+      this.sessions.delete(service.sessionId);
+      service.removeAllListeners();
+      throw error;
+    }
+
+    this.emit('started', this.describe(session));
+    return session;
+  }
+
+  /**
+   * 같은 밀리초에 만들어진 세션끼리 ID가 겹치지 않도록 접미사 추가
+   */
+  createSessionId() {
+    const base = `session-${Date.now()}`;
+    let sessionId = base;
+    let suffix = 1;
+    while (this.sessions.has(sessionId)) {
+      sessionId = `${base}-${suffix++}`;
+    }
+    return sessionId;
+  }
+
+  /**
+   * MonitorService 이벤트를 sessionId가 붙은 관리자 이벤트로 전달
+   */
+  attach(session) {
+    const { service } = session;
+    const sessionId = service.sessionId;
+
+    service.on('segment', (segment) => {
+      this.emit('segment', sessionId, segment);
+    });
+
+    service.on('alert-fired', (incident) => {
+      this.emit('alert-fired', sessionId, incident);
+    });
+
+    service.on('alert-resolved', (incident) => {
+      this.emit('alert-resolved', sessionId, incident);
+    });
+
+    service.on('complete', async (sessionData) => {
+      session.status = 'generating';
+      this.emit('complete', sessionId, sessionData);
+
+      try {
+        const pdfPath = await service.generatePDF();
+        if (pdfPath) {
+          console.log(`[PDF] ${sessionId} 생성 완료: ${pdfPath}`);
+          this.emit('pdf-ready', sessionId, path.basename(pdfPath, '.pdf'), path.basename(pdfPath));
+        } else {
+          // 연속 모드에서 구간이 하나도 마감되지 않은 경우
+          this.emit('error', sessionId, new Error('측정값이 없어 리포트를 생성하지 않았습니다.'));
+        }
+      } catch (error) {
+        console.error(`[PDF] ${sessionId} 생성 오류:`, error);
+        this.emit('error', sessionId, new Error('PDF 생성 중 오류가 발생했습니다.'));
+      } finally {
+        this.remove(sessionId);
+      }
+    });
+
+    service.on('error', (error) => {
+      console.error(`[세션] ${sessionId} 오류:`, error);
+      this.emit('error', sessionId, error);
+    });
+
+    // 기간이 끝난 세션의 종료 처리 실패 (사용자 중지의 실패는 stop()에서 처리)
+    service.on('failed', (error) => {
+      this.emit('error', sessionId, error);
+      this.remove(sessionId);
+    });
+  }
+
+  /**
+   * 세션 중지 (존재하지 않거나 이미 중지 중이면 false)
+   */
+  stop(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.status !== 'running') {
+      return false;
+    }
+
+    session.status = 'stopping';
+    console.log(`[세션] ${sessionId} 사용자 요청으로 중지됨`);
+    session.service.stop().catch((error) => {
+      console.error(`[세션] ${sessionId} 중지 오류:`, error);
+      this.emit('error', sessionId, error);
+      this.remove(sessionId);
+    });
+    return true;
+  }
+
+  /**
+   * 실행 중인 모든 세션 중지 (서버 종료 시)
+   * 데이터 저장과 PDF 생성을 마쳐 모든 세션이 목록에서 빠질 때까지 기다림
+   * @param {number} timeout - 최대 대기 시간 (ms)
+   * @returns {boolean} 제한 시간 안에 모두 끝났는지
+   */
+  async stopAll(timeout) {
+    let onRemoved;
+    const finished = new Promise((resolve) => {
+      onRemoved = () => {
+        if (this.sessions.size === 0) resolve(true);
+      };
+      this.on('removed', onRemoved);
+      onRemoved();
+    });
+
+    [...this.sessions.entries()]
+      .filter(([, session]) => session.status === 'running')
+      .forEach(([sessionId, session]) => {
+        session.status = 'stopping';
+        session.service.stop().catch((error) => {
+          console.error(`[세션] ${sessionId} 중지 오류:`, error);
+          this.remove(sessionId);
+        });
+      });
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeout);
+    });
+    try {
+      return await Promise.race([finished, timedOut]);
+    } finally {
+      clearTimeout(timer);
+      this.off('removed', onRemoved);
+    }
+  }
+
+  remove(sessionId) {
+    if (this.sessions.delete(sessionId)) {
+      this.emit('removed', sessionId);
+    }
+  }
+
+  get(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * 활성 세션 목록 (시작 시각 순)
+   */
+  list() {
+    return [...this.sessions.values()]
+      .map(session => this.describe(session))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  /**
+   * 세션 상태 요약
+   */
+  describe(session) {
+    const { service } = session;
+    const { sessionData } = service;
+    const startTime = sessionData.startTime;
+
+    return {
+      sessionId: service.sessionId,
+      status: session.status,
+      mode: sessionData.mode,
+      startTime,
+      elapsed: startTime ? Math.floor((Date.now() - new Date(startTime)) / 1000) : 0,
+      duration: sessionData.config.duration,
+      reportPeriod: sessionData.config.reportPeriod,
+      interval: sessionData.config.interval,
+      collectors: sessionData.collectors.map(collector => collector.id),
+      measurementCount: service.sampler ? service.sampler.stats.collected : 0,
+      hostname: sessionData.systemInfo.os ? sessionData.systemInfo.os.hostname : null,
+    };
+  }
+}
+
+module.exports = SessionManager;
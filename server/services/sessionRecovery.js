@@ -0,0 +1,290 @@
+/**
+ * 중단된 세션 복구
+ * 서버 시작 시 남아 있는 저널(정상 종료된 세션은 저널을 지움)을 세션 데이터(JSON)로 마무리하고
+ * PDF를 만들지 않은 복구 세션 목록을 보관하여 대시보드에서 리포트 생성을 제안
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const SessionJournal = require('./sessionJournal');
+const MonitorService = require('./monitor');
+const CollectorRegistry = require('./collectorRegistry');
+const { sessionDataExists } = require('./sessionStore');
+
+const RECOVERED_FILE = 'recovered.json';
+
+/**
+ * 저널에 기록된 알림 중 해제되지 않은 알림을 마지막 측정 시각으로 닫음
+ * 저널의 알림은 발생 시점의 값이므로 이후 측정값으로 현재 값과 최대값을 갱신
+ */
+function closeIncident(incident, measurements, endTime) {
+  if (incident.resolved || incident.end) {
+    return incident;
+  }
+
+  const isWorse = incident.operator.startsWith('>') ? (a, b) => a > b : (a, b) => a < b;
+  const firedAt = new Date(incident.firedAt);
+  measurements
+    .filter(m => new Date(m.timestamp) > firedAt)
+    .forEach((m) => {
+      const value = CollectorRegistry.getPath(m, incident.metric);
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      incident.value = value;
+      if (isWorse(value, incident.peak)) {
+        incident.peak = value;
+        incident.peakAt = m.timestamp;
+      }
+    });
+
+  incident.end = endTime;
+  return incident;
+}
+
+class SessionRecovery {
+  /**
+   * @param {object} options
+   * @param {string} options.journalDir - 세션 저널 디렉터리
+   * @param {string} options.dataDir - 세션 데이터(JSON) 저장 디렉터리
+   * @param {string} options.reportsDir - PDF 리포트 저장 디렉터리
+   * @param {string} options.publicUrl - 연속 모드 구간 링크에 쓰는 서버 주소
+   */
+  constructor(options) {
+    this.journalDir = options.journalDir;
+    this.dataDir = options.dataDir;
+    this.reportsDir = options.reportsDir;
+    this.publicUrl = options.publicUrl || '';
+    this.filePath = path.join(this.journalDir, RECOVERED_FILE);
+
+    // sessionId → { sessionId, parentSessionId, mode, startTime, endTime, measurementCount, recoveredAt }
+    this.pending = new Map();
+  }
+
+  /**
+   * 남은 저널을 모두 복구 (새 세션을 시작하기 전에 호출)
+   * @returns {object[]} 이번에 복구한 세션 중 PDF가 필요한 세션
+   */
+  async recover() {
+    await this.load();
+
+    const recovered = [];
+    for (const filePath of await SessionJournal.list(this.journalDir)) {
+      try {
+        const entries = await this.recoverJournal(filePath);
+        entries.forEach((entry) => {
+          this.pending.set(entry.sessionId, entry);
+          recovered.push(entry);
+        });
+        await fs.remove(filePath);
+      } catch (error) {
+        console.error(`[복구] ${path.basename(filePath)} 복구 오류:`, error.message);
+      }
+      // 압축 도중 종료되어 남은 임시 파일
+      await fs.remove(`${filePath}.tmp`);
+    }
+
+    if (recovered.length > 0) {
+      await this.save();
+      console.log(`[복구] 중단된 세션 ${recovered.length}개를 복구했습니다. 대시보드에서 PDF를 만들 수 있습니다.`);
+    }
+    return recovered;
+  }
+
+  /**
+   * 저널 하나를 세션 데이터로 저장
+   * @returns {object[]} PDF가 필요한 세션 (고정 모드는 세션, 연속 모드는 리포트가 없는 구간)
+   */
+  async recoverJournal(filePath) {
+    let session = null;
+    const measurements = [];
+    const gaps = [];
+    const alerts = new Map();
+    const segments = [];
+
+    await SessionJournal.read(filePath, ({ type, data }) => {
+      if (type === 'session') session = data;
+      else if (type === 'measurement') measurements.push(data);
+      else if (type === 'gap') gaps.push(data);
+      else if (type === 'alert') alerts.set(data.id, data);
+      else if (type === 'segment') segments.push(data);
+    });
+
+    if (!session) {
+      throw new Error('세션 정보가 없는 저널입니다.');
+    }
+
+    // 세션 데이터 저장 직후 저널을 지우기 전에 종료된 경우 (이미 완료된 세션)
+    const dataPath = path.join(this.dataDir, `${session.sessionId}.json`);
+    if (await sessionDataExists(this.dataDir, session.sessionId)) {
+      console.log(`[복구] ${session.sessionId} 세션 데이터가 이미 저장되어 있어 저널만 삭제`);
+      return [];
+    }
+
+    const lastSegment = segments[segments.length - 1];
+    const segmentEnd = lastSegment ? new Date(lastSegment.end) : null;
+    const remaining = segmentEnd
+      ? measurements.filter(m => new Date(m.timestamp) >= segmentEnd)
+      : measurements;
+
+    if (session.mode !== 'continuous' && remaining.length === 0) {
+      console.log(`[복구] ${session.sessionId} 측정값이 없어 복구하지 않음`);
+      return [];
+    }
+
+    const endTime = remaining.length > 0
+      ? remaining[remaining.length - 1].timestamp
+      : (lastSegment ? lastSegment.end : session.startTime);
+    const interrupted = { lastMeasurementAt: endTime, recoveredAt: new Date().toISOString() };
+    const incidents = [...alerts.values()].map(incident => closeIncident(incident, remaining, endTime));
+    const interval = session.config.interval;
+
+    if (session.mode !== 'continuous') {
+      const sessionData = {
+        ...session,
+        endTime,
+        interrupted,
+        alerts: incidents,
+        sampling: MonitorService.summarizeMeasurementSampling(remaining, interval, gaps),
+        measurements: remaining,
+      };
+      await fs.writeJson(dataPath, sessionData, { spaces: 2 });
+      console.log(`[복구] ${session.sessionId} 복구 완료 (${remaining.length}개 측정값, 마지막 측정 ${endTime})`);
+      return [this.describe(sessionData)];
+    }
+
+    // 연속 모드: 저장을 마친 구간 뒤의 측정값을 마지막 구간으로 저장
+    if (remaining.length > 0) {
+      const segmentData = this.buildSegment(session, segments, remaining, {
+        endTime,
+        interrupted,
+        incidents,
+        gaps: gaps.filter(gap => !segmentEnd || new Date(gap.timestamp) >= segmentEnd),
+      });
+      await fs.writeJson(path.join(this.dataDir, `${segmentData.sessionId}.json`), segmentData, { spaces: 2 });
+      segments.push({
+        index: segmentData.segment.index,
+        sessionId: segmentData.sessionId,
+        start: segmentData.startTime,
+        end: endTime,
+        measurementCount: remaining.length,
+        pdfFileName: `${segmentData.sessionId}.pdf`,
+      });
+    }
+
+    await fs.writeJson(dataPath, {
+      ...session,
+      endTime,
+      interrupted,
+      alerts: incidents,
+      segments,
+      measurements: [],
+    }, { spaces: 2 });
+    console.log(`[복구] ${session.sessionId} 연속 모드 세션 복구 완료 (구간 ${segments.length}개)`);
+
+    // 리포트를 만들지 못한 구간 (마지막 구간 또는 PDF 생성 전에 종료된 구간)
+    const entries = [];
+    for (const segment of segments) {
+      if (!(await fs.pathExists(path.join(this.reportsDir, segment.pdfFileName)))) {
+        entries.push({
+          sessionId: segment.sessionId,
+          parentSessionId: session.sessionId,
+          mode: 'continuous',
+          startTime: segment.start,
+          endTime: segment.end,
+          measurementCount: segment.measurementCount,
+          recoveredAt: interrupted.recoveredAt,
+        });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 연속 모드의 마지막(중단된) 구간 데이터 (MonitorService.buildSegmentData와 같은 형식)
+   */
+  buildSegment(session, segments, measurements, { endTime, interrupted, incidents, gaps }) {
+    const index = segments.length;
+    const start = index > 0 ? segments[index - 1].end : session.startTime;
+    const segmentId = MonitorService.segmentId(session.sessionId, index);
+    const prevId = index > 0 ? MonitorService.segmentId(session.sessionId, index - 1) : null;
+    const startDate = new Date(start);
+    const endDate = new Date(endTime);
+
+    return {
+      sessionId: segmentId,
+      parentSessionId: session.sessionId,
+      mode: 'continuous',
+      startTime: start,
+      endTime,
+      segment: {
+        index,
+        period: session.config.reportPeriod,
+        start,
+        end: endTime,
+        prevId,
+        nextId: null,
+        prevUrl: prevId ? `${this.publicUrl}/api/download-pdf/${prevId}` : null,
+        nextUrl: null,
+      },
+      config: session.config,
+      collectors: session.collectors,
+      schedule: session.schedule,
+      systemInfo: session.systemInfo,
+      interrupted,
+      alerts: incidents
+        .filter(incident => new Date(incident.start) <= endDate &&
+          (!incident.end || new Date(incident.end) >= startDate))
+        .map(incident => ({ ...incident })),
+      sampling: MonitorService.summarizeMeasurementSampling(measurements, session.config.interval, gaps),
+      measurements,
+    };
+  }
+
+  /**
+   * 복구 목록 항목
+   */
+  describe(sessionData) {
+    return {
+      sessionId: sessionData.sessionId,
+      parentSessionId: null,
+      mode: sessionData.mode || 'fixed',
+      startTime: sessionData.startTime,
+      endTime: sessionData.endTime,
+      measurementCount: sessionData.measurements.length,
+      recoveredAt: sessionData.interrupted.recoveredAt,
+    };
+  }
+
+  /**
+   * PDF를 아직 만들지 않은 복구 세션 (최근 복구 순)
+   */
+  list() {
+    return [...this.pending.values()]
+      .sort((a, b) => new Date(b.recoveredAt) - new Date(a.recoveredAt) || a.sessionId.localeCompare(b.sessionId));
+  }
+
+  /**
+   * 목록에서 제거 (PDF를 만들었거나 사용자가 닫은 경우)
+   * @returns {boolean} 목록에 있었는지
+   */
+  async dismiss(sessionId) {
+    if (!this.pending.delete(sessionId)) {
+      return false;
+    }
+    await this.save();
+    return true;
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      const { sessions = [] } = await fs.readJson(this.filePath);
+      sessions.forEach(entry => this.pending.set(entry.sessionId, entry));
+    }
+  }
+
+  async save() {
+    await fs.ensureDir(this.journalDir);
+    await fs.writeJson(this.filePath, { sessions: this.list() }, { spaces: 2 });
+  }
+}
+
+module.exports = SessionRecovery;
@@ -0,0 +1,317 @@
+/**
+ * 세션 데이터 파일
+ * data/의 세션 JSON은 보존 정책에 따라 gzip으로 압축(<세션ID>.json.gz)될 수 있으므로
+ * 저장된 세션을 읽는 곳은 경로를 직접 만들지 않고 이 모듈을 사용
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream');
+
+const gunzip = promisify(zlib.gunzip);
+const gzip = promisify(zlib.gzip);
+const pipelineAsync = promisify(pipeline);
+
+const JSON_EXTENSION = '.json';
+const GZIP_EXTENSION = '.json.gz';
+
+// 세션 JSON을 나눠 쓸 때 한 번에 기록하는 크기 (문자 수)
+const WRITE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * 파일 이름의 세션 ID (세션 데이터 파일이 아니면 null)
+ */
+function sessionIdOf(fileName) {
+  if (fileName.endsWith(GZIP_EXTENSION)) return fileName.slice(0, -GZIP_EXTENSION.length);
+  if (fileName.endsWith(JSON_EXTENSION)) return fileName.slice(0, -JSON_EXTENSION.length);
+  return null;
+}
+
+/**
+ * 세션 데이터 파일 경로 (압축하지 않은 파일 우선, 없으면 null)
+ * 요청 경로의 세션 ID는 basename으로 디렉터리 이동을 막음
+ */
+async function findSessionData(dataDir, sessionId) {
+  const base = path.join(dataDir, path.basename(sessionId));
+  for (const filePath of [`${base}${JSON_EXTENSION}`, `${base}${GZIP_EXTENSION}`]) {
+    if (await fs.pathExists(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+async function sessionDataExists(dataDir, sessionId) {
+  return (await findSessionData(dataDir, sessionId)) !== null;
+}
+
+/**
+ * 저장된 세션 데이터 (없으면 null, JSON이 깨졌으면 SyntaxError)
+ */
+async function readSessionData(dataDir, sessionId) {
+  const filePath = await findSessionData(dataDir, sessionId);
+  if (!filePath) {
+    return null;
+  }
+
+  const content = await fs.readFile(filePath);
+  const text = filePath.endsWith(GZIP_EXTENSION) ? await gunzip(content) : content;
+  return JSON.parse(text.toString('utf8'));
+}
+
+/**
+ * 세션 JSON 텍스트를 조각 단위로 훑으며 최상위 measurements 배열의 항목을 하나씩 꺼냄
+ * 나머지 최상위 속성은 모아 두므로 메모리에는 측정값 하나와 측정값을 뺀 세션 정보만 올라감
+ */
+class MeasurementScanner {
+  constructor() {
+    this.info = {};
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.closed = false;
+    this.text = ''; // 모으는 중인 최상위 속성("키": 값) 또는 측정값의 이전 조각까지의 텍스트
+    this.collecting = false;
+    this.key = null; // 모으는 중인 최상위 속성 이름 (':'를 지난 뒤)
+    this.inMeasurements = false; // measurements 배열 안 (항목을 모으는 중)
+  }
+
+  /**
+   * 텍스트 조각 처리
+   * @returns {Array} 이 조각에서 끝난 측정값
+   */
+  push(chunk) {
+    const measurements = [];
+    let start = 0;
+    const take = (end) => {
+      const text = this.text + chunk.slice(start, end);
+      this.text = '';
+      return text;
+    };
+    const begin = (index) => {
+      this.text = '';
+      this.collecting = true;
+      start = index;
+    };
+
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (c === '\\') this.escaped = true;
+        else if (c === '"') this.inString = false;
+        continue;
+      }
+
+      if (c === '"') {
+        this.inString = true;
+      } else if (c === '{' || c === '[') {
+        this.depth++;
+        if (this.depth === 1) {
+          if (c !== '{' || this.closed) throw new SyntaxError('세션 JSON의 최상위가 객체가 아닙니다.');
+          begin(i + 1);
+        } else if (this.depth === 2 && c === '[' && this.key === 'measurements') {
+          this.inMeasurements = true;
+          begin(i + 1);
+        }
+      } else if (c === '}' || c === ']') {
+        if (this.depth === 2 && this.inMeasurements) {
+          this.addMeasurement(take(i), measurements);
+          this.inMeasurements = false;
+          this.collecting = false;
+        } else if (this.depth === 1) {
+          this.addMember(take(i));
+          this.collecting = false;
+          this.closed = true;
+        }
+        this.depth--;
+      } else if (c === ',' && this.depth === 1) {
+        this.addMember(take(i));
+        begin(i + 1);
+      } else if (c === ',' && this.depth === 2 && this.inMeasurements) {
+        this.addMeasurement(take(i), measurements);
+        begin(i + 1);
+      } else if (c === ':' && this.depth === 1 && this.key === null) {
+        this.key = JSON.parse(take(i).trim());
+        if (this.key === 'measurements') {
+          // 측정값 배열은 항목 단위로 모음
+          this.collecting = false;
+        } else {
+          begin(i + 1);
+        }
+      }
+    }
+
+    if (this.collecting) {
+      this.text += chunk.slice(start);
+    }
+    return measurements;
+  }
+
+  addMember(text) {
+    if (this.key !== null && this.key !== 'measurements') {
+      this.info[this.key] = JSON.parse(text);
+    } else if (this.key === null && text.trim()) {
+      throw new SyntaxError('세션 JSON의 속성 이름이 없습니다.');
+    }
+    this.key = null;
+  }
+
+  addMeasurement(text, measurements) {
+    if (text.trim()) {
+      measurements.push(JSON.parse(text));
+    }
+  }
+
+  /**
+   * @returns {object} 측정값을 뺀 세션 데이터 (measurements는 빈 배열)
+   */
+  end() {
+    if (!this.closed || this.depth !== 0) {
+      throw new SyntaxError('세션 JSON이 완전하지 않습니다.');
+    }
+    return { ...this.info, measurements: [] };
+  }
+}
+
+/**
+ * 저장된 세션 데이터의 JSON 텍스트 스트림 (압축된 세션은 압축을 풀면서 읽음, 없으면 null)
+ */
+async function createSessionDataStream(dataDir, sessionId) {
+  const filePath = await findSessionData(dataDir, sessionId);
+  if (!filePath) {
+    return null;
+  }
+
+  const input = fs.createReadStream(filePath);
+  if (!filePath.endsWith(GZIP_EXTENSION)) {
+    return input;
+  }
+  const gunzipStream = zlib.createGunzip();
+  input.on('error', error => gunzipStream.destroy(error));
+  return input.pipe(gunzipStream);
+}
+
+/**
+ * 저장된 세션 데이터를 측정값 하나씩 읽음 (측정값 배열 전체를 메모리에 올리지 않음)
+ * @param {function} onMeasurement - (measurement) => void, Promise를 돌려주면 끝날 때까지 읽기를 멈춤
+ * @returns {object|null} 측정값을 뺀 세션 데이터 (measurements는 빈 배열, 없으면 null, JSON이 깨졌으면 SyntaxError)
+ */
+async function streamSessionData(dataDir, sessionId, onMeasurement) {
+  const input = await createSessionDataStream(dataDir, sessionId);
+  if (!input) {
+    return null;
+  }
+
+  const scanner = new MeasurementScanner();
+  input.setEncoding('utf8');
+  try {
+    for await (const chunk of input) {
+      for (const measurement of scanner.push(chunk)) {
+        await onMeasurement(measurement);
+      }
+    }
+  } finally {
+    input.destroy();
+  }
+  return scanner.end();
+}
+
+/**
+ * 세션 JSON을 나눠 씀 - 측정값 앞뒤의 세션 정보, 그 사이에 측정값 (한 줄에 하나씩 들여쓰기 없이)
+ * 측정값 전체를 메모리에 모으지 않고 chunkSize만큼 모일 때마다 write로 넘김
+ * @param {object} sessionData - 측정값을 뺀 세션 데이터
+ * @param {function} forEachMeasurement - (visit) => Promise, 측정값마다 visit(measurement)를 기다리며 호출
+ * @param {function} write - (text) => Promise
+ */
+async function writeSessionJson(sessionData, forEachMeasurement, write, chunkSize = WRITE_CHUNK_SIZE) {
+  const marker = `measurements:${sessionData.sessionId}`;
+  const [head, tail] = JSON.stringify({ ...sessionData, measurements: marker }, null, 2)
+    .split(JSON.stringify(marker));
+
+  let buffer = `${head}[`;
+  let count = 0;
+  await forEachMeasurement(async (measurement) => {
+    buffer += `${count++ > 0 ? ',' : ''}\n    ${JSON.stringify(measurement)}`;
+    if (buffer.length >= chunkSize) {
+      await write(buffer);
+      buffer = '';
+    }
+  });
+  await write(`${buffer}${count > 0 ? '\n  ' : ''}]${tail}\n`);
+}
+
+/**
+ * 저장된 세션 데이터 덮어쓰기 (압축된 세션은 압축한 채로 저장)
+ * 임시 파일에 쓴 뒤 이름을 바꾸므로 도중에 실패해도 기존 파일이 남음
+ * @returns {string|null} 저장한 파일 경로 (세션 데이터가 없으면 null)
+ */
+async function writeSessionData(dataDir, sessionId, sessionData) {
+  const filePath = await findSessionData(dataDir, sessionId);
+  if (!filePath) {
+    return null;
+  }
+
+  const text = JSON.stringify(sessionData, null, 2);
+  const tempPath = `${filePath}.tmp`;
+  try {
+    await fs.writeFile(tempPath, filePath.endsWith(GZIP_EXTENSION) ? await gzip(text) : text);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+  return filePath;
+}
+
+/**
+ * 세션 데이터 파일 삭제 (압축하지 않은 파일과 압축한 파일 모두)
+ * @returns {boolean} 삭제한 파일이 있는지
+ */
+async function removeSessionData(dataDir, sessionId) {
+  let removed = false;
+  let filePath;
+  while ((filePath = await findSessionData(dataDir, sessionId))) {
+    await fs.remove(filePath);
+    removed = true;
+  }
+  return removed;
+}
+
+/**
+ * 세션 JSON을 gzip으로 압축하고 원본 삭제
+ * 임시 파일에 쓴 뒤 이름을 바꾸므로 도중에 실패해도 원본이 남음
+ * @returns {number} 압축된 파일 크기 (바이트)
+ */
+async function compressSessionData(filePath) {
+  const target = `${filePath.slice(0, -JSON_EXTENSION.length)}${GZIP_EXTENSION}`;
+  const tempPath = `${target}.tmp`;
+
+  try {
+    await pipelineAsync(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tempPath));
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+  await fs.remove(filePath);
+
+  return (await fs.stat(target)).size;
+}
+
+module.exports = {
+  JSON_EXTENSION,
+  GZIP_EXTENSION,
+  sessionIdOf,
+  findSessionData,
+  sessionDataExists,
+  readSessionData,
+  createSessionDataStream,
+  streamSessionData,
+  writeSessionJson,
+  writeSessionData,
+  removeSessionData,
+  compressSessionData,
+};
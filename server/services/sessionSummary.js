@@ -0,0 +1,172 @@
+/**
+ * 세션 요약
+ * 외부 알림(웹훅 등)에 보낼 세션 정보와 지표별 최소/최대/평균 요약, 세션 통계 API의 지표별 통계 생성
+ */
+
+const CollectorRegistry = require('./collectorRegistry');
+const { summarize, describeSeries, thresholdsFor } = require('./statistics');
+
+const round = value => (typeof value === 'number' ? parseFloat(value.toFixed(2)) : value);
+
+/**
+ * 수집기 설명의 PDF 통계 항목(render.pdf.stats) 목록
+ * @returns {Array} [{ key: "cpu.usage", label, unit, divisor, collectorId, path }, ...]
+ */
+function collectStatItems(collectors = []) {
+  return collectors.flatMap(collector => {
+    const blocks = (collector.render && collector.render.pdf && collector.render.pdf.stats) || [];
+    const items = blocks.flatMap(block => (block.rows
+      ? block.rows.map(row => ({ ...row, label: `${block.label} - ${row.label}`, unit: block.unit }))
+      : [block]));
+
+    return items.map(item => ({
+      key: `${collector.id}.${item.key}`,
+      label: item.label,
+      unit: (item.unit || '').trim(),
+      divisor: item.divisor || 1,
+      collectorId: collector.id,
+      path: item.key,
+    }));
+  });
+}
+
+/**
+ * 측정값 하나의 통계 항목 값 (숫자가 아니면 null)
+ */
+function statValue(measurement, { collectorId, path, divisor }) {
+  const value = CollectorRegistry.getPath(measurement[collectorId], path);
+  return typeof value === 'number' ? value / divisor : null;
+}
+
+/**
+ * 수집기 설명의 PDF 통계 항목(render.pdf.stats)별 측정값 목록
+ * @returns {Array} [{ key: "cpu.usage", label, unit, divisor, values: [측정값마다 숫자 또는 null] }, ...]
+ */
+function collectStatValues(sessionData) {
+  const { measurements = [], collectors = [] } = sessionData;
+
+  return collectStatItems(collectors).map(item => ({
+    key: item.key,
+    label: item.label,
+    unit: item.unit,
+    divisor: item.divisor,
+    values: measurements.map(m => statValue(m, item)),
+  }));
+}
+
+/**
+ * 수집기 설명의 PDF 통계 항목(render.pdf.stats) 기준 지표 요약
+ * @returns {object} { "cpu.usage": { label, unit, min, max, avg }, ... }
+ */
+function summarizeStats(sessionData) {
+  const stats = {};
+
+  collectStatValues(sessionData).forEach(({ key, label, unit, values }) => {
+    const summary = summarize(values);
+    if (summary) {
+      stats[key] = { label, unit, min: round(summary.min), max: round(summary.max), avg: round(summary.avg) };
+    }
+  });
+
+  return stats;
+}
+
+/**
+ * 지표별 전체 통계 (세션 통계 API와 대시보드 통계 패널)
+ * 백분위수, 표준편차, 추세 기울기, 히스토그램, 임계값 초과 시간 (값은 소수 둘째 자리까지)
+ * @param {object} options
+ * @param {object} options.thresholds - thresholdsFor()의 overrides
+ * @param {number} options.bins - 히스토그램 구간 수
+ * @returns {Array} [{ key, label, unit, count, min, max, avg, stddev, p50, p90, p95, p99, slopePerMinute, histogram, timeAbove }]
+ */
+function sessionStatistics(sessionData, options = {}) {
+  const measurements = sessionData.measurements || [];
+  const times = measurements.map(m => new Date(m.timestamp).getTime() / 1000);
+  return describeStatValues(sessionData, collectStatValues(sessionData), times, options);
+}
+
+/**
+ * 통계 항목별 값 목록의 전체 통계 (sessionStatistics())
+ * @param {Array} statValues - collectStatValues() 형식
+ * @param {Array} times - 측정값마다의 시각 (초)
+ */
+function describeStatValues(sessionData, statValues, times, { thresholds = {}, bins } = {}) {
+  return statValues
+    .map(({ key, label, unit, divisor, values }) => formatStatistics({ key, label, unit }, describeSeries(
+      times.map((t, idx) => [t, values[idx]]),
+      { thresholds: thresholdsFor(sessionData, { key, unit, divisor }, thresholds), bins },
+    )))
+    .filter(Boolean);
+}
+
+/**
+ * 통계 항목 하나의 응답 형식 (sessionStatistics()와 실행 중인 세션의 LiveStatistics)
+ * @param {object} item - { key, label, unit }
+ * @param {object|null} stats - describeSeries() 형식 (null이면 null)
+ */
+function formatStatistics({ key, label, unit }, stats) {
+  if (!stats) return null;
+
+  const { histogram, timeAbove, median, ...summary } = stats;
+  Object.keys(summary).forEach(field => {
+    summary[field] = round(summary[field]);
+  });
+  return {
+    key,
+    label,
+    unit,
+    ...summary,
+    slopePerMinute: stats.slopePerMinute === null ? null : parseFloat(stats.slopePerMinute.toFixed(4)),
+    histogram: {
+      min: round(histogram.min),
+      max: round(histogram.max),
+      binWidth: parseFloat(histogram.binWidth.toFixed(4)),
+      counts: histogram.counts,
+    },
+    timeAbove: timeAbove.map(item => ({
+      threshold: item.threshold,
+      seconds: parseFloat(item.seconds.toFixed(1)),
+      percent: round(item.percent),
+    })),
+  };
+}
+
+/**
+ * 세션 요약 정보
+ */
+function summarizeSession(sessionData) {
+  const { startTime, endTime, sampling, alerts = [] } = sessionData;
+
+  return {
+    sessionId: sessionData.sessionId,
+    mode: sessionData.mode || 'fixed',
+    startTime,
+    endTime,
+    durationSeconds: startTime && endTime ? Math.round((new Date(endTime) - new Date(startTime)) / 1000) : null,
+    hostname: sessionData.systemInfo && sessionData.systemInfo.os ? sessionData.systemInfo.os.hostname : null,
+    collectors: (sessionData.collectors || []).map(collector => collector.id),
+    schedule: sessionData.schedule || null,
+    measurementCount: sampling ? sampling.collectedSamples : (sessionData.measurements || []).length,
+    completeness: sampling ? sampling.completeness : null,
+    alerts: {
+      total: alerts.length,
+      critical: alerts.filter(alert => alert.severity === 'critical').length,
+      unresolved: alerts.filter(alert => !alert.resolved).length,
+    },
+    anomalies: (sessionData.measurements || [])
+      .reduce((sum, m) => sum + (m.anomalies ? m.anomalies.length : 0), 0),
+    segments: sessionData.segments ? sessionData.segments.length : undefined,
+    stats: summarizeStats(sessionData),
+  };
+}
+
+module.exports = {
+  collectStatItems,
+  collectStatValues,
+  describeStatValues,
+  formatStatistics,
+  sessionStatistics,
+  statValue,
+  summarizeSession,
+  summarizeStats,
+};
@@ -0,0 +1,198 @@
+/**
+ * 통계 계산
+ * 리포트(PDF/HTML), 세션 통계 API, 웹훅 요약, 세션 비교가 함께 쓰는 지표 통계
+ * 입력 배열은 변경하지 않으며 숫자가 아닌 값(수집기가 꺼졌거나 센서 값이 없는 측정)은 제외
+ */
+
+const PERCENTILES = [50, 90, 95, 99];
+const DEFAULT_BINS = 10;
+
+// 단위가 %인 지표의 기본 초과 시간 임계값
+const DEFAULT_PERCENT_THRESHOLDS = [80, 90];
+
+const isValue = value => typeof value === 'number' && !isNaN(value);
+
+/**
+ * 정렬된 값의 백분위수 (선형 보간)
+ * @param {Array} sorted - 오름차순으로 정렬된 값
+ * @param {number} p - 0~100
+ */
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * 기본 통계 (유효한 값이 없으면 null)
+ * median은 p50과 같은 값 (이전 형식의 리포트/요약 호환)
+ * @returns {object|null} { count, min, max, avg, median, stddev, p50, p90, p95, p99 }
+ */
+function summarize(values) {
+  const filtered = values.filter(isValue);
+  if (filtered.length === 0) return null;
+
+  const sorted = [...filtered].sort((a, b) => a - b);
+  const avg = filtered.reduce((a, b) => a + b, 0) / filtered.length;
+  const variance = filtered.reduce((sum, value) => sum + (value - avg) ** 2, 0) / filtered.length;
+
+  const stats = {
+    count: filtered.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    avg,
+    stddev: Math.sqrt(variance),
+  };
+  PERCENTILES.forEach(p => {
+    stats[`p${p}`] = percentile(sorted, p);
+  });
+  stats.median = stats.p50;
+
+  return stats;
+}
+
+/**
+ * 같은 너비 구간의 도수 분포 (모든 값이 같으면 구간 하나)
+ * @returns {object|null} { min, max, binWidth, counts }
+ */
+function histogram(values, bins = DEFAULT_BINS) {
+  const filtered = values.filter(isValue);
+  if (filtered.length === 0) return null;
+
+  // 긴 세션은 인자 수 제한이 있는 Math.min(...values) 대신 순회
+  const min = filtered.reduce((a, b) => (b < a ? b : a));
+  const max = filtered.reduce((a, b) => (b > a ? b : a));
+  if (min === max) {
+    return { min, max, binWidth: 0, counts: [filtered.length] };
+  }
+
+  const binWidth = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  filtered.forEach(value => {
+    // 최대값은 마지막 구간에 포함
+    counts[Math.min(Math.floor((value - min) / binWidth), bins - 1)]++;
+  });
+
+  return { min, max, binWidth, counts };
+}
+
+/**
+ * 측정값이 차지하는 시간 (초)
+ * 각 측정은 다음 측정까지의 시간을 차지하고, 마지막 측정은 측정 간격 중앙값만큼 차지
+ * @param {Array} points - [[시각(초), 값], ...] (시각 오름차순, 유효한 값만)
+ */
+function sampleDurations(points) {
+  const gaps = points.slice(1).map(([t], idx) => t - points[idx][0]);
+  const sortedGaps = [...gaps].sort((a, b) => a - b);
+  const last = sortedGaps.length > 0 ? percentile(sortedGaps, 50) : 0;
+  return [...gaps, last];
+}
+
+/**
+ * 임계값 초과 시간
+ * @param {Array} points - [[시각(초), 값 또는 null], ...]
+ * @param {Array} thresholds - 임계값 목록
+ * @returns {Array} [{ threshold, seconds, percent }] (측정 시간 대비 비율 %)
+ */
+function timeAboveThresholds(points, thresholds) {
+  const valid = points.filter(([, value]) => isValue(value));
+  const durations = sampleDurations(valid);
+  const total = durations.reduce((a, b) => a + b, 0);
+
+  return thresholds.map(threshold => {
+    const seconds = valid.reduce((sum, [, value], idx) => (value > threshold ? sum + durations[idx] : sum), 0);
+    return {
+      threshold,
+      seconds,
+      percent: total > 0 ? (seconds / total) * 100 : 0,
+    };
+  });
+}
+
+/**
+ * 추세 기울기 (최소 제곱 직선, 분당 변화량)
+ * @param {Array} points - [[시각(초), 값 또는 null], ...]
+ * @returns {number|null} 점이 2개 미만이거나 시각이 모두 같으면 null
+ */
+function trendSlope(points) {
+  const valid = points.filter(([, value]) => isValue(value));
+  if (valid.length < 2) return null;
+
+  const meanT = valid.reduce((sum, [t]) => sum + t, 0) / valid.length;
+  const meanV = valid.reduce((sum, [, v]) => sum + v, 0) / valid.length;
+  let covariance = 0;
+  let varianceT = 0;
+  valid.forEach(([t, v]) => {
+    covariance += (t - meanT) * (v - meanV);
+    varianceT += (t - meanT) ** 2;
+  });
+
+  return varianceT > 0 ? (covariance / varianceT) * 60 : null;
+}
+
+/**
+ * 시계열 지표의 전체 통계
+ * @param {Array} points - [[시각(초), 값 또는 null], ...] (시각 오름차순)
+ * @param {object} options
+ * @param {Array} options.thresholds - 초과 시간을 계산할 임계값
+ * @param {number} options.bins - 히스토그램 구간 수
+ * @returns {object|null} summarize() 결과 + { slopePerMinute, histogram, timeAbove }
+ */
+function describeSeries(points, { thresholds = [], bins = DEFAULT_BINS } = {}) {
+  const values = points.map(([, value]) => value);
+  const stats = summarize(values);
+  if (!stats) return null;
+
+  return {
+    ...stats,
+    slopePerMinute: trendSlope(points),
+    histogram: histogram(values, bins),
+    timeAbove: timeAboveThresholds(points, thresholds),
+  };
+}
+
+/**
+ * 지표의 초과 시간 임계값
+ * 지표별로 지정한 값이 있으면 그 값만, 없으면 % 지표의 기본 임계값(overrides.percent로 변경)과
+ * 세션 알림 규칙(>, >=)의 임계값 (단위를 나눠 표시하는 지표는 규칙 값과 단위가 달라 제외)
+ * @param {object} sessionData
+ * @param {object} metric - { key: "cpu.usage", unit, divisor }
+ * @param {object} overrides - { percent: [...], "<지표>": [...] }
+ */
+function thresholdsFor(sessionData, { key, unit, divisor }, overrides = {}) {
+  if (Array.isArray(overrides[key])) {
+    return overrides[key];
+  }
+
+  const base = (unit || '').trim() === '%' ? (overrides.percent || DEFAULT_PERCENT_THRESHOLDS) : [];
+  const rules = divisor && divisor !== 1
+    ? []
+    : ((sessionData.config && sessionData.config.alertRules) || [])
+      .filter(rule => rule.metric === key && ['>', '>='].includes(rule.operator || '>'))
+      .map(rule => rule.threshold);
+
+  return [...new Set([...base, ...rules])].sort((a, b) => a - b);
+}
+
+/**
+ * 측정값마다의 값을 [시각(초), 값] 점으로 변환
+ * 시각은 측정 시각(timestamp) 기준이므로 이전 형식 세션(elapsed 없음)도 사용 가능
+ */
+function toTimePoints(measurements, values) {
+  return measurements.map((m, idx) => [new Date(m.timestamp).getTime() / 1000, values[idx]]);
+}
+
+module.exports = {
+  PERCENTILES,
+  DEFAULT_BINS,
+  DEFAULT_PERCENT_THRESHOLDS,
+  percentile,
+  summarize,
+  histogram,
+  timeAboveThresholds,
+  trendSlope,
+  describeSeries,
+  thresholdsFor,
+  toTimePoints,
+};
@@ -0,0 +1,243 @@
+/**
+ * 웹훅 전송
+ * 세션 수명 주기와 알림 이벤트를 외부 HTTP 엔드포인트로 POST (HMAC 서명, 백오프 재시도, 전송 기록)
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const WEBHOOK_EVENTS = [
+  'session-started',
+  'session-completed', // PDF 생성 완료 (다운로드 URL 포함)
+  'session-error',
+  'segment-ready',
+  'alert-fired',
+  'alert-resolved',
+];
+
+class WebhookDispatcher extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object[]} options.webhooks - 서버 전체에 적용되는 웹훅 (validate로 검증된 값)
+   * @param {number} options.maxAttempts - 최대 시도 횟수 (첫 시도 포함)
+   * @param {number} options.retryDelay - 첫 재시도 대기 시간 (ms, 시도마다 2배)
+   * @param {number} options.timeout - 요청 제한 시간 (ms)
+   * @param {number} options.logLimit - 보관할 최근 전송 기록 수
+   */
+  constructor(options = {}) {
+    super();
+    this.webhooks = options.webhooks || [];
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 1000;
+    this.timeout = options.timeout || 10000;
+    this.logLimit = options.logLimit || 500;
+
+    this.deliveries = []; // 최근 전송 기록 (오래된 것부터 삭제)
+    this.deliveryCount = 0;
+  }
+
+  /**
+   * 웹훅 설정 검증 및 기본값 채우기
+   * @param {object[]} webhooks - [{ id, url, events, secret, headers }]
+   * @param {string} prefix - ID가 없을 때 붙일 접두사
+   */
+  static validate(webhooks, prefix = 'webhook') {
+    if (!Array.isArray(webhooks)) {
+      throw new Error('웹훅 설정은 배열이어야 합니다.');
+    }
+
+    return webhooks.map((webhook, index) => {
+      const label = `웹훅 #${index + 1}`;
+
+      let url;
+      try {
+        url = new URL(webhook && webhook.url);
+      } catch (error) {
+        throw new Error(`${label}: URL이 올바르지 않습니다: ${webhook && webhook.url}`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`${label}: http 또는 https URL만 사용할 수 있습니다.`);
+      }
+
+      const events = webhook.events || WEBHOOK_EVENTS;
+      if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`${label}: events는 이벤트 이름 배열이어야 합니다.`);
+      }
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new Error(`${label}: 알 수 없는 이벤트입니다: ${unknown.join(', ')} (사용 가능: ${WEBHOOK_EVENTS.join(', ')})`);
+      }
+
+      if (webhook.secret !== undefined && typeof webhook.secret !== 'string') {
+        throw new Error(`${label}: secret은 문자열이어야 합니다.`);
+      }
+
+      return {
+        id: webhook.id || `${prefix}-${index + 1}`,
+        url: url.toString(),
+        events,
+        secret: webhook.secret || null,
+        headers: webhook.headers || {},
+      };
+    });
+  }
+
+  /**
+   * 비밀 값을 가린 웹훅 설정 (API 응답용)
+   */
+  static describe(webhook) {
+    return {
+      id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      signed: Boolean(webhook.secret),
+    };
+  }
+
+  /**
+   * 이벤트 전송 - 서버 웹훅과 세션 웹훅 중 이벤트를 구독한 곳으로 비동기 전송
+   * @param {string} event
+   * @param {object} data - 페이로드 본문 (event, deliveryId, timestamp는 자동 추가)
+   * @param {object[]} sessionWebhooks - 세션에만 적용되는 웹훅
+   */
+  dispatch(event, data, sessionWebhooks = []) {
+    [...this.webhooks, ...sessionWebhooks]
+      .filter(webhook => webhook.events.includes(event))
+      .forEach((webhook) => {
+        this.deliver(webhook, event, data).catch((error) => {
+          console.error(`[웹훅] 전송 처리 오류 (${webhook.id}):`, error);
+        });
+      });
+  }
+
+  /**
+   * 웹훅 하나로 전송 (실패 시 지수 백오프로 재시도)
+   */
+  async deliver(webhook, event, data) {
+    const delivery = {
+      id: `delivery-${Date.now()}-${++this.deliveryCount}`,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event,
+      sessionId: data.sessionId || null,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    this.record(delivery);
+
+    const body = JSON.stringify({
+      event,
+      deliveryId: delivery.id,
+      timestamp: delivery.createdAt,
+      ...data,
+    });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const result = await this.send(webhook, event, delivery.id, body);
+      delivery.attempts.push(result);
+
+      if (result.ok) {
+        delivery.status = 'success';
+        break;
+      }
+
+      // 4xx(408, 429 제외)는 다시 보내도 같은 결과이므로 재시도하지 않음
+      const retryable = !result.statusCode || result.statusCode >= 500 ||
+        result.statusCode === 408 || result.statusCode === 429;
+      if (!retryable || attempt === this.maxAttempts) {
+        delivery.status = 'failed';
+        break;
+      }
+
+      const delay = this.retryDelay * 2 ** (attempt - 1);
+      console.warn(`[웹훅] ${webhook.id} ${event} 전송 실패 (${result.error || result.statusCode}), ${delay}ms 후 재시도`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    delivery.completedAt = new Date().toISOString();
+    if (delivery.status === 'failed') {
+      console.error(`[웹훅] ${webhook.id} ${event} 전송 실패 (${delivery.attempts.length}회 시도)`);
+    }
+    this.emit('delivery', delivery);
+    return delivery;
+  }
+
+  /**
+   * HTTP 요청 1회
+   */
+  async send(webhook, event, deliveryId, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      ...webhook.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'windows-system-monitor-webhook',
+      'X-Monitor-Event': event,
+      'X-Monitor-Delivery': deliveryId,
+      'X-Monitor-Timestamp': timestamp,
+    };
+
+    // 수신 측에서 "타임스탬프.본문"의 HMAC-SHA256으로 위변조와 재전송을 확인
+    if (webhook.secret) {
+      const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Monitor-Signature'] = `sha256=${signature}`;
+    }
+
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), ok: false, statusCode: null, error: null, durationMs: 0 };
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      attempt.statusCode = response.status;
+      attempt.ok = response.ok;
+      // 연결을 재사용할 수 있도록 응답 본문은 읽어서 버림
+      await response.arrayBuffer().catch(() => {});
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        attempt.error = `제한 시간(${this.timeout}ms) 초과`;
+      } else {
+        // fetch의 네트워크 오류는 원인(ECONNREFUSED 등)이 cause에 담김
+        attempt.error = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+      }
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    return attempt;
+  }
+
+  record(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logLimit) {
+      this.deliveries.splice(0, this.deliveries.length - this.logLimit);
+    }
+  }
+
+  /**
+   * 전송 기록 조회 (최신순)
+   * @param {object} filter - { sessionId, webhookId, event, status, limit }
+   */
+  getDeliveries(filter = {}) {
+    const limit = filter.limit || 50;
+    return this.deliveries
+      .filter(delivery => !filter.sessionId || delivery.sessionId === filter.sessionId)
+      .filter(delivery => !filter.webhookId || delivery.webhookId === filter.webhookId)
+      .filter(delivery => !filter.event || delivery.event === filter.event)
+      .filter(delivery => !filter.status || delivery.status === filter.status)
+      .slice(-limit)
+      .reverse();
+  }
+
+  getDelivery(id) {
+    return this.deliveries.find(delivery => delivery.id === id) || null;
+  }
+}
+
+WebhookDispatcher.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookDispatcher;
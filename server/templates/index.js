@@ -0,0 +1,15 @@
+/**
+ * 기본 리포트 템플릿 레지스트리
+ * 내장 템플릿을 등록한 공용 인스턴스 (사용자 템플릿은 서버 시작 시 추가 로드)
+ */
+
+const ReportTemplateRegistry = require('../services/reportTemplateRegistry');
+
+const registry = new ReportTemplateRegistry();
+
+[
+  ['default', require('./default.json')],
+  ['summary', require('./summary.json')],
+].forEach(([id, template]) => registry.register({ ...template, id }, __dirname));
+
+module.exports = registry;
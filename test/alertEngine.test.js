@@ -0,0 +1,118 @@
+/**
+ * AlertEngine 테스트
+ * 지속 시간 조건, 히스테리시스 해제, 최대값 기록과 규칙 검증
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AlertEngine = require('../server/services/alertEngine');
+
+// 서비스 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+const at = second => new Date(Date.UTC(2026, 0, 1, 0, 0, second)).toISOString();
+
+/**
+ * 1초 간격 측정값을 차례로 평가하고 발생/해제 이벤트 기록
+ * @param {Array} values - cpu.usage 값 (null이면 값 없음)
+ */
+function run(rule, values) {
+  const engine = new AlertEngine(AlertEngine.validateRules([{ id: 'cpu', metric: 'cpu.usage', ...rule }], ['cpu']));
+  const events = [];
+  engine.on('fired', incident => events.push({ type: 'fired', ...incident }));
+  engine.on('resolved', incident => events.push({ type: 'resolved', ...incident }));
+
+  values.forEach((value, second) => {
+    engine.evaluate({
+      timestamp: at(second),
+      sampling: { scheduledMs: second * 1000 },
+      cpu: value === null ? null : { usage: value },
+    });
+  });
+  return { engine, events };
+}
+
+test('임계값 초과가 duration 동안 이어져야 발생', () => {
+  const { events } = run({ threshold: 90, duration: 3 }, [95, 95, 80, 95, 96, 97, 98, 99]);
+
+  // 2초째에 초과가 끊겨 3초째부터 다시 셈 → 6초째(3초 경과)에 발생
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'fired');
+  assert.deepEqual(events[0].start, at(3));
+  assert.deepEqual(events[0].firedAt, at(6));
+  assert.equal(events[0].peak, 98);
+});
+
+test('duration 0이면 첫 초과에 바로 발생', () => {
+  const { events } = run({ threshold: 90 }, [50, 91]);
+
+  assert.equal(events.length, 1);
+  assert.deepEqual(events[0].firedAt, at(1));
+});
+
+test('히스테리시스만큼 내려가야 해제되고 최대값 기록', () => {
+  const { engine, events } = run({ threshold: 90, hysteresis: 5 }, [95, 89, 86, 99, 85.5, 85, 91]);
+
+  const resolved = events.filter(event => event.type === 'resolved');
+  assert.equal(resolved.length, 1);
+  // 85(=90-5) 이하가 되어야 해제 (89, 86, 85.5는 유지)
+  assert.deepEqual(resolved[0].end, at(5));
+  assert.equal(resolved[0].peak, 99);
+  assert.deepEqual(resolved[0].peakAt, at(3));
+
+  // 해제 뒤 다시 넘으면 새 알림
+  assert.deepEqual(engine.incidents.map(incident => incident.id), ['cpu-1', 'cpu-2']);
+  assert.deepEqual(engine.getActive().map(incident => incident.id), ['cpu-2']);
+});
+
+test('< 규칙은 반대 방향으로 평가', () => {
+  const { events } = run({ operator: '<', threshold: 10, hysteresis: 2 }, [20, 5, 3, 11, 12, 13]);
+
+  assert.deepEqual(events.map(event => [event.type, event.type === 'fired' ? event.firedAt : event.end]), [
+    ['fired', at(1)],
+    ['resolved', at(4)],
+  ]);
+  assert.equal(events[1].peak, 3);
+});
+
+test('값이 없는 측정은 상태를 유지하고 건너뜀', () => {
+  const { events } = run({ threshold: 90, duration: 2 }, [95, null, 95, null, 80]);
+
+  // 1초째에 끊기지 않으므로 2초째에 발생, 3초째에도 해제되지 않음
+  assert.deepEqual(events.map(event => [event.type, event.type === 'fired' ? event.firedAt : event.end]), [
+    ['fired', at(2)],
+    ['resolved', at(4)],
+  ]);
+});
+
+test('close()는 발생 중인 알림을 해제하지 않고 종료 시각만 기록', () => {
+  const { engine } = run({ threshold: 90 }, [95]);
+  engine.close('end');
+
+  assert.equal(engine.incidents[0].end, 'end');
+  assert.equal(engine.incidents[0].resolved, false);
+});
+
+test('규칙 검증과 기본값', () => {
+  const [rule] = AlertEngine.validateRules([{ metric: 'cpu.usage', threshold: 80 }], ['cpu']);
+  assert.deepEqual(rule, {
+    id: 'rule-1',
+    name: 'cpu.usage > 80',
+    metric: 'cpu.usage',
+    operator: '>',
+    threshold: 80,
+    duration: 0,
+    hysteresis: 0,
+    severity: 'warning',
+  });
+
+  assert.throws(() => AlertEngine.validateRules([{ metric: 'gpu.usage', threshold: 1 }], ['cpu']), /실행하지 않는 수집기/);
+  assert.throws(() => AlertEngine.validateRules([{ metric: 'cpu.usage', operator: '!=', threshold: 1 }]), /비교 연산자/);
+  assert.throws(() => AlertEngine.validateRules([{ metric: 'cpu.usage', threshold: '90' }]), /threshold/);
+  assert.throws(() => AlertEngine.validateRules([{ metric: 'cpu.usage', threshold: 1, hysteresis: -1 }]), /hysteresis/);
+  assert.throws(() => AlertEngine.validateRules([{ metric: 'cpu.usage', threshold: 1, severity: 'fatal' }]), /severity/);
+  assert.throws(() => AlertEngine.validateRules([
+    { id: 'a', metric: 'cpu.usage', threshold: 1 },
+    { id: 'a', metric: 'cpu.usage', threshold: 2 },
+  ]), /중복/);
+});
@@ -0,0 +1,102 @@
+/**
+ * AnomalyDetector 테스트
+ * EWMA 평균/분산으로 계산한 z-점수, 학습 구간, 표준편차 하한과 이상 구간 요약
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const AnomalyDetector = require('../server/services/anomalyDetector');
+
+function createDetector(options) {
+  const collectors = [{ id: 'cpu', render: { chart: { series: [{ key: 'usage' }] } } }];
+  return new AnomalyDetector(['cpu.usage'], AnomalyDetector.validateOptions(options, collectors));
+}
+
+/**
+ * 값을 차례로 평가하고 측정값마다 감지된 이상 징후 목록
+ */
+const evaluateAll = (detector, values) => values.map(usage => detector.evaluate({ cpu: { usage } }));
+
+test('EWMA 평균/분산 기준 z-점수', () => {
+  const detector = createDetector({ alpha: 0.5, threshold: 4, warmup: 2, minStd: 0 });
+
+  // 10 → 평균 10, 분산 0 / 20 → 평균 15, 분산 0.5 × (0 + 0.5 × 10²) = 25
+  const [, , anomalies] = evaluateAll(detector, [10, 20, 35]);
+  assert.deepEqual(anomalies, [{ metric: 'cpu.usage', value: 35, mean: 15, std: 5, zScore: 4, direction: 'high' }]);
+});
+
+test('학습 구간에는 판단하지 않음', () => {
+  const detector = createDetector({ warmup: 5 });
+  const results = evaluateAll(detector, [10, 10, 10, 10, 1000, 10]);
+
+  assert.deepEqual(results.slice(0, 5).map(anomalies => anomalies.length), [0, 0, 0, 0, 0]);
+  assert.equal(detector.total, 0);
+});
+
+test('거의 변하지 않는 지표는 표준편차 하한으로 판단', () => {
+  const values = Array(10).fill(50);
+
+  const flagged = createDetector({ warmup: 10, threshold: 4, minStd: 1 });
+  evaluateAll(flagged, values);
+  const [anomaly] = flagged.evaluate({ cpu: { usage: 46 } });
+  assert.equal(anomaly.std, 1);
+  assert.equal(anomaly.zScore, -4);
+  assert.equal(anomaly.direction, 'low');
+
+  const quiet = createDetector({ warmup: 10, threshold: 4, minStd: 1 });
+  evaluateAll(quiet, values);
+  const measurement = { cpu: { usage: 53.9 } };
+  assert.deepEqual(quiet.evaluate(measurement), []);
+  assert.equal(measurement.anomalies, undefined);
+});
+
+test('이상 값은 측정값에 기록되고 지속되는 변화는 새 평소 수준이 됨', () => {
+  const detector = createDetector({ warmup: 10, alpha: 0.3 });
+  const measurements = [...Array(20).fill(20), ...Array(40).fill(80)].map(usage => ({ cpu: { usage } }));
+  measurements.forEach(m => detector.evaluate(m));
+
+  const flagged = measurements.map(m => Boolean(m.anomalies));
+  assert.equal(flagged[20], true);
+  assert.equal(flagged[59], false);
+  assert.equal(detector.total, flagged.filter(Boolean).length);
+});
+
+test('값이 없는 측정은 건너뜀', () => {
+  const detector = createDetector({ warmup: 2 });
+  assert.deepEqual(detector.evaluate({ cpu: null }), []);
+  assert.deepEqual(detector.evaluate({ cpu: { usage: 'n/a' } }), []);
+  assert.equal(detector.state.get('cpu.usage').count, 0);
+});
+
+test('측정 간격의 2배 이내로 이어진 이상 값은 한 구간', () => {
+  const anomaly = (zScore, value) => [{ metric: 'cpu.usage', value, mean: 10, std: 1, zScore, direction: zScore > 0 ? 'high' : 'low' }];
+  const measurements = [
+    { timestamp: 't0', elapsed: 0, anomalies: anomaly(5, 15) },
+    { timestamp: 't1', elapsed: 1 },
+    { timestamp: 't2', elapsed: 2, anomalies: anomaly(-7, 3) },
+    { timestamp: 't6', elapsed: 6, anomalies: anomaly(4, 14) },
+  ];
+
+  assert.deepEqual(AnomalyDetector.summarize(measurements, 1), [
+    { metric: 'cpu.usage', start: 't0', end: 't2', points: 2, peakZ: -7, peakValue: 3, peakAt: 't2', baseline: 10, direction: 'low' },
+    { metric: 'cpu.usage', start: 't6', end: 't6', points: 1, peakZ: 4, peakValue: 14, peakAt: 't6', baseline: 10, direction: 'high' },
+  ]);
+});
+
+test('설정 검증과 기본 감시 지표', () => {
+  const collectors = [{ id: 'cpu', render: { chart: { series: [{ key: 'usage' }, { key: 'temperature' }] } } }];
+  assert.deepEqual(AnomalyDetector.validateOptions({}, collectors), {
+    enabled: true,
+    metrics: ['cpu.usage', 'cpu.temperature'],
+    alpha: 0.1,
+    threshold: 4,
+    warmup: 30,
+    minStd: 1,
+  });
+
+  assert.throws(() => AnomalyDetector.validateOptions({ alpha: 0 }, collectors), /alpha/);
+  assert.throws(() => AnomalyDetector.validateOptions({ threshold: -1 }, collectors), /threshold/);
+  assert.throws(() => AnomalyDetector.validateOptions({ warmup: 1 }, collectors), /warmup/);
+  assert.throws(() => AnomalyDetector.validateOptions({ minStd: -1 }, collectors), /minStd/);
+  assert.throws(() => AnomalyDetector.validateOptions({ metrics: ['gpu.usage'] }, collectors), /실행하지 않는 수집기/);
+});
@@ -0,0 +1,67 @@
+/**
+ * cron 표현식 테스트
+ * 필드 해석과 다음 실행 시각 계산 (서버 로컬 시간 기준이므로 로컬 시각으로 비교)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, getNextCronTime } = require('../server/services/cronExpression');
+
+const local = (year, month, day, hours = 0, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+
+test('목록, 범위, 간격 필드 해석', () => {
+  const cron = parseCron('0,30 9-17/4 * 1-3 *');
+
+  assert.deepEqual([...cron.minutes], [0, 30]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.equal(cron.days.size, 31);
+  assert.equal(cron.anyDay, true);
+  assert.equal(cron.anyWeekday, true);
+
+  // "5/20"은 5부터 최댓값까지 20 간격
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+});
+
+test('요일 7은 일요일(0)로 통일, 단축 표현 지원', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 5-7').weekdays].sort(), [0, 5, 6]);
+
+  const daily = parseCron('@daily');
+  assert.equal(daily.source, '@daily');
+  assert.deepEqual([...daily.minutes], [0]);
+  assert.deepEqual([...daily.hours], [0]);
+});
+
+test('잘못된 표현식은 예외', () => {
+  assert.throws(() => parseCron(''), /비어 있습니다/);
+  assert.throws(() => parseCron('* * * *'), /5개 필드/);
+  assert.throws(() => parseCron('60 * * * *'), /분 필드 범위/);
+  assert.throws(() => parseCron('* 5-1 * * *'), /시 필드 범위/);
+  assert.throws(() => parseCron('*/0 * * * *'), /범위/);
+  assert.throws(() => parseCron('* * 0 * *'), /일 필드 범위/);
+  assert.throws(() => parseCron('a * * * *'), /잘못된 cron 분 필드/);
+});
+
+test('다음 실행 시각은 기준 시각 이후(초과)의 첫 분', () => {
+  const from = local(2026, 1, 5, 10, 7);
+
+  assert.deepEqual(getNextCronTime('*/15 * * * *', from), local(2026, 1, 5, 10, 15));
+  assert.deepEqual(getNextCronTime('7 10 * * *', from), local(2026, 1, 6, 10, 7));
+  assert.deepEqual(getNextCronTime('* * * * *', new Date(2026, 0, 5, 10, 7, 30)), local(2026, 1, 5, 10, 8));
+  assert.deepEqual(getNextCronTime('0 0 1 * *', local(2026, 12, 15)), local(2027, 1, 1));
+});
+
+test('일과 요일을 모두 지정하면 둘 중 하나만 맞아도 실행', () => {
+  // 2026-01-05는 월요일
+  const from = local(2026, 1, 5, 12);
+
+  assert.deepEqual(getNextCronTime('0 9 * * 3', from), local(2026, 1, 7, 9));
+  assert.deepEqual(getNextCronTime('0 9 20 * 3', from), local(2026, 1, 7, 9));
+  assert.deepEqual(getNextCronTime('0 9 6 * 3', from), local(2026, 1, 6, 9));
+});
+
+test('드문 날짜도 찾고, 없는 날짜는 null', () => {
+  assert.deepEqual(getNextCronTime('0 0 29 2 *', local(2026, 3, 1)), local(2028, 2, 29));
+  assert.equal(getNextCronTime('0 0 31 2 *', local(2026, 1, 1)), null);
+});
@@ -0,0 +1,104 @@
+/**
+ * LiveStatistics 테스트
+ * 고정 크기 집계로 계산한 실행 중 통계가 저장된 세션의 통계(sessionStatistics)와 맞는지 확인
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const LiveStatistics = require('../server/services/liveStatistics');
+const { sessionStatistics } = require('../server/services/sessionSummary');
+
+const collectors = [{
+  id: 'fake',
+  render: { pdf: { stats: [{ key: 'value', label: '값', unit: '%' }] } },
+}];
+
+/**
+ * 1초 간격 측정값 (값이 없는 측정 포함)
+ */
+function createMeasurements(values) {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  return values.map((value, idx) => ({
+    timestamp: new Date(start + idx * 1000).toISOString(),
+    fake: value === null ? {} : { value },
+  }));
+}
+
+function compare(values, options = {}) {
+  const sessionData = { collectors, measurements: createMeasurements(values), config: { alertRules: [] } };
+  const live = new LiveStatistics(collectors);
+  sessionData.measurements.forEach(m => live.add(m));
+
+  const [expected] = sessionStatistics(sessionData, options);
+  const [actual] = live.describe(sessionData, options);
+  return { expected, actual, live };
+}
+
+// 결정적인 의사 난수 (선형 합동)
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+test('개수, 최소/최대, 평균, 표준편차, 추세는 저장된 세션 통계와 같음', () => {
+  const next = random(1);
+  const values = Array.from({ length: 2000 }, (_, idx) => (idx % 97 === 0 ? null : 40 + idx / 100 + next() * 30));
+  const { expected, actual, live } = compare(values);
+
+  assert.equal(live.count, 2000);
+  ['count', 'min', 'max', 'avg', 'stddev', 'slopePerMinute'].forEach((field) => {
+    assert.equal(actual[field], expected[field], field);
+  });
+});
+
+test('백분위수, 히스토그램, 초과 시간은 값 범위의 1% 안에서 근사', () => {
+  const next = random(2);
+  // 범위 밖의 값이 뒤늦게 나와 분포 구간을 양쪽으로 넓히는 경우 포함
+  const values = Array.from({ length: 3000 }, () => 50 + next() * 20)
+    .concat(Array.from({ length: 1000 }, () => next() * 100), [-20, 250]);
+  const { expected, actual } = compare(values, { thresholds: { percent: [60, 90] }, bins: 20 });
+  const tolerance = (expected.max - expected.min) / 100;
+
+  ['p50', 'p90', 'p95', 'p99'].forEach((field) => {
+    assert.ok(Math.abs(actual[field] - expected[field]) <= tolerance, `${field}: ${actual[field]} / ${expected[field]}`);
+  });
+
+  assert.deepEqual(
+    { min: actual.histogram.min, max: actual.histogram.max, binWidth: actual.histogram.binWidth },
+    { min: expected.histogram.min, max: expected.histogram.max, binWidth: expected.histogram.binWidth },
+  );
+  assert.equal(actual.histogram.counts.reduce((a, b) => a + b, 0), values.length);
+  actual.histogram.counts.forEach((count, idx) => {
+    assert.ok(Math.abs(count - expected.histogram.counts[idx]) <= values.length / 100, `구간 ${idx}`);
+  });
+
+  assert.deepEqual(actual.timeAbove.map(item => item.threshold), [60, 90]);
+  actual.timeAbove.forEach((item, idx) => {
+    assert.ok(Math.abs(item.percent - expected.timeAbove[idx].percent) <= 1, `${item.threshold}: ${item.percent}`);
+  });
+});
+
+test('모든 값이 같으면 구간 하나, 초과 시간은 정확히 계산', () => {
+  const { expected, actual } = compare([85, 85, 85, 85], { thresholds: { percent: [80, 90] } });
+  assert.deepEqual(actual, expected);
+});
+
+test('값이 없으면 통계 항목 제외, reset()으로 새 구간 시작', () => {
+  const live = new LiveStatistics(collectors);
+  createMeasurements([null, null]).forEach(m => live.add(m));
+  assert.deepEqual(live.describe({}), []);
+
+  createMeasurements([10, 20]).forEach(m => live.add(m));
+  assert.equal(live.describe({})[0].count, 2);
+
+  live.reset();
+  assert.equal(live.count, 0);
+  createMeasurements([30]).forEach(m => live.add(m));
+  const [stats] = live.describe({});
+  assert.equal(stats.count, 1);
+  assert.equal(stats.avg, 30);
+  assert.equal(stats.slopePerMinute, null);
+});
@@ -0,0 +1,80 @@
+/**
+ * MetricsExporter 테스트
+ * 가짜 수집기로 백그라운드 샘플러를 실행하고 Prometheus 텍스트 응답 확인
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MetricsExporter = require('../server/services/metricsExporter');
+const CollectorRegistry = require('../server/services/collectorRegistry');
+
+// 서비스 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+function createRegistry(collector) {
+  const registry = new CollectorRegistry();
+  registry.register({ interval: 0.05, ...collector });
+  return registry;
+}
+
+async function scrape(collector) {
+  const exporter = new MetricsExporter({ interval: 0.05, registry: createRegistry(collector) });
+  try {
+    return await exporter.collect();
+  } finally {
+    await exporter.stop();
+  }
+}
+
+test('첫 수집 요청에도 받은 측정값이 samples_total에 포함됨', async () => {
+  const text = await scrape({ id: 'fake', collect: async () => ({ value: 1 }) });
+
+  assert.match(text, /^sysmon_samples_total 1$/m);
+  assert.match(text, /^sysmon_fake_value 1$/m);
+});
+
+test('단위 환산과 이름 접미사, 이름 지정, 카운터, 레이블', async () => {
+  const text = await scrape({
+    id: 'net',
+    name: '네트워크',
+    units: { readKBps: 'KB/s', latencyMs: 'ms', 'links.rxBytes': 'B', 'links.speedMbps': 'MHz', usedPercent: '%' },
+    metrics: {
+      names: { readKBps: 'read', usedPercent: 'used_percent' },
+      help: { readKBps: '읽기 속도' },
+      labels: { links: { link: 'name' } },
+      counters: ['links.rxBytes'],
+    },
+    collect: async () => ({
+      readKBps: 2,
+      latencyMs: 250,
+      usedPercent: 40,
+      up: true,
+      links: [{ name: 'eth"0\\', rxBytes: 10, speedMbps: 1.5 }],
+    }),
+  });
+
+  assert.match(text, /^# HELP sysmon_net_read_bytes_per_second 읽기 속도 \(바이트\/초\)$/m);
+  assert.match(text, /^# TYPE sysmon_net_read_bytes_per_second gauge$/m);
+  assert.match(text, /^sysmon_net_read_bytes_per_second 2048$/m);
+  assert.match(text, /^# HELP sysmon_net_latency_ms_seconds 네트워크 수집기 latencyMs 값 \(초\)$/m);
+  assert.match(text, /^sysmon_net_latency_ms_seconds 0.25$/m);
+  // 이름이 이미 단위로 끝나면 접미사를 다시 붙이지 않음
+  assert.match(text, /^sysmon_net_used_percent 40$/m);
+  assert.match(text, /^sysmon_net_up 1$/m);
+  assert.match(text, /^# TYPE sysmon_net_links_rx_bytes_total counter$/m);
+  assert.match(text, /^sysmon_net_links_rx_bytes_total\{link="eth\\"0\\\\"\} 10$/m);
+  assert.match(text, /^sysmon_net_links_speed_mbps_hertz\{link="eth\\"0\\\\"\} 1500000$/m);
+  assert.match(text, /^sysmon_collector_up\{collector="net"\} 1$/m);
+});
+
+test('측정에 실패한 수집기는 collector_up 0', async () => {
+  const text = await scrape({
+    id: 'broken',
+    collect: async () => {
+      throw new Error('지원하지 않는 장치');
+    },
+  });
+
+  assert.match(text, /^sysmon_collector_up\{collector="broken"\} 0$/m);
+  assert.doesNotMatch(text, /^sysmon_broken_/m);
+});
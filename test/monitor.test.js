@@ -0,0 +1,116 @@
+/**
+ * MonitorService 저널 기록 테스트
+ * 가짜 수집기로 짧은 고정 모드 세션을 실행하고 저널/세션 데이터에 남는 값을 확인
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const MonitorService = require('../server/services/monitor');
+const CollectorRegistry = require('../server/services/collectorRegistry');
+
+// 서비스 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * 값 목록을 차례로 돌려주는 수집기 하나만 있는 레지스트리
+ */
+function createRegistry(values) {
+  const registry = new CollectorRegistry();
+  let index = 0;
+  registry.register({
+    id: 'fake',
+    interval: 0.05,
+    schema: { value: 'number' },
+    render: { chart: { series: [{ key: 'value', label: '값' }] } },
+    collect: async () => ({ value: values[Math.min(index++, values.length - 1)] }),
+  });
+  return registry;
+}
+
+async function runSession(options, hook = null) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'monitor-test-'));
+  const monitor = new MonitorService({
+    sessionId: 'session-test',
+    mode: 'fixed',
+    duration: 0.5,
+    interval: 0.05,
+    alertRules: [],
+    anomalyDetection: { warmup: 5, threshold: 3 },
+    dataDir: dir,
+    reportsDir: dir,
+    registry: createRegistry([10, 10, 11, 10, 9, 10, 500, 10]),
+    ...options(dir),
+  });
+
+  let journaled = null;
+  const complete = new Promise(resolve => monitor.once('complete', resolve));
+  monitor.on('error', () => {});
+  monitor.start((data) => {
+    // 이상 값이 실시간으로 나간 뒤 저널에 기록된 측정값 확인
+    if (data.anomalies && monitor.journal && !journaled) {
+      journaled = monitor.journal.readMeasurements();
+    }
+  });
+
+  if (hook) hook(monitor);
+
+  const sessionData = await complete;
+  return { dir, sessionData, journaled: journaled ? await journaled : null };
+}
+
+test('저널에 기록한 측정값에 이상 값이 포함됨', async () => {
+  const { dir, sessionData, journaled } = await runSession(dir => ({ journalDir: path.join(dir, 'journal') }));
+
+  assert.ok(journaled, '이상 값이 실시간으로 감지되어야 함');
+  assert.ok(journaled.some(m => Array.isArray(m.anomalies) && m.anomalies.length > 0));
+
+  const saved = await fs.readJson(path.join(dir, 'session-test.json'));
+  const anomalies = saved.measurements.flatMap(m => m.anomalies || []);
+  assert.equal(anomalies.length, 1);
+  assert.equal(anomalies[0].metric, 'fake.value');
+  assert.equal(saved.measurements.length, sessionData.sampling.collectedSamples);
+  assert.deepEqual(saved.measurements.map(m => m.sampling.tick), saved.measurements.map((m, idx) => idx));
+
+  await fs.remove(dir);
+});
+
+test('저널 없이 실행해도 같은 이상 값이 저장됨', async () => {
+  const { dir } = await runSession(() => ({}));
+
+  const saved = await fs.readJson(path.join(dir, 'session-test.json'));
+  assert.equal(saved.measurements.flatMap(m => m.anomalies || []).length, 1);
+
+  await fs.remove(dir);
+});
+
+test('저널 기록에 실패해도 모든 측정값이 저장됨', async () => {
+  const { dir, sessionData } = await runSession(dir => ({ journalDir: path.join(dir, 'journal') }), (monitor) => {
+    // 세 번째 측정값부터 디스크 공간 부족 (마지막 줄은 일부만 기록됨)
+    const { journal } = monitor;
+    const append = journal.append.bind(journal);
+    let writes = 0;
+    journal.append = (type, data) => {
+      if (type !== 'measurement' || ++writes < 3) {
+        return append(type, data);
+      }
+      return journal.enqueue(async () => {
+        await journal.handle.appendFile(JSON.stringify({ type, data }).slice(0, 20));
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      });
+    };
+  });
+
+  const saved = await fs.readJson(path.join(dir, 'session-test.json'));
+  assert.equal(saved.measurements.length, sessionData.sampling.collectedSamples);
+  assert.deepEqual(saved.measurements.map(m => m.sampling.tick), saved.measurements.map((m, idx) => idx));
+
+  await fs.remove(dir);
+});
+
+test('에이전트 모드는 실행 중 통계를 집계하지 않음', () => {
+  const monitor = new MonitorService({ sessionId: 'session-agent', mode: 'agent', registry: createRegistry([1]) });
+  assert.equal(monitor.getStatistics({}), null);
+});
@@ -0,0 +1,103 @@
+/**
+ * RetentionManager 정리 계획 테스트
+ * 보관 기간/개수/크기 제한, 고정·실행 중 세션 보호와 압축 대상 선정
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RetentionManager = require('../server/services/retentionManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T00:00:00Z');
+
+/**
+ * scan()과 같은 최신순 파일 목록 ([sessionId, 경과 일수, 바이트, 압축 여부])
+ */
+const files = entries => entries.map(([sessionId, days, bytes = 100, compressed = false]) => ({
+  directory: 'data',
+  file: `${sessionId}.json${compressed ? '.gz' : ''}`,
+  sessionId,
+  bytes,
+  modifiedAt: new Date(NOW - days * DAY_MS),
+  compressed,
+}));
+
+function createManager(data, { pins = [], active = [] } = {}) {
+  const manager = new RetentionManager({
+    policies: RetentionManager.validatePolicies({ data }),
+    isActive: sessionId => active.includes(sessionId),
+  });
+  manager.pins = new Set(pins);
+  return manager;
+}
+
+const summarize = plan => ({
+  deleted: plan.deleted.map(file => [file.sessionId, file.reason]),
+  compressed: plan.compressed.map(file => file.sessionId),
+});
+
+test('보관 기간과 최대 개수', () => {
+  const manager = createManager({ maxAgeDays: 30, maxCount: 2 });
+  const plan = manager.plan('data', files([['a', 1], ['b', 2], ['c', 3], ['d', 40]]), NOW);
+
+  assert.deepEqual(summarize(plan), { deleted: [['c', 'count'], ['d', 'age']], compressed: [] });
+});
+
+test('전체 크기를 넘으면 오래된 것부터 삭제', () => {
+  const manager = createManager({ maxSize: '1kb' });
+  const plan = manager.plan('data', files([['a', 1, 400], ['b', 2, 400], ['c', 3, 400], ['d', 4, 400]]), NOW);
+
+  assert.deepEqual(summarize(plan).deleted, [['d', 'size'], ['c', 'size']]);
+});
+
+test('고정한 세션과 실행 중인 세션은 개수/크기에 포함하되 삭제하지 않음', () => {
+  const manager = createManager({ maxAgeDays: 7, maxCount: 2, maxSize: 500 }, {
+    pins: ['cont'],
+    active: ['live'],
+  });
+  const plan = manager.plan('data', files([
+    ['live', 0, 300],
+    ['a', 1, 100],
+    ['b', 2, 100],
+    ['cont-seg-0000', 10, 300],
+  ]), NOW);
+
+  // 'live'가 개수 1개를 차지해 'b'는 개수 초과, 남은 크기 700 > 500이라 보호되지 않은 'a'까지 삭제
+  assert.deepEqual(summarize(plan).deleted, [['b', 'count'], ['a', 'size']]);
+});
+
+test('압축은 압축 기한이 지나고 남은 파일 중 압축하지 않은 것만', () => {
+  const manager = createManager({ maxAgeDays: 60, compressAfterDays: 7 }, { active: ['cont'] });
+  const plan = manager.plan('data', files([
+    ['a', 1],
+    ['b', 10],
+    ['c', 20, 100, true],
+    ['cont-seg-0003', 30],
+    ['d', 90],
+  ]), NOW);
+
+  assert.deepEqual(summarize(plan), { deleted: [['d', 'age']], compressed: ['b'] });
+});
+
+test('정책이 없으면 아무것도 정리하지 않음', () => {
+  const manager = createManager({});
+  const plan = manager.plan('data', files([['a', 1], ['b', 400, 10 ** 9]]), NOW);
+
+  assert.deepEqual(summarize(plan), { deleted: [], compressed: [] });
+  assert.equal(manager.hasPolicy(), false);
+});
+
+test('정책 검증과 크기 단위', () => {
+  assert.equal(RetentionManager.parseSize('500mb'), 500 * 1024 ** 2);
+  assert.equal(RetentionManager.parseSize('1.5 KB'), 1536);
+  assert.equal(RetentionManager.parseSize('2048'), 2048);
+  assert.throws(() => RetentionManager.parseSize('10 pages'), /크기는/);
+
+  assert.deepEqual(RetentionManager.validatePolicies({ data: { maxCount: '5', maxSize: '1gb' } }), {
+    data: { maxCount: 5, maxSize: 1024 ** 3 },
+    reports: {},
+  });
+  assert.throws(() => RetentionManager.validatePolicies({ reports: { compressAfterDays: 7 } }), /알 수 없는 항목/);
+  assert.throws(() => RetentionManager.validatePolicies({ data: { maxCount: 1.5 } }), /1 이상의 정수/);
+  assert.throws(() => RetentionManager.validatePolicies({ data: { maxAgeDays: 0 } }), /0보다 큰 값/);
+});
@@ -0,0 +1,205 @@
+/**
+ * SessionJournal / SessionRecovery 테스트
+ * 기록 순서와 실패 처리, 구간 저장 후 압축, 비정상 종료된 저널의 복구
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const SessionJournal = require('../server/services/sessionJournal');
+const SessionRecovery = require('../server/services/sessionRecovery');
+
+// 서비스 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+const at = second => new Date(START + second * 1000).toISOString();
+
+const measurement = (tick, usage = 10) => ({
+  timestamp: at(tick),
+  elapsed: tick,
+  cpu: { usage },
+  sampling: { tick, latencyMs: 5, late: false, missedBefore: 0 },
+});
+
+const session = (mode = 'fixed') => ({
+  sessionId: `session-${mode}`,
+  mode,
+  startTime: at(0),
+  endTime: null,
+  config: { interval: 1, reportPeriod: 'hourly' },
+  collectors: [{ id: 'cpu' }],
+});
+
+async function createDirs() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'journal-test-'));
+  const dirs = { journalDir: path.join(dir, 'journal'), dataDir: path.join(dir, 'data'), reportsDir: path.join(dir, 'reports') };
+  await Promise.all(Object.values(dirs).map(d => fs.ensureDir(d)));
+  return { dir, ...dirs };
+}
+
+async function readRecords(filePath) {
+  const records = [];
+  await SessionJournal.read(filePath, record => records.push(record));
+  return records;
+}
+
+test('레코드를 기록 순서대로 읽고 잘린 마지막 줄은 건너뜀', async () => {
+  const { dir, journalDir } = await createDirs();
+  const journal = new SessionJournal(SessionJournal.pathFor(journalDir, 'session-fixed'));
+
+  journal.open(session());
+  const results = await Promise.all([1, 2, 3].map(tick => journal.append('measurement', measurement(tick))));
+  await journal.close();
+  assert.deepEqual(results, [true, true, true]);
+
+  await fs.appendFile(journal.filePath, '{"type":"measurement","data":{"timest');
+  const records = await readRecords(journal.filePath);
+  assert.deepEqual(records.map(r => r.type), ['session', 'measurement', 'measurement', 'measurement']);
+  assert.deepEqual((await journal.readMeasurements()).map(m => m.sampling.tick), [1, 2, 3]);
+
+  await fs.remove(dir);
+});
+
+test('기록에 실패하면 이후 레코드는 건너뛰고 onError는 한 번만 호출', async () => {
+  const { dir, journalDir } = await createDirs();
+  const onError = mock.fn();
+  const journal = new SessionJournal(SessionJournal.pathFor(journalDir, 'session-fixed'), { onError });
+
+  await journal.open(session());
+  assert.equal(await journal.append('measurement', measurement(1)), true);
+
+  const appendFile = journal.handle.appendFile.bind(journal.handle);
+  journal.handle.appendFile = async () => {
+    throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+  };
+  const results = await Promise.all([2, 3].map(tick => journal.append('measurement', measurement(tick))));
+  journal.handle.appendFile = appendFile;
+
+  assert.deepEqual(results, [false, false]);
+  assert.equal(await journal.append('measurement', measurement(4)), false);
+  assert.equal(onError.mock.callCount(), 1);
+  assert.equal(onError.mock.calls[0].arguments[0].code, 'ENOSPC');
+
+  await journal.close();
+  assert.deepEqual((await journal.readMeasurements()).map(m => m.sampling.tick), [1]);
+
+  await fs.remove(dir);
+});
+
+test('compact()는 남길 레코드만 다시 쓰고 이후 기록을 이어 감', async () => {
+  const { dir, journalDir } = await createDirs();
+  const journal = new SessionJournal(SessionJournal.pathFor(journalDir, 'session-continuous'));
+
+  journal.open(session('continuous'));
+  [1, 2, 3, 4].forEach(tick => journal.append('measurement', measurement(tick)));
+  journal.append('segment', { index: 0, end: at(3) });
+  await journal.compact(({ type, data }) => type !== 'measurement' || data.timestamp >= at(3));
+  await journal.append('measurement', measurement(5));
+  await journal.close();
+
+  const records = await readRecords(journal.filePath);
+  assert.deepEqual(records.map(r => (r.type === 'measurement' ? r.data.sampling.tick : r.type)), ['session', 3, 4, 'segment', 5]);
+  assert.equal(await fs.pathExists(`${journal.filePath}.tmp`), false);
+
+  await fs.remove(dir);
+});
+
+/**
+ * 서버가 비정상 종료된 것처럼 저널만 남김 (세션 데이터를 저장하지 않고 저널도 지우지 않음)
+ */
+async function leaveJournal(journalDir, sessionData, records) {
+  const journal = new SessionJournal(SessionJournal.pathFor(journalDir, sessionData.sessionId));
+  journal.open(sessionData);
+  records.forEach(([type, data]) => journal.append(type, data));
+  await journal.close();
+  return journal.filePath;
+}
+
+test('고정 모드 저널을 마지막 측정 시각까지의 세션 데이터로 복구', async () => {
+  const dirs = await createDirs();
+  const incident = {
+    id: 'cpu-high-1', metric: 'cpu.usage', operator: '>', threshold: 90, start: at(2), firedAt: at(2),
+    end: null, peak: 95, peakAt: at(2), value: 95, resolved: false,
+  };
+  const filePath = await leaveJournal(dirs.journalDir, session(), [
+    ['measurement', measurement(1)],
+    ['measurement', measurement(2, 95)],
+    ['alert', incident],
+    ['measurement', measurement(3, 99)],
+    ['measurement', measurement(4, 92)],
+    ['gap', { timestamp: at(3), missed: 1 }],
+  ]);
+
+  const recovery = new SessionRecovery(dirs);
+  const recovered = await recovery.recover();
+
+  assert.deepEqual(recovered.map(entry => [entry.sessionId, entry.measurementCount, entry.endTime]), [['session-fixed', 4, at(4)]]);
+  assert.equal(await fs.pathExists(filePath), false);
+
+  const saved = await fs.readJson(path.join(dirs.dataDir, 'session-fixed.json'));
+  assert.equal(saved.endTime, at(4));
+  assert.equal(saved.interrupted.lastMeasurementAt, at(4));
+  assert.deepEqual(saved.measurements.map(m => m.sampling.tick), [1, 2, 3, 4]);
+  assert.equal(saved.sampling.collectedSamples, 4);
+  assert.equal(saved.sampling.gaps.length, 1);
+  // 해제되지 않은 알림은 마지막 측정 시각으로 닫고 이후 측정값으로 최대값 갱신
+  assert.deepEqual(
+    { end: saved.alerts[0].end, resolved: saved.alerts[0].resolved, peak: saved.alerts[0].peak, value: saved.alerts[0].value },
+    { end: at(4), resolved: false, peak: 99, value: 92 },
+  );
+
+  // 복구 목록은 다시 시작해도 유지
+  const restarted = new SessionRecovery(dirs);
+  assert.deepEqual(await restarted.recover(), []);
+  assert.deepEqual(restarted.list().map(entry => entry.sessionId), ['session-fixed']);
+  assert.equal(await restarted.dismiss('session-fixed'), true);
+  assert.deepEqual(restarted.list(), []);
+
+  await fs.remove(dirs.dir);
+});
+
+test('연속 모드는 저장을 마친 구간 뒤의 측정값을 마지막 구간으로 복구', async () => {
+  const dirs = await createDirs();
+  const savedSegment = {
+    index: 0, sessionId: 'session-continuous-seg-0000', start: at(0), end: at(3), measurementCount: 2,
+    pdfFileName: 'session-continuous-seg-0000.pdf',
+  };
+  await fs.writeFile(path.join(dirs.reportsDir, savedSegment.pdfFileName), '');
+  await leaveJournal(dirs.journalDir, session('continuous'), [
+    ['measurement', measurement(1)],
+    ['measurement', measurement(2)],
+    ['segment', savedSegment],
+    ['measurement', measurement(3)],
+    ['measurement', measurement(4)],
+  ]);
+
+  const recovered = await new SessionRecovery(dirs).recover();
+  assert.deepEqual(recovered.map(entry => [entry.sessionId, entry.parentSessionId, entry.measurementCount]), [
+    ['session-continuous-seg-0001', 'session-continuous', 2],
+  ]);
+
+  const segment = await fs.readJson(path.join(dirs.dataDir, 'session-continuous-seg-0001.json'));
+  assert.deepEqual(segment.measurements.map(m => m.sampling.tick), [3, 4]);
+  assert.deepEqual([segment.startTime, segment.endTime, segment.segment.prevId], [at(3), at(4), savedSegment.sessionId]);
+
+  const parent = await fs.readJson(path.join(dirs.dataDir, 'session-continuous.json'));
+  assert.deepEqual(parent.segments.map(s => s.sessionId), [savedSegment.sessionId, 'session-continuous-seg-0001']);
+  assert.deepEqual(parent.measurements, []);
+
+  await fs.remove(dirs.dir);
+});
+
+test('세션 데이터가 이미 저장된 저널은 복구하지 않고 삭제', async () => {
+  const dirs = await createDirs();
+  await fs.writeJson(path.join(dirs.dataDir, 'session-fixed.json'), { sessionId: 'session-fixed', measurements: [] });
+  const filePath = await leaveJournal(dirs.journalDir, session(), [['measurement', measurement(1)]]);
+
+  assert.deepEqual(await new SessionRecovery(dirs).recover(), []);
+  assert.equal(await fs.pathExists(filePath), false);
+  assert.deepEqual(await fs.readJson(path.join(dirs.dataDir, 'session-fixed.json')), { sessionId: 'session-fixed', measurements: [] });
+
+  await fs.remove(dirs.dir);
+});
@@ -0,0 +1,67 @@
+/**
+ * SessionManager 종료 처리 테스트
+ * 가짜 MonitorService로 stopAll()이 저장과 PDF 생성까지 기다리는지 확인
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const SessionManager = require('../server/services/sessionManager');
+
+// 서비스 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * stop() 후 stopMs 뒤에 완료되고 pdfMs 뒤에 PDF가 만들어지는 세션
+ */
+function addSession(manager, sessionId, { stopMs = 10, pdfMs = 10 } = {}) {
+  const service = new EventEmitter();
+  service.sessionId = sessionId;
+  service.pdfDone = false;
+  service.stop = async () => {
+    await delay(stopMs);
+    service.emit('complete', { sessionId });
+  };
+  service.generatePDF = async () => {
+    await delay(pdfMs);
+    service.pdfDone = true;
+    return `/reports/${sessionId}.pdf`;
+  };
+
+  const session = { service, status: 'running', owner: null, webhooks: [] };
+  manager.sessions.set(sessionId, session);
+  manager.attach(session);
+  return service;
+}
+
+test('stopAll()은 모든 세션의 PDF 생성까지 기다림', async () => {
+  const manager = new SessionManager();
+  const services = [addSession(manager, 'a', { pdfMs: 50 }), addSession(manager, 'b', { stopMs: 30 })];
+
+  assert.equal(await manager.stopAll(5000), true);
+  assert.ok(services.every(service => service.pdfDone));
+  assert.equal(manager.sessions.size, 0);
+  assert.equal(manager.listenerCount('removed'), 0);
+});
+
+test('제한 시간을 넘기면 기다리지 않고 false', async () => {
+  const manager = new SessionManager();
+  addSession(manager, 'slow', { pdfMs: 500 });
+
+  assert.equal(await manager.stopAll(50), false);
+  assert.equal(manager.sessions.size, 1);
+  await delay(500);
+});
+
+test('중지에 실패한 세션은 목록에서 빠짐', async () => {
+  const manager = new SessionManager();
+  const service = addSession(manager, 'broken');
+  service.stop = async () => {
+    throw new Error('저장 실패');
+  };
+
+  assert.equal(await manager.stopAll(5000), true);
+  assert.equal(await manager.stopAll(5000), true);
+});
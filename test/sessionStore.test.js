@@ -0,0 +1,115 @@
+/**
+ * 세션 데이터 파일 스트리밍 테스트
+ * 측정값을 하나씩 읽은 결과가 파일 전체를 파싱한 결과와 같은지 확인
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const fs = require('fs-extra');
+const SessionExporter = require('../server/services/sessionExporter');
+const {
+  readSessionData,
+  streamSessionData,
+  writeSessionJson,
+} = require('../server/services/sessionStore');
+
+/**
+ * 읽기 조각(64KB) 경계가 문자열과 여러 바이트 문자 중간에 걸리도록 큰 세션 데이터
+ */
+function createSessionData(count = 2000) {
+  return {
+    sessionId: 'session-stream',
+    name: '스트림 "테스트" {measurements: [1, 2]}',
+    collectors: [{ id: 'fake', units: { value: '%' }, metrics: {} }],
+    measurements: Array.from({ length: count }, (_, idx) => ({
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, 0, idx)).toISOString(),
+      elapsed: idx,
+      fake: { value: idx % 100, note: `측정 ${idx} \\ "따옴표" ]},[{` },
+      sampling: { tick: idx, measurements: [idx] },
+    })),
+    alerts: [{ id: 'a1', metric: 'fake.value', message: '임계값 초과: 90% ]' }],
+    tags: [],
+  };
+}
+
+async function readAll(dataDir, sessionId) {
+  const measurements = [];
+  const info = await streamSessionData(dataDir, sessionId, async (m) => {
+    measurements.push(m);
+  });
+  return info && { ...info, measurements };
+}
+
+test('저장된 세션 JSON을 측정값 하나씩 읽음 (압축한 파일 포함)', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-test-'));
+  const sessionData = createSessionData();
+
+  await fs.writeJson(path.join(dir, 'pretty.json'), sessionData, { spaces: 2 });
+  await fs.writeFile(path.join(dir, 'compact.json.gz'), zlib.gzipSync(JSON.stringify(sessionData)));
+
+  assert.deepEqual(await readAll(dir, 'pretty'), await readSessionData(dir, 'pretty'));
+  assert.deepEqual(await readAll(dir, 'compact'), sessionData);
+  assert.equal(await readAll(dir, 'missing'), null);
+
+  await fs.remove(dir);
+});
+
+test('나눠 쓴 세션 JSON도 같은 내용으로 읽힘', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-test-'));
+  const sessionData = createSessionData();
+  const { measurements, ...info } = sessionData;
+
+  let text = '';
+  await writeSessionJson({ ...info, measurements: [] }, async (visit) => {
+    for (const measurement of measurements) {
+      await visit(measurement);
+    }
+  }, async (chunk) => {
+    text += chunk;
+  }, 1000);
+  await fs.writeFile(path.join(dir, 'written.json'), text);
+
+  assert.deepEqual(JSON.parse(text), sessionData);
+  assert.deepEqual(await readAll(dir, 'written'), sessionData);
+
+  await fs.remove(dir);
+});
+
+test('잘렸거나 깨진 세션 JSON은 SyntaxError', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-test-'));
+  const text = JSON.stringify(createSessionData(10));
+  await fs.writeFile(path.join(dir, 'truncated.json'), text.slice(0, -20));
+  await fs.writeFile(path.join(dir, 'array.json'), '[]');
+
+  await assert.rejects(readAll(dir, 'truncated'), SyntaxError);
+  await assert.rejects(readAll(dir, 'array'), SyntaxError);
+
+  await fs.remove(dir);
+});
+
+test('측정값을 하나씩 전달해도 목록으로 내보낸 CSV와 같음', async () => {
+  const sessionData = createSessionData(50);
+  const { measurements, ...info } = sessionData;
+
+  const exportCsv = async (exporter) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await exporter.write('csv', stream);
+    return Buffer.concat(chunks).toString('utf8');
+  };
+
+  const fromList = await exportCsv(new SessionExporter(sessionData));
+  const fromStream = await exportCsv(new SessionExporter({ ...info, measurements: [] }, async (visit) => {
+    for (const measurement of measurements) {
+      await visit(measurement);
+    }
+  }));
+
+  assert.equal(fromStream, fromList);
+  assert.equal(fromList.trim().split('\r\n').length, 51);
+});
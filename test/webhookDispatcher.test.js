@@ -0,0 +1,143 @@
+/**
+ * WebhookDispatcher 테스트
+ * 로컬 HTTP 서버로 받은 요청의 HMAC 서명, 재시도 여부와 지수 백오프 대기 시간
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const WebhookDispatcher = require('../server/services/webhookDispatcher');
+
+// 서비스 로그가 테스트 러너 출력과 섞이지 않도록 숨김
+['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+/**
+ * 요청마다 statuses의 다음 응답 코드로 답하는 서버 (마지막 코드는 계속 반복)
+ */
+async function createReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+const webhookFor = (url, extra = {}) => WebhookDispatcher.validate([{ id: 'hook', url, ...extra }])[0];
+
+/**
+ * 재시도 로그에 남은 대기 시간 (ms)
+ */
+const retryDelays = () => console.warn.mock.calls
+  .map(call => String(call.arguments[0]).match(/(\d+)ms 후 재시도/))
+  .filter(Boolean)
+  .map(match => Number(match[1]));
+
+test('secret이 있으면 "타임스탬프.본문"의 HMAC-SHA256으로 서명', async () => {
+  const receiver = await createReceiver();
+  const dispatcher = new WebhookDispatcher();
+  const webhook = webhookFor(receiver.url, { secret: 'top-secret', headers: { 'X-Custom': 'yes' } });
+
+  const delivery = await dispatcher.deliver(webhook, 'session-started', { sessionId: 's1' });
+  await receiver.close();
+
+  assert.equal(delivery.status, 'success');
+  const [{ headers, body }] = receiver.requests;
+  const expected = crypto.createHmac('sha256', 'top-secret')
+    .update(`${headers['x-monitor-timestamp']}.${body}`)
+    .digest('hex');
+  assert.equal(headers['x-monitor-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-monitor-event'], 'session-started');
+  assert.equal(headers['x-monitor-delivery'], delivery.id);
+  assert.equal(headers['x-custom'], 'yes');
+  assert.deepEqual(JSON.parse(body), {
+    event: 'session-started',
+    deliveryId: delivery.id,
+    timestamp: delivery.createdAt,
+    sessionId: 's1',
+  });
+});
+
+test('secret이 없으면 서명 헤더를 보내지 않음', async () => {
+  const receiver = await createReceiver();
+  await new WebhookDispatcher().deliver(webhookFor(receiver.url), 'session-error', {});
+  await receiver.close();
+
+  assert.equal(receiver.requests[0].headers['x-monitor-signature'], undefined);
+});
+
+test('5xx와 429는 대기 시간을 2배씩 늘려 재시도', async () => {
+  console.warn.mock.resetCalls();
+  const receiver = await createReceiver([500, 503, 429, 200]);
+  const dispatcher = new WebhookDispatcher({ retryDelay: 5 });
+
+  const delivery = await dispatcher.deliver(webhookFor(receiver.url), 'alert-fired', {});
+  await receiver.close();
+
+  assert.equal(delivery.status, 'success');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 429, 200]);
+  assert.deepEqual(retryDelays(), [5, 10, 20]);
+});
+
+test('최대 시도 횟수까지 실패하면 failed', async () => {
+  console.warn.mock.resetCalls();
+  const receiver = await createReceiver([502]);
+  const dispatcher = new WebhookDispatcher({ retryDelay: 5, maxAttempts: 3 });
+  const completed = mock.fn();
+  dispatcher.on('delivery', completed);
+
+  const delivery = await dispatcher.deliver(webhookFor(receiver.url), 'alert-fired', { sessionId: 's2' });
+  await receiver.close();
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(receiver.requests.length, 3);
+  assert.deepEqual(retryDelays(), [5, 10]);
+  assert.equal(completed.mock.callCount(), 1);
+  assert.deepEqual(dispatcher.getDeliveries({ sessionId: 's2', status: 'failed' }).map(d => d.id), [delivery.id]);
+});
+
+test('4xx(408, 429 제외)는 재시도하지 않음', async () => {
+  const receiver = await createReceiver([404]);
+  const delivery = await new WebhookDispatcher({ retryDelay: 5 }).deliver(webhookFor(receiver.url), 'session-error', {});
+  await receiver.close();
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(receiver.requests.length, 1);
+});
+
+test('연결하지 못한 요청은 오류를 기록하고 재시도', async () => {
+  const receiver = await createReceiver();
+  await receiver.close();
+
+  const delivery = await new WebhookDispatcher({ retryDelay: 5, maxAttempts: 2 })
+    .deliver(webhookFor(receiver.url), 'session-error', {});
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 2);
+  assert.ok(delivery.attempts.every(attempt => attempt.statusCode === null && /ECONNREFUSED/.test(attempt.error)));
+});
+
+test('웹훅 설정 검증', () => {
+  assert.deepEqual(WebhookDispatcher.validate([{ url: 'https://example.com/hook', events: ['alert-fired'] }], 'session'), [
+    { id: 'session-1', url: 'https://example.com/hook', events: ['alert-fired'], secret: null, headers: {} },
+  ]);
+  assert.equal(WebhookDispatcher.describe(webhookFor('http://example.com', { secret: 'x' })).signed, true);
+
+  assert.throws(() => WebhookDispatcher.validate({}), /배열/);
+  assert.throws(() => WebhookDispatcher.validate([{ url: 'not a url' }]), /URL이 올바르지 않습니다/);
+  assert.throws(() => WebhookDispatcher.validate([{ url: 'ftp://example.com' }]), /http 또는 https/);
+  assert.throws(() => WebhookDispatcher.validate([{ url: 'http://example.com', events: ['unknown'] }]), /알 수 없는 이벤트/);
+  assert.throws(() => WebhookDispatcher.validate([{ url: 'http://example.com', secret: 1 }]), /secret/);
+});